@@ -1,6 +1,9 @@
 #!/usr/bin/env node
+const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const http = require('http');
+const net = require('net');
 const path = require('path');
 const AriClient = require('ari-client');
 const { v4: uuidv4 } = require('uuid');
@@ -22,2948 +25,8823 @@ function logWithTimestamp(level, message, ...args) {
   logMethod.call(console, timestamp, message, ...args);
 }
 
-function refreshConfig() {
-  dotenv.config({ override: true });
+// Hangup cause texts that describe the same disposition as a Dial status.
+const dispositionAliases = new Map([
+  ['NO USER RESPONDING', 'NO ANSWER'],
+  ['USER BUSY', 'BUSY'],
+  ['NORMAL CIRCUIT CONGESTION', 'CONGESTION'],
+  ['SWITCHING EQUIPMENT CONGESTION', 'CONGESTION'],
+  ['SUBSCRIBER ABSENT', 'CHANUNAVAIL'],
+  ['DESTINATION OUT OF ORDER', 'CHANUNAVAIL']
+]);
 
-  const {
-    ARI_URL,
-    ARI_USERNAME,
-    ARI_PASSWORD,
-    ARI_TRUNK,
-    OUTBOUND_NUMBER,
-    OUTBOUND_NUMBER_FILE,
-    TARGET_ENDPOINT,
-    TARGET_EXTENSION = '777',
-    TARGET_CONTEXT = 'default2',
-    STASIS_APP = 'outbound_dialer',
-    CALL_TIMEOUT = '30',
-    MAX_CC,
-    RECORDINGS_DIR,
-    RECORDING_FORMAT,
-    MYSQL_HOST,
-    MYSQL_PORT,
-    MYSQL_USER,
-    MYSQL_PASSWORD,
-    MYSQL_DATABASE,
-    MYSQL_TABLE,
-    CALLER_ID
-  } = process.env;
+// Retry rule key that applies to every status without a rule of its own.
+const RETRY_ANY_STATUS = '*';
 
-  if (!ARI_URL || !ARI_USERNAME || !ARI_PASSWORD || !ARI_TRUNK) {
-    const message =
-      'Missing required configuration. Ensure ARI_URL, ARI_USERNAME, ARI_PASSWORD, and ARI_TRUNK are set.';
-    logWithTimestamp('error', message);
-    throw new Error(message);
+// normalizeStatus, compared case-insensitively and with cause texts folded into their Dial status,
+// so retry rules and failover causes match however Asterisk spelled the disposition.
+function normalizeDisposition(status) {
+  const normalized = normalizeStatus(String(status ?? '').replace(/_/g, ' '))
+    .toUpperCase()
+    .replace(/\s+/g, ' ');
+  return dispositionAliases.get(normalized) || normalized;
+}
+
+// Accepts "BUSY:3:300,NO ANSWER:2:900" (status:maxAttempts:delaySeconds) or
+// { "BUSY": { "maxAttempts": 3, "delaySeconds": 300 } }.
+function parseRetryRules(value, label) {
+  const rules = {};
+  if (value == null || value === '') {
+    return rules;
   }
 
-  if (!OUTBOUND_NUMBER && !OUTBOUND_NUMBER_FILE) {
-    const message = 'Missing outbound configuration. Provide either OUTBOUND_NUMBER or OUTBOUND_NUMBER_FILE.';
-    logWithTimestamp('error', message);
-    throw new Error(message);
+  let entries = null;
+  if (typeof value === 'string') {
+    entries = value
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const [status, maxAttempts, delaySeconds] = entry.split(':').map((part) => part.trim());
+        return [status, { maxAttempts, delaySeconds }];
+      });
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  }
+  if (!entries) {
+    throw new Error(`${label} must be a string or an object keyed by call status.`);
   }
 
-  if (OUTBOUND_NUMBER && OUTBOUND_NUMBER_FILE) {
-    logWithTimestamp(
-      'warn',
-      'Both OUTBOUND_NUMBER and OUTBOUND_NUMBER_FILE are set. Using numbers from OUTBOUND_NUMBER_FILE.'
-    );
+  for (const [status, rule] of entries) {
+    const disposition = normalizeDisposition(status);
+    const maxAttempts = parseInt(String(rule?.maxAttempts ?? '').trim(), 10);
+    const delaySeconds = parseInt(String(rule?.delaySeconds ?? '0').trim() || '0', 10);
+    if (!disposition) {
+      throw new Error(`${label} contains a rule without a call status.`);
+    }
+    if (!Number.isInteger(maxAttempts) || maxAttempts <= 0) {
+      throw new Error(`${label}: maxAttempts for ${disposition} must be a positive integer.`);
+    }
+    if (!Number.isInteger(delaySeconds) || delaySeconds < 0) {
+      throw new Error(`${label}: delay for ${disposition} must be a non-negative number of seconds.`);
+    }
+    rules[disposition] = { maxAttempts, delaySeconds };
   }
 
-  const parsedMaxCc = MAX_CC ? parseInt(MAX_CC, 10) : 1;
-  if (!Number.isInteger(parsedMaxCc) || parsedMaxCc <= 0) {
-    const message = 'MAX_CC must be a positive integer when specified.';
-    logWithTimestamp('error', message);
-    throw new Error(message);
+  return rules;
+}
+
+function parseStatusList(value, label) {
+  if (value == null) {
+    return [];
+  }
+  const list = typeof value === 'string' ? value.split(',') : Array.isArray(value) ? value : null;
+  if (!list) {
+    throw new Error(`${label} must be a comma-separated string or an array of call statuses.`);
   }
+  return [...new Set(list.map((status) => normalizeDisposition(status)).filter(Boolean))];
+}
 
-  const recordingFormat = (RECORDING_FORMAT || 'wav').trim() || 'wav';
-  const resolvedRecordingsDir = path.resolve(
-    (RECORDINGS_DIR && RECORDINGS_DIR.trim()) || path.join(process.cwd(), 'recordings')
-  );
+function resolveRetryRule(policy, status) {
+  const disposition = normalizeDisposition(status);
+  if (!policy || !disposition || policy.finalStatuses.includes(disposition)) {
+    return null;
+  }
+  return policy.rules[disposition] || policy.rules[RETRY_ANY_STATUS] || null;
+}
 
-  const mysqlTableName = (MYSQL_TABLE && MYSQL_TABLE.trim()) || 'call_leg_timelines';
-  const mysqlPortNumber = (() => {
-    if (!MYSQL_PORT) {
-      return null;
+const weekdayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const zonedDateFormatters = new Map();
+
+function parseClockTime(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  if (!match || parseInt(match[2], 10) > 59 || minutes > 24 * 60) {
+    throw new Error(`${label}: '${value}' is not a valid HH:MM time.`);
+  }
+  return minutes;
+}
+
+function parseWeekdays(value, label) {
+  const spec = String(value ?? '').trim().toLowerCase();
+  if (!spec || spec === '*' || spec === 'daily') {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+
+  const days = new Set();
+  for (const part of spec.split(',').map((entry) => entry.trim()).filter(Boolean)) {
+    const [from, to = from] = part.split('-').map((entry) => weekdayNames.indexOf(entry.trim().slice(0, 3)));
+    if (from < 0 || to < 0) {
+      throw new Error(`${label}: '${part}' is not a valid day or day range (use mon, tue, ... sun).`);
     }
-    const parsed = parseInt(MYSQL_PORT, 10);
-    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
-  })();
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) {
+        break;
+      }
+    }
+  }
+  return [...days].sort();
+}
 
-  const mysqlConfigProvided = [MYSQL_HOST, MYSQL_PORT, MYSQL_USER, MYSQL_PASSWORD, MYSQL_DATABASE, MYSQL_TABLE]
-    .filter((value) => value != null && String(value).trim() !== '').length > 0;
-  const mysqlConfigComplete = MYSQL_HOST && MYSQL_USER && MYSQL_DATABASE;
+// Accepts "mon-fri 09:00-21:00; sat 10:00-18:00" or an array of such strings
+// or { days, start, end } objects.
+function parseCallWindows(value, label) {
+  if (value == null || value === '') {
+    return [];
+  }
 
-  const callTimeoutSeconds = (() => {
-    const parsed = parseInt(CALL_TIMEOUT, 10);
-    if (Number.isInteger(parsed) && parsed > 0) {
-      return parsed;
+  const entries = typeof value === 'string' ? value.split(';') : Array.isArray(value) ? value : null;
+  if (!entries) {
+    throw new Error(`${label} must be a string or an array of calling windows.`);
+  }
+
+  const windows = [];
+  for (const entry of entries) {
+    let days;
+    let start;
+    let end;
+    if (entry && typeof entry === 'object') {
+      ({ days, start, end } = entry);
+    } else {
+      const text = String(entry ?? '').trim();
+      if (!text) {
+        continue;
+      }
+      const match = /^(?:(\S+)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(text);
+      if (!match) {
+        throw new Error(`${label}: '${text}' must look like 'mon-fri 09:00-21:00'.`);
+      }
+      [, days, start, end] = match;
     }
-    return 30;
-  })();
 
-  return {
-    ARI_URL,
-    ARI_USERNAME,
-    ARI_PASSWORD,
-    ARI_TRUNK,
-    OUTBOUND_NUMBER,
-    OUTBOUND_NUMBER_FILE,
-    TARGET_ENDPOINT,
-    TARGET_EXTENSION,
-    TARGET_CONTEXT,
-    STASIS_APP,
-    CALL_TIMEOUT,
-    callTimeoutSeconds,
-    MAX_CC,
-    callConcurrencyLimit: parsedMaxCc,
-    RECORDINGS_DIR,
-    RECORDING_FORMAT,
-    recordingFormat,
-    resolvedRecordingsDir,
-    recordingSearchDirList: [
-      resolvedRecordingsDir,
-      '/var/spool/asterisk/recording',
-      '/var/spool/asterisk/monitor'
-    ],
-    MYSQL_HOST,
-    MYSQL_PORT,
-    MYSQL_USER,
-    MYSQL_PASSWORD,
-    MYSQL_DATABASE,
-    MYSQL_TABLE,
-    mysqlTableName,
-    mysqlPortNumber,
-    mysqlConfigProvided,
-    mysqlConfigComplete,
-    CALLER_ID
-  };
+    const window = {
+      days: parseWeekdays(Array.isArray(days) ? days.join(',') : days, label),
+      start: parseClockTime(start, label),
+      end: parseClockTime(end, label)
+    };
+    if (window.end <= window.start) {
+      throw new Error(`${label}: window end must be later than its start.`);
+    }
+    windows.push(window);
+  }
+  return windows;
 }
 
-let mysqlPool = null;
-let mysqlLoggingEnabled = false;
-let mysqlInitializationPromise = null;
+// Holidays are YYYY-MM-DD dates or MM-DD dates that repeat every year.
+function parseHolidayList(value, label) {
+  if (value == null || value === '') {
+    return [];
+  }
+  const list = typeof value === 'string' ? value.split(/[\s,]+/) : Array.isArray(value) ? value : null;
+  if (!list) {
+    throw new Error(`${label} must be a comma-separated string or an array of dates.`);
+  }
 
-function applyConfig(config) {
-  recordingSearchDirs = new Set(config.recordingSearchDirList);
+  const holidays = new Set();
+  for (const item of list) {
+    const date = String(item ?? '').trim();
+    if (!date) {
+      continue;
+    }
+    if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`${label}: '${date}' is not a YYYY-MM-DD or MM-DD date.`);
+    }
+    holidays.add(date);
+  }
+  return [...holidays].sort();
+}
+
+function readHolidayFile(filePath) {
+  const content = fs.readFileSync(path.resolve(filePath), 'utf8');
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter(Boolean)
+    .join(',');
+}
 
+function normalizeTimeZone(value, label) {
+  const timeZone = String(value ?? '').trim();
+  if (!timeZone) {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  }
   try {
-    if (!fs.existsSync(config.resolvedRecordingsDir)) {
-      fs.mkdirSync(config.resolvedRecordingsDir, { recursive: true });
-    }
+    new Intl.DateTimeFormat('en-US', { timeZone });
   } catch (err) {
-    const message = `Failed to ensure recordings directory at ${config.resolvedRecordingsDir}: ${err.message}`;
-    logWithTimestamp('error', message);
-    throw new Error(message);
+    throw new Error(`${label}: unknown time zone '${timeZone}'.`);
+  }
+  return timeZone;
+}
+
+function getZonedParts(timestamp, timeZone) {
+  if (!zonedDateFormatters.has(timeZone)) {
+    zonedDateFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    );
   }
 
-  mysqlInitializationPromise = null;
-  mysqlLoggingEnabled = false;
-  if (mysqlPool) {
-    mysqlPool.end().catch(() => {});
-    mysqlPool = null;
+  const parts = {};
+  for (const part of zonedDateFormatters.get(timeZone).formatToParts(new Date(timestamp))) {
+    parts[part.type] = part.value;
   }
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: weekdayNames.indexOf(parts.weekday.toLowerCase()),
+    minuteOfDay: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
 }
 
-currentConfig = refreshConfig();
-applyConfig(currentConfig);
+// Converts a wall-clock time in the given zone to a UTC timestamp.
+function zonedTimeToTimestamp(dateKey, minuteOfDay, timeZone) {
+  const [year, month, day] = dateKey.split('-').map((part) => parseInt(part, 10));
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minuteOfDay / 60), minuteOfDay % 60);
+  const offsetAt = (timestamp) => {
+    const parts = getZonedParts(timestamp, timeZone);
+    const [y, m, d] = parts.dateKey.split('-').map((part) => parseInt(part, 10));
+    return Date.UTC(y, m - 1, d, Math.floor(parts.minuteOfDay / 60), parts.minuteOfDay % 60) -
+      Math.floor(timestamp / 60000) * 60000;
+  };
+  const guess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(guess);
+}
 
-let dialerClient = null;
-let dialerStarted = false;
-let dialerStartingPromise = null;
+function isHoliday(schedule, dateKey) {
+  return schedule.holidays.includes(dateKey) || schedule.holidays.includes(dateKey.slice(5));
+}
 
-function escapeIdentifier(identifier) {
-  const name = String(identifier || '').trim();
-  if (!name) {
-    return '``';
+function isWithinCallingHours(schedule, now = Date.now()) {
+  if (!schedule || (schedule.windows.length === 0 && schedule.holidays.length === 0)) {
+    return true;
   }
-  return `\`${name.replace(/`/g, '``')}\``;
+
+  const { dateKey, weekday, minuteOfDay } = getZonedParts(now, schedule.timeZone);
+  if (isHoliday(schedule, dateKey)) {
+    return false;
+  }
+  if (schedule.windows.length === 0) {
+    return true;
+  }
+  return schedule.windows.some(
+    (window) => window.days.includes(weekday) && minuteOfDay >= window.start && minuteOfDay < window.end
+  );
 }
 
-function toMysqlDateTime(value) {
-  if (value == null) {
-    return null;
+// Returns the dateKey of the calendar day after the given one.
+function nextDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map((part) => parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+function findNextCallingWindowStart(schedule, now = Date.now()) {
+  const windows = schedule.windows.length > 0 ? schedule.windows : [{ days: [0, 1, 2, 3, 4, 5, 6], start: 0 }];
+  // Walks calendar days rather than 24-hour steps: a day shortened by DST would otherwise be skipped.
+  let { dateKey, weekday } = getZonedParts(now, schedule.timeZone);
+
+  for (let dayOffset = 0; dayOffset <= 15; dayOffset += 1) {
+    if (dayOffset > 0) {
+      dateKey = nextDateKey(dateKey);
+      weekday = (weekday + 1) % 7;
+    }
+    if (isHoliday(schedule, dateKey)) {
+      continue;
+    }
+
+    const starts = windows
+      .filter((window) => window.days.includes(weekday))
+      .map((window) => zonedTimeToTimestamp(dateKey, window.start, schedule.timeZone))
+      .filter((timestamp) => timestamp > now)
+      .sort((a, b) => a - b);
+    if (starts.length > 0) {
+      return starts[0];
+    }
   }
 
-  const date = value instanceof Date ? value : new Date(value);
-  const time = date.getTime();
-  if (Number.isNaN(time)) {
-    return null;
+  return null;
+}
+
+const pacingModes = new Set(['fixed', 'predictive']);
+
+function parsePercentSetting(value, label) {
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace('%', '').trim());
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 100) {
+    throw new Error(`${label} must be a percentage between 0 and 100.`);
   }
+  return parsed;
+}
 
-  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+function normalizePacingMode(value, label) {
+  const mode = String(value ?? '').trim().toLowerCase();
+  if (!pacingModes.has(mode)) {
+    throw new Error(`${label} must be 'fixed' or 'predictive'.`);
+  }
+  return mode;
 }
 
-async function initializeMySql() {
-  if (!currentConfig?.mysqlConfigProvided) {
-    mysqlLoggingEnabled = false;
+const amdActions = new Set(['connect', 'hangup', 'message']);
+
+function parseBooleanSetting(value, label) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+  if (['0', 'false', 'no', 'off', ''].includes(normalized)) {
     return false;
   }
+  throw new Error(`${label} must be true or false.`);
+}
 
-  if (!currentConfig.mysqlConfigComplete) {
-    logWithTimestamp(
-      'warn',
-      '[MySQL] Partial configuration detected. Provide MYSQL_HOST, MYSQL_USER, and MYSQL_DATABASE to enable logging.'
-    );
-    mysqlLoggingEnabled = false;
-    return false;
+function normalizeAmdAction(value, label) {
+  const action = String(value ?? '').trim().toLowerCase();
+  if (!amdActions.has(action)) {
+    throw new Error(`${label} must be one of: connect, hangup, message.`);
   }
+  return action;
+}
 
-  const connectionConfig = {
-    host: currentConfig.MYSQL_HOST,
-    user: currentConfig.MYSQL_USER,
-    password: currentConfig.MYSQL_PASSWORD || undefined,
-    database: currentConfig.MYSQL_DATABASE,
-    waitForConnections: true,
-    connectionLimit: 5,
-    queueLimit: 0
-  };
+function validateAmdConfig(amd, label) {
+  if (amd.enabled && Object.values(amd.actions).includes('message') && !amd.message) {
+    throw new Error(`${label}: a voicemail message must be configured when an AMD action is 'message'.`);
+  }
+  return amd;
+}
 
-  if (currentConfig.mysqlPortNumber) {
-    connectionConfig.port = currentConfig.mysqlPortNumber;
+// Comma-separated list of Asterisk sounds or media URIs, e.g. "queue-thankyou,custom/please-wait".
+function parseMediaList(value, label) {
+  if (value == null || (typeof value === 'string' && !value.trim())) {
+    return [];
   }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => {
+    if (typeof item !== 'string' || !item.trim()) {
+      throw new Error(`${label} must list Asterisk sounds or media URIs separated by commas.`);
+    }
+    return toMediaUri(item);
+  });
+}
 
-  try {
-    mysqlPool = mysql.createPool(connectionConfig);
-    const tableIdentifier = escapeIdentifier(currentConfig.mysqlTableName);
-    const createTableSql = `
-      CREATE TABLE IF NOT EXISTS ${tableIdentifier} (
-        call_id VARCHAR(64) NOT NULL PRIMARY KEY,
-        recording_path TEXT,
-        leg_a_status VARCHAR(255),
-        leg_a_number VARCHAR(255),
-        leg_a_channel VARCHAR(255),
-        leg_a_paired_channel VARCHAR(255),
-        leg_a_peer VARCHAR(255),
-        leg_a_caller VARCHAR(255),
-        leg_a_dial_string TEXT,
-        leg_a_answered_by VARCHAR(255),
-        leg_a_start DATETIME NULL,
-        leg_a_answer DATETIME NULL,
-        leg_a_end DATETIME NULL,
-        leg_b_status VARCHAR(255),
-        leg_b_number VARCHAR(255),
-        leg_b_channel VARCHAR(255),
-        leg_b_paired_channel VARCHAR(255),
-        leg_b_peer VARCHAR(255),
-        leg_b_caller VARCHAR(255),
-        leg_b_dial_string TEXT,
-        leg_b_answered_by VARCHAR(255),
-        leg_b_start DATETIME NULL,
-        leg_b_answer DATETIME NULL,
-        leg_b_end DATETIME NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-    `;
+const ivrActions = new Set(['connect', 'hangup', 'dnc', 'callback']);
 
-    await mysqlPool.query(createTableSql);
-    mysqlLoggingEnabled = true;
-    logWithTimestamp('log', `[MySQL] Logging enabled using table ${tableIdentifier}.`);
-    return true;
-  } catch (err) {
-    mysqlLoggingEnabled = false;
-    if (mysqlPool) {
-      mysqlPool.end().catch(() => {});
-      mysqlPool = null;
-    }
-    throw err;
+function normalizeIvrAction(value, label) {
+  const action = String(value ?? '').trim().toLowerCase();
+  if (!ivrActions.has(action)) {
+    throw new Error(`${label} must be one of: connect, hangup, dnc, callback.`);
   }
+  return action;
 }
 
-function ensureMysqlInitialization() {
-  if (!mysqlInitializationPromise) {
-    mysqlInitializationPromise = initializeMySql().catch((err) => {
-      logWithTimestamp('error', `[MySQL] Failed to initialize logging:`, err.message);
-      return false;
-    });
+function normalizeDtmfDigit(value, label) {
+  const digit = String(value ?? '').trim();
+  if (!/^[0-9*#]$/.test(digit)) {
+    throw new Error(`${label}: '${digit}' is not a single DTMF digit (0-9, * or #).`);
   }
-  return mysqlInitializationPromise;
+  return digit;
 }
 
-function normalizeTimelineString(value) {
-  if (value == null) {
-    return null;
+// Digit -> action, e.g. "1=connect, 9=dnc, 2=callback" or { "1": "connect", "9": "dnc" }.
+function parseIvrActions(value, label) {
+  const entries =
+    typeof value === 'object' && value !== null && !Array.isArray(value)
+      ? Object.entries(value)
+      : String(value ?? '')
+          .split(',')
+          .map((item) => item.trim())
+          .filter(Boolean)
+          .map((item) => item.split('='));
+
+  const actions = {};
+  for (const [digit, action] of entries) {
+    const key = normalizeDtmfDigit(digit, label);
+    actions[key] = normalizeIvrAction(action, `${label} for digit ${key}`);
+  }
+  return actions;
+}
+
+const campaignModes = new Set(['agent', 'broadcast']);
+
+function normalizeCampaignMode(value, label) {
+  const mode = String(value ?? '').trim().toLowerCase();
+  if (!campaignModes.has(mode)) {
+    throw new Error(`${label} must be 'agent' or 'broadcast'.`);
   }
-  const str = String(value).trim();
-  return str.length > 0 ? str : null;
+  return mode;
 }
 
-function extractTimelinePersistenceValues(timeline) {
-  if (!timeline) {
-    return {
-      status: null,
-      number: null,
-      channel: null,
-      pairedChannel: null,
-      peer: null,
-      caller: null,
-      dialString: null,
-      answeredBy: null,
-      start: null,
-      answer: null,
-      end: null
-    };
+function validateBroadcastConfig(broadcast, label) {
+  if (broadcast.enabled && broadcast.messages.length === 0) {
+    throw new Error(`${label}: a broadcast message must be configured in broadcast mode.`);
   }
+  return broadcast;
+}
 
-  return {
-    status: normalizeTimelineString(timeline.lastStatus),
-    number: normalizeTimelineString(timeline.targetNumber),
-    channel: normalizeTimelineString(timeline.channelId),
-    pairedChannel: normalizeTimelineString(timeline.pairedChannelId),
-    peer: normalizeTimelineString(timeline.peerName),
-    caller: normalizeTimelineString(timeline.callerName),
-    dialString: normalizeTimelineString(timeline.dialString),
-    answeredBy: normalizeTimelineString(timeline.answeredBy),
-    start: toMysqlDateTime(timeline.startedAt),
-    answer: toMysqlDateTime(timeline.answeredAt),
-    end: toMysqlDateTime(timeline.endedAt)
-  };
+// "none" turns off a music on hold class inherited from the environment.
+function normalizeHoldMusicClass(value) {
+  const musicClass = String(value ?? '').trim();
+  return musicClass && musicClass.toLowerCase() !== 'none' ? musicClass : null;
 }
 
-async function persistLegTimelines(callId, callState, recordingPath) {
-  if (!callId || !callState) {
-    return;
-  }
+// Emergency numbers (RU, EU, US, UK, AU) that are never dialed unless DIAL_BLOCKED_NUMBERS overrides the list.
+const DEFAULT_BLOCKED_NUMBERS = '01,02,03,04,101,102,103,104,112,911,999,000';
 
-  const mysqlReady = await ensureMysqlInitialization();
-  if (!mysqlReady || !mysqlLoggingEnabled || !mysqlPool) {
-    return;
+function parsePrefixList(value, label) {
+  if (value == null || value === '') {
+    return [];
+  }
+  const list = typeof value === 'string' ? value.split(/[\s,]+/) : Array.isArray(value) ? value : null;
+  if (!list) {
+    throw new Error(`${label} must be a comma-separated string or an array of number prefixes.`);
   }
 
-  const legA = extractTimelinePersistenceValues(callState.legATimeline || null);
-  const legB = extractTimelinePersistenceValues(callState.legBTimeline || null);
-
-  const tableIdentifier = escapeIdentifier(currentConfig?.mysqlTableName || 'call_leg_timelines');
-  const columns = [
-    'call_id',
-    'recording_path',
-    'leg_a_status',
-    'leg_a_number',
-    'leg_a_channel',
-    'leg_a_paired_channel',
-    'leg_a_peer',
-    'leg_a_caller',
-    'leg_a_dial_string',
-    'leg_a_answered_by',
-    'leg_a_start',
-    'leg_a_answer',
-    'leg_a_end',
-    'leg_b_status',
-    'leg_b_number',
-    'leg_b_channel',
-    'leg_b_paired_channel',
-    'leg_b_peer',
-    'leg_b_caller',
-    'leg_b_dial_string',
-    'leg_b_answered_by',
-    'leg_b_start',
-    'leg_b_answer',
-    'leg_b_end'
-  ];
+  const prefixes = new Set();
+  for (const item of list) {
+    const raw = String(item ?? '').trim();
+    if (!raw) {
+      continue;
+    }
+    const prefix = raw.replace(/^\+/, '');
+    if (!/^[0-9*#]+$/.test(prefix)) {
+      throw new Error(`${label}: '${raw}' is not a number prefix.`);
+    }
+    prefixes.add(prefix);
+  }
+  return [...prefixes];
+}
 
-  const placeholders = columns.map(() => '?').join(', ');
-  const insertSql = `
-    INSERT INTO ${tableIdentifier} (${columns.join(', ')})
-    VALUES (${placeholders})
-    ON DUPLICATE KEY UPDATE
-      recording_path = VALUES(recording_path),
-      leg_a_status = VALUES(leg_a_status),
-      leg_a_number = VALUES(leg_a_number),
-      leg_a_channel = VALUES(leg_a_channel),
-      leg_a_paired_channel = VALUES(leg_a_paired_channel),
-      leg_a_peer = VALUES(leg_a_peer),
-      leg_a_caller = VALUES(leg_a_caller),
-      leg_a_dial_string = VALUES(leg_a_dial_string),
-      leg_a_answered_by = VALUES(leg_a_answered_by),
-      leg_a_start = VALUES(leg_a_start),
-      leg_a_answer = VALUES(leg_a_answer),
-      leg_a_end = VALUES(leg_a_end),
-      leg_b_status = VALUES(leg_b_status),
-      leg_b_number = VALUES(leg_b_number),
-      leg_b_channel = VALUES(leg_b_channel),
-      leg_b_paired_channel = VALUES(leg_b_paired_channel),
-      leg_b_peer = VALUES(leg_b_peer),
-      leg_b_caller = VALUES(leg_b_caller),
-      leg_b_dial_string = VALUES(leg_b_dial_string),
-      leg_b_answered_by = VALUES(leg_b_answered_by),
-      leg_b_start = VALUES(leg_b_start),
-      leg_b_answer = VALUES(leg_b_answer),
-      leg_b_end = VALUES(leg_b_end)
-  `;
+// The stored number is screened by evaluateDialingPolicy, but normalization, a rewrite rule or a dial
+// string template can hide a short code; the blocked list is also checked on the number as uploaded and
+// on what is actually dialed.
+function evaluateDialTarget(policy, targets) {
+  if (!policy) {
+    return null;
+  }
+  for (const target of targets) {
+    const digits = String(target ?? '').trim().replace(/^\+/, '');
+    if (policy.blockedNumbers.includes(digits)) {
+      return { rule: 'blocked', detail: `${digits} is a blocked short code` };
+    }
+  }
+  return null;
+}
 
-  const values = [
-    normalizeTimelineString(callId),
-    normalizeTimelineString(recordingPath),
-    legA.status,
-    legA.number,
-    legA.channel,
-    legA.pairedChannel,
-    legA.peer,
-    legA.caller,
-    legA.dialString,
-    legA.answeredBy,
-    legA.start,
-    legA.answer,
-    legA.end,
-    legB.status,
-    legB.number,
-    legB.channel,
-    legB.pairedChannel,
-    legB.peer,
-    legB.caller,
-    legB.dialString,
-    legB.answeredBy,
-    legB.start,
-    legB.answer,
-    legB.end
-  ];
+// The parts of a rendered dial string that are plain numbers, e.g. "112" in "PJSIP/112@trunk".
+function getDialStringNumbers(endpoint) {
+  return String(endpoint ?? '')
+    .split(/[/@:;&,]/)
+    .filter((part) => /^\+?[0-9*#]+$/.test(part));
+}
 
-  try {
-    await mysqlPool.execute(insertSql, values);
-    logWithTimestamp('log', `[${callId}] Persisted leg timelines to MySQL table ${tableIdentifier}.`);
-  } catch (err) {
-    logWithTimestamp('error', `[${callId}] Failed to persist leg timelines to MySQL:`, err.message);
+// "7:11,375:12,*:8-15" limits the total digit count of numbers starting with a prefix; the longest prefix wins.
+function parseLengthRules(value, label) {
+  if (value == null || value === '') {
+    return [];
   }
-}
 
-process.on('exit', () => {
-  if (mysqlPool) {
-    mysqlPool.end().catch(() => {});
+  let entries;
+  if (typeof value === 'string') {
+    entries = value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const separator = item.lastIndexOf(':');
+        if (separator <= 0) {
+          throw new Error(`${label}: '${item}' must look like PREFIX:MIN-MAX or PREFIX:LENGTH.`);
+        }
+        return [item.slice(0, separator), item.slice(separator + 1)];
+      });
+  } else if (Array.isArray(value)) {
+    entries = value.map((rule) => [rule?.prefix, rule?.min != null ? `${rule.min}-${rule.max ?? rule.min}` : '']);
+  } else if (typeof value === 'object') {
+    entries = Object.entries(value).map(([prefix, limit]) => [
+      prefix,
+      limit && typeof limit === 'object' ? `${limit.min}-${limit.max ?? limit.min}` : String(limit)
+    ]);
+  } else {
+    throw new Error(`${label} must be a string like '7:11,*:8-15' or an object keyed by prefix.`);
   }
-});
 
-ensureMysqlInitialization();
+  const rules = entries.map(([rawPrefix, rawLimit]) => {
+    const prefix = String(rawPrefix ?? '').trim().replace(/^\+/, '');
+    if (prefix !== '*' && !/^[0-9]+$/.test(prefix)) {
+      throw new Error(`${label}: '${rawPrefix}' is not a number prefix or '*'.`);
+    }
+    const match = /^(\d+)(?:-(\d+))?$/.exec(String(rawLimit ?? '').trim());
+    const min = match ? parseInt(match[1], 10) : NaN;
+    const max = match ? parseInt(match[2] ?? match[1], 10) : NaN;
+    if (!match || min <= 0 || max < min) {
+      throw new Error(`${label}: length for prefix '${rawPrefix}' must be N or MIN-MAX.`);
+    }
+    return { prefix: prefix === '*' ? '' : prefix, min, max };
+  });
+  return rules.sort((left, right) => right.prefix.length - left.prefix.length);
+}
 
-const numberPattern = /^[0-9+*#]+$/;
+function findLongestPrefix(prefixes, digits) {
+  let longest = null;
+  for (const prefix of prefixes) {
+    if (digits.startsWith(prefix) && (longest == null || prefix.length > longest.length)) {
+      longest = prefix;
+    }
+  }
+  return longest;
+}
 
-function parseNumber(value, sourceDescription) {
-  const trimmed = (value || '').trim();
-  if (!trimmed) {
+// Returns null when the number may be dialed, otherwise { rule, detail } describing the first rule it breaks.
+// Deny rules always win over allow rules, whatever the prefix length.
+function evaluateDialingPolicy(policy, number) {
+  const digits = String(number ?? '').trim().replace(/^\+/, '');
+  if (!policy) {
     return null;
   }
-  if (!numberPattern.test(trimmed)) {
-    logWithTimestamp('warn', `Skipping invalid number '${trimmed}' from ${sourceDescription}.`);
-    return null;
+  if (policy.blockedNumbers.includes(digits)) {
+    return { rule: 'blocked', detail: `short code ${digits} is blocked` };
+  }
+  const deniedPrefix = findLongestPrefix(policy.denyPrefixes, digits);
+  if (deniedPrefix != null) {
+    return { rule: 'deny-prefix', detail: `prefix ${deniedPrefix} is denied` };
+  }
+  if (policy.allowPrefixes.length > 0 && findLongestPrefix(policy.allowPrefixes, digits) == null) {
+    return { rule: 'not-allowed', detail: 'no allowed prefix matches' };
+  }
+  const lengthRule = policy.lengthRules.find((rule) => digits.startsWith(rule.prefix));
+  if (lengthRule && (digits.length < lengthRule.min || digits.length > lengthRule.max)) {
+    const expected =
+      lengthRule.min === lengthRule.max ? `${lengthRule.min}` : `${lengthRule.min}-${lengthRule.max}`;
+    return {
+      rule: 'length',
+      detail: `${digits.length} digit(s), expected ${expected} for prefix ${lengthRule.prefix || '*'}`
+    };
   }
-  return trimmed;
+  return null;
 }
 
-function loadNumbers() {
-  if (!currentConfig) {
+// "8:11,7:11,*:10" marks national formats: numbers starting with PREFIX that have LENGTH digits lose the prefix
+// and get the default country code (or the one given as a third field, e.g. "0:10:44").
+function parseNationalRules(value, label, defaultCountry) {
+  if (value == null || value === '') {
     return [];
   }
+  const list = typeof value === 'string' ? value.split(',') : Array.isArray(value) ? value : null;
+  if (!list) {
+    throw new Error(`${label} must be a comma-separated string or an array of PREFIX:LENGTH[:COUNTRY] rules.`);
+  }
 
-  if (currentConfig.OUTBOUND_NUMBER_FILE) {
-    const resolvedPath = path.resolve(currentConfig.OUTBOUND_NUMBER_FILE);
-    let fileContent;
-    try {
-      fileContent = fs.readFileSync(resolvedPath, 'utf8');
-    } catch (err) {
-      const message = `Failed to read OUTBOUND_NUMBER_FILE at ${resolvedPath}: ${err.message}`;
-      logWithTimestamp('error', message);
-      throw new Error(message);
+  const rules = [];
+  for (const item of list) {
+    const text = String(item ?? '').trim();
+    if (!text) {
+      continue;
     }
-
-    const numbers = fileContent
-      .split(/\r?\n/)
-      .map((line) => parseNumber(line, `file '${resolvedPath}'`))
-      .filter(Boolean);
-
-    if (numbers.length === 0) {
-      const message = `No valid outbound numbers found in ${resolvedPath}.`;
-      logWithTimestamp('error', message);
-      throw new Error(message);
+    const [rawPrefix = '', rawLength = '', rawCountry = ''] = text.split(':').map((part) => part.trim());
+    const prefix = rawPrefix === '*' ? '' : rawPrefix;
+    if (!/^[0-9]*$/.test(prefix) || !/^(\*|[1-9]\d*)?$/.test(rawLength)) {
+      throw new Error(`${label}: '${text}' must look like PREFIX:LENGTH[:COUNTRY].`);
+    }
+    const length = rawLength === '*' || rawLength === '' ? null : parseInt(rawLength, 10);
+    const country = rawCountry.replace(/^\+/, '') || defaultCountry;
+    if (!country || !/^[1-9][0-9]{0,2}$/.test(country)) {
+      throw new Error(`${label}: rule '${text}' needs a country code (set NUMBER_DEFAULT_COUNTRY or add :COUNTRY).`);
     }
-    return numbers;
+    rules.push({ prefix, length, country });
   }
+  return rules.sort((left, right) => right.prefix.length - left.prefix.length);
+}
 
-  const parsed = parseNumber(currentConfig.OUTBOUND_NUMBER, 'OUTBOUND_NUMBER');
-  if (!parsed) {
-    const message = 'OUTBOUND_NUMBER is empty or invalid.';
-    logWithTimestamp('error', message);
-    throw new Error(message);
+// "+7=8,+=810" rewrites the start of a stored number into the format a trunk expects; the longest match wins.
+function parseRewriteRules(value, label) {
+  if (value == null || value === '') {
+    return [];
   }
-  return [parsed];
+
+  let entries;
+  if (typeof value === 'string') {
+    entries = value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const separator = item.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`${label}: '${item}' must look like FROM=TO.`);
+        }
+        return [item.slice(0, separator).trim(), item.slice(separator + 1).trim()];
+      });
+  } else if (Array.isArray(value)) {
+    entries = value.map((rule) => [String(rule?.from ?? ''), String(rule?.to ?? '')]);
+  } else if (typeof value === 'object') {
+    entries = Object.entries(value).map(([from, to]) => [from, String(to ?? '')]);
+  } else {
+    throw new Error(`${label} must be a string like '+7=8' or an object of prefix replacements.`);
+  }
+
+  const rules = entries.map(([from, to]) => {
+    if (!from || !/^[0-9+*#]+$/.test(from) || !/^[0-9+*#]*$/.test(to)) {
+      throw new Error(`${label}: '${from}=${to}' must map a number prefix to digits.`);
+    }
+    return { from, to };
+  });
+  return rules.sort((left, right) => right.from.length - left.from.length);
 }
 
-let outboundNumbers = [];
-let numbersQueue = [];
-let numbersDepletedLogged = false;
-let lastStartRestarted = false;
+function stripNumberFormatting(value) {
+  return String(value ?? '').replace(/[\s().-]/g, '');
+}
+
+// Expects a number without formatting characters. Service codes with * or # are left untouched.
+function normalizePhoneNumber(value, numbering) {
+  if (!numbering?.enabled || /[*#]/.test(value)) {
+    return value;
+  }
+  const digits = value.replace(/\D/g, '');
+  if (value.startsWith('+')) {
+    return `+${digits}`;
+  }
+  // Short codes such as 112 or 000 only get the '+', so no prefix rule can turn them into a full number.
+  if (digits.length < (numbering.minLength ?? 0)) {
+    return `+${digits}`;
+  }
+  if (numbering.internationalPrefix && digits.startsWith(numbering.internationalPrefix)) {
+    return `+${digits.slice(numbering.internationalPrefix.length)}`;
+  }
+  const rule = numbering.nationalRules.find(
+    (candidate) =>
+      digits.startsWith(candidate.prefix) && (candidate.length == null || digits.length === candidate.length)
+  );
+  if (rule) {
+    return `+${rule.country}${digits.slice(rule.prefix.length)}`;
+  }
+  // Anything else is assumed to already carry its country code.
+  return `+${digits}`;
+}
 
-function resetNumbersQueue() {
-  outboundNumbers = loadNumbers();
-  numbersQueue = [...outboundNumbers];
-  numbersDepletedLogged = false;
+function rewriteDialNumber(number, rules) {
+  const rule = (rules || []).find((candidate) => number.startsWith(candidate.from));
+  return rule ? `${rule.to}${number.slice(rule.from.length)}` : number;
 }
 
-resetNumbersQueue();
+const DEFAULT_DIAL_STRING_TEMPLATE = 'PJSIP/{number}@{trunk}';
+// {name}, {name:offset} or {name:offset:length}, with offsets as in Asterisk ${VAR:offset:length}.
+const dialStringPlaceholderPattern = /\{([A-Za-z][\w.]*)(?::(-?\d+)(?::(\d+))?)?\}/g;
+const dialStringVariables = new Set(['number', 'originalNumber', 'trunk', 'campaign', 'callId', 'callerId']);
 
-function getFallbackTargetEndpoint(config = currentConfig) {
-  if (!config) {
-    return 'Local/777@default';
+function validateDialStringTemplate(value, label) {
+  const template = String(value ?? '').trim();
+  if (!/^[A-Za-z0-9_]+\/\S+$/.test(template)) {
+    throw new Error(`${label}: '${template}' must look like TECH/resource, e.g. ${DEFAULT_DIAL_STRING_TEMPLATE}.`);
   }
-  return `Local/${config.TARGET_EXTENSION}@${config.TARGET_CONTEXT}`;
+  return validateTemplatePlaceholders(template, label);
 }
 
-function getDestinationEndpoint(config = currentConfig) {
-  const fallback = getFallbackTargetEndpoint(config);
-  const candidate = config?.TARGET_ENDPOINT;
-  if (candidate) {
-    const trimmed = candidate.trim();
-    if (trimmed) {
-      return trimmed;
+function validateTemplatePlaceholders(template, label) {
+  for (const match of template.matchAll(dialStringPlaceholderPattern)) {
+    if (!dialStringVariables.has(match[1]) && !/^contact\.\w+$/.test(match[1])) {
+      throw new Error(`${label}: unknown placeholder {${match[1]}}.`);
     }
   }
-  return fallback;
+  if (/[{}]/.test(template.replace(dialStringPlaceholderPattern, ''))) {
+    throw new Error(`${label}: '${template}' contains a malformed placeholder.`);
+  }
+  return template;
 }
 
-const inFlightCalls = new Set();
-const callNumberMap = new Map();
-const activeCalls = new Map();
-const channelToCallId = new Map();
-const bridgeToCallId = new Map();
-const linkedIdToCallId = new Map();
-const recordingOwnership = new Map();
-
-function safeStringify(value) {
-  const seen = new Set();
+// "44=IAX2/uk-trunk/{number:3}; 7800=Local/{number}@tollfree" picks a template by destination prefix.
+function parseDialStringTemplates(value, label) {
+  if (value == null || value === '') {
+    return [];
+  }
 
-  try {
-    return JSON.stringify(
-      value,
-      (key, currentValue) => {
-        if (typeof currentValue === 'bigint') {
-          return currentValue.toString();
-        }
-
-        if (typeof currentValue === 'object' && currentValue !== null) {
-          if (seen.has(currentValue)) {
-            return '[Circular]';
-          }
-          seen.add(currentValue);
+  let entries;
+  if (typeof value === 'string') {
+    entries = value
+      .split(';')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const separator = item.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`${label}: '${item}' must look like PREFIX=TEMPLATE.`);
         }
-
-        return currentValue;
-      },
-      2
-    );
-  } catch (err) {
-    return `"[Unserializable: ${err.message}]"`;
+        return [item.slice(0, separator).trim(), item.slice(separator + 1)];
+      });
+  } else if (Array.isArray(value)) {
+    entries = value.map((rule) => [String(rule?.prefix ?? ''), rule?.template]);
+  } else if (typeof value === 'object') {
+    entries = Object.entries(value);
+  } else {
+    throw new Error(`${label} must be a string like '44=IAX2/uk/{number}' or an object keyed by prefix.`);
   }
+
+  const rules = entries.map(([rawPrefix, template]) => {
+    const prefix = String(rawPrefix).trim().replace(/^\+/, '');
+    if (!/^[0-9]+$/.test(prefix)) {
+      throw new Error(`${label}: '${rawPrefix}' is not a number prefix.`);
+    }
+    return { prefix, template: validateDialStringTemplate(template, `${label} (${prefix})`) };
+  });
+  return rules.sort((left, right) => right.prefix.length - left.prefix.length);
 }
 
-function stripLocalSuffix(channelName) {
-  if (typeof channelName !== 'string') {
-    return channelName;
-  }
-  return channelName.replace(/;[12]$/, '');
+function selectDialStringTemplate(config, number) {
+  const digits = String(number ?? '').replace(/^\+/, '');
+  const rule = (config.dialStringTemplates || []).find((candidate) => digits.startsWith(candidate.prefix));
+  return rule ? rule.template : config.dialStringTemplate || DEFAULT_DIAL_STRING_TEMPLATE;
 }
 
-function isTargetLocalChannelName(channelName) {
-  if (typeof channelName !== 'string' || channelName.length === 0) {
-    return false;
-  }
+function renderDialString(template, variables, formatValue = (text) => text) {
+  return template.replace(dialStringPlaceholderPattern, (placeholder, name, offset, length) => {
+    let value;
+    if (name.startsWith('contact.')) {
+      const key = name.slice('contact.'.length);
+      const contact = variables.contact || {};
+      value = ['number', 'name', 'customerId', 'priority'].includes(key) ? contact[key] : contact.fields?.[key];
+    } else {
+      value = variables[name];
+    }
+    let text = value == null ? '' : String(value);
+    if (offset != null) {
+      const start = Number(offset) < 0 ? Math.max(0, text.length + Number(offset)) : Number(offset);
+      text = length != null ? text.slice(start, start + Number(length)) : text.slice(start);
+    }
+    return formatValue(text, name);
+  });
+}
 
-  const normalized = stripLocalSuffix(channelName);
-  const config = currentConfig || { TARGET_EXTENSION: '777', TARGET_CONTEXT: 'default2' };
-  const prefixWithContext = `Local/${config.TARGET_EXTENSION}@${config.TARGET_CONTEXT}`;
-  if (config.TARGET_CONTEXT && normalized.startsWith(prefixWithContext)) {
-    return true;
-  }
+// Contact fields come from uploads. In a dial string a '/', '@', '&' or ',' in one of them could switch
+// the technology, the host or add a second destination, so only plain tokens are accepted there.
+const dialStringContactValuePattern = /^[A-Za-z0-9+*#._-]*$/;
 
-  const genericPrefix = `Local/${config.TARGET_EXTENSION}@`;
-  return normalized.startsWith(genericPrefix);
+function renderDialEndpoint(template, variables) {
+  return renderDialString(template, variables, (text, name) => {
+    if (name.startsWith('contact.') && !dialStringContactValuePattern.test(text)) {
+      throw new Error(`{${name}} value '${text}' contains characters that are not allowed in a dial string`);
+    }
+    return text;
+  });
 }
 
-function toTimestampMs(value, fallback = Date.now()) {
-  if (value == null) {
-    return fallback;
-  }
-
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    return value;
+// "CUSTOMER_ID={contact.customerId}; CAMPAIGN={campaign}" or { NAME: template } maps names to value templates.
+function parseNamedTemplates(value, label, namePattern, nameDescription) {
+  if (value == null || value === '') {
+    return [];
   }
 
+  let entries;
   if (typeof value === 'string') {
-    const parsed = Date.parse(value);
-    if (!Number.isNaN(parsed)) {
-      return parsed;
-    }
+    entries = value
+      .split(';')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const separator = item.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`${label}: '${item}' must look like NAME=VALUE.`);
+        }
+        return [item.slice(0, separator).trim(), item.slice(separator + 1).trim()];
+      });
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value).map(([name, template]) => [name.trim(), String(template ?? '').trim()]);
+  } else {
+    throw new Error(`${label} must be a string like 'NAME=VALUE; NAME2=VALUE2' or an object.`);
   }
 
-  if (value instanceof Date) {
-    const ms = value.getTime();
-    if (!Number.isNaN(ms)) {
-      return ms;
+  const names = new Set();
+  return entries.map(([name, template]) => {
+    if (!namePattern.test(name)) {
+      throw new Error(`${label}: '${name}' is not a valid ${nameDescription}.`);
     }
-  }
-
-  return fallback;
+    if (names.has(name.toLowerCase())) {
+      throw new Error(`${label}: '${name}' is listed twice.`);
+    }
+    names.add(name.toLowerCase());
+    return { name, template: validateTemplatePlaceholders(template, `${label} (${name})`) };
+  });
 }
 
-function getEventTimestampMs(event, fallback) {
-  if (!event) {
-    return fallback ?? Date.now();
+// A CR or LF in a channel variable or SIP header value would end the header and start a new one.
+const controlCharacterPattern = /[\x00-\x1f\x7f]+/g;
+
+function rejectControlCharacters(templates, label) {
+  for (const { name, template } of templates) {
+    if (template.search(controlCharacterPattern) !== -1) {
+      throw new Error(`${label}: '${name}' contains control characters.`);
+    }
   }
+  return templates;
+}
 
-  return toTimestampMs(event.timestamp, fallback ?? Date.now());
+function stripControlCharacters(text) {
+  return text.replace(controlCharacterPattern, ' ').trim();
 }
 
-function getCallState(callId) {
-  if (!activeCalls.has(callId)) {
-    logWithTimestamp('log', `[${callId}] Initializing call state.`);
-    activeCalls.set(callId, {
-      bridge: null,
-      bridges: new Set(),
-      originatedPartner: false,
-      channels: new Set(),
-      channelRoles: new Map(),
-      dialerChannelId: null,
-      dialerUp: false,
-      number: callNumberMap.get(callId) || null,
-      recording: null,
-      recordingPath: null,
-      recordingId: null,
-      recordingFormatUsed: null,
-      createdAt: Date.now(),
-      dialerConnectedAt: null,
-      dialerHangupAt: null,
-      dialedConnectedAt: null,
-      dialedHangupAt: null,
-      dialedChannelId: null,
-      callConnectedAt: null,
-      effectiveConnectedAt: null,
-      answeredBy: null,
-      answeredBySource: null,
-      agentAnsweredAt: null,
-      agentChannelId: null,
-      agentChannels: new Set(),
-      agentLegs: new Map(),
-      linkedIds: new Set(),
-      dialerHangupCause: null,
-      dialedHangupCause: null,
-      completedAtMs: null,
-      summaryLogged: false,
-      legATimeline: createLegTimeline('legA'),
-      legBTimeline: createLegTimeline('legB'),
-      cleanupWatchdog: null
-    });
-  }
-  return activeCalls.get(callId);
+// "reminder=Hello {contact.name}, see you on {contact.date}; bye=Goodbye" names prompts played as tts:<name>.
+function parseTtsTemplates(value, label) {
+  return parseNamedTemplates(value, label, /^[A-Za-z][\w-]*$/, 'TTS template name');
 }
 
-function clearCallWatchdog(callState) {
-  if (callState?.cleanupWatchdog) {
-    clearTimeout(callState.cleanupWatchdog);
-    callState.cleanupWatchdog = null;
-  }
+// Every prompt the config can play; with activeOnly, only those its enabled features will play.
+function getPromptMedia(config, activeOnly = false) {
+  const include = (enabled) => !activeOnly || Boolean(enabled);
+  return [
+    ...(include(config.amd?.enabled) ? [config.amd?.message] : []),
+    ...(include(config.abandon?.maxWaitSeconds) ? [config.abandon?.message] : []),
+    ...(config.hold?.announcements || []),
+    ...(config.ivr?.prompt || []),
+    ...(include(config.broadcast?.enabled) ? config.broadcast?.messages || [] : [])
+  ].filter(Boolean);
 }
 
-function scheduleCallWatchdog(client, callId, callState, callTimeoutSeconds = 30) {
-  if (!callState) {
-    return;
+function validateTtsPrompts(config, label) {
+  for (const media of getPromptMedia(config)) {
+    if (!media.startsWith('tts:')) {
+      continue;
+    }
+    if (!config.tts.command) {
+      throw new Error(`${label}: '${media}' needs TTS_COMMAND to be configured.`);
+    }
+    if (!config.tts.templates.some((template) => template.name === media.slice('tts:'.length))) {
+      throw new Error(`${label}: '${media}' does not match any TTS template.`);
+    }
   }
+  return config;
+}
 
-  clearCallWatchdog(callState);
-
-  const parsedTimeout = Number.isFinite(callTimeoutSeconds) ? callTimeoutSeconds : 30;
-  const baseDelayMs = Math.max(parsedTimeout, 0) * 1000;
-  const watchdogDelayMs = Math.max(baseDelayMs + 15000, 45000);
-
-  callState.cleanupWatchdog = setTimeout(() => {
-    const activeState = activeCalls.get(callId);
-    if (!activeState) {
-      return;
-    }
+function parseChannelVariables(value, label) {
+  const namePattern = /^[A-Za-z_][A-Za-z0-9_]*(\([^()]*\))?$/;
+  return rejectControlCharacters(parseNamedTemplates(value, label, namePattern, 'channel variable name'), label);
+}
 
-    logWithTimestamp(
-      'warn',
-      `[${callId}] Call watchdog triggered after ${watchdogDelayMs} ms without cleanup. Forcing termination.`
-    );
+function parseSipHeaders(value, label) {
+  const namePattern = /^[A-Za-z][A-Za-z0-9-]*$/;
+  return rejectControlCharacters(parseNamedTemplates(value, label, namePattern, 'SIP header name'), label);
+}
 
-    clearCallWatchdog(activeState);
+// RFC 3261 token characters. A substituted value with anything else (spaces, ';', '<', non-ASCII)
+// is sent as a quoted-string so it cannot add header parameters or other headers.
+const sipTokenPattern = /^[A-Za-z0-9.!%*_+`'~-]*$/;
 
-    cleanupCall(callId, client)
-      .catch((err) => {
-        logWithTimestamp('error', `[${callId}] Error during watchdog cleanup:`, err.message);
-      })
-      .finally(() => {
-        markCallCompleted(client, callId);
-      });
-  }, watchdogDelayMs);
+function formatSipHeaderValue(text) {
+  const value = stripControlCharacters(text);
+  return sipTokenPattern.test(value) ? value : `"${value.replace(/[\\"]/g, '\\$&')}"`;
 }
 
-function createLegTimeline(role = null) {
-  return {
-    role,
-    channelId: null,
-    peerName: null,
-    callerName: null,
-    pairedChannelName: null,
-    pairedChannelId: null,
-    dialString: null,
-    targetNumber: null,
-    answeredBy: null,
-    startedAt: null,
-    answeredAt: null,
-    endedAt: null,
-    lastStatus: null
-  };
-}
+// Channel variables for an originate: the built-in DIALER_* set, the configured variables and,
+// on PJSIP endpoints, the configured SIP headers. Plain variables get the "__" prefix so channels
+// created from this one (Local -> Queue -> agent) inherit them.
+function buildChannelVariables(config, endpoint, variables) {
+  const contact = variables.contact || {};
+  const entries = [
+    ['DIALER_CALL_ID', variables.callId],
+    ['DIALER_CAMPAIGN', variables.campaign],
+    ['DIALER_NUMBER', variables.originalNumber],
+    ['DIALER_CUSTOMER_ID', contact.customerId],
+    ['DIALER_CONTACT_NAME', contact.name],
+    ...(config.channelVariables || []).map(({ name, template }) => [name, renderDialString(template, variables)])
+  ];
 
-function updateLegTimelineMetadata(timeline, channel) {
-  if (!timeline || !channel) {
-    return;
+  const channelVariables = {};
+  for (const [name, value] of entries) {
+    if (value == null || value === '') {
+      continue;
+    }
+    const text = stripControlCharacters(String(value));
+    if (text) {
+      channelVariables[name.includes('(') ? name : `__${name}`] = text;
+    }
   }
-
-  const { channelId: currentChannelId, peerName: currentPeerName } = timeline;
-  const newChannelId = channel.id || null;
-  const newPeerName = channel.name || null;
-  const currentPeerIsLocal = typeof currentPeerName === 'string' && currentPeerName.startsWith('Local/');
-  const channelChanged = Boolean(
-    newChannelId && currentChannelId && currentChannelId !== newChannelId
-  );
-
-  if (
-    newChannelId &&
-    (currentChannelId == null || channelChanged || currentPeerIsLocal)
-  ) {
-    timeline.channelId = newChannelId;
+  if (/^PJSIP\//i.test(endpoint)) {
+    for (const { name, template } of config.sipHeaders || []) {
+      const value = renderDialString(template, variables, formatSipHeaderValue);
+      if (value) {
+        channelVariables[`PJSIP_HEADER(add,${name})`] = value;
+      }
+    }
   }
+  return channelVariables;
+}
 
-  if (
-    newPeerName &&
-    (
-      currentPeerName == null ||
-      currentPeerIsLocal ||
-      (channelChanged && newPeerName !== currentPeerName)
-    )
-  ) {
-    timeline.peerName = newPeerName;
+// "carrierA:3:20:5,carrierB:1" is a pool of trunks as NAME[:WEIGHT[:MAX_CONCURRENT[:CPS]]].
+function parseTrunkPool(value, label) {
+  if (value == null || value === '') {
+    return [];
   }
 
-  if (channel.name && /;1$/.test(channel.name) && !timeline.pairedChannelName) {
-    timeline.pairedChannelName = channel.name.replace(/;1$/, ';2');
+  let entries;
+  if (typeof value === 'string') {
+    entries = value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const [name, weight, maxConcurrent, cps] = item.split(':').map((part) => part.trim());
+        return { name, weight, maxConcurrent, cps };
+      });
+  } else if (Array.isArray(value)) {
+    entries = value.map((entry) =>
+      typeof entry === 'string'
+        ? { name: entry }
+        : {
+            name: entry?.name,
+            weight: entry?.weight,
+            maxConcurrent: entry?.maxConcurrent ?? entry?.maxConcurrency,
+            cps: entry?.cps
+          }
+    );
+  } else {
+    throw new Error(`${label} must be a string like 'carrierA:3:20,carrierB:1' or an array of trunks.`);
   }
-  if (channel.name && /;2$/.test(channel.name)) {
-    timeline.callerName = timeline.callerName || channel.name;
+
+  const trunks = [];
+  for (const entry of entries) {
+    const name = String(entry.name ?? '').trim();
+    if (!name || /[\s,:]/.test(name)) {
+      throw new Error(`${label}: '${entry.name ?? ''}' is not a valid trunk name.`);
+    }
+    if (trunks.some((trunk) => trunk.name === name)) {
+      throw new Error(`${label}: trunk '${name}' is listed twice.`);
+    }
+    const weight = entry.weight == null || entry.weight === '' ? 1 : Number(entry.weight);
+    const maxConcurrent =
+      entry.maxConcurrent == null || entry.maxConcurrent === '' ? null : Number(entry.maxConcurrent);
+    if (!Number.isInteger(weight) || weight <= 0) {
+      throw new Error(`${label}: weight of trunk '${name}' must be a positive integer.`);
+    }
+    if (maxConcurrent != null && (!Number.isInteger(maxConcurrent) || maxConcurrent <= 0)) {
+      throw new Error(`${label}: concurrency cap of trunk '${name}' must be a positive integer.`);
+    }
+    const cps =
+      entry.cps == null || entry.cps === '' ? null : parseRateSetting(entry.cps, `${label}: CPS of trunk '${name}'`);
+    trunks.push({ name, weight, maxConcurrent, cps });
   }
+  return trunks;
 }
 
-function normalizeLegATimestamp(timeline, field, timestamp) {
-  if (
-    !timeline ||
-    timeline.role !== 'legA' ||
-    timestamp == null ||
-    (field !== 'startedAt' && field !== 'answeredAt' && field !== 'endedAt')
-  ) {
-    return timestamp;
+function parseRateSetting(value, label) {
+  const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new Error(`${label} must be a positive number of calls per second.`);
   }
+  return parsed;
+}
 
-  const date = new Date(timestamp);
-  const time = date.getTime();
-  if (Number.isNaN(time)) {
-    return timestamp;
+// Numeric entries are Q.850 hangup cause codes, anything else is a leg A status such as CONGESTION.
+function parseFailoverCauses(value, label) {
+  const list = typeof value === 'string' ? value.split(',') : Array.isArray(value) ? value : null;
+  if (!list) {
+    throw new Error(`${label} must be a comma-separated string or an array of hangup causes.`);
+  }
+
+  const codes = [];
+  const statuses = [];
+  for (const item of list) {
+    const text = String(item ?? '').trim();
+    if (/^\d+$/.test(text)) {
+      codes.push(parseInt(text, 10));
+    } else if (text) {
+      statuses.push(normalizeDisposition(text));
+    }
   }
-
-  date.setMilliseconds(0);
-  return date.getTime();
+  return { codes: [...new Set(codes)], statuses: [...new Set(statuses)] };
 }
 
-function setLegTimelineTimestamp(timeline, field, timestamp) {
-  if (!timeline || timestamp == null) {
-    return;
+// A known Q.850 code decides on its own; statuses are only consulted when the channel reported no code.
+function isFailoverCause(causes, hangupCode, status) {
+  if (!causes) {
+    return false;
   }
-
-  const normalizedTimestamp = normalizeLegATimestamp(timeline, field, timestamp);
-
-  if (timeline[field] == null) {
-    timeline[field] = normalizedTimestamp;
+  if (Number.isInteger(hangupCode) && hangupCode > 0) {
+    return causes.codes.includes(hangupCode);
   }
+  return causes.statuses.includes(normalizeDisposition(status));
 }
 
-function assignLegDialString(timeline, dialString) {
-  if (!timeline || !dialString) {
-    return;
-  }
+const callerIdStrategies = new Set(['round-robin', 'lru', 'local-presence']);
 
-  const trimmed = dialString.trim();
-  if (!trimmed) {
-    return;
+// "4951234567:300,4957654321" is a pool of caller IDs as NUMBER[:DAILY_CAP].
+function parseCallerIdPool(value, label) {
+  if (value == null || value === '') {
+    return [];
   }
 
-  if (!timeline.dialString) {
-    timeline.dialString = trimmed;
+  let entries;
+  if (typeof value === 'string') {
+    entries = value
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => {
+        const [callerId, dailyCap] = item.split(':').map((part) => part.trim());
+        return { callerId, dailyCap };
+      });
+  } else if (Array.isArray(value)) {
+    entries = value.map((entry) =>
+      entry && typeof entry === 'object' ? { callerId: entry.callerId, dailyCap: entry.dailyCap } : { callerId: entry }
+    );
+  } else {
+    throw new Error(`${label} must be a string like '4951234567:300,4957654321' or an array of caller IDs.`);
   }
 
-  if (timeline.role === 'legA' && !timeline.targetNumber) {
-    const beforeAt = trimmed.split('@')[0] || trimmed;
-    const afterLastSlashIndex = beforeAt.lastIndexOf('/');
-    const candidateSource = afterLastSlashIndex >= 0 ? beforeAt.slice(afterLastSlashIndex + 1) : beforeAt;
-    const numberMatch = candidateSource.match(/[0-9+*#]+/);
-    const fallbackMatch = numberMatch || trimmed.match(/[0-9+*#]+/);
-
-    if (fallbackMatch) {
-      timeline.targetNumber = fallbackMatch[0];
+  const pool = [];
+  for (const entry of entries) {
+    const callerId = String(entry.callerId ?? '').trim();
+    if (!/^\+?[0-9]{3,20}$/.test(callerId)) {
+      throw new Error(`${label}: '${entry.callerId ?? ''}' is not a valid caller ID number.`);
+    }
+    if (pool.some((candidate) => candidate.callerId === callerId)) {
+      throw new Error(`${label}: caller ID ${callerId} is listed twice.`);
     }
+    const dailyCap = entry.dailyCap == null || entry.dailyCap === '' ? null : Number(entry.dailyCap);
+    if (dailyCap != null && (!Number.isInteger(dailyCap) || dailyCap <= 0)) {
+      throw new Error(`${label}: daily cap of caller ID ${callerId} must be a positive integer.`);
+    }
+    pool.push({ callerId, dailyCap });
   }
+  return pool;
 }
 
-const GENERIC_STATUS_VALUES = new Set([
-  'RINGING',
-  'DIALING',
-  'TRYING',
-  'PROGRESS',
-  'UP',
-  'DOWN',
-  'HUNGUP',
-  'UNKNOWN',
-  'EARLY MEDIA'
-]);
-
-function normalizeStatus(status) {
-  if (status == null) {
-    return '';
+function normalizeCallerIdStrategy(value, label) {
+  const strategy = String(value ?? '').trim().toLowerCase();
+  if (!callerIdStrategies.has(strategy)) {
+    throw new Error(`${label} must be one of: ${[...callerIdStrategies].join(', ')}.`);
   }
+  return strategy;
+}
 
-  const normalized = String(status).trim();
-  if (!normalized) {
-    return '';
+function refreshConfig() {
+  dotenv.config({ override: true });
+
+  const {
+    ARI_URL,
+    ARI_USERNAME,
+    ARI_PASSWORD,
+    ARI_TRUNK,
+    ARI_TRUNKS,
+    FAILOVER_CAUSES = '34,38,41,42,44,47,CONGESTION,CHANUNAVAIL,FAILED',
+    TRUNK_BREAKER_THRESHOLD,
+    TRUNK_BREAKER_WINDOW = '20',
+    TRUNK_BREAKER_MIN_CALLS = '10',
+    TRUNK_BREAKER_COOLDOWN = '60',
+    ORIGINATE_CPS,
+    ORIGINATE_BURST = '1',
+    OUTBOUND_NUMBER,
+    OUTBOUND_NUMBER_FILE,
+    NUMBER_FILES_DIR,
+    TARGET_ENDPOINT,
+    TARGET_EXTENSION = '777',
+    TARGET_CONTEXT = 'default2',
+    STASIS_APP = 'outbound_dialer',
+    CALL_TIMEOUT = '30',
+    MAX_CC,
+    RECORDINGS_DIR,
+    RECORDING_FORMAT,
+    MYSQL_HOST,
+    MYSQL_PORT,
+    MYSQL_USER,
+    MYSQL_PASSWORD,
+    MYSQL_DATABASE,
+    MYSQL_TABLE,
+    MYSQL_DNC_TABLE,
+    CALLER_ID,
+    CALLER_ID_POOL,
+    CALLER_ID_STRATEGY = 'round-robin',
+    CALLER_ID_DAILY_CAP,
+    STATE_DIR,
+    DNC_FILE,
+    DIAL_ALLOW_PREFIXES,
+    DIAL_DENY_PREFIXES,
+    DIAL_BLOCKED_NUMBERS = DEFAULT_BLOCKED_NUMBERS,
+    DIAL_LENGTH_RULES,
+    DIAL_REWRITE_RULES,
+    DIAL_STRING_TEMPLATE = DEFAULT_DIAL_STRING_TEMPLATE,
+    DIAL_STRING_TEMPLATES,
+    CHANNEL_VARIABLES,
+    SIP_HEADERS,
+    NUMBER_DEFAULT_COUNTRY,
+    NUMBER_NATIONAL_RULES,
+    NUMBER_INTERNATIONAL_PREFIX = '00',
+    NUMBER_MIN_LENGTH = '7',
+    RETRY_RULES,
+    RETRY_FINAL_STATUSES = 'ANSWERED',
+    CALL_WINDOWS,
+    CALL_TIMEZONE,
+    CALL_HOLIDAYS,
+    CALL_HOLIDAYS_FILE,
+    PACING_MODE = 'fixed',
+    PACING_TARGET_ABANDON_RATE = '3',
+    PACING_AGENTS,
+    PACING_MIN_CC,
+    PACING_MAX_CC,
+    AMI_HOST,
+    AMI_PORT,
+    AMI_USERNAME,
+    AMI_PASSWORD,
+    AMI_QUEUE = 'callcenter',
+    AMI_POLL_INTERVAL = '5',
+    AMD_ENABLED,
+    AMD_INITIAL_SILENCE = '2500',
+    AMD_GREETING = '1500',
+    AMD_AFTER_GREETING_SILENCE = '800',
+    AMD_TOTAL_ANALYSIS_TIME = '5000',
+    AMD_HUMAN_ACTION = 'connect',
+    AMD_MACHINE_ACTION = 'hangup',
+    AMD_NOTSURE_ACTION = 'connect',
+    AMD_MESSAGE,
+    AMD_BEEP_TIMEOUT = '20000',
+    HOLD_MUSIC_CLASS,
+    HOLD_ANNOUNCEMENT,
+    MAX_AGENT_WAIT,
+    SAFE_HARBOR_MESSAGE,
+    IVR_PROMPT,
+    IVR_ACTIONS = '1=connect,9=dnc',
+    IVR_TIMEOUT = '5',
+    IVR_NO_INPUT_ACTION = 'hangup',
+    IVR_CALLBACK_DELAY = '3600',
+    IVR_MAX_CALLBACKS = '3',
+    CAMPAIGN_MODE = 'agent',
+    BROADCAST_MESSAGE,
+    BROADCAST_REPEAT_DIGIT,
+    BROADCAST_MAX_REPEATS = '2',
+    BROADCAST_REPEAT_TIMEOUT = '5',
+    TTS_COMMAND,
+    TTS_TEMPLATES,
+    TTS_SOUNDS_DIR = '/var/lib/asterisk/sounds/tts',
+    TTS_FORMAT = 'wav',
+    TTS_TIMEOUT = '30',
+    TTS_CACHE_MAX_AGE = '30'
+  } = process.env;
+
+  if (!ARI_URL || !ARI_USERNAME || !ARI_PASSWORD || (!ARI_TRUNK && !ARI_TRUNKS)) {
+    const message =
+      'Missing required configuration. Ensure ARI_URL, ARI_USERNAME, ARI_PASSWORD, and ARI_TRUNK ' +
+      '(or ARI_TRUNKS) are set.';
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
 
-  if (/^NO\s?ANSWER$/i.test(normalized)) {
-    return 'NO ANSWER';
+  if (!OUTBOUND_NUMBER && !OUTBOUND_NUMBER_FILE) {
+    const message = 'Missing outbound configuration. Provide either OUTBOUND_NUMBER or OUTBOUND_NUMBER_FILE.';
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
-  if (/^ANSWER(ED)?$/i.test(normalized)) {
-    return 'ANSWERED';
+
+  if (OUTBOUND_NUMBER && OUTBOUND_NUMBER_FILE) {
+    logWithTimestamp(
+      'warn',
+      'Both OUTBOUND_NUMBER and OUTBOUND_NUMBER_FILE are set. Using numbers from OUTBOUND_NUMBER_FILE.'
+    );
   }
 
-  return normalized;
-}
+  const parsedMaxCc = MAX_CC ? parseInt(MAX_CC, 10) : 1;
+  if (!Number.isInteger(parsedMaxCc) || parsedMaxCc <= 0) {
+    const message = 'MAX_CC must be a positive integer when specified.';
+    logWithTimestamp('error', message);
+    throw new Error(message);
+  }
 
-function pickStatusCandidate(...values) {
-  let fallback = '';
+  const recordingFormat = (RECORDING_FORMAT || 'wav').trim() || 'wav';
+  const resolvedRecordingsDir = path.resolve(
+    (RECORDINGS_DIR && RECORDINGS_DIR.trim()) || path.join(process.cwd(), 'recordings')
+  );
 
-  for (const value of values) {
-    const normalized = normalizeStatus(value);
-    if (!normalized) {
-      continue;
-    }
+  const resolvedStateDir = path.resolve((STATE_DIR && STATE_DIR.trim()) || path.join(process.cwd(), 'state'));
 
-    const upper = normalized.toUpperCase();
-    if (upper === 'ANSWERED') {
-      return 'ANSWERED';
-    }
+  let retryPolicy;
+  try {
+    retryPolicy = {
+      rules: parseRetryRules(RETRY_RULES, 'RETRY_RULES'),
+      finalStatuses: parseStatusList(RETRY_FINAL_STATUSES, 'RETRY_FINAL_STATUSES')
+    };
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
+  }
 
-    if (GENERIC_STATUS_VALUES.has(upper)) {
-      if (!fallback) {
-        fallback = normalized;
-      }
-      continue;
+  let pacing;
+  try {
+    const agents = PACING_AGENTS ? parsePositiveIntegerSetting(PACING_AGENTS, 'PACING_AGENTS') : parsedMaxCc;
+    pacing = {
+      mode: normalizePacingMode(PACING_MODE, 'PACING_MODE'),
+      targetAbandonRate: parsePercentSetting(PACING_TARGET_ABANDON_RATE, 'PACING_TARGET_ABANDON_RATE'),
+      agents,
+      minConcurrency: PACING_MIN_CC ? parsePositiveIntegerSetting(PACING_MIN_CC, 'PACING_MIN_CC') : 1,
+      maxConcurrency: PACING_MAX_CC ? parsePositiveIntegerSetting(PACING_MAX_CC, 'PACING_MAX_CC') : agents * 3
+    };
+    if (pacing.minConcurrency > pacing.maxConcurrency) {
+      throw new Error('PACING_MIN_CC must not exceed PACING_MAX_CC.');
     }
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
+  }
 
-    if (upper === 'NO ANSWER') {
-      if (!fallback) {
-        fallback = 'NO ANSWER';
+  const amiPortNumber = AMI_PORT ? parseInt(AMI_PORT, 10) : 5038;
+  const amiPollSeconds = parseInt(AMI_POLL_INTERVAL, 10);
+  const ami = AMI_HOST && AMI_USERNAME && AMI_PASSWORD
+    ? {
+        host: AMI_HOST.trim(),
+        port: Number.isInteger(amiPortNumber) && amiPortNumber > 0 ? amiPortNumber : 5038,
+        username: AMI_USERNAME,
+        password: AMI_PASSWORD,
+        pollIntervalMs: (Number.isInteger(amiPollSeconds) && amiPollSeconds > 0 ? amiPollSeconds : 5) * 1000
       }
-      continue;
-    }
-
-    return normalized;
+    : null;
+  if (!ami && (AMI_HOST || AMI_USERNAME || AMI_PASSWORD)) {
+    logWithTimestamp('warn', 'AMI configuration incomplete. Set AMI_HOST, AMI_USERNAME and AMI_PASSWORD to enable it.');
   }
 
-  return fallback;
-}
-
-function setLegTimelineStatus(timeline, status) {
-  if (!timeline || !status) {
-    return;
+  let amd;
+  try {
+    amd = validateAmdConfig(
+      {
+        enabled: parseBooleanSetting(AMD_ENABLED, 'AMD_ENABLED'),
+        initialSilenceMs: parsePositiveIntegerSetting(AMD_INITIAL_SILENCE, 'AMD_INITIAL_SILENCE'),
+        greetingMs: parsePositiveIntegerSetting(AMD_GREETING, 'AMD_GREETING'),
+        afterGreetingSilenceMs: parsePositiveIntegerSetting(AMD_AFTER_GREETING_SILENCE, 'AMD_AFTER_GREETING_SILENCE'),
+        totalAnalysisMs: parsePositiveIntegerSetting(AMD_TOTAL_ANALYSIS_TIME, 'AMD_TOTAL_ANALYSIS_TIME'),
+        beepTimeoutMs: parsePositiveIntegerSetting(AMD_BEEP_TIMEOUT, 'AMD_BEEP_TIMEOUT'),
+        actions: {
+          HUMAN: normalizeAmdAction(AMD_HUMAN_ACTION, 'AMD_HUMAN_ACTION'),
+          MACHINE: normalizeAmdAction(AMD_MACHINE_ACTION, 'AMD_MACHINE_ACTION'),
+          NOTSURE: normalizeAmdAction(AMD_NOTSURE_ACTION, 'AMD_NOTSURE_ACTION')
+        },
+        message: (AMD_MESSAGE && AMD_MESSAGE.trim()) || null
+      },
+      'AMD'
+    );
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
   }
 
-  const normalized = normalizeStatus(status);
-  if (!normalized) {
-    return;
+  let hold;
+  try {
+    hold = {
+      musicClass: normalizeHoldMusicClass(HOLD_MUSIC_CLASS),
+      announcements: parseMediaList(HOLD_ANNOUNCEMENT, 'HOLD_ANNOUNCEMENT')
+    };
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
   }
 
-  timeline.lastStatus = normalized;
-}
-
-function setLegAnsweredBy(timeline, value) {
-  if (!timeline || !value) {
-    return;
+  let abandon;
+  try {
+    abandon = {
+      maxWaitSeconds:
+        MAX_AGENT_WAIT && MAX_AGENT_WAIT.trim() ? parsePositiveIntegerSetting(MAX_AGENT_WAIT, 'MAX_AGENT_WAIT') : null,
+      message: SAFE_HARBOR_MESSAGE && SAFE_HARBOR_MESSAGE.trim() ? toMediaUri(SAFE_HARBOR_MESSAGE) : null
+    };
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
   }
 
-  const trimmed = typeof value === 'string' ? value.trim() : '';
-  if (!trimmed) {
-    return;
+  let ivr;
+  try {
+    ivr = {
+      prompt: parseMediaList(IVR_PROMPT, 'IVR_PROMPT'),
+      actions: parseIvrActions(IVR_ACTIONS, 'IVR_ACTIONS'),
+      timeoutSeconds: parsePositiveIntegerSetting(IVR_TIMEOUT, 'IVR_TIMEOUT'),
+      noInputAction: normalizeIvrAction(IVR_NO_INPUT_ACTION, 'IVR_NO_INPUT_ACTION'),
+      callbackDelaySeconds: parsePositiveIntegerSetting(IVR_CALLBACK_DELAY, 'IVR_CALLBACK_DELAY'),
+      maxCallbacks: parsePositiveIntegerSetting(IVR_MAX_CALLBACKS, 'IVR_MAX_CALLBACKS')
+    };
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
   }
 
-  if (!timeline.answeredBy) {
-    timeline.answeredBy = trimmed;
+  let broadcast;
+  try {
+    broadcast = validateBroadcastConfig(
+      {
+        enabled: normalizeCampaignMode(CAMPAIGN_MODE, 'CAMPAIGN_MODE') === 'broadcast',
+        messages: parseMediaList(BROADCAST_MESSAGE, 'BROADCAST_MESSAGE'),
+        repeatDigit:
+          BROADCAST_REPEAT_DIGIT && BROADCAST_REPEAT_DIGIT.trim()
+            ? normalizeDtmfDigit(BROADCAST_REPEAT_DIGIT, 'BROADCAST_REPEAT_DIGIT')
+            : null,
+        maxRepeats: parsePositiveIntegerSetting(BROADCAST_MAX_REPEATS, 'BROADCAST_MAX_REPEATS'),
+        repeatTimeoutSeconds: parsePositiveIntegerSetting(BROADCAST_REPEAT_TIMEOUT, 'BROADCAST_REPEAT_TIMEOUT')
+      },
+      'Broadcast configuration'
+    );
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
   }
-}
 
-function toIsoTimestamp(value) {
-  if (value == null) {
-    return null;
+  let tts;
+  try {
+    tts = {
+      command: (TTS_COMMAND && TTS_COMMAND.trim()) || null,
+      templates: parseTtsTemplates(TTS_TEMPLATES, 'TTS_TEMPLATES'),
+      soundsDir: path.resolve(TTS_SOUNDS_DIR.trim()),
+      format: TTS_FORMAT.trim().replace(/^\./, '') || 'wav',
+      timeoutSeconds: parsePositiveIntegerSetting(TTS_TIMEOUT, 'TTS_TIMEOUT'),
+      cacheMaxAgeDays: parsePositiveIntegerSetting(TTS_CACHE_MAX_AGE, 'TTS_CACHE_MAX_AGE')
+    };
+    validateTtsPrompts({ amd, hold, abandon, ivr, broadcast, tts }, 'TTS configuration');
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
   }
 
-  const date = new Date(value);
-  const time = date.getTime();
-  if (Number.isNaN(time)) {
-    return null;
+  let callingHours;
+  try {
+    const holidayInput = [CALL_HOLIDAYS, CALL_HOLIDAYS_FILE ? readHolidayFile(CALL_HOLIDAYS_FILE) : '']
+      .filter(Boolean)
+      .join(',');
+    callingHours = {
+      windows: parseCallWindows(CALL_WINDOWS, 'CALL_WINDOWS'),
+      timeZone: normalizeTimeZone(CALL_TIMEZONE, 'CALL_TIMEZONE'),
+      holidays: parseHolidayList(holidayInput, 'CALL_HOLIDAYS')
+    };
+  } catch (err) {
+    const message = `Invalid calling hours configuration: ${err.message}`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
 
-  return date.toISOString();
-}
-
-function formatLegTimeline(label, timeline) {
-  if (!timeline) {
-    return '';
+  let numbering;
+  let dialRewriteRules;
+  try {
+    const defaultCountry = (NUMBER_DEFAULT_COUNTRY || '').trim().replace(/^\+/, '') || null;
+    if (defaultCountry && !/^[1-9][0-9]{0,2}$/.test(defaultCountry)) {
+      throw new Error('NUMBER_DEFAULT_COUNTRY must be a country calling code such as 7 or 44.');
+    }
+    const internationalPrefix = NUMBER_INTERNATIONAL_PREFIX.trim();
+    if (!/^[0-9]*$/.test(internationalPrefix)) {
+      throw new Error('NUMBER_INTERNATIONAL_PREFIX must contain digits only.');
+    }
+    const nationalRules = parseNationalRules(NUMBER_NATIONAL_RULES, 'NUMBER_NATIONAL_RULES', defaultCountry);
+    // Without rules nothing tells a national number from one that already carries its country code.
+    if (defaultCountry && nationalRules.length === 0) {
+      throw new Error('NUMBER_DEFAULT_COUNTRY needs NUMBER_NATIONAL_RULES to recognize national numbers.');
+    }
+    numbering = {
+      enabled: nationalRules.length > 0,
+      defaultCountry,
+      internationalPrefix,
+      nationalRules,
+      minLength: parsePositiveIntegerSetting(NUMBER_MIN_LENGTH, 'NUMBER_MIN_LENGTH')
+    };
+    dialRewriteRules = parseRewriteRules(DIAL_REWRITE_RULES, 'DIAL_REWRITE_RULES');
+  } catch (err) {
+    const message = `Invalid number normalization configuration: ${err.message}`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
 
-  const fields = [];
-  if (timeline.lastStatus) {
-    fields.push(`status=${timeline.lastStatus}`);
-  }
-  if (timeline.targetNumber) {
-    fields.push(`number=${timeline.targetNumber}`);
-  }
-  if (timeline.channelId) {
-    fields.push(`channel=${timeline.channelId}`);
-  }
-  if (timeline.pairedChannelId) {
-    fields.push(`pairedChannel=${timeline.pairedChannelId}`);
-  }
-  if (timeline.peerName) {
-    fields.push(`peer='${timeline.peerName}'`);
-  }
-  if (timeline.callerName) {
-    fields.push(`caller='${timeline.callerName}'`);
-  }
-  if (timeline.dialString) {
-    fields.push(`dialstring='${timeline.dialString}'`);
-  }
-  if (timeline.answeredBy) {
-    fields.push(`answeredBy='${timeline.answeredBy}'`);
+  let trunks;
+  let failoverCauses;
+  let trunkBreaker;
+  let originateRate;
+  try {
+    trunks = ARI_TRUNKS ? parseTrunkPool(ARI_TRUNKS, 'ARI_TRUNKS') : parseTrunkPool(ARI_TRUNK.trim(), 'ARI_TRUNK');
+    if (trunks.length === 0) {
+      throw new Error('ARI_TRUNKS must list at least one trunk.');
+    }
+    failoverCauses = parseFailoverCauses(FAILOVER_CAUSES, 'FAILOVER_CAUSES');
+    const failureRate = TRUNK_BREAKER_THRESHOLD
+      ? parsePercentSetting(TRUNK_BREAKER_THRESHOLD, 'TRUNK_BREAKER_THRESHOLD')
+      : 0;
+    const windowSize = parsePositiveIntegerSetting(TRUNK_BREAKER_WINDOW, 'TRUNK_BREAKER_WINDOW');
+    trunkBreaker = {
+      enabled: failureRate > 0,
+      failureRate,
+      windowSize,
+      minCalls: Math.min(windowSize, parsePositiveIntegerSetting(TRUNK_BREAKER_MIN_CALLS, 'TRUNK_BREAKER_MIN_CALLS')),
+      cooldownMs: parsePositiveIntegerSetting(TRUNK_BREAKER_COOLDOWN, 'TRUNK_BREAKER_COOLDOWN') * 1000
+    };
+    originateRate = {
+      cps: ORIGINATE_CPS ? parseRateSetting(ORIGINATE_CPS, 'ORIGINATE_CPS') : null,
+      burst: parsePositiveIntegerSetting(ORIGINATE_BURST, 'ORIGINATE_BURST')
+    };
+  } catch (err) {
+    const message = `Invalid trunk configuration: ${err.message}`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
 
-  const startIso = toIsoTimestamp(timeline.startedAt);
-  const answerIso = toIsoTimestamp(timeline.answeredAt);
-  const endIso = toIsoTimestamp(timeline.endedAt);
-
-  if (startIso) {
-    fields.push(`start=${startIso}`);
-  }
-  if (answerIso) {
-    fields.push(`answer=${answerIso}`);
+  let callerIdPool;
+  let callerIdStrategy;
+  let callerIdDailyCap;
+  try {
+    callerIdPool = parseCallerIdPool(CALLER_ID_POOL, 'CALLER_ID_POOL');
+    callerIdStrategy = normalizeCallerIdStrategy(CALLER_ID_STRATEGY, 'CALLER_ID_STRATEGY');
+    callerIdDailyCap = CALLER_ID_DAILY_CAP
+      ? parsePositiveIntegerSetting(CALLER_ID_DAILY_CAP, 'CALLER_ID_DAILY_CAP')
+      : null;
+  } catch (err) {
+    const message = `Invalid caller ID configuration: ${err.message}`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
-  if (endIso) {
-    fields.push(`end=${endIso}`);
+
+  let dialStringTemplate;
+  let dialStringTemplates;
+  let channelVariables;
+  let sipHeaders;
+  try {
+    dialStringTemplate = validateDialStringTemplate(DIAL_STRING_TEMPLATE, 'DIAL_STRING_TEMPLATE');
+    dialStringTemplates = parseDialStringTemplates(DIAL_STRING_TEMPLATES, 'DIAL_STRING_TEMPLATES');
+    channelVariables = parseChannelVariables(CHANNEL_VARIABLES, 'CHANNEL_VARIABLES');
+    sipHeaders = parseSipHeaders(SIP_HEADERS, 'SIP_HEADERS');
+  } catch (err) {
+    logWithTimestamp('error', err.message);
+    throw err;
   }
 
-  if (fields.length === 0) {
-    return '';
+  let dialingPolicy;
+  try {
+    dialingPolicy = {
+      allowPrefixes: parsePrefixList(DIAL_ALLOW_PREFIXES, 'DIAL_ALLOW_PREFIXES'),
+      denyPrefixes: parsePrefixList(DIAL_DENY_PREFIXES, 'DIAL_DENY_PREFIXES'),
+      blockedNumbers: parsePrefixList(DIAL_BLOCKED_NUMBERS, 'DIAL_BLOCKED_NUMBERS'),
+      lengthRules: parseLengthRules(DIAL_LENGTH_RULES, 'DIAL_LENGTH_RULES')
+    };
+  } catch (err) {
+    const message = `Invalid dialing policy configuration: ${err.message}`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
 
-  return `${label}: ${fields.join(', ')}`;
-}
-
-function extractConnectedIdentity(channel) {
-  if (!channel) {
-    return null;
-  }
-
-  const connected = channel.connected || {};
-  const caller = channel.caller || {};
-  return (
-    connected.name ||
-    connected.number ||
-    caller.name ||
-    caller.number ||
-    channel.name ||
-    null
-  );
-}
-
-const answeredIdentityPriority = {
-  dialed: 1,
-  agent: 2
-};
+  const mysqlTableName = (MYSQL_TABLE && MYSQL_TABLE.trim()) || 'call_leg_timelines';
+  const mysqlDncTableName = (MYSQL_DNC_TABLE && MYSQL_DNC_TABLE.trim()) || null;
+  const mysqlPortNumber = (() => {
+    if (!MYSQL_PORT) {
+      return null;
+    }
+    const parsed = parseInt(MYSQL_PORT, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+  })();
 
-function setAnsweredIdentity(callState, identity, source = 'dialed') {
-  if (!callState || !identity) {
-    return;
-  }
+  const mysqlConfigProvided = [MYSQL_HOST, MYSQL_PORT, MYSQL_USER, MYSQL_PASSWORD, MYSQL_DATABASE, MYSQL_TABLE]
+    .filter((value) => value != null && String(value).trim() !== '').length > 0;
+  const mysqlConfigComplete = MYSQL_HOST && MYSQL_USER && MYSQL_DATABASE;
 
-  const currentPriority = answeredIdentityPriority[callState.answeredBySource] || 0;
-  const incomingPriority = answeredIdentityPriority[source] || 0;
+  const callTimeoutSeconds = (() => {
+    const parsed = parseInt(CALL_TIMEOUT, 10);
+    if (Number.isInteger(parsed) && parsed > 0) {
+      return parsed;
+    }
+    return 30;
+  })();
 
-  if (!callState.answeredBy || incomingPriority >= currentPriority) {
-    callState.answeredBy = identity;
-    callState.answeredBySource = source;
-  }
+  return {
+    ARI_URL,
+    ARI_USERNAME,
+    ARI_PASSWORD,
+    // The first trunk of the pool; kept for code and settings that only know a single trunk.
+    ARI_TRUNK: trunks[0].name,
+    trunks,
+    failoverCauses,
+    trunkBreaker,
+    originateRate,
+    OUTBOUND_NUMBER,
+    OUTBOUND_NUMBER_FILE,
+    numberFilesDir: path.resolve((NUMBER_FILES_DIR && NUMBER_FILES_DIR.trim()) || process.cwd()),
+    TARGET_ENDPOINT,
+    TARGET_EXTENSION,
+    TARGET_CONTEXT,
+    STASIS_APP,
+    CALL_TIMEOUT,
+    callTimeoutSeconds,
+    MAX_CC,
+    callConcurrencyLimit: parsedMaxCc,
+    RECORDINGS_DIR,
+    RECORDING_FORMAT,
+    recordingFormat,
+    resolvedRecordingsDir,
+    recordingSearchDirList: [
+      resolvedRecordingsDir,
+      '/var/spool/asterisk/recording',
+      '/var/spool/asterisk/monitor'
+    ],
+    MYSQL_HOST,
+    MYSQL_PORT,
+    MYSQL_USER,
+    MYSQL_PASSWORD,
+    MYSQL_DATABASE,
+    MYSQL_TABLE,
+    mysqlTableName,
+    mysqlDncTableName,
+    mysqlPortNumber,
+    mysqlConfigProvided,
+    mysqlConfigComplete,
+    CALLER_ID,
+    callerIdPool,
+    callerIdStrategy,
+    callerIdDailyCap,
+    STATE_DIR,
+    resolvedStateDir,
+    DNC_FILE,
+    resolvedDncFile: DNC_FILE && DNC_FILE.trim() ? path.resolve(DNC_FILE.trim()) : null,
+    dialingPolicy,
+    numbering,
+    dialRewriteRules,
+    dialStringTemplate,
+    dialStringTemplates,
+    channelVariables,
+    sipHeaders,
+    retryPolicy,
+    callingHours,
+    PACING_MAX_CC,
+    pacing,
+    ami,
+    agentQueue: AMI_QUEUE.trim() || 'callcenter',
+    amd,
+    hold,
+    abandon,
+    ivr,
+    broadcast,
+    tts
+  };
 }
 
-function updateAnsweredIdentity(callState, channel) {
-  if (!callState) {
-    return;
+let mysqlPool = null;
+let mysqlLoggingEnabled = false;
+let mysqlInitializationPromise = null;
+let amiMonitor = null;
+let amiMonitorKey = null;
+// Normalized number -> { number, source: 'file' | 'runtime' | 'mysql', reason, addedAt }.
+const dncEntries = new Map();
+// Trunk name -> circuit breaker state, created on the first disposition seen for the trunk.
+const trunkBreakers = new Map();
+// Originate rate limits: one bucket for the whole dialer and one per trunk with its own CPS.
+let originateRateLimiter = null;
+const trunkRateLimiters = new Map();
+
+// Device states reported by app_queue (AST_DEVICE_*). Only NOT_INUSE members can take a call.
+const AMI_MEMBER_NOT_INUSE = '1';
+const AMI_RECONNECT_DELAY_MS = 5000;
+const AMI_MAX_RECONNECT_DELAY_MS = 60000;
+
+function parseAmiMessage(block) {
+  const message = {};
+  for (const line of block.split('\r\n')) {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex > 0) {
+      message[line.slice(0, separatorIndex).trim()] = line.slice(separatorIndex + 1).trim();
+    }
   }
+  return message;
+}
 
-  const identity = extractConnectedIdentity(channel);
-  setAnsweredIdentity(callState, identity, 'dialed');
+function formatAmiAction(fields) {
+  return `${Object.entries(fields)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\r\n')}\r\n\r\n`;
 }
 
-function updateCallConnectionState(callState, referenceTime) {
-  if (!callState) {
-    return;
+// Minimal Asterisk Manager Interface client that keeps queue member and waiting-caller
+// counts up to date from QueueStatus snapshots and live Queue* events. Lost connections are
+// retried with a doubling delay; a rejected login is final until the monitor is started again.
+function createAmiMonitor({
+  host,
+  port = 5038,
+  username,
+  password,
+  pollIntervalMs = 5000,
+  reconnectDelayMs = AMI_RECONNECT_DELAY_MS,
+  maxReconnectDelayMs = AMI_MAX_RECONNECT_DELAY_MS,
+  onUpdate = () => {}
+}) {
+  // Queue name -> { members: Map(interface -> { name, status, paused, inCall }), waiting, updatedAt }
+  let queues = new Map();
+  const pendingSnapshots = new Map();
+  let socket = null;
+  let buffer = '';
+  let bannerReceived = false;
+  let loggedIn = false;
+  let synced = false;
+  let stopped = false;
+  let pollTimer = null;
+  let reconnectTimer = null;
+  let reconnectDelay = reconnectDelayMs;
+  let loginError = null;
+  let actionSequence = 0;
+
+  const createQueue = () => ({ members: new Map(), waiting: 0, updatedAt: Date.now() });
+
+  function getQueue(collection, name) {
+    if (!collection.has(name)) {
+      collection.set(name, createQueue());
+    }
+    return collection.get(name);
   }
 
-  const referenceMs =
-    referenceTime != null ? referenceTime : Date.now();
-
-  if (callState.dialerUp && callState.dialedConnectedAt && !callState.callConnectedAt) {
-    callState.callConnectedAt = callState.callConnectedAt ?? referenceMs;
+  function send(fields) {
+    if (socket && !socket.destroyed) {
+      socket.write(formatAmiAction(fields));
+    }
   }
 
-  const talkStartCandidates = [];
-  if (callState.agentAnsweredAt != null) {
-    talkStartCandidates.push(callState.agentAnsweredAt);
-  }
-  if (callState.callConnectedAt != null) {
-    talkStartCandidates.push(callState.callConnectedAt);
-  }
-  if (callState.dialedConnectedAt != null && callState.dialerConnectedAt != null) {
-    talkStartCandidates.push(Math.max(callState.dialedConnectedAt, callState.dialerConnectedAt));
+  function requestQueueStatus() {
+    const actionId = `queuestatus-${++actionSequence}`;
+    pendingSnapshots.set(actionId, new Map());
+    send({ Action: 'QueueStatus', ActionID: actionId });
   }
 
-  const talkStart =
-    talkStartCandidates.length > 0 ? Math.min(...talkStartCandidates) : null;
+  function getMemberInterface(message) {
+    return message.Interface || message.Location || message.StateInterface || null;
+  }
 
-  if (talkStart != null) {
-    if (callState.callConnectedAt == null || callState.callConnectedAt > talkStart) {
-      callState.callConnectedAt = talkStart;
-    }
-    if (callState.effectiveConnectedAt == null || callState.effectiveConnectedAt > talkStart) {
-      callState.effectiveConnectedAt = talkStart;
-    }
-  } else if (callState.dialerConnectedAt != null) {
-    if (callState.effectiveConnectedAt == null || callState.effectiveConnectedAt > callState.dialerConnectedAt) {
-      callState.effectiveConnectedAt = callState.dialerConnectedAt;
+  function applyMember(queue, message) {
+    const memberInterface = getMemberInterface(message);
+    if (!memberInterface) {
+      return;
     }
-  } else {
-    callState.effectiveConnectedAt = callState.effectiveConnectedAt ?? null;
+    const previous = queue.members.get(memberInterface) || {};
+    queue.members.set(memberInterface, {
+      name: message.MemberName || message.Name || previous.name || memberInterface,
+      status: message.Status ?? previous.status ?? '0',
+      paused: message.Paused != null ? message.Paused === '1' : Boolean(previous.paused),
+      inCall: message.InCall != null ? message.InCall === '1' : Boolean(previous.inCall)
+    });
   }
-}
 
-function resolveHangupCause(event, channel) {
-  if (!event && !channel) {
-    return null;
+  function handleSnapshotEvent(actionId, snapshot, message) {
+    if (message.Event === 'QueueParams') {
+      getQueue(snapshot, message.Queue).waiting = parseInt(message.Calls, 10) || 0;
+    } else if (message.Event === 'QueueMember') {
+      applyMember(getQueue(snapshot, message.Queue), message);
+    } else if (message.Event === 'QueueStatusComplete') {
+      pendingSnapshots.delete(actionId);
+      queues = snapshot;
+      synced = true;
+      onUpdate();
+    }
   }
 
-  const cause = (
-    event?.cause_txt ||
-    event?.cause ||
-    channel?.cause_txt ||
-    channel?.cause ||
-    channel?.hangupCause ||
-    null
-  );
+  function handleMessage(message) {
+    if (message.ActionID === 'login' && message.Response) {
+      if (message.Response !== 'Success') {
+        loginError = `AMI login to ${host}:${port} failed: ${message.Message || message.Response}`;
+        logWithTimestamp(
+          'error',
+          `${loginError}. Not reconnecting; agent-aware dialing is on hold until the AMI settings are reloaded.`
+        );
+        stopped = true;
+        socket.destroy();
+        onUpdate();
+        return;
+      }
+      loggedIn = true;
+      reconnectDelay = reconnectDelayMs;
+      logWithTimestamp('log', `Connected to AMI at ${host}:${port}.`);
+      requestQueueStatus();
+      pollTimer = setInterval(requestQueueStatus, pollIntervalMs);
+      return;
+    }
 
-  return cause != null ? String(cause) : null;
-}
+    const snapshot = message.ActionID ? pendingSnapshots.get(message.ActionID) : null;
+    if (snapshot) {
+      handleSnapshotEvent(message.ActionID, snapshot, message);
+      return;
+    }
+    if (!message.Event || !message.Queue) {
+      return;
+    }
 
-function calculateCallDurations(callState, completedAt = new Date()) {
-  if (!callState) {
-    return {
-      primarySeconds: 0,
-      primaryLabel: 'no connection',
-      talkSeconds: 0,
-      holdSeconds: 0,
-      description: 'no connected legs'
-    };
+    const queue = getQueue(queues, message.Queue);
+    switch (message.Event) {
+      case 'QueueMemberAdded':
+      case 'QueueMemberStatus':
+      case 'QueueMemberPause':
+        applyMember(queue, message);
+        break;
+      case 'QueueMemberRemoved':
+        queue.members.delete(getMemberInterface(message));
+        break;
+      case 'QueueCallerJoin':
+      case 'QueueCallerLeave':
+        queue.waiting = parseInt(message.Count, 10) || 0;
+        break;
+      default:
+        return;
+    }
+    queue.updatedAt = Date.now();
+    onUpdate();
   }
 
-  const completedAtDate = completedAt instanceof Date ? completedAt : new Date(completedAt);
-  const completedAtMs = completedAtDate.getTime();
-
-  const dialerConnectedAt = callState.dialerConnectedAt ?? null;
-  const dialedConnectedAt = callState.dialedConnectedAt ?? null;
-  const callConnectedAt = callState.callConnectedAt ?? null;
-  const agentAnsweredAt = callState.agentAnsweredAt ?? null;
-
-  const talkStart = agentAnsweredAt || callConnectedAt || null;
-  const talkSeconds = talkStart
-    ? Math.max(0, Math.round((completedAtMs - talkStart) / 1000))
-    : 0;
+  function handleData(chunk) {
+    buffer += chunk;
+    if (!bannerReceived) {
+      const bannerEnd = buffer.indexOf('\r\n');
+      if (bannerEnd < 0) {
+        return;
+      }
+      bannerReceived = true;
+      buffer = buffer.slice(bannerEnd + 2);
+      send({ Action: 'Login', ActionID: 'login', Username: username, Secret: password, Events: 'on' });
+    }
 
-  let holdSeconds = 0;
-  if (dialerConnectedAt) {
-    const holdEnd = talkStart || callConnectedAt || completedAtMs;
-    holdSeconds = Math.max(0, Math.round((holdEnd - dialerConnectedAt) / 1000));
+    let messageEnd = buffer.indexOf('\r\n\r\n');
+    while (messageEnd >= 0) {
+      const block = buffer.slice(0, messageEnd);
+      buffer = buffer.slice(messageEnd + 4);
+      try {
+        handleMessage(parseAmiMessage(block));
+      } catch (err) {
+        logWithTimestamp('error', 'Failed to handle AMI message:', err.message);
+      }
+      messageEnd = buffer.indexOf('\r\n\r\n');
+    }
   }
 
-  const effectiveConnectedAt =
-    callState.effectiveConnectedAt ?? talkStart ?? dialerConnectedAt ?? null;
-  const primarySeconds = effectiveConnectedAt
-    ? Math.max(0, Math.round((completedAtMs - effectiveConnectedAt) / 1000))
-    : 0;
-
-  let primaryLabel = 'no connection';
-  let description = 'no connected legs';
-  if (talkStart && dialedConnectedAt) {
-    primaryLabel = 'two-leg talk';
-    description = `talkTime=${talkSeconds}s, holdBeforeAnswer=${holdSeconds}s`;
-  } else if (dialerConnectedAt) {
-    primaryLabel = 'single-leg hold';
-    description = `holdTime=${holdSeconds}s (single-leg)`;
+  function connect() {
+    reconnectTimer = null;
+    buffer = '';
+    bannerReceived = false;
+    socket = net.createConnection({ host, port });
+    socket.setEncoding('utf8');
+    socket.on('data', handleData);
+    socket.on('error', (err) => {
+      logWithTimestamp('error', `AMI connection to ${host}:${port} failed:`, err.message);
+    });
+    socket.on('close', () => {
+      const wasReady = loggedIn && synced;
+      loggedIn = false;
+      synced = false;
+      pendingSnapshots.clear();
+      if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+      if (wasReady) {
+        logWithTimestamp('warn', `AMI connection to ${host}:${port} closed. Agent-aware dialing is on hold.`);
+        onUpdate();
+      }
+      if (!stopped) {
+        reconnectTimer = setTimeout(connect, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, maxReconnectDelayMs);
+      }
+    });
   }
 
   return {
-    primarySeconds,
-    primaryLabel,
-    talkSeconds,
-    holdSeconds,
-    description
+    start() {
+      if (!stopped && (reconnectTimer || (socket && !socket.destroyed))) {
+        return;
+      }
+      stopped = false;
+      loginError = null;
+      reconnectDelay = reconnectDelayMs;
+      connect();
+    },
+    stop() {
+      stopped = true;
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      if (socket) {
+        socket.destroy();
+      }
+    },
+    isReady() {
+      return loggedIn && synced;
+    },
+    // The reason the monitor gave up reconnecting, or null while it is connected or retrying.
+    getError() {
+      return loginError;
+    },
+    // Returns null until the first QueueStatus snapshot has been received.
+    getQueueAvailability(queueName) {
+      if (!loggedIn || !synced) {
+        return null;
+      }
+      const queue = queues.get(queueName) || createQueue();
+      let available = 0;
+      let paused = 0;
+      for (const member of queue.members.values()) {
+        if (member.paused) {
+          paused += 1;
+        } else if (member.status === AMI_MEMBER_NOT_INUSE && !member.inCall) {
+          available += 1;
+        }
+      }
+      return {
+        queue: queueName,
+        members: queue.members.size,
+        available,
+        paused,
+        waiting: queue.waiting,
+        free: Math.max(0, available - queue.waiting)
+      };
+    }
   };
 }
 
-function ensureAgentLeg(callState, channelId) {
-  if (!callState || !channelId) {
-    return null;
+function configureAmiMonitor(config) {
+  const settings = config.ami;
+  const key = settings ? JSON.stringify(settings) : null;
+  if (key === amiMonitorKey) {
+    // A reload retries a login that was rejected, e.g. after the AMI user was fixed in Asterisk.
+    if (amiMonitor?.getError() && dialerClient) {
+      amiMonitor.start();
+    }
+    return;
   }
 
-  if (!(callState.agentLegs instanceof Map)) {
-    callState.agentLegs = new Map();
+  if (amiMonitor) {
+    amiMonitor.stop();
+    amiMonitor = null;
   }
-
-  if (!callState.agentLegs.has(channelId)) {
-    callState.agentLegs.set(channelId, {
-      channelId,
-      identity: null,
-      dialedAt: null,
-      answeredAt: null,
-      hangupAt: null,
-      lastStatus: null
-    });
+  amiMonitorKey = key;
+  if (!settings) {
+    return;
   }
 
-  return callState.agentLegs.get(channelId);
+  amiMonitor = createAmiMonitor({
+    ...settings,
+    onUpdate: () => {
+      if (dialerClient) {
+        maybeOriginateNext(dialerClient);
+      }
+    }
+  });
+  // The connection is opened together with ARI in connectDialer, not when the module is loaded.
+  if (dialerClient) {
+    amiMonitor.start();
+  }
 }
 
-function calculateLegDurations(callState, completedAt = new Date()) {
-  const completedAtDate = completedAt instanceof Date ? completedAt : new Date(completedAt);
-  const completedAtMs = completedAtDate.getTime();
-
-  const callStartMs = callState?.createdAt ?? completedAtMs;
-  const legAAnswerAt = callState?.dialerConnectedAt ?? null;
-  const legATalkStart = callState?.agentAnsweredAt ?? callState?.callConnectedAt ?? null;
-  const legATalkEnd = callState?.dialerHangupAt ?? callState?.completedAtMs ?? completedAtMs;
+function applyConfig(config) {
+  recordingSearchDirs = new Set(config.recordingSearchDirList);
 
-  const legAWaitSeconds = legAAnswerAt
-    ? Math.max(0, Math.round((legAAnswerAt - callStartMs) / 1000))
-    : Math.max(0, Math.round((completedAtMs - callStartMs) / 1000));
-
-  const legATalkSeconds = legATalkStart
-    ? Math.max(0, Math.round((legATalkEnd - legATalkStart) / 1000))
-    : 0;
-
-  let agentLeg = null;
-  if (callState?.agentLegs instanceof Map) {
-    if (callState.agentChannelId && callState.agentLegs.has(callState.agentChannelId)) {
-      agentLeg = callState.agentLegs.get(callState.agentChannelId);
-    } else {
-      for (const candidate of callState.agentLegs.values()) {
-        if (candidate?.answeredAt) {
-          agentLeg = candidate;
-          break;
-        }
-      }
+  try {
+    if (!fs.existsSync(config.resolvedRecordingsDir)) {
+      fs.mkdirSync(config.resolvedRecordingsDir, { recursive: true });
     }
+  } catch (err) {
+    const message = `Failed to ensure recordings directory at ${config.resolvedRecordingsDir}: ${err.message}`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
   }
 
-  const agentAnsweredAt = callState?.agentAnsweredAt ?? agentLeg?.answeredAt ?? null;
-  const agentDialedAt = agentLeg?.dialedAt ?? callState?.dialedConnectedAt ?? null;
-  const agentHangupAt = agentLeg?.hangupAt ?? callState?.dialedHangupAt ?? callState?.completedAtMs ?? completedAtMs;
+  try {
+    fs.mkdirSync(config.resolvedStateDir, { recursive: true });
+  } catch (err) {
+    const message = `Failed to ensure state directory at ${config.resolvedStateDir}: ${err.message}`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
+  }
 
-  const legBWaitSeconds = agentAnsweredAt && agentDialedAt
-    ? Math.max(0, Math.round((agentAnsweredAt - agentDialedAt) / 1000))
-    : agentDialedAt
-    ? Math.max(0, Math.round((completedAtMs - agentDialedAt) / 1000))
-    : 0;
+  mysqlInitializationPromise = null;
+  mysqlLoggingEnabled = false;
+  if (mysqlPool) {
+    mysqlPool.end().catch(() => {});
+    mysqlPool = null;
+  }
 
-  const legBTalkSeconds = agentAnsweredAt
-    ? Math.max(0, Math.round((agentHangupAt - agentAnsweredAt) / 1000))
-    : 0;
+  configureAmiMonitor(config);
+  loadDncFiles(config);
 
-  return {
-    legA: { waitSeconds: legAWaitSeconds, talkSeconds: legATalkSeconds },
-    legB: { waitSeconds: legBWaitSeconds, talkSeconds: legBTalkSeconds }
-  };
+  configureOriginateRateLimiter(config);
+
+  if (!config.trunkBreaker.enabled) {
+    for (const breaker of trunkBreakers.values()) {
+      clearTimeout(breaker.timer);
+    }
+    trunkBreakers.clear();
+  }
 }
 
-function determineLegStatus(
-  connectedAt,
-  hangupCause,
-  counterpartConnectedAt,
-  fallbackCause,
-  timelineStatus
-) {
-  if (connectedAt && counterpartConnectedAt) {
-    return 'ANSWERED';
+let dialerClient = null;
+let dialerStarted = false;
+let dialerStartingPromise = null;
+
+currentConfig = refreshConfig();
+applyConfig(currentConfig);
+
+function escapeIdentifier(identifier) {
+  const name = String(identifier || '').trim();
+  if (!name) {
+    return '``';
   }
+  return `\`${name.replace(/`/g, '``')}\``;
+}
 
-  const candidate = pickStatusCandidate(hangupCause, fallbackCause, timelineStatus);
+function toMysqlDateTime(value) {
+  if (value == null) {
+    return null;
+  }
 
-  if (connectedAt && !counterpartConnectedAt) {
-    return candidate || 'NO ANSWER';
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.getTime();
+  if (Number.isNaN(time)) {
+    return null;
   }
 
-  return candidate || 'NO ANSWER';
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
 }
 
-function resolveRecordingPath(callState) {
-  if (!callState) {
-    return '';
+// Columns added after the original table layout. Existing tables are migrated on startup.
+const timelineExtraColumns = [
+  ['campaign', 'VARCHAR(64) NULL'],
+  ['contact_name', 'VARCHAR(255) NULL'],
+  ['contact_customer_id', 'VARCHAR(255) NULL'],
+  ['contact_priority', 'INT NULL'],
+  ['contact_fields', 'TEXT NULL'],
+  ['attempt', 'INT NULL'],
+  ['amd_result', 'VARCHAR(16) NULL'],
+  ['amd_cause', 'VARCHAR(32) NULL'],
+  ['amd_action', 'VARCHAR(16) NULL'],
+  ['amd_message_played', 'TINYINT(1) NULL'],
+  ['leg_a_trunk', 'VARCHAR(255) NULL'],
+  ['caller_id', 'VARCHAR(64) NULL'],
+  ['hold_seconds', 'INT NULL'],
+  ['hold_media', 'VARCHAR(255) NULL'],
+  ['safe_harbor_played', 'TINYINT(1) NULL'],
+  ['leg_a_ivr_digits', 'VARCHAR(32) NULL'],
+  ['leg_a_ivr_branch', 'VARCHAR(16) NULL'],
+  ['broadcast_plays', 'INT NULL'],
+  ['broadcast_completed', 'TINYINT(1) NULL']
+];
+
+async function ensureTimelineColumns(tableName) {
+  const [rows] = await mysqlPool.query(
+    'SELECT COLUMN_NAME AS name FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [tableName]
+  );
+  const existing = new Set(rows.map((row) => String(row.name).toLowerCase()));
+  const tableIdentifier = escapeIdentifier(tableName);
+
+  for (const [name, definition] of timelineExtraColumns) {
+    if (existing.has(name)) {
+      continue;
+    }
+    await mysqlPool.query(`ALTER TABLE ${tableIdentifier} ADD COLUMN ${escapeIdentifier(name)} ${definition}`);
+    logWithTimestamp('log', `[MySQL] Added column ${name} to ${tableIdentifier}.`);
   }
+}
 
-  if (callState.recordingPath) {
-    return callState.recordingPath;
+async function initializeMySql() {
+  if (!currentConfig?.mysqlConfigProvided) {
+    mysqlLoggingEnabled = false;
+    return false;
   }
 
-  const recordingId = callState.recordingId || callState.recording?.id;
-  if (!recordingId) {
-    return '';
+  if (!currentConfig.mysqlConfigComplete) {
+    logWithTimestamp(
+      'warn',
+      '[MySQL] Partial configuration detected. Provide MYSQL_HOST, MYSQL_USER, and MYSQL_DATABASE to enable logging.'
+    );
+    mysqlLoggingEnabled = false;
+    return false;
   }
 
-  const recordingFormatForLog =
-    callState.recordingFormatUsed || callState.recording?.format || currentConfig.recordingFormat;
-  const fileName = `${recordingId}.${recordingFormatForLog}`;
+  const connectionConfig = {
+    host: currentConfig.MYSQL_HOST,
+    user: currentConfig.MYSQL_USER,
+    password: currentConfig.MYSQL_PASSWORD || undefined,
+    database: currentConfig.MYSQL_DATABASE,
+    waitForConnections: true,
+    connectionLimit: 5,
+    queueLimit: 0
+  };
 
-  const searchDirs = new Set(recordingSearchDirs);
-  searchDirs.add(currentConfig.resolvedRecordingsDir);
+  if (currentConfig.mysqlPortNumber) {
+    connectionConfig.port = currentConfig.mysqlPortNumber;
+  }
 
-  for (const dir of searchDirs) {
-    const candidate = path.join(dir, fileName);
-    try {
-      if (fs.existsSync(candidate)) {
-        callState.recordingPath = candidate;
-        return candidate;
+  try {
+    mysqlPool = mysql.createPool(connectionConfig);
+    const tableIdentifier = escapeIdentifier(currentConfig.mysqlTableName);
+    const createTableSql = `
+      CREATE TABLE IF NOT EXISTS ${tableIdentifier} (
+        call_id VARCHAR(64) NOT NULL PRIMARY KEY,
+        recording_path TEXT,
+        leg_a_status VARCHAR(255),
+        leg_a_number VARCHAR(255),
+        leg_a_channel VARCHAR(255),
+        leg_a_paired_channel VARCHAR(255),
+        leg_a_peer VARCHAR(255),
+        leg_a_caller VARCHAR(255),
+        leg_a_dial_string TEXT,
+        leg_a_answered_by VARCHAR(255),
+        leg_a_start DATETIME NULL,
+        leg_a_answer DATETIME NULL,
+        leg_a_end DATETIME NULL,
+        leg_b_status VARCHAR(255),
+        leg_b_number VARCHAR(255),
+        leg_b_channel VARCHAR(255),
+        leg_b_paired_channel VARCHAR(255),
+        leg_b_peer VARCHAR(255),
+        leg_b_caller VARCHAR(255),
+        leg_b_dial_string TEXT,
+        leg_b_answered_by VARCHAR(255),
+        leg_b_start DATETIME NULL,
+        leg_b_answer DATETIME NULL,
+        leg_b_end DATETIME NULL,
+        ${timelineExtraColumns.map(([name, definition]) => `${name} ${definition},`).join('\n        ')}
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `;
+
+    await mysqlPool.query(createTableSql);
+    await ensureTimelineColumns(currentConfig.mysqlTableName);
+    mysqlLoggingEnabled = true;
+    logWithTimestamp('log', `[MySQL] Logging enabled using table ${tableIdentifier}.`);
+
+    if (currentConfig.mysqlDncTableName) {
+      try {
+        await loadMysqlDncTable(currentConfig.mysqlDncTableName);
+      } catch (err) {
+        logWithTimestamp('error', `[MySQL] Failed to load do-not-call table:`, err.message);
       }
-    } catch (err) {
-      // Ignore filesystem access issues for logging purposes.
     }
+    return true;
+  } catch (err) {
+    mysqlLoggingEnabled = false;
+    if (mysqlPool) {
+      mysqlPool.end().catch(() => {});
+      mysqlPool = null;
+    }
+    throw err;
   }
-
-  return fileName;
 }
 
-async function logCallSummary(callId, callState, completedAt = new Date()) {
-  if (!callState || callState.summaryLogged) {
-    return null;
+function ensureMysqlInitialization() {
+  if (!mysqlInitializationPromise) {
+    mysqlInitializationPromise = initializeMySql().catch((err) => {
+      logWithTimestamp('error', `[MySQL] Failed to initialize logging:`, err.message);
+      return false;
+    });
   }
+  return mysqlInitializationPromise;
+}
 
-  const providedCompletedAt = completedAt instanceof Date ? completedAt : new Date(completedAt);
-  const providedCompletedAtMs = providedCompletedAt.getTime();
-  const fallbackCompletedAtMs = Number.isFinite(providedCompletedAtMs) ? providedCompletedAtMs : Date.now();
-  const resolvedCompletedAtMs = callState.completedAtMs ?? fallbackCompletedAtMs;
-  callState.completedAtMs = resolvedCompletedAtMs;
-  const resolvedCompletedAtDate = Number.isFinite(providedCompletedAtMs) && providedCompletedAtMs === resolvedCompletedAtMs
-    ? providedCompletedAt
-    : new Date(resolvedCompletedAtMs);
+function normalizeDncNumber(value) {
+  const number = stripNumberFormatting(value);
+  return normalizePhoneNumber(number, currentConfig?.numbering).replace(/[^0-9*#]/g, '');
+}
 
-  const durationInfo = calculateCallDurations(callState, resolvedCompletedAtDate);
-  const legDurations = calculateLegDurations(callState, resolvedCompletedAtDate);
+function getDncRuntimeFilePath(config = currentConfig) {
+  return path.join(config.resolvedStateDir, 'dnc.jsonl');
+}
 
-  const callStartMs = callState.createdAt != null ? callState.createdAt : resolvedCompletedAtMs;
-  const callStartIso = new Date(callStartMs).toISOString();
-  const number = callState.number || 'unknown';
-  const legAStatus = determineLegStatus(
-    callState.dialerConnectedAt,
-    callState.dialerHangupCause,
-    callState.dialedConnectedAt,
-    callState.dialedHangupCause,
-    callState.legATimeline?.lastStatus
-  );
-  const legBStatus = determineLegStatus(
-    callState.dialedConnectedAt,
-    callState.dialedHangupCause,
-    callState.dialerConnectedAt,
-    callState.dialerHangupCause,
-    callState.legBTimeline?.lastStatus
-  );
+function setDncEntry(number, source, reason = null, addedAt = Date.now()) {
+  const key = normalizeDncNumber(number);
+  if (!key) {
+    return null;
+  }
+  const existing = dncEntries.get(key);
+  // Operator file entries win: they cannot be removed at runtime.
+  if (existing && existing.source === 'file' && source !== 'file') {
+    return existing;
+  }
+  const entry = { number: String(number).trim(), source, reason: reason || null, addedAt };
+  dncEntries.set(key, entry);
+  return entry;
+}
 
-  setLegTimelineStatus(callState.legATimeline, legAStatus);
-  setLegTimelineStatus(callState.legBTimeline, legBStatus);
+function clearDncEntries(source) {
+  for (const [key, entry] of dncEntries.entries()) {
+    if (entry.source === source) {
+      dncEntries.delete(key);
+    }
+  }
+}
 
-  setLegTimelineTimestamp(callState.legATimeline, 'endedAt', resolvedCompletedAtMs);
-  setLegTimelineTimestamp(callState.legBTimeline, 'endedAt', resolvedCompletedAtMs);
+function loadDncFiles(config) {
+  clearDncEntries('file');
+  clearDncEntries('runtime');
 
-  let agentIdentity = callState.answeredBy || null;
-  if (!agentIdentity && callState.agentChannelId && callState.agentLegs instanceof Map) {
-    agentIdentity = callState.agentLegs.get(callState.agentChannelId)?.identity || null;
+  if (config.resolvedDncFile) {
+    let content = '';
+    try {
+      content = fs.readFileSync(config.resolvedDncFile, 'utf8');
+    } catch (err) {
+      // A list that has not been created yet is empty, like state/dnc.jsonl; any other error is fatal.
+      if (err?.code !== 'ENOENT') {
+        const message = `Failed to read DNC_FILE at ${config.resolvedDncFile}: ${err.message}`;
+        logWithTimestamp('error', message);
+        throw new Error(message);
+      }
+      logWithTimestamp('warn', `DNC_FILE ${config.resolvedDncFile} does not exist; treating it as an empty list.`);
+    }
+    // One number per line; extra CSV columns (e.g. a comment) are ignored.
+    for (const line of content.split(/\r?\n/)) {
+      setDncEntry(line.split(/[,;\t]/)[0], 'file');
+    }
   }
-  const recordingPath = resolveRecordingPath(callState);
 
-  const summaryRecord = [
-    callStartIso,
-    number,
-    legAStatus,
-    String(legDurations.legA.waitSeconds),
-    String(legDurations.legA.talkSeconds),
-    legBStatus,
-    agentIdentity || 'unknown',
-    String(legDurations.legB.waitSeconds),
-    String(legDurations.legB.talkSeconds),
-    recordingPath
-  ].join(';');
-
-  logWithTimestamp('log', `[${callId}] Call summary: ${summaryRecord}`);
-  logWithTimestamp(
-    'log',
-    `[${callId}] Call metrics: completedAt=${resolvedCompletedAtDate.toISOString()}, number=${number}, status=${legAStatus}/${legBStatus}, ` +
-      `primaryDuration=${durationInfo.primarySeconds}s (${durationInfo.primaryLabel}), detail=${durationInfo.description}`
-  );
-
-  const legALog = formatLegTimeline('legA', callState.legATimeline);
-  const legBLog = formatLegTimeline('legB', callState.legBTimeline);
-  if (legALog || legBLog) {
-    const parts = [];
-    if (legALog) {
-      parts.push(legALog);
+  try {
+    const content = fs.readFileSync(getDncRuntimeFilePath(config), 'utf8');
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        setDncEntry(entry.number, 'runtime', entry.reason, entry.addedAt);
+      } catch (err) {
+        // A torn last line after a crash is expected; skip it.
+      }
     }
-    if (legBLog) {
-      parts.push(legBLog);
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      logWithTimestamp('error', 'Failed to read runtime do-not-call list:', err.message);
     }
-    logWithTimestamp('log', `[${callId}] Leg timelines: ${parts.join(' | ')}`);
   }
 
-  await persistLegTimelines(callId, callState, recordingPath);
-
-  callState.summaryLogged = true;
-
-  return summaryRecord;
+  logWithTimestamp('log', `Do-not-call list loaded with ${dncEntries.size} number(s).`);
 }
 
-async function moveRecordingToResolvedDir(recording, callId) {
-  if (!recording?.id) {
-    return;
-  }
-
-  const targetPath = path.join(currentConfig.resolvedRecordingsDir, `${recording.id}.${recording.format}`);
-
+function persistRuntimeDncEntries() {
+  const lines = [...dncEntries.values()]
+    .filter((entry) => entry.source === 'runtime')
+    .map((entry) => `${JSON.stringify({ number: entry.number, reason: entry.reason, addedAt: entry.addedAt })}\n`);
   try {
-    await fs.promises.access(targetPath, fs.constants.F_OK);
-    logWithTimestamp('log', `[${callId}] Recording already available at ${targetPath}.`);
-    return;
+    writeFileAtomic(getDncRuntimeFilePath(), lines.join(''));
   } catch (err) {
-    // Target file does not exist yet – proceed with locating the source.
+    logWithTimestamp('error', 'Failed to persist runtime do-not-call list:', err.message);
   }
+}
 
-  const sourceFileName = `${recording.id}.${recording.format}`;
-  for (const dir of recordingSearchDirs) {
-    const candidatePath = path.join(dir, sourceFileName);
-    if (candidatePath === targetPath) {
-      continue;
-    }
+async function loadMysqlDncTable(tableName) {
+  const tableIdentifier = escapeIdentifier(tableName);
+  await mysqlPool.query(`
+    CREATE TABLE IF NOT EXISTS ${tableIdentifier} (
+      number VARCHAR(64) NOT NULL PRIMARY KEY,
+      reason VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+
+  const [rows] = await mysqlPool.query(`SELECT number, reason, created_at AS createdAt FROM ${tableIdentifier}`);
+  clearDncEntries('mysql');
+  for (const row of rows) {
+    setDncEntry(row.number, 'mysql', row.reason, toTimestampMs(row.createdAt));
+  }
+  logWithTimestamp('log', `[MySQL] Loaded ${rows.length} do-not-call number(s) from ${tableIdentifier}.`);
+}
 
-    try {
-      await fs.promises.access(candidatePath, fs.constants.F_OK);
-    } catch (err) {
+// Accepts [{ number, reason }]; numbers already on the list are left untouched.
+async function addDncNumbers(requests) {
+  const added = [];
+  for (const { number, reason } of requests) {
+    const key = normalizeDncNumber(number);
+    if (!key || dncEntries.has(key)) {
       continue;
     }
+    added.push(setDncEntry(number, 'runtime', reason));
+  }
+  if (added.length === 0) {
+    return added;
+  }
 
-    try {
-      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
-      try {
-        await fs.promises.rename(candidatePath, targetPath);
-        logWithTimestamp('log', `[${callId}] Moved recording from ${candidatePath} to ${targetPath}.`);
-      } catch (renameErr) {
-        if (renameErr?.code !== 'EXDEV') {
-          throw renameErr;
-        }
+  persistRuntimeDncEntries();
+  logWithTimestamp(
+    'log',
+    `Added ${added.length} number(s) to the do-not-call list: ${added.map((entry) => entry.number).join(', ')}.`
+  );
 
-        await fs.promises.copyFile(candidatePath, targetPath);
-        await fs.promises.unlink(candidatePath).catch(() => {});
-        logWithTimestamp('log', `[${callId}] Copied recording from ${candidatePath} to ${targetPath}.`);
-      }
-      return;
+  const tableName = currentConfig?.mysqlDncTableName;
+  if (tableName && (await ensureMysqlInitialization()) && mysqlPool) {
+    try {
+      await mysqlPool.query(
+        `INSERT IGNORE INTO ${escapeIdentifier(tableName)} (number, reason) VALUES ?`,
+        [added.map((entry) => [entry.number, entry.reason])]
+      );
     } catch (err) {
-      logWithTimestamp('error', `[${callId}] Failed to move recording from ${candidatePath}:`, err.message);
+      logWithTimestamp('error', '[MySQL] Failed to store do-not-call numbers:', err.message);
     }
   }
-
-  logWithTimestamp('warn', `[${callId}] Recording file ${sourceFileName} was not found for transfer.`);
+  return added;
 }
 
-async function recordingFileExists(recording) {
-  if (!recording?.id) {
-    return false;
+async function removeDncNumber(number) {
+  const key = normalizeDncNumber(number);
+  const entry = dncEntries.get(key);
+  if (!entry || entry.source === 'file') {
+    return entry || null;
   }
 
-  const fileName = `${recording.id}.${recording.format}`;
-  for (const dir of recordingSearchDirs) {
-    const candidatePath = path.join(dir, fileName);
+  dncEntries.delete(key);
+  persistRuntimeDncEntries();
+  logWithTimestamp('log', `Removed ${entry.number} from the do-not-call list.`);
+
+  const tableName = currentConfig?.mysqlDncTableName;
+  if (tableName && (await ensureMysqlInitialization()) && mysqlPool) {
     try {
-      await fs.promises.access(candidatePath, fs.constants.F_OK);
-      return true;
+      await mysqlPool.query(`DELETE FROM ${escapeIdentifier(tableName)} WHERE number = ?`, [entry.number]);
     } catch (err) {
-      // File not in this directory – keep checking others.
+      logWithTimestamp('error', '[MySQL] Failed to remove do-not-call number:', err.message);
     }
   }
+  return entry;
+}
 
-  return false;
+function getDncEntry(number) {
+  return dncEntries.get(normalizeDncNumber(number)) || null;
 }
 
-function scheduleRecordingRetry(recordingId, delayMs, trigger) {
-  const ownership = recordingOwnership.get(recordingId);
-  if (!ownership) {
-    return;
+function normalizeTimelineString(value) {
+  if (value == null) {
+    return null;
   }
+  const str = String(value).trim();
+  return str.length > 0 ? str : null;
+}
 
-  if (ownership.retryTimer) {
-    clearTimeout(ownership.retryTimer);
+function extractTimelinePersistenceValues(timeline) {
+  if (!timeline) {
+    return {
+      status: null,
+      number: null,
+      channel: null,
+      pairedChannel: null,
+      peer: null,
+      caller: null,
+      dialString: null,
+      answeredBy: null,
+      start: null,
+      answer: null,
+      end: null
+    };
   }
 
-  ownership.retryTimer = setTimeout(() => {
-    ownership.retryTimer = null;
-    handleRecordingReady(recordingId, trigger).catch((err) => {
-      logWithTimestamp('error', `[${ownership.callId}] Error processing recording '${recordingId}' (${trigger}):`, err.message);
-    });
-  }, delayMs);
+  return {
+    status: normalizeTimelineString(timeline.lastStatus),
+    number: normalizeTimelineString(timeline.targetNumber),
+    channel: normalizeTimelineString(timeline.channelId),
+    pairedChannel: normalizeTimelineString(timeline.pairedChannelId),
+    peer: normalizeTimelineString(timeline.peerName),
+    caller: normalizeTimelineString(timeline.callerName),
+    dialString: normalizeTimelineString(timeline.dialString),
+    answeredBy: normalizeTimelineString(timeline.answeredBy),
+    start: toMysqlDateTime(timeline.startedAt),
+    answer: toMysqlDateTime(timeline.answeredAt),
+    end: toMysqlDateTime(timeline.endedAt)
+  };
 }
 
-async function handleRecordingReady(recordingId, trigger) {
-  const ownership = recordingOwnership.get(recordingId);
-  if (!ownership) {
+async function persistLegTimelines(callId, callState, recordingPath, durationInfo = null) {
+  if (!callId || !callState) {
     return;
   }
 
-  const { callId, recording } = ownership;
-
-  const exists = await recordingFileExists(recording);
-  if (!exists) {
-    const fromEvent = trigger.startsWith('event');
-    const retryDelay = fromEvent ? 1000 : 5000;
-    ownership.retryCounters = ownership.retryCounters || {};
-    ownership.retryCounters[trigger] = (ownership.retryCounters[trigger] || 0) + 1;
-    const attempt = ownership.retryCounters[trigger];
-    logWithTimestamp('log', 
-      `[${callId}] Recording '${recordingId}' not yet present after ${trigger} attempt #${attempt}. Retrying in ${retryDelay} ms.`
-    );
-    scheduleRecordingRetry(recordingId, retryDelay, trigger);
+  const mysqlReady = await ensureMysqlInitialization();
+  if (!mysqlReady || !mysqlLoggingEnabled || !mysqlPool) {
     return;
   }
 
-  await moveRecordingToResolvedDir(recording, callId);
+  const legA = extractTimelinePersistenceValues(callState.legATimeline || null);
+  const legB = extractTimelinePersistenceValues(callState.legBTimeline || null);
+  const contact = callState.contact || null;
 
-  if (ownership.retryTimer) {
-    clearTimeout(ownership.retryTimer);
-  }
+  const tableIdentifier = escapeIdentifier(currentConfig?.mysqlTableName || 'call_leg_timelines');
+  const columns = [
+    'call_id',
+    'recording_path',
+    'leg_a_status',
+    'leg_a_number',
+    'leg_a_channel',
+    'leg_a_paired_channel',
+    'leg_a_peer',
+    'leg_a_caller',
+    'leg_a_dial_string',
+    'leg_a_answered_by',
+    'leg_a_start',
+    'leg_a_answer',
+    'leg_a_end',
+    'leg_b_status',
+    'leg_b_number',
+    'leg_b_channel',
+    'leg_b_paired_channel',
+    'leg_b_peer',
+    'leg_b_caller',
+    'leg_b_dial_string',
+    'leg_b_answered_by',
+    'leg_b_start',
+    'leg_b_answer',
+    'leg_b_end',
+    'campaign',
+    'contact_name',
+    'contact_customer_id',
+    'contact_priority',
+    'contact_fields',
+    'attempt',
+    'amd_result',
+    'amd_cause',
+    'amd_action',
+    'amd_message_played',
+    'leg_a_trunk',
+    'caller_id',
+    'hold_seconds',
+    'hold_media',
+    'safe_harbor_played',
+    'leg_a_ivr_digits',
+    'leg_a_ivr_branch',
+    'broadcast_plays',
+    'broadcast_completed'
+  ];
 
-  recordingOwnership.delete(recordingId);
+  const placeholders = columns.map(() => '?').join(', ');
+  const updateAssignments = columns
+    .filter((column) => column !== 'call_id')
+    .map((column) => `${column} = VALUES(${column})`)
+    .join(',\n      ');
+  const insertSql = `
+    INSERT INTO ${tableIdentifier} (${columns.join(', ')})
+    VALUES (${placeholders})
+    ON DUPLICATE KEY UPDATE
+      ${updateAssignments}
+  `;
 
-  const callState = activeCalls.get(callId);
-  if (callState?.recording?.id === recordingId) {
-    callState.recording = null;
+  const values = [
+    normalizeTimelineString(callId),
+    normalizeTimelineString(recordingPath),
+    legA.status,
+    legA.number,
+    legA.channel,
+    legA.pairedChannel,
+    legA.peer,
+    legA.caller,
+    legA.dialString,
+    legA.answeredBy,
+    legA.start,
+    legA.answer,
+    legA.end,
+    legB.status,
+    legB.number,
+    legB.channel,
+    legB.pairedChannel,
+    legB.peer,
+    legB.caller,
+    legB.dialString,
+    legB.answeredBy,
+    legB.start,
+    legB.answer,
+    legB.end,
+    normalizeTimelineString(callState.campaign),
+    normalizeTimelineString(contact?.name),
+    normalizeTimelineString(contact?.customerId),
+    Number.isInteger(contact?.priority) ? contact.priority : null,
+    contact?.fields && Object.keys(contact.fields).length > 0 ? JSON.stringify(contact.fields) : null,
+    Number.isInteger(callState.attempt) ? callState.attempt : null,
+    normalizeTimelineString(callState.amd?.result),
+    normalizeTimelineString(callState.amd?.cause),
+    normalizeTimelineString(callState.amd?.action),
+    typeof callState.amd?.messagePlayed === 'boolean' ? Number(callState.amd.messagePlayed) : null,
+    normalizeTimelineString(callState.legATimeline?.trunk),
+    normalizeTimelineString(callState.callerId),
+    Number.isInteger(durationInfo?.holdSeconds) ? durationInfo.holdSeconds : null,
+    normalizeTimelineString(describeHoldMedia(callState.hold)),
+    typeof callState.abandoned?.messagePlayed === 'boolean' ? Number(callState.abandoned.messagePlayed) : null,
+    callState.legATimeline?.ivrBranch ? callState.legATimeline.ivrDigits : null,
+    normalizeTimelineString(callState.legATimeline?.ivrBranch),
+    callState.broadcast ? callState.broadcast.plays : null,
+    callState.broadcast ? Number(callState.broadcast.completed) : null
+  ];
+
+  try {
+    await mysqlPool.execute(insertSql, values);
+    logWithTimestamp('log', `[${callId}] Persisted leg timelines to MySQL table ${tableIdentifier}.`);
+  } catch (err) {
+    logWithTimestamp('error', `[${callId}] Failed to persist leg timelines to MySQL:`, err.message);
   }
 }
 
-async function cleanupCall(callId, client) {
-  const callState = activeCalls.get(callId);
-  if (!callState) {
-    return;
+process.on('exit', () => {
+  if (mysqlPool) {
+    mysqlPool.end().catch(() => {});
   }
+});
 
-  clearCallWatchdog(callState);
+ensureMysqlInitialization();
 
-  const completedAtMs = callState.completedAtMs ?? Date.now();
-  callState.completedAtMs = completedAtMs;
-  const completedAt = new Date(completedAtMs);
-  await logCallSummary(callId, callState, completedAt);
+const numberPattern = /^[0-9+*#]+$/;
 
-  if (callState.bridges instanceof Set) {
-    for (const trackedBridgeId of callState.bridges) {
-      bridgeToCallId.delete(trackedBridgeId);
-    }
-    callState.bridges.clear();
+function parseNumber(value, sourceDescription, numbering = currentConfig?.numbering) {
+  const trimmed = (value || '').trim();
+  if (!trimmed) {
+    return null;
   }
+  const candidate = numbering?.enabled ? stripNumberFormatting(trimmed) : trimmed;
+  if (!numberPattern.test(candidate)) {
+    logWithTimestamp('warn', `Skipping invalid number '${trimmed}' from ${sourceDescription}.`);
+    return null;
+  }
+  return normalizePhoneNumber(candidate, numbering);
+}
 
-  if (callState.recording?.id) {
-    const recordingState = callState.recording;
-    const { id: name, bridgeId, mode } = recordingState;
-    let stopped = false;
+function getSourceNumber(value, number) {
+  const digits = stripNumberFormatting(String(value ?? '').trim()).replace(/^\+/, '');
+  return digits !== number.replace(/^\+/, '') ? digits : null;
+}
 
-    if (mode === 'bridge' && bridgeId && client?.bridges?.stopMedia) {
-      try {
-        logWithTimestamp('log', `[${callId}] Stopping bridge recording '${name}' on bridge ${bridgeId}.`);
-        await client.bridges.stopMedia({ bridgeId, media: 'recording' });
-        stopped = true;
-      } catch (err) {
-        if (!/not found/i.test(err?.message || '')) {
-          logWithTimestamp('error', `[${callId}] Failed to stop bridge recording ${name}:`, err.message);
-        }
-      }
-    }
+const contactColumnAliases = {
+  number: 'number',
+  phone: 'number',
+  phonenumber: 'number',
+  msisdn: 'number',
+  tel: 'number',
+  name: 'name',
+  fullname: 'name',
+  contactname: 'name',
+  customerid: 'customerId',
+  externalid: 'customerId',
+  externalcustomerid: 'customerId',
+  clientid: 'customerId',
+  priority: 'priority'
+};
 
-    if (!stopped && client?.recordings?.stop) {
-      try {
-        logWithTimestamp('log', `[${callId}] Stopping recording '${name}' via recordings API.`);
-        await client.recordings.stop({ recordingName: name });
-        stopped = true;
-      } catch (err) {
-        if (!/not found/i.test(err?.message || '')) {
-          logWithTimestamp('error', `[${callId}] Failed to stop recording ${name}:`, err.message);
-        }
-      }
-    }
+function resolveContactColumn(key) {
+  const normalized = String(key || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return contactColumnAliases[normalized] || null;
+}
 
-    if (stopped) {
-      logWithTimestamp('log', 
-        `[${callId}] Recording '${name}' stop requested. Waiting for RecordingFinished event before moving file.`
-      );
+function createContact(number, metadata = {}) {
+  const priority = parseInt(metadata.priority, 10);
+  return {
+    number,
+    // The digits as uploaded, kept when normalization changed them.
+    ...(metadata.sourceNumber ? { sourceNumber: metadata.sourceNumber } : {}),
+    name: normalizeTimelineString(metadata.name),
+    customerId: normalizeTimelineString(metadata.customerId),
+    priority: Number.isInteger(priority) ? priority : 0,
+    fields: metadata.fields && typeof metadata.fields === 'object' ? { ...metadata.fields } : {}
+  };
+}
 
-      if (recordingOwnership.has(recordingState.id)) {
-        scheduleRecordingRetry(recordingState.id, 10000, 'fallback');
-      } else {
-        logWithTimestamp('warn', 
-          `[${callId}] Recording '${name}' was not tracked for ownership. Scheduling immediate retry.`
-        );
-        recordingOwnership.set(recordingState.id, {
-          callId,
-          recording: recordingState,
-          retryTimer: null,
-          retryCounters: {}
-        });
-        scheduleRecordingRetry(recordingState.id, 5000, 'fallback');
-      }
-    }
+function splitContactRecord(record) {
+  if (record == null || typeof record !== 'object') {
+    return { rawNumber: record == null ? '' : String(record), metadata: {} };
   }
 
-  if (callState.bridges && callState.bridges.size > 0) {
-    for (const knownBridgeId of callState.bridges) {
-      if (knownBridgeId) {
-        bridgeToCallId.delete(knownBridgeId);
-      }
+  const metadata = { fields: {} };
+  let rawNumber = '';
+  for (const [key, value] of Object.entries(record)) {
+    if (key === 'fields' && value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(metadata.fields, value);
+      continue;
+    }
+    // Contacts saved with the campaign settings are parsed again when a run starts.
+    if (key === 'sourceNumber') {
+      metadata.sourceNumber = value == null ? null : String(value);
+      continue;
     }
-    callState.bridges.clear();
-  }
 
-  if (callState.bridge) {
-    try {
-      const bridgeId = callState.bridge.id;
-      logWithTimestamp('log', `[${callId}] Destroying bridge${bridgeId ? ` ${bridgeId}` : ''}.`);
-      if (bridgeId) {
-        bridgeToCallId.delete(bridgeId);
-      }
-      await callState.bridge.destroy();
-    } catch (err) {
-      if (err?.message && !/not found/i.test(err.message)) {
-        logWithTimestamp('error', 'Error destroying bridge:', err.message);
-      }
+    const column = resolveContactColumn(key);
+    if (column === 'number') {
+      rawNumber = value == null ? '' : String(value);
+    } else if (column) {
+      metadata[column] = value;
+    } else if (value != null && String(value).trim() !== '') {
+      metadata.fields[key] = typeof value === 'object' ? value : String(value).trim();
     }
   }
 
-  callState.channels.forEach((channelId) => channelToCallId.delete(channelId));
-  callState.channelRoles.clear();
-  if (callState.agentChannels) {
-    callState.agentChannels.forEach((channelId) => channelToCallId.delete(channelId));
-    callState.agentChannels.clear();
-  }
-  if (callState.linkedIds) {
-    callState.linkedIds.forEach((linkedId) => linkedIdToCallId.delete(linkedId));
-    callState.linkedIds.clear();
-  }
-  activeCalls.delete(callId);
-  callNumberMap.delete(callId);
-  logWithTimestamp('log', `[${callId}] Call state cleaned up.`);
+  return { rawNumber, metadata };
 }
 
-function maybeOriginateNext(client) {
-  const concurrencyLimit = currentConfig?.callConcurrencyLimit ?? 1;
-
-  while (inFlightCalls.size < concurrencyLimit && numbersQueue.length > 0) {
-    const nextNumber = numbersQueue.shift();
-    originateCall(client, nextNumber).catch((err) => {
-      logWithTimestamp('error', 'Unexpected error during call origination:', err.message);
-    });
+function isBlankContactRecord(record) {
+  if (record == null) {
+    return true;
   }
-
-  if (numbersQueue.length === 0 && inFlightCalls.size === 0 && !numbersDepletedLogged) {
-    numbersDepletedLogged = true;
-    logWithTimestamp('log', 'All outbound numbers have been processed.');
+  if (typeof record !== 'object') {
+    return String(record).trim() === '';
   }
+  return Object.values(record).every((value) => value == null || String(value).trim() === '');
 }
 
-function markCallCompleted(client, callId) {
-  const removed = inFlightCalls.delete(callId);
-  callNumberMap.delete(callId);
-  if (removed) {
-    maybeOriginateNext(client);
-  }
-}
+// knownNumbers holds numbers that are already queued; repeats of them and within the list are rejected.
+function parseContactRecords(records, sourceDescription, firstRow = 1, knownNumbers = new Set()) {
+  const contacts = [];
+  const rejected = [];
+  const seenNumbers = new Set(knownNumbers);
 
-async function originateCall(client, number) {
-  const callId = uuidv4();
-  const outboundEndpoint = `PJSIP/${number}@${currentConfig.ARI_TRUNK}`;
-  const callTimeoutSeconds = currentConfig.callTimeoutSeconds;
+  records.forEach((record, index) => {
+    if (isBlankContactRecord(record)) {
+      return;
+    }
 
-  inFlightCalls.add(callId);
-  callNumberMap.set(callId, number);
+    const row = firstRow + index;
+    const { rawNumber, metadata } = splitContactRecord(record);
+    const value = rawNumber.trim();
+    if (!value) {
+      logWithTimestamp('warn', `Skipping row ${row} without a number from ${sourceDescription}.`);
+      rejected.push({ row, value, reason: 'missing number' });
+      return;
+    }
 
-  const callState = getCallState(callId);
-  if (callState && !callState.number) {
-    callState.number = number;
-  }
-  if (callState) {
-    if (!callState.legATimeline.targetNumber) {
-      callState.legATimeline.targetNumber = number;
+    const number = parseNumber(value, `${sourceDescription} (row ${row})`);
+    if (!number) {
+      rejected.push({ row, value, reason: 'invalid number' });
+      return;
+    }
+    if (seenNumbers.has(number)) {
+      logWithTimestamp('warn', `Skipping duplicate number '${number}' from ${sourceDescription} (row ${row}).`);
+      rejected.push({ row, value, reason: 'duplicate' });
+      return;
     }
-    setLegTimelineTimestamp(callState.legATimeline, 'startedAt', callState.createdAt);
-  }
-  scheduleCallWatchdog(client, callId, callState, callTimeoutSeconds);
 
-  logWithTimestamp('log', `[${callId}] Dialing outbound endpoint: ${outboundEndpoint}`);
+    seenNumbers.add(number);
+    contacts.push(
+      createContact(number, { ...metadata, sourceNumber: metadata.sourceNumber || getSourceNumber(value, number) })
+    );
+  });
 
-  try {
-    await client.channels.originate({
-      endpoint: outboundEndpoint,
-      app: currentConfig.STASIS_APP,
-      appArgs: ['dialer', callId].join(','),
-      callerId: currentConfig.CALLER_ID || undefined,
-      timeout: callTimeoutSeconds
-    });
+  return { contacts, rejected };
+}
 
-    logWithTimestamp('log', `[${callId}] Origination request sent to outbound endpoint. Waiting for events...`);
-  } catch (err) {
-    logWithTimestamp('error', `[${callId}] Failed to originate outbound call:`, err.message);
-    if (callState) {
-      clearCallWatchdog(callState);
-      activeCalls.delete(callId);
+function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [',', ';', '\t'];
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of candidates) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
     }
-    markCallCompleted(client, callId);
   }
+  return best;
 }
 
-function parseArgs(args) {
-  if (!args) {
-    return { role: 'unknown', callId: undefined };
+function parseCsvRows(text) {
+  const delimiter = detectCsvDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
   }
 
-  let normalizedArgs;
-  if (Array.isArray(args)) {
-    normalizedArgs = args;
-  } else if (typeof args === 'string') {
-    normalizedArgs = args
-      .split(',')
-      .map((part) => part.trim())
-      .filter((part) => part.length > 0);
-  } else {
-    normalizedArgs = [String(args)];
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
   }
 
-  const [role, callId] = normalizedArgs;
-  return { role: role || 'unknown', callId };
+  return rows;
 }
 
-async function handleStasisStart(client, event) {
-  const channel = event.channel;
-  const { role, callId: providedCallId } = parseArgs(event.args);
-  const callId = providedCallId || channel.id;
-  const timestampMs = getEventTimestampMs(event);
+function parseContactsCsv(text, sourceDescription, knownNumbers) {
+  const rows = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return { contacts: [], rejected: [] };
+  }
 
-  logWithTimestamp(
-    'log',
-    `[${callId}] handleStasisStart received for channel ${channel?.id || 'unknown'} (${channel?.name || 'unknown'}) role '${
-      role || 'unknown'
-    }'.`
-  );
+  const firstCell = (rows[0][0] || '').trim();
+  const hasHeader = !numberPattern.test(stripNumberFormatting(firstCell));
+  const header = hasHeader
+    ? rows[0].map((name) => name.trim())
+    : rows[0].map((_, index) => (index === 0 ? 'number' : `column${index + 1}`));
 
-  const callState = getCallState(callId);
-  channelToCallId.set(channel.id, callId);
-  if (channel.linkedid) {
-    linkedIdToCallId.set(channel.linkedid, callId);
-    callState.linkedIds.add(channel.linkedid);
-  }
-  callState.channelRoles.set(channel.id, role);
-  if (role === 'dialer') {
-    callState.dialerChannelId = channel.id;
-    callState.dialerUp = channel.state === 'Up';
-    updateLegTimelineMetadata(callState.legATimeline, channel);
-    setLegTimelineTimestamp(callState.legATimeline, 'startedAt', timestampMs);
-    if (channel.state === 'Up') {
-      setLegTimelineTimestamp(callState.legATimeline, 'answeredAt', timestampMs);
-    }
-  }
-  if (!callState.number && callNumberMap.has(callId)) {
-    callState.number = callNumberMap.get(callId);
+  if (!header.some((name) => resolveContactColumn(name) === 'number')) {
+    throw new Error(`CSV header in ${sourceDescription} must include a number column (number, phone or msisdn).`);
   }
 
-  logWithTimestamp('log', `[${callId}] Channel ${channel.id} entered Stasis with role '${role}'.`);
-
-  if (!callState.bridge) {
-    callState.bridge = client.Bridge();
-    await callState.bridge.create({ type: 'mixing', name: `bridge-${callId}` });
-    logWithTimestamp('log', `[${callId}] Bridge created: ${callState.bridge.id}.`);
-    if (callState.bridge.id) {
-      bridgeToCallId.set(callState.bridge.id, callId);
-      if (callState.bridges) {
-        callState.bridges.add(callState.bridge.id);
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const records = dataRows.map((cells) => {
+    const record = {};
+    header.forEach((name, index) => {
+      if (name) {
+        record[name] = cells[index] ?? '';
       }
-    }
-  }
+    });
+    return record;
+  });
 
-  callState.channels.add(channel.id);
+  return parseContactRecords(records, sourceDescription, hasHeader ? 2 : 1, knownNumbers);
+}
 
+function parseContactsJson(text, sourceDescription, knownNumbers) {
+  let data;
   try {
-    await callState.bridge.addChannel({ channel: channel.id });
-    logWithTimestamp('log', `[${callId}] Channel ${channel.id} added to bridge.`);
-    if (role === 'dialer' && channel.state === 'Up') {
-      logWithTimestamp(
-        'log',
-        `[${callId}] Dialer channel ${channel.id} is already Up; starting recording immediately.`
-      );
-      callState.dialerConnectedAt = callState.dialerConnectedAt || Date.now();
-      callState.dialerUp = true;
-      updateCallConnectionState(callState);
-      await startDialerRecording(client, callId, callState);
-    }
+    data = JSON.parse(text);
   } catch (err) {
-    logWithTimestamp('error', 'Failed to add channel to bridge:', err.message);
+    throw new Error(`Invalid JSON in ${sourceDescription}: ${err.message}`);
   }
 
-  if (role === 'dialed') {
-    try {
-      await client.channels.answer({ channelId: channel.id });
-      logWithTimestamp('log', `[${callId}] Answered dialed channel ${channel.id}.`);
-      updateAnsweredIdentity(callState, channel);
-      callState.dialedChannelId = callState.dialedChannelId || channel.id;
-      updateLegTimelineMetadata(callState.legBTimeline, channel);
-      if (channel.state === 'Up') {
-        callState.dialedConnectedAt = callState.dialedConnectedAt || Date.now();
-        updateCallConnectionState(callState);
-      }
-      await startDialerRecording(client, callId, callState);
-    } catch (err) {
-      logWithTimestamp('error', 'Failed to answer dialed channel:', err.message);
-    }
-    return;
+  const list = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.contacts)
+    ? data.contacts
+    : Array.isArray(data?.numbers)
+    ? data.numbers
+    : null;
+  if (!list) {
+    throw new Error(`${sourceDescription} must contain an array of contacts or a "contacts" array.`);
   }
 
-  if (!callState.originatedPartner) {
-    callState.originatedPartner = true;
-    try {
-      const destinationCallerId =
-        (callState && callState.number) ||
-        callNumberMap.get(callId) ||
-        currentConfig.CALLER_ID ||
-        undefined;
-      const destinationEndpoint = getDestinationEndpoint();
+  return parseContactRecords(list, sourceDescription, 1, knownNumbers);
+}
 
-      await client.channels.originate({
-        endpoint: destinationEndpoint,
-        app: currentConfig.STASIS_APP,
-        appArgs: ['dialed', callId].join(','),
-        timeout: currentConfig.callTimeoutSeconds,
-        callerId: destinationCallerId
-      });
-      logWithTimestamp('log', `[${callId}] Originated call to destination endpoint: ${destinationEndpoint}.`);
-    } catch (err) {
-      logWithTimestamp('error', 'Failed to originate partner channel:', err.message);
-      await cleanupCall(callId, client);
-      markCallCompleted(client, callId);
-    }
-  }
+function sortContactsByPriority(contacts) {
+  return [...contacts].sort((left, right) => (right.priority || 0) - (left.priority || 0));
 }
 
-async function handleStasisEnd(client, event) {
-  const eventType = event?.type || 'unknown';
-  const channel = event?.channel || null;
-  const channelId = channel?.id;
-  if (!channelId) {
-    return;
+function loadContacts(config = currentConfig) {
+  if (!config) {
+    return [];
   }
 
-  const bridgeId = event?.bridge?.id || channel?.bridge?.id || null;
-  let callId = channelToCallId.get(channelId) || null;
+  let sourceDescription;
+  let contacts;
 
-  if (!callId && bridgeId && bridgeToCallId.has(bridgeId)) {
-    callId = bridgeToCallId.get(bridgeId);
+  if (Array.isArray(config.numbers)) {
+    sourceDescription = `campaign '${config.campaignName || 'unknown'}' number list`;
+    ({ contacts } = parseContactRecords(config.numbers, sourceDescription));
+  } else if (config.OUTBOUND_NUMBER_FILE) {
+    const resolvedPath = path.resolve(config.OUTBOUND_NUMBER_FILE);
+    let fileContent;
+    try {
+      fileContent = fs.readFileSync(resolvedPath, 'utf8');
+    } catch (err) {
+      const message = `Failed to read OUTBOUND_NUMBER_FILE at ${resolvedPath}: ${err.message}`;
+      logWithTimestamp('error', message);
+      throw new Error(message);
+    }
+
+    sourceDescription = resolvedPath;
+    const extension = path.extname(resolvedPath).toLowerCase();
+    if (extension === '.csv') {
+      ({ contacts } = parseContactsCsv(fileContent, `file '${resolvedPath}'`));
+    } else if (extension === '.json') {
+      ({ contacts } = parseContactsJson(fileContent, `file '${resolvedPath}'`));
+    } else {
+      ({ contacts } = parseContactRecords(fileContent.split(/\r?\n/), `file '${resolvedPath}'`));
+    }
+  } else {
+    const parsed = parseNumber(config.OUTBOUND_NUMBER, 'OUTBOUND_NUMBER');
+    if (!parsed) {
+      const message = 'OUTBOUND_NUMBER is empty or invalid.';
+      logWithTimestamp('error', message);
+      throw new Error(message);
+    }
+    return [createContact(parsed, { sourceNumber: getSourceNumber(config.OUTBOUND_NUMBER, parsed) })];
   }
 
-  let callState = callId ? activeCalls.get(callId) : null;
+  if (contacts.length === 0) {
+    const message = `No valid outbound numbers found in ${sourceDescription}.`;
+    logWithTimestamp('error', message);
+    throw new Error(message);
+  }
+  return sortContactsByPriority(contacts);
+}
 
-  if (!callId && channel?.linkedid) {
-    if (linkedIdToCallId.has(channel.linkedid)) {
-      callId = linkedIdToCallId.get(channel.linkedid);
-      callState = callId ? activeCalls.get(callId) : null;
-    }
+let lastStartRestarted = false;
 
-    if (!callId) {
-      for (const [candidateCallId, candidateState] of activeCalls.entries()) {
-        if (candidateState?.linkedIds instanceof Set && candidateState.linkedIds.has(channel.linkedid)) {
-          callId = candidateCallId;
-          callState = candidateState;
-          break;
-        }
-      }
-    }
+function getFallbackTargetEndpoint(config = currentConfig) {
+  if (!config) {
+    return 'Local/777@default';
   }
+  return `Local/${config.TARGET_EXTENSION}@${config.TARGET_CONTEXT}`;
+}
 
-  if (!callId || !callState) {
-    if (eventType === 'ChannelDestroyed') {
-      channelToCallId.delete(channelId);
+function getDestinationEndpoint(config = currentConfig) {
+  const fallback = getFallbackTargetEndpoint(config);
+  const candidate = config?.TARGET_ENDPOINT;
+  if (candidate) {
+    const trimmed = candidate.trim();
+    if (trimmed) {
+      return trimmed;
     }
-    return;
   }
+  return fallback;
+}
 
-  if (!channelToCallId.has(channelId)) {
-    channelToCallId.set(channelId, callId);
+const inFlightCalls = new Set();
+const callNumberMap = new Map();
+const activeCalls = new Map();
+const channelToCallId = new Map();
+const bridgeToCallId = new Map();
+const linkedIdToCallId = new Map();
+const recordingOwnership = new Map();
+
+const DEFAULT_CAMPAIGN_NAME = 'default';
+const campaignNamePattern = /^[A-Za-z0-9_.-]{1,64}$/;
+const campaigns = new Map();
+const callCampaignMap = new Map();
+// Trunk name -> calls in flight on it, across all campaigns.
+const trunkCallCounts = new Map();
+const callTrunkMap = new Map();
+// Caller ID -> { date, count, lastUsedAt } across all campaigns, persisted so daily caps survive restarts.
+const callerIdUsage = new Map();
+let callerIdUsageFilePath = null;
+let callerIdUsagePersistTimer = null;
+let callerIdUsageWrite = Promise.resolve();
+const CALLER_ID_USAGE_PERSIST_DELAY_MS = 1000;
+let callerIdCapTimer = null;
+
+function parsePositiveIntegerSetting(value, label) {
+  const parsed = typeof value === 'number' ? value : parseInt(String(value).trim(), 10);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error(`${label} must be a positive integer.`);
+  }
+  return parsed;
+}
+
+function normalizeOptionalString(value, label) {
+  if (value == null) {
+    return undefined;
   }
-  if (callState.channels instanceof Set && !callState.channels.has(channelId)) {
-    callState.channels.add(channelId);
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error(`${label} must be a string.`);
   }
-  if (bridgeId) {
-    bridgeToCallId.set(bridgeId, callId);
-    if (callState.bridges instanceof Set) {
-      callState.bridges.add(bridgeId);
-    }
+  const trimmed = String(value).trim();
+  return trimmed || undefined;
+}
+
+// Campaign settings come from HTTP clients, so numberFile may only name a file inside NUMBER_FILES_DIR.
+function normalizeNumberFileName(value, label) {
+  const segments = value.split(/[\\/]/);
+  if (path.isAbsolute(value) || /^[A-Za-z]:/.test(value) || segments.includes('..')) {
+    throw new Error(`${label} must be a relative path inside NUMBER_FILES_DIR without '..' segments.`);
   }
-  if (channel?.linkedid) {
-    linkedIdToCallId.set(channel.linkedid, callId);
-    if (callState.linkedIds instanceof Set) {
-      callState.linkedIds.add(channel.linkedid);
-    }
+  return value;
+}
+
+function normalizeCampaignSettings(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Campaign settings must be a JSON object.');
   }
 
-  let role = callState.channelRoles.get(channelId) || null;
-  if (!role || role === 'unknown') {
-    if (callState.dialerChannelId === channelId) {
-      role = 'dialer';
-    } else if (callState.dialedChannelId === channelId) {
-      role = 'dialed';
-    } else if (callState.legBTimeline?.channelId === channelId || callState.legBTimeline?.pairedChannelId === channelId) {
-      role = 'dialed';
-    } else if (callState.legATimeline?.channelId === channelId) {
-      role = 'dialer';
-    } else {
-      const channelName = channel?.name || '';
-      const baseName = stripLocalSuffix(channelName);
-      const pairedName = callState.legBTimeline?.pairedChannelName || null;
-      if (pairedName && stripLocalSuffix(pairedName) === baseName) {
-        role = 'dialed';
-      }
-      if (callState.originatedPartner && isTargetLocalChannelName(baseName)) {
-        role = 'dialed';
-      }
+  const settings = {};
+  const stringFields = [
+    ['trunk', 'trunk'],
+    ['callerId', 'callerId'],
+    ['targetEndpoint', 'targetEndpoint'],
+    ['targetExtension', 'targetExtension'],
+    ['targetContext', 'targetContext'],
+    ['numberFile', 'numberFile'],
+    ['agentQueue', 'agentQueue']
+  ];
+  for (const [key, label] of stringFields) {
+    const value = normalizeOptionalString(input[key], label);
+    if (value !== undefined) {
+      settings[key] = value;
     }
+  }
+  if (settings.numberFile) {
+    settings.numberFile = normalizeNumberFileName(settings.numberFile, 'numberFile');
+  }
 
-    if (!role) {
-      if (!callState.dialerChannelId) {
-        role = 'dialer';
-      } else if (!callState.dialedChannelId) {
-        role = 'dialed';
-      }
+  if (input.trunks != null) {
+    settings.trunks = parseTrunkPool(input.trunks, 'trunks');
+    if (settings.trunks.length === 0) {
+      throw new Error('trunks must list at least one trunk.');
     }
-
-    if (role) {
-      callState.channelRoles.set(channelId, role);
-      if (role === 'dialer') {
-        callState.dialerChannelId = callState.dialerChannelId || channelId;
-        updateLegTimelineMetadata(callState.legATimeline, channel);
-      } else if (role === 'dialed') {
-        callState.dialedChannelId = callState.dialedChannelId || channelId;
-        updateLegTimelineMetadata(callState.legBTimeline, channel);
-      }
+  }
+  if (input.callerIdPool != null) {
+    settings.callerIdPool = parseCallerIdPool(input.callerIdPool, 'callerIdPool');
+  }
+  if (input.callerIdStrategy != null) {
+    settings.callerIdStrategy = normalizeCallerIdStrategy(input.callerIdStrategy, 'callerIdStrategy');
+  }
+  if (input.callerIdDailyCap != null) {
+    settings.callerIdDailyCap = parsePositiveIntegerSetting(input.callerIdDailyCap, 'callerIdDailyCap');
+  }
+  if (input.maxConcurrency != null) {
+    settings.maxConcurrency = parsePositiveIntegerSetting(input.maxConcurrency, 'maxConcurrency');
+  }
+  if (input.callTimeout != null) {
+    settings.callTimeout = parsePositiveIntegerSetting(input.callTimeout, 'callTimeout');
+  }
+  if (input.retryRules != null) {
+    settings.retryRules = parseRetryRules(input.retryRules, 'retryRules');
+  }
+  if (input.retryFinalStatuses != null) {
+    settings.retryFinalStatuses = parseStatusList(input.retryFinalStatuses, 'retryFinalStatuses');
+  }
+  if (input.pacingMode != null) {
+    settings.pacingMode = normalizePacingMode(input.pacingMode, 'pacingMode');
+  }
+  if (input.pacingTargetAbandonRate != null) {
+    settings.pacingTargetAbandonRate = parsePercentSetting(input.pacingTargetAbandonRate, 'pacingTargetAbandonRate');
+  }
+  for (const key of ['pacingAgents', 'pacingMinConcurrency', 'pacingMaxConcurrency']) {
+    if (input[key] != null) {
+      settings[key] = parsePositiveIntegerSetting(input[key], key);
     }
   }
-
-  role = role || 'unknown';
-  const timestampMs = getEventTimestampMs(event);
-
-  logWithTimestamp(
-    'log',
-    `[${callId}] handleStasisEnd received for channel ${channelId} (${channel?.name || 'unknown'}) role '${role}' (${eventType}).`
-  );
-
-  const hangupCause = resolveHangupCause(event, event.channel);
-  if (role === 'dialer' && hangupCause) {
-    callState.dialerHangupCause = hangupCause;
-    const legTimeline = callState.legATimeline;
-    const existingStatus = (legTimeline?.lastStatus || '').toUpperCase();
-    if (legTimeline && existingStatus !== 'ANSWER' && existingStatus !== 'ANSWERED') {
-      setLegTimelineStatus(legTimeline, hangupCause);
+  if (
+    settings.pacingMinConcurrency &&
+    settings.pacingMaxConcurrency &&
+    settings.pacingMinConcurrency > settings.pacingMaxConcurrency
+  ) {
+    throw new Error('pacingMinConcurrency must not exceed pacingMaxConcurrency.');
+  }
+  if (input.amdEnabled != null) {
+    settings.amdEnabled = parseBooleanSetting(input.amdEnabled, 'amdEnabled');
+  }
+  for (const [key, result] of [
+    ['amdHumanAction', 'HUMAN'],
+    ['amdMachineAction', 'MACHINE'],
+    ['amdNotSureAction', 'NOTSURE']
+  ]) {
+    if (input[key] != null) {
+      settings[key] = normalizeAmdAction(input[key], key);
     }
   }
-  if (role === 'dialed' && hangupCause) {
-    callState.dialedHangupCause = hangupCause;
-    const legTimeline = callState.legBTimeline;
-    const existingStatus = (legTimeline?.lastStatus || '').toUpperCase();
-    if (legTimeline && existingStatus !== 'ANSWER' && existingStatus !== 'ANSWERED') {
-      setLegTimelineStatus(legTimeline, hangupCause);
+  const amdMessage = normalizeOptionalString(input.amdMessage, 'amdMessage');
+  if (amdMessage !== undefined) {
+    settings.amdMessage = amdMessage;
+  }
+  const holdMusicClass = normalizeOptionalString(input.holdMusicClass, 'holdMusicClass');
+  if (holdMusicClass !== undefined) {
+    settings.holdMusicClass = holdMusicClass;
+  }
+  if (input.holdAnnouncement != null) {
+    settings.holdAnnouncement = parseMediaList(input.holdAnnouncement, 'holdAnnouncement');
+  }
+  if (input.ivrPrompt != null) {
+    settings.ivrPrompt = parseMediaList(input.ivrPrompt, 'ivrPrompt');
+  }
+  if (input.ivrActions != null) {
+    settings.ivrActions = parseIvrActions(input.ivrActions, 'ivrActions');
+  }
+  for (const key of ['ivrTimeout', 'ivrCallbackDelay', 'ivrMaxCallbacks']) {
+    if (input[key] != null) {
+      settings[key] = parsePositiveIntegerSetting(input[key], key);
     }
   }
-  if (role === 'dialed') {
-    updateAnsweredIdentity(callState, event.channel);
+  if (input.ivrNoInputAction != null) {
+    settings.ivrNoInputAction = normalizeIvrAction(input.ivrNoInputAction, 'ivrNoInputAction');
   }
-
-  if (role === 'dialer') {
-    callState.dialerHangupAt = callState.dialerHangupAt ?? timestampMs;
-    setLegTimelineTimestamp(callState.legATimeline, 'endedAt', timestampMs);
+  if (input.mode != null) {
+    settings.mode = normalizeCampaignMode(input.mode, 'mode');
   }
-  if (role === 'dialed') {
-    callState.dialedHangupAt = callState.dialedHangupAt ?? timestampMs;
-    setLegTimelineTimestamp(callState.legBTimeline, 'endedAt', timestampMs);
+  if (input.broadcastMessage != null) {
+    settings.broadcastMessage = parseMediaList(input.broadcastMessage, 'broadcastMessage');
   }
-  if (role === 'agent' && callState.agentLegs instanceof Map) {
-    const leg = callState.agentLegs.get(channelId);
-    if (leg) {
-      leg.hangupAt = leg.hangupAt ?? timestampMs;
+  const broadcastRepeatDigit = normalizeOptionalString(input.broadcastRepeatDigit, 'broadcastRepeatDigit');
+  if (broadcastRepeatDigit !== undefined) {
+    settings.broadcastRepeatDigit = normalizeDtmfDigit(broadcastRepeatDigit, 'broadcastRepeatDigit');
+  }
+  for (const key of ['broadcastMaxRepeats', 'broadcastRepeatTimeout']) {
+    if (input[key] != null) {
+      settings[key] = parsePositiveIntegerSetting(input[key], key);
     }
   }
-
-  logWithTimestamp('log', `[${callId}] Channel ${channelId} with role '${role}' left Stasis (${eventType}).`);
-
-  const isStasisEnd = eventType === 'StasisEnd';
-  const isChannelDestroyed = eventType === 'ChannelDestroyed';
-
-  if (isStasisEnd && (role === 'dialed' || role === 'dialer')) {
-    const disconnectedSide = role === 'dialed' ? 'Destination' : 'Outbound';
-    const remainingSide = role === 'dialed' ? 'outbound' : 'destination';
-    logWithTimestamp('log',
-      `[${callId}] ${disconnectedSide} channel disconnected. Hanging up remaining ${remainingSide} channels.`
-    );
-    for (const otherChannelId of callState.channels) {
-      if (otherChannelId === channelId) {
-        continue;
-      }
-      try {
-        logWithTimestamp('log', `[${callId}] Hanging up channel ${otherChannelId}.`);
-        await client.channels.hangup({ channelId: otherChannelId });
-      } catch (err) {
-        logWithTimestamp('error', `[${callId}] Failed to hang up channel ${otherChannelId}:`, err.message);
-      }
+  if (input.maxAgentWait != null) {
+    settings.maxAgentWait = parsePositiveIntegerSetting(input.maxAgentWait, 'maxAgentWait');
+  }
+  const safeHarborMessage = normalizeOptionalString(input.safeHarborMessage, 'safeHarborMessage');
+  if (safeHarborMessage !== undefined) {
+    settings.safeHarborMessage = safeHarborMessage;
+  }
+  if (input.callWindows != null) {
+    settings.callWindows = parseCallWindows(input.callWindows, 'callWindows');
+  }
+  if (input.timezone != null) {
+    settings.timezone = normalizeTimeZone(input.timezone, 'timezone');
+  }
+  if (input.holidays != null) {
+    settings.holidays = parseHolidayList(input.holidays, 'holidays');
+  }
+  for (const key of ['dialAllowPrefixes', 'dialDenyPrefixes', 'dialBlockedNumbers']) {
+    if (input[key] != null) {
+      settings[key] = parsePrefixList(input[key], key);
     }
   }
-
-  if (!isChannelDestroyed) {
-    return;
+  if (input.dialLengthRules != null) {
+    settings.dialLengthRules = parseLengthRules(input.dialLengthRules, 'dialLengthRules');
   }
-
-  callState.channels.delete(channelId);
-  callState.channelRoles.delete(channelId);
-  channelToCallId.delete(channelId);
-  if (callState.agentChannels instanceof Set) {
-    callState.agentChannels.delete(channelId);
+  if (input.dialRewriteRules != null) {
+    settings.dialRewriteRules = parseRewriteRules(input.dialRewriteRules, 'dialRewriteRules');
   }
-  if (callState.agentLegs instanceof Map) {
-    callState.agentLegs.delete(channelId);
+  if (input.dialStringTemplate != null) {
+    settings.dialStringTemplate = validateDialStringTemplate(input.dialStringTemplate, 'dialStringTemplate');
   }
-  if (callState.dialerChannelId === channelId) {
-    callState.dialerChannelId = null;
-    callState.dialerUp = false;
+  if (input.dialStringTemplates != null) {
+    settings.dialStringTemplates = parseDialStringTemplates(input.dialStringTemplates, 'dialStringTemplates');
   }
-  if (callState.dialedChannelId === channelId) {
-    callState.dialedChannelId = null;
+  if (input.channelVariables != null) {
+    settings.channelVariables = parseChannelVariables(input.channelVariables, 'channelVariables');
   }
-  if (callState.agentChannelId === channelId) {
-    callState.agentChannelId = null;
+  if (input.ttsTemplates != null) {
+    settings.ttsTemplates = parseTtsTemplates(input.ttsTemplates, 'ttsTemplates');
+  }
+  if (input.sipHeaders != null) {
+    settings.sipHeaders = parseSipHeaders(input.sipHeaders, 'sipHeaders');
   }
 
-  if (callState.channels.size === 0) {
-    logWithTimestamp('log', `[${callId}] No active channels remaining. Cleaning up call.`);
-    if (timestampMs != null) {
-      callState.completedAtMs = callState.completedAtMs ?? timestampMs;
+  if (input.numbers != null) {
+    if (!Array.isArray(input.numbers)) {
+      throw new Error('numbers must be an array of phone numbers.');
     }
-    await logCallSummary(callId, callState, new Date(timestampMs));
-    await cleanupCall(callId, client);
-    markCallCompleted(client, callId);
+    settings.numbers = input.numbers.map((value) => {
+      if (value != null && typeof value === 'object' && !Array.isArray(value)) {
+        return { ...value };
+      }
+      return value == null ? '' : String(value);
+    });
   }
+
+  return settings;
 }
 
-async function startDialerRecording(client, callId, callState) {
-  if (callState.recording?.id) {
-    return;
-  }
+function resolveCampaignConfig(name, settings = {}, baseConfig = currentConfig) {
+  const config = { ...baseConfig, campaignName: name, numbers: null };
 
-  const bridgeId = callState.bridge?.id;
-  if (!bridgeId) {
-    logWithTimestamp('warn', `[${callId}] Unable to start recording: bridge is not available.`);
-    return;
+  if (name !== DEFAULT_CAMPAIGN_NAME) {
+    config.OUTBOUND_NUMBER = undefined;
+    config.OUTBOUND_NUMBER_FILE = undefined;
   }
 
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const recordingId = `${callId}-${timestamp}`;
-
-  try {
-    await client.bridges.record({
-      bridgeId,
-      name: recordingId,
-      format: currentConfig.recordingFormat,
-      ifExists: 'overwrite',
-      maxDurationSeconds: 0,
-      terminateOn: 'none'
-    });
-
-    callState.recording = {
-      id: recordingId,
-      format: currentConfig.recordingFormat,
-      bridgeId,
-      startedAt: new Date().toISOString(),
-      mode: 'bridge'
-    };
-    callState.recordingId = recordingId;
-    callState.recordingFormatUsed = currentConfig.recordingFormat;
-
-    recordingOwnership.set(recordingId, {
-      callId,
-      recording: callState.recording,
-      retryTimer: null,
-      retryCounters: {}
-    });
-
-    const filePath = path.join(
-      currentConfig.resolvedRecordingsDir,
-      `${recordingId}.${currentConfig.recordingFormat}`
-    );
-    callState.recordingPath = filePath;
-
-    logWithTimestamp('log',
-      `[${callId}] Started bridge recording ${recordingId} on bridge ${bridgeId} to '${filePath}'.`
+  if (settings.trunks) {
+    config.trunks = settings.trunks;
+    config.ARI_TRUNK = settings.trunks[0].name;
+  } else if (settings.trunk) {
+    config.trunks = [{ name: settings.trunk, weight: 1, maxConcurrent: null }];
+    config.ARI_TRUNK = settings.trunk;
+  }
+  if (settings.callerId) {
+    config.CALLER_ID = settings.callerId;
+  }
+  if (settings.callerIdPool) {
+    config.callerIdPool = settings.callerIdPool;
+  } else if (settings.callerId) {
+    // A campaign with its own fixed caller ID does not draw from the global pool.
+    config.callerIdPool = [];
+  }
+  if (settings.callerIdStrategy) {
+    config.callerIdStrategy = settings.callerIdStrategy;
+  }
+  if (settings.callerIdDailyCap) {
+    config.callerIdDailyCap = settings.callerIdDailyCap;
+  }
+  if (settings.targetEndpoint) {
+    config.TARGET_ENDPOINT = settings.targetEndpoint;
+  }
+  if (settings.targetExtension) {
+    config.TARGET_EXTENSION = settings.targetExtension;
+  }
+  if (settings.targetContext) {
+    config.TARGET_CONTEXT = settings.targetContext;
+  }
+  if (settings.agentQueue) {
+    config.agentQueue = settings.agentQueue;
+  }
+  if (settings.dialRewriteRules) {
+    config.dialRewriteRules = settings.dialRewriteRules;
+  }
+  if (settings.dialStringTemplate) {
+    config.dialStringTemplate = settings.dialStringTemplate;
+  }
+  if (settings.dialStringTemplates) {
+    config.dialStringTemplates = settings.dialStringTemplates;
+  }
+  // Campaign variables and headers are added to the global ones, replacing those with the same name.
+  for (const key of ['channelVariables', 'sipHeaders']) {
+    if (settings[key]) {
+      const overridden = new Set(settings[key].map((entry) => entry.name.toLowerCase()));
+      config[key] = [...config[key].filter((entry) => !overridden.has(entry.name.toLowerCase())), ...settings[key]];
+    }
+  }
+  if (settings.ttsTemplates) {
+    const overridden = new Set(settings.ttsTemplates.map((entry) => entry.name));
+    config.tts = {
+      ...baseConfig.tts,
+      templates: [...baseConfig.tts.templates.filter((entry) => !overridden.has(entry.name)), ...settings.ttsTemplates]
+    };
+  }
+  if (settings.maxConcurrency) {
+    config.callConcurrencyLimit = settings.maxConcurrency;
+  }
+  if (settings.callTimeout) {
+    config.callTimeoutSeconds = settings.callTimeout;
+  }
+  if (settings.retryRules || settings.retryFinalStatuses) {
+    config.retryPolicy = {
+      rules: settings.retryRules || baseConfig.retryPolicy.rules,
+      finalStatuses: settings.retryFinalStatuses || baseConfig.retryPolicy.finalStatuses
+    };
+  }
+  const pacingOverrides = {
+    mode: settings.pacingMode,
+    targetAbandonRate: settings.pacingTargetAbandonRate,
+    agents: settings.pacingAgents,
+    minConcurrency: settings.pacingMinConcurrency,
+    maxConcurrency: settings.pacingMaxConcurrency
+  };
+  if (Object.values(pacingOverrides).some((value) => value != null)) {
+    config.pacing = { ...baseConfig.pacing };
+    for (const [key, value] of Object.entries(pacingOverrides)) {
+      if (value != null) {
+        config.pacing[key] = value;
+      }
+    }
+    if (settings.pacingAgents && !settings.pacingMaxConcurrency && !baseConfig.PACING_MAX_CC) {
+      config.pacing.maxConcurrency = settings.pacingAgents * 3;
+    }
+    config.pacing.minConcurrency = Math.min(config.pacing.minConcurrency, config.pacing.maxConcurrency);
+  }
+  if (
+    settings.amdEnabled != null ||
+    settings.amdHumanAction ||
+    settings.amdMachineAction ||
+    settings.amdNotSureAction ||
+    settings.amdMessage
+  ) {
+    config.amd = validateAmdConfig(
+      {
+        ...baseConfig.amd,
+        enabled: settings.amdEnabled ?? baseConfig.amd.enabled,
+        actions: {
+          HUMAN: settings.amdHumanAction || baseConfig.amd.actions.HUMAN,
+          MACHINE: settings.amdMachineAction || baseConfig.amd.actions.MACHINE,
+          NOTSURE: settings.amdNotSureAction || baseConfig.amd.actions.NOTSURE
+        },
+        message: settings.amdMessage || baseConfig.amd.message
+      },
+      `Campaign '${name}'`
     );
-  } catch (err) {
-    logWithTimestamp('error', 
-      `[${callId}] Failed to start bridge recording ${recordingId} on bridge ${bridgeId}:`,
-      err.message
+  }
+  if (settings.holdMusicClass || settings.holdAnnouncement) {
+    config.hold = {
+      musicClass: settings.holdMusicClass
+        ? normalizeHoldMusicClass(settings.holdMusicClass)
+        : baseConfig.hold.musicClass,
+      announcements: settings.holdAnnouncement || baseConfig.hold.announcements
+    };
+  }
+  if (
+    settings.ivrPrompt ||
+    settings.ivrActions ||
+    settings.ivrTimeout ||
+    settings.ivrNoInputAction ||
+    settings.ivrCallbackDelay ||
+    settings.ivrMaxCallbacks
+  ) {
+    config.ivr = {
+      prompt: settings.ivrPrompt || baseConfig.ivr.prompt,
+      actions: settings.ivrActions || baseConfig.ivr.actions,
+      timeoutSeconds: settings.ivrTimeout || baseConfig.ivr.timeoutSeconds,
+      noInputAction: settings.ivrNoInputAction || baseConfig.ivr.noInputAction,
+      callbackDelaySeconds: settings.ivrCallbackDelay || baseConfig.ivr.callbackDelaySeconds,
+      maxCallbacks: settings.ivrMaxCallbacks || baseConfig.ivr.maxCallbacks
+    };
+  }
+  if (
+    settings.mode ||
+    settings.broadcastMessage ||
+    settings.broadcastRepeatDigit ||
+    settings.broadcastMaxRepeats ||
+    settings.broadcastRepeatTimeout
+  ) {
+    config.broadcast = validateBroadcastConfig(
+      {
+        enabled: settings.mode ? settings.mode === 'broadcast' : baseConfig.broadcast.enabled,
+        messages: settings.broadcastMessage || baseConfig.broadcast.messages,
+        repeatDigit: settings.broadcastRepeatDigit || baseConfig.broadcast.repeatDigit,
+        maxRepeats: settings.broadcastMaxRepeats || baseConfig.broadcast.maxRepeats,
+        repeatTimeoutSeconds: settings.broadcastRepeatTimeout || baseConfig.broadcast.repeatTimeoutSeconds
+      },
+      `Campaign '${name}'`
     );
   }
+  if (settings.maxAgentWait || settings.safeHarborMessage) {
+    config.abandon = {
+      maxWaitSeconds: settings.maxAgentWait || baseConfig.abandon.maxWaitSeconds,
+      message: settings.safeHarborMessage ? toMediaUri(settings.safeHarborMessage) : baseConfig.abandon.message
+    };
+  }
+  if (settings.callWindows || settings.timezone || settings.holidays) {
+    config.callingHours = {
+      windows: settings.callWindows || baseConfig.callingHours.windows,
+      timeZone: settings.timezone || baseConfig.callingHours.timeZone,
+      holidays: settings.holidays || baseConfig.callingHours.holidays
+    };
+  }
+  if (
+    settings.dialAllowPrefixes ||
+    settings.dialDenyPrefixes ||
+    settings.dialBlockedNumbers ||
+    settings.dialLengthRules
+  ) {
+    config.dialingPolicy = {
+      allowPrefixes: settings.dialAllowPrefixes || baseConfig.dialingPolicy.allowPrefixes,
+      denyPrefixes: settings.dialDenyPrefixes || baseConfig.dialingPolicy.denyPrefixes,
+      blockedNumbers: settings.dialBlockedNumbers || baseConfig.dialingPolicy.blockedNumbers,
+      lengthRules: settings.dialLengthRules || baseConfig.dialingPolicy.lengthRules
+    };
+  }
+  if (Array.isArray(settings.numbers)) {
+    config.OUTBOUND_NUMBER = undefined;
+    config.OUTBOUND_NUMBER_FILE = undefined;
+    config.numbers = settings.numbers;
+  } else if (settings.numberFile) {
+    config.OUTBOUND_NUMBER = undefined;
+    config.OUTBOUND_NUMBER_FILE = path.join(baseConfig.numberFilesDir, settings.numberFile);
+  }
+
+  return validateTtsPrompts(config, `Campaign '${name}'`);
 }
 
-async function handleChannelStateChange(client, event) {
-  const channel = event.channel;
-  if (!channel) {
-    return;
-  }
+function createCampaign(name, settings = {}) {
+  return {
+    name,
+    settings,
+    config: resolveCampaignConfig(name, settings),
+    // Both hold contact objects ({ number, name, customerId, priority, fields }).
+    outboundNumbers: [],
+    numbersQueue: [],
+    inFlightCalls: new Set(),
+    numbersDepletedLogged: false,
+    // One of 'idle', 'running', 'paused', 'stopping' (draining in-flight calls) or 'stopped'.
+    runState: 'idle',
+    runId: null,
+    runStartedAt: null,
+    runFinishedAt: null,
+    // Number -> { status, callId, at, attempt } for every number completed in the current run.
+    outcomes: new Map(),
+    // Number -> dial attempts made in the current run.
+    attempts: new Map(),
+    // Number -> callbacks requested in the IVR and scheduled in the current run.
+    callbacks: new Map(),
+    // { contact, dueAt } entries waiting for their next attempt, earliest first.
+    retryQueue: [],
+    retryTimer: null,
+    callingWindowTimer: null,
+    outsideCallingHours: false,
+    // Recent call samples and the dial-ratio gain used by predictive pacing.
+    pacing: { samples: [], gain: 1 },
+    // Attempts in the current run answered by the customer, and how many of those never reached an agent.
+    abandonment: { answered: 0, abandoned: 0 },
+    // Trunk name -> smooth weighted round-robin counter.
+    trunkRotation: new Map(),
+    // Number -> trunks it already failed on while a failover attempt is pending.
+    failoverTrunks: new Map(),
+    // Next caller ID pool position for the round-robin strategy.
+    callerIdRotation: 0,
+    callerIdsExhausted: false,
+    createdAt: Date.now()
+  };
+}
 
-  const channelId = channel.id;
-  const callId = channelToCallId.get(channelId);
-  if (!callId) {
-    return;
-  }
+function resetCampaignQueue(campaign) {
+  campaign.outboundNumbers = loadContacts(campaign.config);
+  campaign.numbersQueue = [...campaign.outboundNumbers];
+  campaign.numbersDepletedLogged = false;
+}
 
-  const callState = activeCalls.get(callId);
-  if (!callState) {
-    return;
+function hasUnfinishedRun(campaign) {
+  return Boolean(campaign.runId && !campaign.runFinishedAt);
+}
+
+// Numbers that are being dialed right now or are waiting for a retry; they must not be queued again.
+function getBusyNumbers(campaign) {
+  const busyNumbers = new Set(campaign.retryQueue.map((entry) => entry.contact.number));
+  for (const callId of campaign.inFlightCalls) {
+    if (callNumberMap.has(callId)) {
+      busyNumbers.add(callNumberMap.get(callId));
+    }
   }
+  return busyNumbers;
+}
 
-  const timestampMs = getEventTimestampMs(event);
-  const role = callState.channelRoles.get(channelId);
+function getPendingContacts(campaign) {
+  const busyNumbers = getBusyNumbers(campaign);
+  return campaign.outboundNumbers.filter(
+    (contact) => !campaign.outcomes.has(contact.number) && !busyNumbers.has(contact.number)
+  );
+}
 
+function beginCampaignRun(campaign) {
+  campaign.runId = uuidv4();
+  campaign.runStartedAt = Date.now();
+  campaign.runFinishedAt = null;
+  campaign.outcomes = new Map();
+  campaign.attempts = new Map();
+  campaign.callbacks = new Map();
+  campaign.abandonment = { answered: 0, abandoned: 0 };
+  campaign.retryQueue = [];
+  clearRetryWakeup(campaign);
+  truncateCampaignJournal(campaign);
+  logWithTimestamp('log', `Campaign '${campaign.name}' started run ${campaign.runId}.`);
+}
+
+function finishCampaignRun(campaign) {
+  if (!hasUnfinishedRun(campaign)) {
+    return;
+  }
+  campaign.runFinishedAt = Date.now();
+  persistCampaignSnapshot(campaign);
   logWithTimestamp(
     'log',
-    `[${callId}] Channel state change for ${channelId} (${channel.name || 'unknown'}) -> ${channel.state || 'unknown'} role='${
-      role || 'unknown'
-    }'.`
+    `Campaign '${campaign.name}' finished run ${campaign.runId} with ${campaign.outcomes.size} completed number(s).`
   );
+}
 
-  if (role === 'dialer') {
-    logWithTimestamp('log', `[${callId}] Processing dialer channel state change for ${channelId}.`);
-    callState.dialerChannelId = channelId;
-    callState.dialerUp = channel.state === 'Up';
-    updateLegTimelineMetadata(callState.legATimeline, channel);
-    setLegTimelineTimestamp(callState.legATimeline, 'startedAt', timestampMs);
-    if (channel.state === 'Up') {
-      setLegTimelineTimestamp(callState.legATimeline, 'answeredAt', timestampMs);
-    }
-    if (channel.state === 'Up') {
-      callState.dialerConnectedAt = callState.dialerConnectedAt ?? timestampMs;
-      updateCallConnectionState(callState, timestampMs);
-      await startDialerRecording(client, callId, callState);
-    }
+function recordCallOutcome(callId, callState, status) {
+  const campaign = callState?.campaign ? campaigns.get(callState.campaign) : null;
+  const number = callState?.contact?.number || callState?.number || null;
+  if (!campaign || !number || !campaign.runId || callState.outcomeRecorded) {
     return;
   }
+  callState.outcomeRecorded = true;
 
-  if (role === 'dialed') {
-    logWithTimestamp('log', `[${callId}] Processing dialed channel state change for ${channelId}.`);
-    updateAnsweredIdentity(callState, channel);
-    updateLegTimelineMetadata(callState.legBTimeline, channel);
-    if (channel.state === 'Up') {
-      setLegTimelineTimestamp(callState.legBTimeline, 'answeredAt', timestampMs);
-      callState.dialedConnectedAt = callState.dialedConnectedAt ?? timestampMs;
-      updateCallConnectionState(callState, timestampMs);
-      await startDialerRecording(client, callId, callState);
-    }
-    return;
+  if (!callState.hangupRequested) {
+    const trunkFailed =
+      !callState.dialerConnectedAt &&
+      isFailoverCause(campaign.config.failoverCauses, callState.dialerHangupCode, status);
+    recordTrunkResult(callState.trunk, callId, trunkFailed);
   }
 
-  if (role === 'agent') {
-    logWithTimestamp('log', `[${callId}] Processing agent channel state change for ${channelId}.`);
-    const leg = ensureAgentLeg(callState, channelId);
-    const identity = extractConnectedIdentity(channel) || leg?.identity || channel.name || null;
-    if (identity) {
-      if (leg) {
-        leg.identity = identity;
-      }
-      setAnsweredIdentity(callState, identity, 'agent');
-    }
-
-    if (leg && !leg.dialedAt) {
-      leg.dialedAt = timestampMs;
-    }
-
-    if (leg && channel.state === 'Up') {
-      leg.answeredAt = leg.answeredAt ?? timestampMs;
-      if (callState.agentAnsweredAt == null || callState.agentAnsweredAt > leg.answeredAt) {
-        callState.agentAnsweredAt = leg.answeredAt;
-      }
-      callState.agentChannelId = callState.agentChannelId || channelId;
-      updateCallConnectionState(callState, leg.answeredAt);
-    }
-
-    if (leg && (channel.state === 'Down' || channel.state === 'Hungup')) {
-      leg.hangupAt = leg.hangupAt ?? timestampMs;
-    }
+  const attempt = callState.attempt || (campaign.attempts.get(number) || 0) + 1;
+  const triedTrunks = [...(campaign.failoverTrunks.get(number) || []), callState.trunk].filter(Boolean);
+  const untriedTrunks = campaign.config.trunks.filter((trunk) => !triedTrunks.includes(trunk.name));
+  if (
+    untriedTrunks.length > 0 &&
+    !callState.dialerConnectedAt &&
+    !callState.hangupRequested &&
+    isFailoverCause(campaign.config.failoverCauses, callState.dialerHangupCode, status)
+  ) {
+    // The same attempt is redialed right away on a trunk it has not failed on yet.
+    const at = Date.now();
+    const failover = {
+      status: status || 'UNKNOWN',
+      callId,
+      at,
+      attempt,
+      trunk: callState.trunk,
+      failover: true,
+      retryAt: at
+    };
+    campaign.failoverTrunks.set(number, triedTrunks);
+    scheduleContactRetry(campaign, callState.contact || createContact(number), at);
+    appendCampaignJournal(campaign, { runId: campaign.runId, number, ...failover });
+    const nextTrunks = untriedTrunks.map((trunk) => `'${trunk.name}'`).join(' or ');
+    logWithTimestamp(
+      'warn',
+      `[${callId}] ${failover.status} on trunk '${callState.trunk}' ` +
+        `(cause ${callState.dialerHangupCode ?? 'unknown'}); failing over to ${nextTrunks}.`
+    );
     return;
   }
+  campaign.failoverTrunks.delete(number);
+  campaign.attempts.set(number, attempt);
 
-  logWithTimestamp('log', `[${callId}] Channel ${channelId} has unrecognized role during state change; skipping.`);
+  const { customerAnswered, abandoned } = getAnswerOutcome(callState);
+  if (customerAnswered) {
+    campaign.abandonment.answered += 1;
+    campaign.abandonment.abandoned += abandoned ? 1 : 0;
+  }
+
+  const outcome = {
+    status: status || 'UNKNOWN',
+    callId,
+    at: Date.now(),
+    attempt,
+    trunk: callState.trunk || null,
+    callerId: callState.callerId || null,
+    ...(customerAnswered ? { customerAnswered, abandoned } : {})
+  };
+  const retryRule = resolveRetryRule(campaign.config.retryPolicy, outcome.status);
+  const callbacksMade = campaign.callbacks.get(number) || 0;
+  const callbackRequested = Boolean(callState.callbackAt) && !callState.optedOut;
+  if (callbackRequested && callbacksMade >= campaign.config.ivr.maxCallbacks) {
+    logWithTimestamp(
+      'warn',
+      `[${callId}] Callback requested in the IVR, but number ${number} was already called back ` +
+        `${callbacksMade} time(s) in this run (IVR_MAX_CALLBACKS); no further callback is scheduled.`
+    );
+  }
+  if (callbackRequested && callbacksMade < campaign.config.ivr.maxCallbacks) {
+    // A callback requested in the IVR is scheduled regardless of the retry rules, up to its own cap.
+    campaign.callbacks.set(number, callbacksMade + 1);
+    outcome.retryAt = callState.callbackAt;
+    outcome.callback = true;
+    scheduleContactRetry(campaign, callState.contact || createContact(number), outcome.retryAt);
+    logWithTimestamp(
+      'log',
+      `[${callId}] Callback requested in the IVR; ` +
+        `number ${number} will be called again at ${new Date(outcome.retryAt).toISOString()}.`
+    );
+  } else if (retryRule && attempt < retryRule.maxAttempts) {
+    outcome.retryAt = outcome.at + retryRule.delaySeconds * 1000;
+    scheduleContactRetry(campaign, callState.contact || createContact(number), outcome.retryAt);
+    logWithTimestamp(
+      'log',
+      `[${callId}] ${outcome.status} on attempt ${attempt}/${retryRule.maxAttempts}; ` +
+        `number ${number} will be retried at ${new Date(outcome.retryAt).toISOString()}.`
+    );
+  } else {
+    campaign.outcomes.set(number, outcome);
+  }
+  appendCampaignJournal(campaign, { runId: campaign.runId, number, ...outcome });
 }
 
-function handleDialEvent(event) {
-  if (!event) {
+// Records a final outcome for a number that was screened out before origination.
+function recordSkippedContact(campaign, contact, status, reason) {
+  const outcome = {
+    status,
+    callId: null,
+    at: Date.now(),
+    attempt: campaign.attempts.get(contact.number) || 0,
+    reason
+  };
+  if (!campaign.runId) {
     return;
   }
+  campaign.outcomes.set(contact.number, outcome);
+  appendCampaignJournal(campaign, { runId: campaign.runId, number: contact.number, ...outcome });
+}
 
-  const dialStatusRaw = event.dialstatus;
-  const dialStatus = typeof dialStatusRaw === 'string' ? dialStatusRaw.toUpperCase() : '';
+// Returns true when the contact may be dialed; otherwise records why it was skipped.
+function screenContact(campaign, contact) {
+  const rejection =
+    evaluateDialingPolicy(campaign.config.dialingPolicy, contact.number) ||
+    evaluateDialTarget(campaign.config.dialingPolicy, [
+      contact.sourceNumber,
+      rewriteDialNumber(contact.number, campaign.config.dialRewriteRules)
+    ]);
+  if (rejection) {
+    logWithTimestamp(
+      'warn',
+      `Campaign '${campaign.name}': rejected ${contact.number} by dialing policy ` +
+        `(${rejection.rule}: ${rejection.detail}).`
+    );
+    recordSkippedContact(campaign, contact, 'REJECTED', rejection.rule);
+    return false;
+  }
 
-  const candidateChannels = [];
-  if (event.caller) {
-    candidateChannels.push({ channel: event.caller, relation: 'caller' });
+  const dncEntry = getDncEntry(contact.number);
+  if (dncEntry) {
+    logWithTimestamp(
+      'warn',
+      `Campaign '${campaign.name}': skipping ${contact.number}, number is on the do-not-call list ` +
+        `(${dncEntry.source}${dncEntry.reason ? `: ${dncEntry.reason}` : ''}).`
+    );
+    recordSkippedContact(campaign, contact, 'SUPPRESSED', `dnc:${dncEntry.source}`);
+    return false;
   }
-  if (event.peer) {
-    candidateChannels.push({ channel: event.peer, relation: 'peer' });
+  return true;
+}
+
+function scheduleContactRetry(campaign, contact, dueAt) {
+  campaign.retryQueue.push({ contact, dueAt });
+  campaign.retryQueue.sort((a, b) => a.dueAt - b.dueAt);
+}
+
+function takeNextContact(campaign, now = Date.now()) {
+  if (campaign.retryQueue.length > 0 && campaign.retryQueue[0].dueAt <= now) {
+    return campaign.retryQueue.shift().contact;
   }
+  return campaign.numbersQueue.shift() || null;
+}
 
-  const hasLocalCandidate = candidateChannels.some((candidate) => {
-    const name = candidate.channel?.name || '';
-    return name.startsWith('Local/');
-  });
-  let sawLegBTerminalChannel = !hasLocalCandidate;
+function clearRetryWakeup(campaign) {
+  if (campaign.retryTimer) {
+    clearTimeout(campaign.retryTimer);
+    campaign.retryTimer = null;
+  }
+}
 
-  let callId = null;
-  let fallbackCandidate = null;
-  let fallbackMatchedLeg = null;
-  let resolvedCallState = null;
-  for (const candidate of candidateChannels) {
-    const channel = candidate.channel;
-    if (!channel) {
-      continue;
-    }
-    if (channel.id && channelToCallId.has(channel.id)) {
-      callId = channelToCallId.get(channel.id);
-      break;
-    }
-    if (channel.linkedid && linkedIdToCallId.has(channel.linkedid)) {
-      callId = linkedIdToCallId.get(channel.linkedid);
-      break;
-    }
+function scheduleRetryWakeup(client, campaign) {
+  clearRetryWakeup(campaign);
+  if (campaign.retryQueue.length === 0) {
+    return;
   }
 
-  if (!callId) {
-    const dialString = typeof event.dialstring === 'string' ? event.dialstring : '';
-    const dialNumber = dialString.split('@')[0] || '';
-
-    if (dialNumber) {
-      const matchingCallIds = [];
-      for (const [activeCallId, number] of callNumberMap.entries()) {
-        if (number === dialNumber && inFlightCalls.has(activeCallId)) {
-          matchingCallIds.push(activeCallId);
-        }
-      }
+  const delay = Math.max(0, campaign.retryQueue[0].dueAt - Date.now());
+  campaign.retryTimer = setTimeout(() => {
+    campaign.retryTimer = null;
+    maybeOriginateNext(client, campaign);
+  }, delay);
+}
 
-      if (matchingCallIds.length === 1) {
-        callId = matchingCallIds[0];
-        resolvedCallState = getCallState(callId);
-        for (const candidate of candidateChannels) {
-          const channel = candidate.channel;
-          if (!channel) {
-            continue;
-          }
-          if (channel.id) {
-            channelToCallId.set(channel.id, callId);
-          }
-          if (channel.linkedid) {
-            linkedIdToCallId.set(channel.linkedid, callId);
-            resolvedCallState?.linkedIds.add(channel.linkedid);
-          }
-        }
+function refreshCampaignConfigs() {
+  for (const campaign of campaigns.values()) {
+    campaign.config = resolveCampaignConfig(campaign.name, campaign.settings);
+  }
+}
 
-        logWithTimestamp(
-          'log',
-          `[${callId}] Dial event matched via dialstring '${dialNumber}'.`
-        );
-      }
-    }
+function getDefaultCampaign() {
+  if (!campaigns.has(DEFAULT_CAMPAIGN_NAME)) {
+    campaigns.set(DEFAULT_CAMPAIGN_NAME, createCampaign(DEFAULT_CAMPAIGN_NAME));
   }
+  return campaigns.get(DEFAULT_CAMPAIGN_NAME);
+}
 
-  if (!callId) {
-    for (const candidate of candidateChannels) {
-      const channel = candidate.channel;
-      const channelName = channel?.name;
-      if (!channelName) {
-        continue;
-      }
+function getCallCampaign(callId) {
+  const campaignName = callCampaignMap.get(callId) || activeCalls.get(callId)?.campaign || null;
+  return campaignName ? campaigns.get(campaignName) || null : null;
+}
 
-      const baseName = stripLocalSuffix(channelName);
-      if (!isTargetLocalChannelName(baseName)) {
-        continue;
-      }
+function getCallConfig(callId) {
+  return getCallCampaign(callId)?.config || currentConfig;
+}
 
-      const matches = [];
-      for (const [activeCallId, activeCallState] of activeCalls.entries()) {
-        if (!activeCallState || !activeCallState.originatedPartner) {
-          continue;
-        }
+function getCampaignStatePaths(campaignName) {
+  const stateDir = currentConfig.resolvedStateDir;
+  return {
+    snapshotPath: path.join(stateDir, `${campaignName}.json`),
+    journalPath: path.join(stateDir, `${campaignName}.outcomes.jsonl`)
+  };
+}
 
-        const legBTimeline = activeCallState.legBTimeline || null;
-        if (!legBTimeline || legBTimeline.channelId || activeCallState.dialedChannelId) {
-          continue;
-        }
-
-        let hasDialedRole = false;
-        for (const role of activeCallState.channelRoles.values()) {
-          if (role === 'dialed') {
-            hasDialedRole = true;
-            break;
-          }
-        }
-        if (hasDialedRole) {
-          continue;
-        }
-
-        matches.push({ activeCallId, activeCallState });
-      }
-
-      if (matches.length === 1) {
-        const match = matches[0];
-        callId = match.activeCallId;
-        resolvedCallState = match.activeCallState || getCallState(callId);
-        if (!fallbackCandidate) {
-          fallbackCandidate = candidate;
-        }
-        if (!fallbackMatchedLeg) {
-          fallbackMatchedLeg = 'legB';
-        }
-
-        const callState = resolvedCallState;
-        const legBTimeline = callState?.legBTimeline || null;
-        if (legBTimeline) {
-          updateLegTimelineMetadata(legBTimeline, channel);
-          assignLegDialString(legBTimeline, event.dialstring);
-        }
+function writeFileAtomic(filePath, content) {
+  const temporaryPath = `${filePath}.tmp`;
+  fs.writeFileSync(temporaryPath, content);
+  fs.renameSync(temporaryPath, filePath);
+}
 
-        const matchingLocalChannels = candidateChannels.filter((entry) => {
-          const entryName = entry.channel?.name;
-          if (!entryName) {
-            return false;
-          }
-          return stripLocalSuffix(entryName) === baseName;
-        });
+function persistCampaignSnapshot(campaign) {
+  const { snapshotPath } = getCampaignStatePaths(campaign.name);
+  const { numbers, ...settings } = campaign.settings;
 
-        for (const localCandidate of matchingLocalChannels) {
-          const localChannel = localCandidate.channel;
-          if (!localChannel) {
-            continue;
-          }
+  try {
+    writeFileAtomic(
+      snapshotPath,
+      JSON.stringify({
+        version: 1,
+        name: campaign.name,
+        settings,
+        inlineNumbers: Array.isArray(numbers),
+        runState: campaign.runState,
+        runId: campaign.runId,
+        runStartedAt: campaign.runStartedAt,
+        runFinishedAt: campaign.runFinishedAt,
+        contacts: campaign.outboundNumbers,
+        createdAt: campaign.createdAt,
+        updatedAt: Date.now()
+      })
+    );
+  } catch (err) {
+    logWithTimestamp('error', `Failed to persist state of campaign '${campaign.name}':`, err.message);
+  }
+}
 
-          if (localChannel.id) {
-            channelToCallId.set(localChannel.id, callId);
-            callState.channelRoles.set(localChannel.id, 'dialed');
-            if (!callState.dialedChannelId) {
-              callState.dialedChannelId = localChannel.id;
-            }
-            if (legBTimeline) {
-              if (!legBTimeline.channelId) {
-                legBTimeline.channelId = localChannel.id;
-              } else if (!legBTimeline.pairedChannelId) {
-                legBTimeline.pairedChannelId = localChannel.id;
-              }
-              if (!legBTimeline.pairedChannelName && localChannel.name) {
-                if (/;1$/.test(localChannel.name)) {
-                  legBTimeline.pairedChannelName = localChannel.name.replace(/;1$/, ';2');
-                } else if (/;2$/.test(localChannel.name)) {
-                  legBTimeline.pairedChannelName = localChannel.name;
-                }
-              }
-            }
-          }
+function truncateCampaignJournal(campaign) {
+  const { journalPath } = getCampaignStatePaths(campaign.name);
+  try {
+    fs.writeFileSync(journalPath, '');
+  } catch (err) {
+    logWithTimestamp('error', `Failed to reset outcome journal of campaign '${campaign.name}':`, err.message);
+  }
+}
 
-          if (localChannel?.linkedid) {
-            linkedIdToCallId.set(localChannel.linkedid, callId);
-            if (callState?.linkedIds) {
-              callState.linkedIds.add(localChannel.linkedid);
-            }
-          }
-        }
+function appendCampaignJournal(campaign, entry) {
+  const { journalPath } = getCampaignStatePaths(campaign.name);
+  try {
+    fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    logWithTimestamp('error', `Failed to record outcome for campaign '${campaign.name}':`, err.message);
+  }
+}
 
-        break;
+function removePersistedCampaign(campaignName) {
+  const { snapshotPath, journalPath } = getCampaignStatePaths(campaignName);
+  for (const filePath of [snapshotPath, journalPath]) {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        logWithTimestamp('error', `Failed to remove ${filePath}:`, err.message);
       }
     }
   }
+}
 
-  if (!callId) {
-    for (const candidate of candidateChannels) {
-      const channel = candidate.channel;
-      const channelName = channel?.name;
-      if (!channelName) {
+// Replays the outcome journal of a run. The last entry per number wins: an entry with retryAt
+// means the number is waiting for another attempt, anything else is final.
+function readCampaignJournal(campaignName, runId) {
+  const { journalPath } = getCampaignStatePaths(campaignName);
+  const outcomes = new Map();
+  const attempts = new Map();
+  const retries = new Map();
+  const callbacks = new Map();
+  const abandonment = { answered: 0, abandoned: 0 };
+
+  let content = '';
+  try {
+    content = fs.readFileSync(journalPath, 'utf8');
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      logWithTimestamp('error', `Failed to read outcome journal ${journalPath}:`, err.message);
+    }
+    return { outcomes, attempts, retries, callbacks, abandonment };
+  }
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      if (entry.runId !== runId || !entry.number) {
         continue;
       }
+      const attempt = Number.isInteger(entry.attempt) ? entry.attempt : 1;
+      // A failover redials the same attempt on another trunk, so it does not count as one made.
+      const attemptsMade = entry.failover ? attempt - 1 : attempt;
+      attempts.set(entry.number, Math.max(attempts.get(entry.number) || 0, attemptsMade));
+      if (entry.callback) {
+        callbacks.set(entry.number, (callbacks.get(entry.number) || 0) + 1);
+      }
+      if (entry.customerAnswered) {
+        abandonment.answered += 1;
+        abandonment.abandoned += entry.abandoned ? 1 : 0;
+      }
+      if (entry.retryAt) {
+        outcomes.delete(entry.number);
+        retries.set(entry.number, entry.retryAt);
+      } else {
+        retries.delete(entry.number);
+        outcomes.set(entry.number, {
+          status: entry.status,
+          callId: entry.callId,
+          at: entry.at,
+          attempt,
+          ...(entry.reason ? { reason: entry.reason } : {})
+        });
+      }
+    } catch (err) {
+      // A torn last line after a crash is expected; skip it.
+    }
+  }
 
-      const nameVariants = [channelName];
-      if (/;1$/.test(channelName)) {
-        nameVariants.push(channelName.replace(/;1$/, ';2'));
-      } else if (/;2$/.test(channelName)) {
-        nameVariants.push(channelName.replace(/;2$/, ';1'));
+  return { outcomes, attempts, retries, callbacks, abandonment };
+}
+
+function readPersistedCampaignSnapshots() {
+  const stateDir = currentConfig.resolvedStateDir;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(stateDir);
+  } catch (err) {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const entry of entries) {
+    if (!entry.endsWith('.json')) {
+      continue;
+    }
+    const snapshotPath = path.join(stateDir, entry);
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+      if (snapshot?.version === 1 && campaignNamePattern.test(snapshot.name || '')) {
+        snapshots.push(snapshot);
       }
+    } catch (err) {
+      logWithTimestamp('error', `Failed to read campaign state ${snapshotPath}:`, err.message);
+    }
+  }
+  return snapshots;
+}
 
-      let matched = false;
-      for (const [activeCallId, activeCallState] of activeCalls.entries()) {
-        if (!activeCallState) {
-          continue;
-        }
+function restoreCampaign(snapshot) {
+  const settings = { ...(snapshot.settings || {}) };
+  const contacts = Array.isArray(snapshot.contacts) ? snapshot.contacts : [];
+  if (snapshot.inlineNumbers) {
+    settings.numbers = contacts;
+  }
+
+  // Resolved first so that settings which no longer validate leave the default campaign untouched.
+  const config = resolveCampaignConfig(snapshot.name, settings);
+  const campaign =
+    snapshot.name === DEFAULT_CAMPAIGN_NAME ? getDefaultCampaign() : createCampaign(snapshot.name, settings);
+  campaign.settings = settings;
+  campaign.config = config;
+  campaign.runId = snapshot.runId || null;
+  campaign.runStartedAt = snapshot.runStartedAt || null;
+  campaign.runFinishedAt = snapshot.runFinishedAt || null;
+  campaign.createdAt = snapshot.createdAt || campaign.createdAt;
+
+  if (hasUnfinishedRun(campaign)) {
+    const journal = readCampaignJournal(campaign.name, campaign.runId);
+    const contactsByNumber = new Map(contacts.map((contact) => [contact.number, contact]));
+    campaign.outboundNumbers = contacts;
+    campaign.outcomes = journal.outcomes;
+    campaign.attempts = journal.attempts;
+    campaign.callbacks = journal.callbacks;
+    campaign.abandonment = journal.abandonment;
+    campaign.retryQueue = [];
+    for (const [number, dueAt] of journal.retries) {
+      scheduleContactRetry(campaign, contactsByNumber.get(number) || createContact(number), dueAt);
+    }
+    campaign.numbersQueue = getPendingContacts(campaign);
+    campaign.runState =
+      snapshot.runState === 'running' || snapshot.runState === 'paused' ? snapshot.runState : 'stopped';
+    logWithTimestamp(
+      'log',
+      `Campaign '${campaign.name}' restored run ${campaign.runId} (${campaign.runState}): ` +
+        `${campaign.outcomes.size} completed, ${campaign.numbersQueue.length} pending, ` +
+        `${campaign.retryQueue.length} awaiting retry.`
+    );
+  } else {
+    try {
+      resetCampaignQueue(campaign);
+    } catch (err) {
+      campaign.outboundNumbers = contacts;
+      campaign.numbersQueue = [...contacts];
+    }
+  }
 
-        const legATimeline = activeCallState.legATimeline || null;
-        const legBTimeline = activeCallState.legBTimeline || null;
-        const legIdentifiers = [
-          { leg: 'legA', value: legATimeline?.peerName },
-          { leg: 'legA', value: legATimeline?.pairedChannelName },
-          { leg: 'legB', value: legBTimeline?.peerName },
-          { leg: 'legB', value: legBTimeline?.pairedChannelName }
-        ];
+  campaigns.set(campaign.name, campaign);
+  return campaign;
+}
 
-        for (const variant of nameVariants) {
-          if (!variant) {
-            continue;
-          }
+function restoreCampaigns() {
+  let defaultRestored = false;
+  for (const snapshot of readPersistedCampaignSnapshots()) {
+    try {
+      restoreCampaign(snapshot);
+      defaultRestored = defaultRestored || snapshot.name === DEFAULT_CAMPAIGN_NAME;
+    } catch (err) {
+      logWithTimestamp('error', `Failed to restore campaign '${snapshot.name}', skipping it:`, err.message);
+    }
+  }
 
-          for (const identifier of legIdentifiers) {
-            if (!identifier.value) {
-              continue;
-            }
+  if (!defaultRestored) {
+    resetCampaignQueue(getDefaultCampaign());
+  }
+}
 
-            if (variant === identifier.value) {
-              callId = activeCallId;
-              fallbackCandidate = candidate;
-              fallbackMatchedLeg = identifier.leg;
-              matched = true;
+restoreCampaigns();
 
-              if (identifier.leg === 'legB') {
-                updateLegTimelineMetadata(legBTimeline, channel);
-                assignLegDialString(legBTimeline, event.dialstring);
-                if (dialStatus === 'ANSWER') {
-                  setLegAnsweredBy(
-                    legBTimeline,
-                    event.dialstring || channel?.name || event.peer?.name || event.caller?.name
-                  );
-                }
-                if (channel?.id) {
-                  channelToCallId.set(channel.id, activeCallId);
-                  activeCallState.channelRoles.set(channel.id, 'dialed');
-                  if (!activeCallState.dialedChannelId) {
-                    activeCallState.dialedChannelId = channel.id;
-                  }
-                  if (!legBTimeline.pairedChannelId) {
-                    legBTimeline.pairedChannelId = channel.id;
-                  }
-                }
-                if (channel?.linkedid) {
-                  linkedIdToCallId.set(channel.linkedid, activeCallId);
-                  activeCallState.linkedIds.add(channel.linkedid);
-                }
-                if (!legBTimeline.pairedChannelName && channel?.name) {
-                  legBTimeline.pairedChannelName = channel.name;
-                }
-              }
+function safeStringify(value) {
+  const seen = new Set();
 
-              break;
-            }
-          }
+  try {
+    return JSON.stringify(
+      value,
+      (key, currentValue) => {
+        if (typeof currentValue === 'bigint') {
+          return currentValue.toString();
+        }
 
-          if (matched) {
-            break;
+        if (typeof currentValue === 'object' && currentValue !== null) {
+          if (seen.has(currentValue)) {
+            return '[Circular]';
           }
+          seen.add(currentValue);
         }
 
-        if (matched) {
-          break;
-        }
-      }
+        return currentValue;
+      },
+      2
+    );
+  } catch (err) {
+    return `"[Unserializable: ${err.message}]"`;
+  }
+}
 
-      if (matched) {
-        break;
-      }
-    }
+function stripLocalSuffix(channelName) {
+  if (typeof channelName !== 'string') {
+    return channelName;
+  }
+  return channelName.replace(/;[12]$/, '');
+}
 
-    if (!callId) {
-      logWithTimestamp(
-        'warn',
-        `Dial event could not be associated with a callId (type=${event?.type || 'unknown'}, dialstring=${
-          event?.dialstring || 'unknown'
-        }, callerId=${event?.caller?.id || 'unknown'}, peerId=${event?.peer?.id || 'unknown'}). Event=${safeStringify(
-          event
-        )}`
-      );
-      return;
-    }
+function isTargetLocalChannelName(channelName, targetConfig = currentConfig) {
+  if (typeof channelName !== 'string' || channelName.length === 0) {
+    return false;
   }
 
-  const callState = resolvedCallState || getCallState(callId);
-  const timestampMs = getEventTimestampMs(event);
-  const agentChannel = event.peer || event.caller || null;
-  const agentChannelId = agentChannel?.id || null;
-  const identity = extractConnectedIdentity(agentChannel) || event.dialstring || agentChannel?.name || null;
+  const normalized = stripLocalSuffix(channelName);
+  const config = targetConfig || { TARGET_EXTENSION: '777', TARGET_CONTEXT: 'default2' };
+  const prefixWithContext = `Local/${config.TARGET_EXTENSION}@${config.TARGET_CONTEXT}`;
+  if (config.TARGET_CONTEXT && normalized.startsWith(prefixWithContext)) {
+    return true;
+  }
 
-  logWithTimestamp(
-    'log',
-    `[${callId}] Processing Dial event (status: ${dialStatus || 'UNKNOWN'}) with ${candidateChannels.length} candidate channel(s).`
-  );
+  const genericPrefix = `Local/${config.TARGET_EXTENSION}@`;
+  return normalized.startsWith(genericPrefix);
+}
 
-  const orderedCandidates =
-    fallbackCandidate
-      ? [
-          fallbackCandidate,
-          ...candidateChannels.filter((candidate) => candidate !== fallbackCandidate)
-        ]
-      : candidateChannels;
+function toTimestampMs(value, fallback = Date.now()) {
+  if (value == null) {
+    return fallback;
+  }
 
-  for (const candidate of orderedCandidates) {
-    const channel = candidate.channel;
-    if (!channel?.id) {
-      continue;
-    }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
 
-    const channelId = channel.id;
-    const relation = candidate.relation;
-    const legATimeline = callState.legATimeline;
-    const legBTimeline = callState.legBTimeline;
-    const existingRole = callState.channelRoles.get(channelId) || null;
+  if (typeof value === 'string') {
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) {
+      return parsed;
+    }
+  }
 
-    logWithTimestamp(
-      'log',
+  if (value instanceof Date) {
+    const ms = value.getTime();
+    if (!Number.isNaN(ms)) {
+      return ms;
+    }
+  }
+
+  return fallback;
+}
+
+function getEventTimestampMs(event, fallback) {
+  if (!event) {
+    return fallback ?? Date.now();
+  }
+
+  return toTimestampMs(event.timestamp, fallback ?? Date.now());
+}
+
+function getCallState(callId) {
+  if (!activeCalls.has(callId)) {
+    logWithTimestamp('log', `[${callId}] Initializing call state.`);
+    activeCalls.set(callId, {
+      bridge: null,
+      bridges: new Set(),
+      originatedPartner: false,
+      channels: new Set(),
+      channelRoles: new Map(),
+      dialerChannelId: null,
+      dialerUp: false,
+      number: callNumberMap.get(callId) || null,
+      dialNumber: null,
+      dialEndpoint: null,
+      trunk: null,
+      callerId: null,
+      campaign: callCampaignMap.get(callId) || null,
+      contact: null,
+      recording: null,
+      recordingPath: null,
+      recordingId: null,
+      recordingFormatUsed: null,
+      createdAt: Date.now(),
+      dialerConnectedAt: null,
+      dialerHangupAt: null,
+      dialedConnectedAt: null,
+      dialedHangupAt: null,
+      dialedChannelId: null,
+      callConnectedAt: null,
+      effectiveConnectedAt: null,
+      answeredBy: null,
+      answeredBySource: null,
+      agentAnsweredAt: null,
+      agentChannelId: null,
+      agentChannels: new Set(),
+      agentLegs: new Map(),
+      linkedIds: new Set(),
+      dialerHangupCause: null,
+      dialerHangupCode: null,
+      dialedHangupCause: null,
+      completedAtMs: null,
+      summaryLogged: false,
+      hangupRequested: false,
+      optedOut: false,
+      callbackAt: null,
+      amd: null,
+      hold: null,
+      abandoned: null,
+      broadcast: null,
+      abandonTimer: null,
+      legATimeline: createLegTimeline('legA'),
+      legBTimeline: createLegTimeline('legB'),
+      cleanupWatchdog: null
+    });
+  }
+  return activeCalls.get(callId);
+}
+
+const CALL_WATCHDOG_GRACE_MS = 15000;
+// Prompt lengths are not known up front; a post-answer stage gets this long per prompt it plays.
+const PROMPT_WATCHDOG_SECONDS = 120;
+
+function clearCallWatchdog(callState) {
+  if (callState?.cleanupWatchdog) {
+    clearTimeout(callState.cleanupWatchdog);
+    callState.cleanupWatchdog = null;
+  }
+}
+
+function scheduleCallWatchdog(client, callId, callState, callTimeoutSeconds = 30) {
+  if (!callState) {
+    return;
+  }
+
+  const parsedTimeout = Number.isFinite(callTimeoutSeconds) ? callTimeoutSeconds : 30;
+  const baseDelayMs = Math.max(parsedTimeout, 0) * 1000;
+  armCallWatchdog(client, callId, callState, Math.max(baseDelayMs + CALL_WATCHDOG_GRACE_MS, 45000));
+}
+
+// The origination budget does not cover what happens after answer: the agent wait and the
+// safe-harbor message, a broadcast or the IVR. Each such stage moves the watchdog out so that it
+// fires no earlier than CALL_WATCHDOG_GRACE_MS after the stage should have ended.
+function extendCallWatchdog(client, callId, callState, stageSeconds) {
+  if (!callState?.cleanupWatchdog) {
+    return;
+  }
+  const delayMs = stageSeconds * 1000 + CALL_WATCHDOG_GRACE_MS;
+  if (callState.cleanupWatchdogDueAt - Date.now() >= delayMs) {
+    return;
+  }
+  armCallWatchdog(client, callId, callState, delayMs);
+}
+
+function armCallWatchdog(client, callId, callState, watchdogDelayMs) {
+  clearCallWatchdog(callState);
+  callState.cleanupWatchdogDueAt = Date.now() + watchdogDelayMs;
+
+  callState.cleanupWatchdog = setTimeout(() => {
+    const activeState = activeCalls.get(callId);
+    if (!activeState) {
+      return;
+    }
+
+    logWithTimestamp(
+      'warn',
+      `[${callId}] Call watchdog triggered after ${watchdogDelayMs} ms without cleanup. Forcing termination.`
+    );
+
+    clearCallWatchdog(activeState);
+
+    cleanupCall(callId, client)
+      .catch((err) => {
+        logWithTimestamp('error', `[${callId}] Error during watchdog cleanup:`, err.message);
+      })
+      .finally(() => {
+        markCallCompleted(client, callId);
+      });
+  }, watchdogDelayMs);
+}
+
+function createLegTimeline(role = null) {
+  return {
+    role,
+    channelId: null,
+    peerName: null,
+    callerName: null,
+    pairedChannelName: null,
+    pairedChannelId: null,
+    dialString: null,
+    targetNumber: null,
+    trunk: null,
+    answeredBy: null,
+    startedAt: null,
+    answeredAt: null,
+    endedAt: null,
+    lastStatus: null,
+    // Pre-connect IVR key press and the branch it selected (leg A only).
+    ivrDigits: null,
+    ivrBranch: null
+  };
+}
+
+function updateLegTimelineMetadata(timeline, channel) {
+  if (!timeline || !channel) {
+    return;
+  }
+
+  const { channelId: currentChannelId, peerName: currentPeerName } = timeline;
+  const newChannelId = channel.id || null;
+  const newPeerName = channel.name || null;
+  const currentPeerIsLocal = typeof currentPeerName === 'string' && currentPeerName.startsWith('Local/');
+  const channelChanged = Boolean(
+    newChannelId && currentChannelId && currentChannelId !== newChannelId
+  );
+
+  if (
+    newChannelId &&
+    (currentChannelId == null || channelChanged || currentPeerIsLocal)
+  ) {
+    timeline.channelId = newChannelId;
+  }
+
+  if (
+    newPeerName &&
+    (
+      currentPeerName == null ||
+      currentPeerIsLocal ||
+      (channelChanged && newPeerName !== currentPeerName)
+    )
+  ) {
+    timeline.peerName = newPeerName;
+  }
+
+  if (channel.name && /;1$/.test(channel.name) && !timeline.pairedChannelName) {
+    timeline.pairedChannelName = channel.name.replace(/;1$/, ';2');
+  }
+  if (channel.name && /;2$/.test(channel.name)) {
+    timeline.callerName = timeline.callerName || channel.name;
+  }
+}
+
+function normalizeLegATimestamp(timeline, field, timestamp) {
+  if (
+    !timeline ||
+    timeline.role !== 'legA' ||
+    timestamp == null ||
+    (field !== 'startedAt' && field !== 'answeredAt' && field !== 'endedAt')
+  ) {
+    return timestamp;
+  }
+
+  const date = new Date(timestamp);
+  const time = date.getTime();
+  if (Number.isNaN(time)) {
+    return timestamp;
+  }
+
+  date.setMilliseconds(0);
+  return date.getTime();
+}
+
+function setLegTimelineTimestamp(timeline, field, timestamp) {
+  if (!timeline || timestamp == null) {
+    return;
+  }
+
+  const normalizedTimestamp = normalizeLegATimestamp(timeline, field, timestamp);
+
+  if (timeline[field] == null) {
+    timeline[field] = normalizedTimestamp;
+  }
+}
+
+function assignLegDialString(timeline, dialString) {
+  if (!timeline || !dialString) {
+    return;
+  }
+
+  const trimmed = dialString.trim();
+  if (!trimmed) {
+    return;
+  }
+
+  if (!timeline.dialString) {
+    timeline.dialString = trimmed;
+  }
+
+  if (timeline.role === 'legA' && !timeline.targetNumber) {
+    const beforeAt = trimmed.split('@')[0] || trimmed;
+    const afterLastSlashIndex = beforeAt.lastIndexOf('/');
+    const candidateSource = afterLastSlashIndex >= 0 ? beforeAt.slice(afterLastSlashIndex + 1) : beforeAt;
+    const numberMatch = candidateSource.match(/[0-9+*#]+/);
+    const fallbackMatch = numberMatch || trimmed.match(/[0-9+*#]+/);
+
+    if (fallbackMatch) {
+      timeline.targetNumber = fallbackMatch[0];
+    }
+  }
+}
+
+const GENERIC_STATUS_VALUES = new Set([
+  'RINGING',
+  'DIALING',
+  'TRYING',
+  'PROGRESS',
+  'UP',
+  'DOWN',
+  'HUNGUP',
+  'UNKNOWN',
+  'EARLY MEDIA'
+]);
+
+function normalizeStatus(status) {
+  if (status == null) {
+    return '';
+  }
+
+  const normalized = String(status).trim();
+  if (!normalized) {
+    return '';
+  }
+
+  if (/^NO\s?ANSWER$/i.test(normalized)) {
+    return 'NO ANSWER';
+  }
+  if (/^ANSWER(ED)?$/i.test(normalized)) {
+    return 'ANSWERED';
+  }
+
+  return normalized;
+}
+
+function pickStatusCandidate(...values) {
+  let fallback = '';
+
+  for (const value of values) {
+    const normalized = normalizeStatus(value);
+    if (!normalized) {
+      continue;
+    }
+
+    const upper = normalized.toUpperCase();
+    if (upper === 'ANSWERED') {
+      return 'ANSWERED';
+    }
+
+    if (GENERIC_STATUS_VALUES.has(upper)) {
+      if (!fallback) {
+        fallback = normalized;
+      }
+      continue;
+    }
+
+    if (upper === 'NO ANSWER') {
+      if (!fallback) {
+        fallback = 'NO ANSWER';
+      }
+      continue;
+    }
+
+    return normalized;
+  }
+
+  return fallback;
+}
+
+function setLegTimelineStatus(timeline, status) {
+  if (!timeline || !status) {
+    return;
+  }
+
+  const normalized = normalizeStatus(status);
+  if (!normalized) {
+    return;
+  }
+
+  timeline.lastStatus = normalized;
+}
+
+function setLegAnsweredBy(timeline, value) {
+  if (!timeline || !value) {
+    return;
+  }
+
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (!trimmed) {
+    return;
+  }
+
+  if (!timeline.answeredBy) {
+    timeline.answeredBy = trimmed;
+  }
+}
+
+function toIsoTimestamp(value) {
+  if (value == null) {
+    return null;
+  }
+
+  const date = new Date(value);
+  const time = date.getTime();
+  if (Number.isNaN(time)) {
+    return null;
+  }
+
+  return date.toISOString();
+}
+
+function formatLegTimeline(label, timeline) {
+  if (!timeline) {
+    return '';
+  }
+
+  const fields = [];
+  if (timeline.lastStatus) {
+    fields.push(`status=${timeline.lastStatus}`);
+  }
+  if (timeline.targetNumber) {
+    fields.push(`number=${timeline.targetNumber}`);
+  }
+  if (timeline.trunk) {
+    fields.push(`trunk=${timeline.trunk}`);
+  }
+  if (timeline.channelId) {
+    fields.push(`channel=${timeline.channelId}`);
+  }
+  if (timeline.pairedChannelId) {
+    fields.push(`pairedChannel=${timeline.pairedChannelId}`);
+  }
+  if (timeline.peerName) {
+    fields.push(`peer='${timeline.peerName}'`);
+  }
+  if (timeline.callerName) {
+    fields.push(`caller='${timeline.callerName}'`);
+  }
+  if (timeline.dialString) {
+    fields.push(`dialstring='${timeline.dialString}'`);
+  }
+  if (timeline.answeredBy) {
+    fields.push(`answeredBy='${timeline.answeredBy}'`);
+  }
+  if (timeline.ivrBranch) {
+    fields.push(`ivr=${timeline.ivrDigits || '-'}/${timeline.ivrBranch}`);
+  }
+
+  const startIso = toIsoTimestamp(timeline.startedAt);
+  const answerIso = toIsoTimestamp(timeline.answeredAt);
+  const endIso = toIsoTimestamp(timeline.endedAt);
+
+  if (startIso) {
+    fields.push(`start=${startIso}`);
+  }
+  if (answerIso) {
+    fields.push(`answer=${answerIso}`);
+  }
+  if (endIso) {
+    fields.push(`end=${endIso}`);
+  }
+
+  if (fields.length === 0) {
+    return '';
+  }
+
+  return `${label}: ${fields.join(', ')}`;
+}
+
+function extractConnectedIdentity(channel) {
+  if (!channel) {
+    return null;
+  }
+
+  const connected = channel.connected || {};
+  const caller = channel.caller || {};
+  return (
+    connected.name ||
+    connected.number ||
+    caller.name ||
+    caller.number ||
+    channel.name ||
+    null
+  );
+}
+
+const answeredIdentityPriority = {
+  dialed: 1,
+  agent: 2
+};
+
+function setAnsweredIdentity(callState, identity, source = 'dialed') {
+  if (!callState || !identity) {
+    return;
+  }
+
+  const currentPriority = answeredIdentityPriority[callState.answeredBySource] || 0;
+  const incomingPriority = answeredIdentityPriority[source] || 0;
+
+  if (!callState.answeredBy || incomingPriority >= currentPriority) {
+    callState.answeredBy = identity;
+    callState.answeredBySource = source;
+  }
+}
+
+function updateAnsweredIdentity(callState, channel) {
+  if (!callState) {
+    return;
+  }
+
+  const identity = extractConnectedIdentity(channel);
+  setAnsweredIdentity(callState, identity, 'dialed');
+}
+
+function updateCallConnectionState(callState, referenceTime) {
+  if (!callState) {
+    return;
+  }
+
+  const referenceMs =
+    referenceTime != null ? referenceTime : Date.now();
+
+  if (callState.dialerUp && callState.dialedConnectedAt && !callState.callConnectedAt) {
+    callState.callConnectedAt = callState.callConnectedAt ?? referenceMs;
+  }
+
+  const talkStartCandidates = [];
+  if (callState.agentAnsweredAt != null) {
+    talkStartCandidates.push(callState.agentAnsweredAt);
+  }
+  if (callState.callConnectedAt != null) {
+    talkStartCandidates.push(callState.callConnectedAt);
+  }
+  if (callState.dialedConnectedAt != null && callState.dialerConnectedAt != null) {
+    talkStartCandidates.push(Math.max(callState.dialedConnectedAt, callState.dialerConnectedAt));
+  }
+
+  const talkStart =
+    talkStartCandidates.length > 0 ? Math.min(...talkStartCandidates) : null;
+
+  if (talkStart != null) {
+    if (callState.callConnectedAt == null || callState.callConnectedAt > talkStart) {
+      callState.callConnectedAt = talkStart;
+    }
+    if (callState.effectiveConnectedAt == null || callState.effectiveConnectedAt > talkStart) {
+      callState.effectiveConnectedAt = talkStart;
+    }
+  } else if (callState.dialerConnectedAt != null) {
+    if (callState.effectiveConnectedAt == null || callState.effectiveConnectedAt > callState.dialerConnectedAt) {
+      callState.effectiveConnectedAt = callState.dialerConnectedAt;
+    }
+  } else {
+    callState.effectiveConnectedAt = callState.effectiveConnectedAt ?? null;
+  }
+}
+
+function resolveHangupCause(event, channel) {
+  if (!event && !channel) {
+    return null;
+  }
+
+  const cause = (
+    event?.cause_txt ||
+    event?.cause ||
+    channel?.cause_txt ||
+    channel?.cause ||
+    channel?.hangupCause ||
+    null
+  );
+
+  return cause != null ? String(cause) : null;
+}
+
+function calculateCallDurations(callState, completedAt = new Date()) {
+  if (!callState) {
+    return {
+      primarySeconds: 0,
+      primaryLabel: 'no connection',
+      talkSeconds: 0,
+      holdSeconds: 0,
+      description: 'no connected legs'
+    };
+  }
+
+  const completedAtDate = completedAt instanceof Date ? completedAt : new Date(completedAt);
+  const completedAtMs = completedAtDate.getTime();
+
+  const dialerConnectedAt = callState.dialerConnectedAt ?? null;
+  const dialedConnectedAt = callState.dialedConnectedAt ?? null;
+  const callConnectedAt = callState.callConnectedAt ?? null;
+  const agentAnsweredAt = callState.agentAnsweredAt ?? null;
+
+  // An abandoned customer spent the whole call on hold, even if a queue had answered leg B.
+  const talkStart = callState.abandoned ? null : agentAnsweredAt || callConnectedAt || null;
+  const talkSeconds = talkStart
+    ? Math.max(0, Math.round((completedAtMs - talkStart) / 1000))
+    : 0;
+
+  // A broadcast customer listens to the message; nobody waits for an agent.
+  let holdSeconds = 0;
+  if (dialerConnectedAt && !callState.broadcast) {
+    const holdEnd = talkStart || completedAtMs;
+    holdSeconds = Math.max(0, Math.round((holdEnd - dialerConnectedAt) / 1000));
+  }
+
+  const effectiveConnectedAt =
+    callState.effectiveConnectedAt ?? talkStart ?? dialerConnectedAt ?? null;
+  const primarySeconds = effectiveConnectedAt
+    ? Math.max(0, Math.round((completedAtMs - effectiveConnectedAt) / 1000))
+    : 0;
+
+  let primaryLabel = 'no connection';
+  let description = 'no connected legs';
+  if (talkStart && dialedConnectedAt) {
+    primaryLabel = 'two-leg talk';
+    description = `talkTime=${talkSeconds}s, holdBeforeAnswer=${holdSeconds}s`;
+  } else if (dialerConnectedAt && callState.broadcast) {
+    primaryLabel = 'broadcast';
+    description = `messageTime=${primarySeconds}s (single-leg)`;
+  } else if (dialerConnectedAt) {
+    primaryLabel = 'single-leg hold';
+    description = `holdTime=${holdSeconds}s (single-leg)`;
+  }
+
+  return {
+    primarySeconds,
+    primaryLabel,
+    talkSeconds,
+    holdSeconds,
+    description
+  };
+}
+
+// "moh:default" or "announcement:sound:queue-thankyou" for the media the customer heard on hold.
+function describeHoldMedia(hold) {
+  if (!hold) {
+    return null;
+  }
+  const parts = [];
+  if (hold.announcementsPlayed > 0 || (hold.announcements.length > 0 && !hold.mohStarted)) {
+    parts.push(`announcement:${hold.announcements.join(',')}`);
+  }
+  if (hold.mohStarted) {
+    parts.push(`moh:${hold.musicClass}`);
+  }
+  return parts.join(' + ') || null;
+}
+
+function ensureAgentLeg(callState, channelId) {
+  if (!callState || !channelId) {
+    return null;
+  }
+
+  if (!(callState.agentLegs instanceof Map)) {
+    callState.agentLegs = new Map();
+  }
+
+  if (!callState.agentLegs.has(channelId)) {
+    callState.agentLegs.set(channelId, {
+      channelId,
+      identity: null,
+      dialedAt: null,
+      answeredAt: null,
+      hangupAt: null,
+      lastStatus: null
+    });
+  }
+
+  return callState.agentLegs.get(channelId);
+}
+
+function calculateLegDurations(callState, completedAt = new Date()) {
+  const completedAtDate = completedAt instanceof Date ? completedAt : new Date(completedAt);
+  const completedAtMs = completedAtDate.getTime();
+
+  const callStartMs = callState?.createdAt ?? completedAtMs;
+  const legAAnswerAt = callState?.dialerConnectedAt ?? null;
+  const legATalkStart = callState?.agentAnsweredAt ?? callState?.callConnectedAt ?? null;
+  const legATalkEnd = callState?.dialerHangupAt ?? callState?.completedAtMs ?? completedAtMs;
+
+  const legAWaitSeconds = legAAnswerAt
+    ? Math.max(0, Math.round((legAAnswerAt - callStartMs) / 1000))
+    : Math.max(0, Math.round((completedAtMs - callStartMs) / 1000));
+
+  const legATalkSeconds = legATalkStart
+    ? Math.max(0, Math.round((legATalkEnd - legATalkStart) / 1000))
+    : 0;
+
+  let agentLeg = null;
+  if (callState?.agentLegs instanceof Map) {
+    if (callState.agentChannelId && callState.agentLegs.has(callState.agentChannelId)) {
+      agentLeg = callState.agentLegs.get(callState.agentChannelId);
+    } else {
+      for (const candidate of callState.agentLegs.values()) {
+        if (candidate?.answeredAt) {
+          agentLeg = candidate;
+          break;
+        }
+      }
+    }
+  }
+
+  const agentAnsweredAt = callState?.agentAnsweredAt ?? agentLeg?.answeredAt ?? null;
+  const agentDialedAt = agentLeg?.dialedAt ?? callState?.dialedConnectedAt ?? null;
+  const agentHangupAt = agentLeg?.hangupAt ?? callState?.dialedHangupAt ?? callState?.completedAtMs ?? completedAtMs;
+
+  const legBWaitSeconds = agentAnsweredAt && agentDialedAt
+    ? Math.max(0, Math.round((agentAnsweredAt - agentDialedAt) / 1000))
+    : agentDialedAt
+    ? Math.max(0, Math.round((completedAtMs - agentDialedAt) / 1000))
+    : 0;
+
+  const legBTalkSeconds = agentAnsweredAt
+    ? Math.max(0, Math.round((agentHangupAt - agentAnsweredAt) / 1000))
+    : 0;
+
+  return {
+    legA: { waitSeconds: legAWaitSeconds, talkSeconds: legATalkSeconds },
+    legB: { waitSeconds: legBWaitSeconds, talkSeconds: legBTalkSeconds }
+  };
+}
+
+function determineLegStatus(
+  connectedAt,
+  hangupCause,
+  counterpartConnectedAt,
+  fallbackCause,
+  timelineStatus
+) {
+  if (connectedAt && counterpartConnectedAt) {
+    return 'ANSWERED';
+  }
+
+  const candidate = pickStatusCandidate(hangupCause, fallbackCause, timelineStatus);
+
+  if (connectedAt && !counterpartConnectedAt) {
+    return candidate || 'NO ANSWER';
+  }
+
+  return candidate || 'NO ANSWER';
+}
+
+function resolveRecordingPath(callState) {
+  if (!callState) {
+    return '';
+  }
+
+  if (callState.recordingPath) {
+    return callState.recordingPath;
+  }
+
+  const recordingId = callState.recordingId || callState.recording?.id;
+  if (!recordingId) {
+    return '';
+  }
+
+  const recordingFormatForLog =
+    callState.recordingFormatUsed || callState.recording?.format || currentConfig.recordingFormat;
+  const fileName = `${recordingId}.${recordingFormatForLog}`;
+
+  const searchDirs = new Set(recordingSearchDirs);
+  searchDirs.add(currentConfig.resolvedRecordingsDir);
+
+  for (const dir of searchDirs) {
+    const candidate = path.join(dir, fileName);
+    try {
+      if (fs.existsSync(candidate)) {
+        callState.recordingPath = candidate;
+        return candidate;
+      }
+    } catch (err) {
+      // Ignore filesystem access issues for logging purposes.
+    }
+  }
+
+  return fileName;
+}
+
+async function logCallSummary(callId, callState, completedAt = new Date()) {
+  if (!callState || callState.summaryLogged) {
+    return null;
+  }
+
+  const providedCompletedAt = completedAt instanceof Date ? completedAt : new Date(completedAt);
+  const providedCompletedAtMs = providedCompletedAt.getTime();
+  const fallbackCompletedAtMs = Number.isFinite(providedCompletedAtMs) ? providedCompletedAtMs : Date.now();
+  const resolvedCompletedAtMs = callState.completedAtMs ?? fallbackCompletedAtMs;
+  callState.completedAtMs = resolvedCompletedAtMs;
+  const resolvedCompletedAtDate = Number.isFinite(providedCompletedAtMs) && providedCompletedAtMs === resolvedCompletedAtMs
+    ? providedCompletedAt
+    : new Date(resolvedCompletedAtMs);
+
+  const durationInfo = calculateCallDurations(callState, resolvedCompletedAtDate);
+  const legDurations = calculateLegDurations(callState, resolvedCompletedAtDate);
+
+  const callStartMs = callState.createdAt != null ? callState.createdAt : resolvedCompletedAtMs;
+  const callStartIso = new Date(callStartMs).toISOString();
+  const number = callState.number || 'unknown';
+  const legAConnectionStatus = determineLegStatus(
+    callState.dialerConnectedAt,
+    callState.dialerHangupCause,
+    callState.dialedConnectedAt,
+    callState.dialedHangupCause,
+    callState.legATimeline?.lastStatus
+  );
+  let legAStatus =
+    callState.amd?.result === 'MACHINE' && legAConnectionStatus !== 'ANSWERED' ? 'MACHINE' : legAConnectionStatus;
+  if (callState.abandoned) {
+    legAStatus = 'ABANDONED';
+  }
+  const legBStatus = determineLegStatus(
+    callState.dialedConnectedAt,
+    callState.dialedHangupCause,
+    callState.dialerConnectedAt,
+    callState.dialerHangupCause,
+    callState.legBTimeline?.lastStatus
+  );
+
+  setLegTimelineStatus(callState.legATimeline, legAStatus);
+  setLegTimelineStatus(callState.legBTimeline, legBStatus);
+  recordCallOutcome(callId, callState, legAStatus);
+  recordPacingSample(callState, resolvedCompletedAtMs);
+
+  setLegTimelineTimestamp(callState.legATimeline, 'endedAt', resolvedCompletedAtMs);
+  setLegTimelineTimestamp(callState.legBTimeline, 'endedAt', resolvedCompletedAtMs);
+
+  let agentIdentity = callState.answeredBy || null;
+  if (!agentIdentity && callState.agentChannelId && callState.agentLegs instanceof Map) {
+    agentIdentity = callState.agentLegs.get(callState.agentChannelId)?.identity || null;
+  }
+  const recordingPath = resolveRecordingPath(callState);
+
+  const summaryRecord = [
+    callStartIso,
+    number,
+    legAStatus,
+    String(legDurations.legA.waitSeconds),
+    String(legDurations.legA.talkSeconds),
+    legBStatus,
+    agentIdentity || 'unknown',
+    String(legDurations.legB.waitSeconds),
+    String(legDurations.legB.talkSeconds),
+    recordingPath
+  ].join(';');
+
+  logWithTimestamp('log', `[${callId}] Call summary: ${summaryRecord}`);
+  logWithTimestamp(
+    'log',
+    `[${callId}] Call metrics: completedAt=${resolvedCompletedAtDate.toISOString()}, campaign=${callState.campaign || 'unknown'}, ` +
+      `number=${number}, attempt=${callState.attempt || 1}, status=${legAStatus}/${legBStatus}, ` +
+      (callState.callerId ? `callerId=${callState.callerId}, ` : '') +
+      (callState.amd ? `amd=${callState.amd.result}/${callState.amd.action}, ` : '') +
+      (callState.broadcast
+        ? `broadcast=${callState.broadcast.completed ? 'completed' : 'cut-short'}/${callState.broadcast.plays}, `
+        : '') +
+      `holdSeconds=${durationInfo.holdSeconds}` +
+      (callState.hold ? ` (${describeHoldMedia(callState.hold)}), ` : ', ') +
+      `primaryDuration=${durationInfo.primarySeconds}s (${durationInfo.primaryLabel}), detail=${durationInfo.description}`
+  );
+
+  const legALog = formatLegTimeline('legA', callState.legATimeline);
+  const legBLog = formatLegTimeline('legB', callState.legBTimeline);
+  if (legALog || legBLog) {
+    const parts = [];
+    if (legALog) {
+      parts.push(legALog);
+    }
+    if (legBLog) {
+      parts.push(legBLog);
+    }
+    logWithTimestamp('log', `[${callId}] Leg timelines: ${parts.join(' | ')}`);
+  }
+
+  await persistLegTimelines(callId, callState, recordingPath, durationInfo);
+
+  callState.summaryLogged = true;
+
+  return summaryRecord;
+}
+
+async function moveRecordingToResolvedDir(recording, callId) {
+  if (!recording?.id) {
+    return;
+  }
+
+  const targetPath = path.join(currentConfig.resolvedRecordingsDir, `${recording.id}.${recording.format}`);
+
+  try {
+    await fs.promises.access(targetPath, fs.constants.F_OK);
+    logWithTimestamp('log', `[${callId}] Recording already available at ${targetPath}.`);
+    return;
+  } catch (err) {
+    // Target file does not exist yet – proceed with locating the source.
+  }
+
+  const sourceFileName = `${recording.id}.${recording.format}`;
+  for (const dir of recordingSearchDirs) {
+    const candidatePath = path.join(dir, sourceFileName);
+    if (candidatePath === targetPath) {
+      continue;
+    }
+
+    try {
+      await fs.promises.access(candidatePath, fs.constants.F_OK);
+    } catch (err) {
+      continue;
+    }
+
+    try {
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+      try {
+        await fs.promises.rename(candidatePath, targetPath);
+        logWithTimestamp('log', `[${callId}] Moved recording from ${candidatePath} to ${targetPath}.`);
+      } catch (renameErr) {
+        if (renameErr?.code !== 'EXDEV') {
+          throw renameErr;
+        }
+
+        await fs.promises.copyFile(candidatePath, targetPath);
+        await fs.promises.unlink(candidatePath).catch(() => {});
+        logWithTimestamp('log', `[${callId}] Copied recording from ${candidatePath} to ${targetPath}.`);
+      }
+      return;
+    } catch (err) {
+      logWithTimestamp('error', `[${callId}] Failed to move recording from ${candidatePath}:`, err.message);
+    }
+  }
+
+  logWithTimestamp('warn', `[${callId}] Recording file ${sourceFileName} was not found for transfer.`);
+}
+
+async function recordingFileExists(recording) {
+  if (!recording?.id) {
+    return false;
+  }
+
+  const fileName = `${recording.id}.${recording.format}`;
+  for (const dir of recordingSearchDirs) {
+    const candidatePath = path.join(dir, fileName);
+    try {
+      await fs.promises.access(candidatePath, fs.constants.F_OK);
+      return true;
+    } catch (err) {
+      // File not in this directory – keep checking others.
+    }
+  }
+
+  return false;
+}
+
+function scheduleRecordingRetry(recordingId, delayMs, trigger) {
+  const ownership = recordingOwnership.get(recordingId);
+  if (!ownership) {
+    return;
+  }
+
+  if (ownership.retryTimer) {
+    clearTimeout(ownership.retryTimer);
+  }
+
+  ownership.retryTimer = setTimeout(() => {
+    ownership.retryTimer = null;
+    handleRecordingReady(recordingId, trigger).catch((err) => {
+      logWithTimestamp('error', `[${ownership.callId}] Error processing recording '${recordingId}' (${trigger}):`, err.message);
+    });
+  }, delayMs);
+}
+
+async function handleRecordingReady(recordingId, trigger) {
+  const ownership = recordingOwnership.get(recordingId);
+  if (!ownership) {
+    return;
+  }
+
+  const { callId, recording } = ownership;
+
+  const exists = await recordingFileExists(recording);
+  if (!exists) {
+    const fromEvent = trigger.startsWith('event');
+    const retryDelay = fromEvent ? 1000 : 5000;
+    ownership.retryCounters = ownership.retryCounters || {};
+    ownership.retryCounters[trigger] = (ownership.retryCounters[trigger] || 0) + 1;
+    const attempt = ownership.retryCounters[trigger];
+    logWithTimestamp('log', 
+      `[${callId}] Recording '${recordingId}' not yet present after ${trigger} attempt #${attempt}. Retrying in ${retryDelay} ms.`
+    );
+    scheduleRecordingRetry(recordingId, retryDelay, trigger);
+    return;
+  }
+
+  await moveRecordingToResolvedDir(recording, callId);
+
+  if (ownership.retryTimer) {
+    clearTimeout(ownership.retryTimer);
+  }
+
+  recordingOwnership.delete(recordingId);
+
+  const callState = activeCalls.get(callId);
+  if (callState?.recording?.id === recordingId) {
+    callState.recording = null;
+  }
+}
+
+async function cleanupCall(callId, client) {
+  const callState = activeCalls.get(callId);
+  if (!callState) {
+    return;
+  }
+
+  clearCallWatchdog(callState);
+  clearAbandonTimer(callState);
+
+  const completedAtMs = callState.completedAtMs ?? Date.now();
+  callState.completedAtMs = completedAtMs;
+  const completedAt = new Date(completedAtMs);
+  await logCallSummary(callId, callState, completedAt);
+
+  if (callState.bridges instanceof Set) {
+    for (const trackedBridgeId of callState.bridges) {
+      bridgeToCallId.delete(trackedBridgeId);
+    }
+    callState.bridges.clear();
+  }
+
+  if (callState.recording?.id) {
+    const recordingState = callState.recording;
+    const { id: name, bridgeId, mode } = recordingState;
+    let stopped = false;
+
+    if (mode === 'bridge' && bridgeId && client?.bridges?.stopMedia) {
+      try {
+        logWithTimestamp('log', `[${callId}] Stopping bridge recording '${name}' on bridge ${bridgeId}.`);
+        await client.bridges.stopMedia({ bridgeId, media: 'recording' });
+        stopped = true;
+      } catch (err) {
+        if (!/not found/i.test(err?.message || '')) {
+          logWithTimestamp('error', `[${callId}] Failed to stop bridge recording ${name}:`, err.message);
+        }
+      }
+    }
+
+    if (!stopped && client?.recordings?.stop) {
+      try {
+        logWithTimestamp('log', `[${callId}] Stopping recording '${name}' via recordings API.`);
+        await client.recordings.stop({ recordingName: name });
+        stopped = true;
+      } catch (err) {
+        if (!/not found/i.test(err?.message || '')) {
+          logWithTimestamp('error', `[${callId}] Failed to stop recording ${name}:`, err.message);
+        }
+      }
+    }
+
+    if (stopped) {
+      logWithTimestamp('log', 
+        `[${callId}] Recording '${name}' stop requested. Waiting for RecordingFinished event before moving file.`
+      );
+
+      if (recordingOwnership.has(recordingState.id)) {
+        scheduleRecordingRetry(recordingState.id, 10000, 'fallback');
+      } else {
+        logWithTimestamp('warn', 
+          `[${callId}] Recording '${name}' was not tracked for ownership. Scheduling immediate retry.`
+        );
+        recordingOwnership.set(recordingState.id, {
+          callId,
+          recording: recordingState,
+          retryTimer: null,
+          retryCounters: {}
+        });
+        scheduleRecordingRetry(recordingState.id, 5000, 'fallback');
+      }
+    }
+  }
+
+  if (callState.bridges && callState.bridges.size > 0) {
+    for (const knownBridgeId of callState.bridges) {
+      if (knownBridgeId) {
+        bridgeToCallId.delete(knownBridgeId);
+      }
+    }
+    callState.bridges.clear();
+  }
+
+  if (callState.bridge) {
+    try {
+      const bridgeId = callState.bridge.id;
+      logWithTimestamp('log', `[${callId}] Destroying bridge${bridgeId ? ` ${bridgeId}` : ''}.`);
+      if (bridgeId) {
+        bridgeToCallId.delete(bridgeId);
+      }
+      await callState.bridge.destroy();
+    } catch (err) {
+      if (err?.message && !/not found/i.test(err.message)) {
+        logWithTimestamp('error', 'Error destroying bridge:', err.message);
+      }
+    }
+  }
+
+  callState.channels.forEach((channelId) => channelToCallId.delete(channelId));
+  // Pre-registered leg ids that never became channels are only known through their roles.
+  callState.channelRoles.forEach((role, channelId) => channelToCallId.delete(channelId));
+  callState.channelRoles.clear();
+  if (callState.agentChannels) {
+    callState.agentChannels.forEach((channelId) => channelToCallId.delete(channelId));
+    callState.agentChannels.clear();
+  }
+  if (callState.linkedIds) {
+    callState.linkedIds.forEach((linkedId) => linkedIdToCallId.delete(linkedId));
+    callState.linkedIds.clear();
+  }
+  activeCalls.delete(callId);
+  callNumberMap.delete(callId);
+  logWithTimestamp('log', `[${callId}] Call state cleaned up.`);
+}
+
+function maybeOriginateNext(client, campaign) {
+  if (!campaign) {
+    for (const candidate of campaigns.values()) {
+      maybeOriginateNext(client, candidate);
+    }
+    return;
+  }
+
+  if (campaign.runState === 'stopping' && campaign.inFlightCalls.size === 0) {
+    campaign.runState = 'stopped';
+    persistCampaignSnapshot(campaign);
+    logWithTimestamp('log', `Campaign '${campaign.name}' stopped. All in-flight calls have completed.`);
+  }
+
+  if (campaign.runState !== 'running') {
+    return;
+  }
+
+  const concurrencyLimit = getCampaignDialLimit(campaign);
+
+  if (!updateCallingWindowState(client, campaign)) {
+    clearRetryWakeup(campaign);
+  } else {
+    let waitingForTrunk = false;
+    while (
+      campaign.inFlightCalls.size < concurrencyLimit &&
+      hasAgentCapacity(campaign) &&
+      hasTrunkCapacity(campaign) &&
+      hasCallerIdCapacity(campaign)
+    ) {
+      const nextContact = takeNextContact(campaign);
+      if (!nextContact) {
+        break;
+      }
+      if (!screenContact(campaign, nextContact)) {
+        continue;
+      }
+      const trunk = selectTrunk(campaign, campaign.failoverTrunks.get(nextContact.number));
+      if (!trunk) {
+        // Only the trunks this number has not failed on yet are full; a call completing on them wakes us up.
+        scheduleContactRetry(campaign, nextContact, Date.now());
+        waitingForTrunk = true;
+        break;
+      }
+      originateCall(client, campaign, nextContact, trunk).catch((err) => {
+        logWithTimestamp('error', 'Unexpected error during call origination:', err.message);
+      });
+    }
+
+    // Completed calls and AMI updates re-enter this function; a timer is only needed when
+    // a slot is free and the next retry is not due yet.
+    const callerIdsLeft = hasCallerIdCapacity(campaign);
+    if (
+      !waitingForTrunk &&
+      campaign.inFlightCalls.size < concurrencyLimit &&
+      hasAgentCapacity(campaign) &&
+      hasTrunkCapacity(campaign) &&
+      callerIdsLeft
+    ) {
+      scheduleRetryWakeup(client, campaign);
+    }
+    if (callerIdsLeft) {
+      campaign.callerIdsExhausted = false;
+    } else if (campaign.numbersQueue.length > 0 || campaign.retryQueue.length > 0) {
+      waitForCallerIdCapReset(campaign);
+    }
+  }
+
+  if (
+    campaign.numbersQueue.length === 0 &&
+    campaign.retryQueue.length === 0 &&
+    campaign.inFlightCalls.size === 0 &&
+    !campaign.numbersDepletedLogged
+  ) {
+    campaign.numbersDepletedLogged = true;
+    logWithTimestamp('log', `Campaign '${campaign.name}': all outbound numbers have been processed.`);
+    finishCampaignRun(campaign);
+  }
+}
+
+const PACING_SAMPLE_SIZE = 100;
+const PACING_MIN_SAMPLES = 10;
+// Average leg B waits above this mean customers queue for agents, so dialing slows down.
+const PACING_TARGET_AGENT_WAIT_SECONDS = 5;
+const PACING_MIN_GAIN = 0.5;
+const PACING_MAX_GAIN = 3;
+
+// Calls screened out as answering machines count as unanswered, not as abandoned. A call the
+// dialer gave up on after MAX_AGENT_WAIT is abandoned even if a queue had already picked up leg B.
+function getAnswerOutcome(callState) {
+  // Machines screened out by AMD, customers who declined in the IVR and broadcast calls never
+  // waited for an agent.
+  const customerAnswered =
+    !callState.broadcast &&
+    Boolean(callState.dialerConnectedAt) &&
+    (!callState.amd || callState.amd.action === 'connect') &&
+    ['connect', null].includes(callState.legATimeline?.ivrBranch ?? null);
+  const agentAnswered = !callState.abandoned && Boolean(callState.agentAnsweredAt ?? callState.callConnectedAt);
+  return { customerAnswered, agentAnswered, abandoned: customerAnswered && !agentAnswered };
+}
+
+function getAbandonmentStatus(abandonment) {
+  return {
+    answered: abandonment.answered,
+    abandoned: abandonment.abandoned,
+    rate: abandonment.answered > 0 ? Math.round((abandonment.abandoned / abandonment.answered) * 10000) / 100 : 0
+  };
+}
+
+function recordPacingSample(callState, completedAt) {
+  const campaign = callState?.campaign ? campaigns.get(callState.campaign) : null;
+  if (!campaign) {
+    return;
+  }
+
+  const durations = calculateLegDurations(callState, completedAt);
+  const { customerAnswered, agentAnswered, abandoned } = getAnswerOutcome(callState);
+  const pacing = campaign.pacing;
+  pacing.samples.push({
+    customerAnswered,
+    abandoned,
+    ringSeconds: durations.legA.waitSeconds,
+    agentWaitSeconds: customerAnswered ? durations.legB.waitSeconds : null,
+    talkSeconds: agentAnswered ? durations.legB.talkSeconds : null
+  });
+  if (pacing.samples.length > PACING_SAMPLE_SIZE) {
+    pacing.samples.splice(0, pacing.samples.length - PACING_SAMPLE_SIZE);
+  }
+
+  if (campaign.config.pacing.mode !== 'predictive' || pacing.samples.length < PACING_MIN_SAMPLES) {
+    return;
+  }
+
+  const stats = getPacingStats(campaign);
+  let gain = pacing.gain;
+  if (stats.abandonRate > campaign.config.pacing.targetAbandonRate) {
+    gain *= 0.85;
+  } else if (stats.avgAgentWaitSeconds > PACING_TARGET_AGENT_WAIT_SECONDS) {
+    gain *= 0.95;
+  } else {
+    gain *= 1.05;
+  }
+  pacing.gain = Math.min(PACING_MAX_GAIN, Math.max(PACING_MIN_GAIN, gain));
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function getPacingStats(campaign) {
+  const samples = campaign.pacing.samples;
+  const answered = samples.filter((sample) => sample.customerAnswered);
+  const talked = samples.filter((sample) => sample.talkSeconds != null);
+
+  return {
+    samples: samples.length,
+    answerRate: samples.length > 0 ? answered.length / samples.length : 0,
+    // Percentage of customer-answered calls that never reached an agent.
+    abandonRate: answered.length > 0 ? (answered.filter((sample) => sample.abandoned).length / answered.length) * 100 : 0,
+    avgRingSeconds: average(answered.map((sample) => sample.ringSeconds)),
+    avgAgentWaitSeconds: average(answered.map((sample) => sample.agentWaitSeconds)),
+    avgTalkSeconds: average(talked.map((sample) => sample.talkSeconds))
+  };
+}
+
+// Fixed mode keeps callConcurrencyLimit calls in flight. Predictive mode dials enough lines
+// for the agents that are (or will shortly be) free, divided by the live answer rate.
+// Broadcast campaigns have no agents to pace for and always dial at the fixed limit.
+function getCampaignDialLimit(campaign) {
+  const config = campaign.config;
+  if (config.pacing?.mode !== 'predictive' || config.broadcast?.enabled) {
+    return config.callConcurrencyLimit ?? 1;
+  }
+
+  const { minConcurrency, maxConcurrency, agents } = config.pacing;
+  const stats = getPacingStats(campaign);
+  let connected = 0;
+  for (const callId of campaign.inFlightCalls) {
+    if (activeCalls.get(callId)?.dialerConnectedAt) {
+      connected += 1;
+    }
+  }
+
+  const answerRate = stats.samples >= PACING_MIN_SAMPLES ? Math.max(stats.answerRate, 0.05) : 1;
+  // Connected calls likely to end while a new call is still ringing.
+  const freeingSoon =
+    stats.avgTalkSeconds > 0 ? connected * Math.min(1, stats.avgRingSeconds / stats.avgTalkSeconds) : 0;
+  // With AMI the live free-agent count replaces the configured agent headcount.
+  const availability = getAgentAvailability(campaign);
+  const freeAgents = availability ? availability.free : agents - connected;
+  const needed = Math.max(0, freeAgents + freeingSoon);
+  const limit = connected + Math.ceil((needed * campaign.pacing.gain) / answerRate);
+
+  return Math.min(maxConcurrency, Math.max(minConcurrency, limit));
+}
+
+function trunkHasCapacity(trunk) {
+  if (!trunkBreakerAllowsCall(trunk.name)) {
+    return false;
+  }
+  return trunk.maxConcurrent == null || (trunkCallCounts.get(trunk.name) || 0) < trunk.maxConcurrent;
+}
+
+function hasTrunkCapacity(campaign) {
+  return campaign.config.trunks.some((trunk) => trunkHasCapacity(trunk));
+}
+
+// Smooth weighted round-robin over trunks with a free line, skipping the ones listed in excludedNames.
+function selectTrunk(campaign, excludedNames = []) {
+  const candidates = campaign.config.trunks.filter(
+    (trunk) => !excludedNames.includes(trunk.name) && trunkHasCapacity(trunk)
+  );
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  let totalWeight = 0;
+  let selected = null;
+  for (const trunk of candidates) {
+    const current = (campaign.trunkRotation.get(trunk.name) || 0) + trunk.weight;
+    campaign.trunkRotation.set(trunk.name, current);
+    totalWeight += trunk.weight;
+    if (!selected || current > campaign.trunkRotation.get(selected.name)) {
+      selected = trunk;
+    }
+  }
+  campaign.trunkRotation.set(selected.name, campaign.trunkRotation.get(selected.name) - totalWeight);
+  return selected;
+}
+
+function acquireTrunk(callId, trunkName) {
+  callTrunkMap.set(callId, trunkName);
+  trunkCallCounts.set(trunkName, (trunkCallCounts.get(trunkName) || 0) + 1);
+
+  const breaker = trunkBreakers.get(trunkName);
+  if (breaker?.state === 'open') {
+    breaker.state = 'half-open';
+    breaker.probeCallId = callId;
+    logWithTimestamp('log', `[${callId}] Probing trunk '${trunkName}' after circuit breaker cooldown.`);
+  }
+}
+
+function releaseTrunk(callId) {
+  const trunkName = callTrunkMap.get(callId);
+  if (!trunkName) {
+    return null;
+  }
+  callTrunkMap.delete(callId);
+  trunkCallCounts.set(trunkName, Math.max(0, (trunkCallCounts.get(trunkName) || 0) - 1));
+
+  // A probe hung up by a supervisor gives no verdict; let the next call probe instead.
+  const breaker = trunkBreakers.get(trunkName);
+  if (breaker?.state === 'half-open' && breaker.probeCallId === callId) {
+    breaker.state = 'open';
+    breaker.probeCallId = null;
+  }
+  return trunkName;
+}
+
+function trunkBreakerAllowsCall(trunkName) {
+  const breaker = trunkBreakers.get(trunkName);
+  if (!breaker || breaker.state === 'closed') {
+    return true;
+  }
+  // While open, exactly one probe call is let through once the cooldown has passed.
+  return breaker.state === 'open' && Date.now() >= breaker.probeAt;
+}
+
+function getTrunkBreaker(trunkName) {
+  if (!trunkBreakers.has(trunkName)) {
+    trunkBreakers.set(trunkName, {
+      state: 'closed',
+      results: [],
+      openedAt: null,
+      probeAt: null,
+      probeCallId: null,
+      trips: 0,
+      timer: null
+    });
+  }
+  return trunkBreakers.get(trunkName);
+}
+
+function openTrunkBreaker(trunkName, breaker, reason) {
+  const { cooldownMs } = currentConfig.trunkBreaker;
+  breaker.state = 'open';
+  breaker.openedAt = Date.now();
+  breaker.probeAt = breaker.openedAt + cooldownMs;
+  breaker.probeCallId = null;
+  breaker.results = [];
+  breaker.trips += 1;
+  logWithTimestamp(
+    'warn',
+    `Circuit breaker for trunk '${trunkName}' opened: ${reason}. ` +
+      `Dialing on it is paused until ${new Date(breaker.probeAt).toISOString()}.`
+  );
+
+  clearTimeout(breaker.timer);
+  breaker.timer = setTimeout(() => {
+    breaker.timer = null;
+    maybeOriginateNext(dialerClient);
+  }, cooldownMs);
+}
+
+function closeTrunkBreaker(trunkName, breaker, reason) {
+  clearTimeout(breaker.timer);
+  breaker.timer = null;
+  breaker.state = 'closed';
+  breaker.results = [];
+  breaker.openedAt = null;
+  breaker.probeAt = null;
+  breaker.probeCallId = null;
+  logWithTimestamp('log', `Circuit breaker for trunk '${trunkName}' closed: ${reason}.`);
+}
+
+// Feeds one leg A disposition into the trunk's sliding window. Results of calls that were
+// already in flight when the breaker opened are ignored; only the probe decides while open.
+function recordTrunkResult(trunkName, callId, failed) {
+  const settings = currentConfig.trunkBreaker;
+  if (!trunkName || !settings.enabled) {
+    return;
+  }
+
+  const breaker = getTrunkBreaker(trunkName);
+  if (breaker.state === 'half-open') {
+    if (breaker.probeCallId !== callId) {
+      return;
+    }
+    if (failed) {
+      openTrunkBreaker(trunkName, breaker, `probe call ${callId} failed`);
+    } else {
+      closeTrunkBreaker(trunkName, breaker, `probe call ${callId} succeeded`);
+      maybeOriginateNext(dialerClient);
+    }
+    return;
+  }
+  if (breaker.state === 'open') {
+    return;
+  }
+
+  breaker.results.push(failed);
+  if (breaker.results.length > settings.windowSize) {
+    breaker.results.shift();
+  }
+  const failures = breaker.results.filter(Boolean).length;
+  if (breaker.results.length >= settings.minCalls && failures * 100 >= settings.failureRate * breaker.results.length) {
+    openTrunkBreaker(trunkName, breaker, `${failures} of the last ${breaker.results.length} calls failed`);
+  }
+}
+
+function resetTrunkBreaker(trunkName) {
+  const breaker = trunkBreakers.get(trunkName);
+  if (!breaker) {
+    return false;
+  }
+  closeTrunkBreaker(trunkName, breaker, 'reset via control server');
+  maybeOriginateNext(dialerClient);
+  return true;
+}
+
+function serializeTrunkBreaker(trunkName) {
+  const breaker = trunkBreakers.get(trunkName);
+  if (!breaker) {
+    return { state: 'closed', failures: 0, samples: 0, trips: 0 };
+  }
+  return {
+    state: breaker.state,
+    failures: breaker.results.filter(Boolean).length,
+    samples: breaker.results.length,
+    trips: breaker.trips,
+    openedAt: toIsoTimestamp(breaker.openedAt),
+    probeAt: toIsoTimestamp(breaker.probeAt),
+    probeCallId: breaker.probeCallId
+  };
+}
+
+// Token bucket that hands out one token per originate and releases waiters in FIFO order,
+// spaced by the refill rate instead of all at once.
+function createTokenBucket({ ratePerSecond, burst = 1 }) {
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let timer = null;
+  const waiters = [];
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = now;
+  }
+
+  function release() {
+    clearTimeout(timer);
+    timer = null;
+    refill();
+    while (waiters.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      waiters.shift()();
+    }
+    if (waiters.length > 0) {
+      timer = setTimeout(release, Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+    }
+  }
+
+  return {
+    take() {
+      return new Promise((resolve) => {
+        waiters.push(resolve);
+        if (!timer) {
+          release();
+        }
+      });
+    },
+    configure(next) {
+      refill();
+      ratePerSecond = next.ratePerSecond;
+      burst = next.burst;
+      tokens = Math.min(tokens, burst);
+      if (timer) {
+        release();
+      }
+    },
+    // Lets everybody through, used when the limit is removed from the configuration.
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      waiters.splice(0).forEach((resolve) => resolve());
+    },
+    getStatus() {
+      refill();
+      return { cps: ratePerSecond, burst, tokens: Math.floor(tokens * 100) / 100, waiting: waiters.length };
+    }
+  };
+}
+
+function configureOriginateRateLimiter(config) {
+  const { cps, burst } = config.originateRate;
+  if (!cps) {
+    originateRateLimiter?.flush();
+    originateRateLimiter = null;
+  } else if (originateRateLimiter) {
+    originateRateLimiter.configure({ ratePerSecond: cps, burst });
+  } else {
+    originateRateLimiter = createTokenBucket({ ratePerSecond: cps, burst });
+  }
+}
+
+function getTrunkRateLimiter(trunk) {
+  let limiter = trunkRateLimiters.get(trunk.name) || null;
+  if (!trunk.cps) {
+    limiter?.flush();
+    trunkRateLimiters.delete(trunk.name);
+    return null;
+  }
+
+  const burst = currentConfig.originateRate.burst;
+  if (limiter) {
+    limiter.configure({ ratePerSecond: trunk.cps, burst });
+  } else {
+    limiter = createTokenBucket({ ratePerSecond: trunk.cps, burst });
+    trunkRateLimiters.set(trunk.name, limiter);
+  }
+  return limiter;
+}
+
+// Resolves once both the trunk's and the dialer-wide CPS limits allow another originate.
+async function waitForOriginateSlot(trunk) {
+  const trunkLimiter = getTrunkRateLimiter(trunk);
+  if (trunkLimiter) {
+    await trunkLimiter.take();
+  }
+  if (originateRateLimiter) {
+    await originateRateLimiter.take();
+  }
+}
+
+function getTrunkStatus(trunks) {
+  return trunks.map((trunk) => ({
+    ...trunk,
+    inFlight: trunkCallCounts.get(trunk.name) || 0,
+    rate: trunkRateLimiters.get(trunk.name)?.getStatus() || null,
+    breaker: serializeTrunkBreaker(trunk.name)
+  }));
+}
+
+function ensureCallerIdUsageLoaded() {
+  const filePath = path.join(currentConfig.resolvedStateDir, 'caller-id-usage.json');
+  if (callerIdUsageFilePath === filePath) {
+    return;
+  }
+  // STATE_DIR changed on reload: bookings not yet written belong to the previous file.
+  flushCallerIdUsage();
+  callerIdUsageFilePath = filePath;
+  callerIdUsage.clear();
+
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [callerId, { date, count, lastUsedAt }] of Object.entries(snapshot.callerIds || {})) {
+      callerIdUsage.set(callerId, { date, count, lastUsedAt });
+    }
+  } catch (err) {
+    if (err?.code === 'ENOENT') {
+      loadLegacyCallerIdUsage(`${filePath}l`);
+    } else {
+      logWithTimestamp('error', 'Failed to read caller ID usage:', err.message);
+    }
+  }
+}
+
+// Earlier versions kept the counters in caller-id-usage.jsonl, one caller ID per line.
+function loadLegacyCallerIdUsage(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      logWithTimestamp('error', 'Failed to read caller ID usage:', err.message);
+    }
+    return;
+  }
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const { callerId, date, count, lastUsedAt } = JSON.parse(line);
+      callerIdUsage.set(callerId, { date, count, lastUsedAt });
+    } catch (err) {
+      // Ignore a damaged line; the caller ID simply starts the day from zero.
+    }
+  }
+}
+
+function serializeCallerIdUsage() {
+  return JSON.stringify({ version: 1, callerIds: Object.fromEntries(callerIdUsage) });
+}
+
+// Every originate books a caller ID, so the counters are written at most once per
+// CALLER_ID_USAGE_PERSIST_DELAY_MS and off the event loop instead of on every call.
+function scheduleCallerIdUsagePersist() {
+  if (callerIdUsagePersistTimer) {
+    return;
+  }
+  callerIdUsagePersistTimer = setTimeout(() => {
+    callerIdUsagePersistTimer = null;
+    const filePath = callerIdUsageFilePath;
+    const content = serializeCallerIdUsage();
+    const temporaryPath = `${filePath}.tmp`;
+    callerIdUsageWrite = callerIdUsageWrite
+      .then(() => fs.promises.writeFile(temporaryPath, content))
+      .then(() => fs.promises.rename(temporaryPath, filePath))
+      .catch((err) => logWithTimestamp('error', 'Failed to persist caller ID usage:', err.message));
+  }, CALLER_ID_USAGE_PERSIST_DELAY_MS);
+  callerIdUsagePersistTimer.unref();
+}
+
+// Writes pending bookings synchronously; used on exit and when the usage file changes.
+function flushCallerIdUsage() {
+  if (!callerIdUsagePersistTimer) {
+    return;
+  }
+  clearTimeout(callerIdUsagePersistTimer);
+  callerIdUsagePersistTimer = null;
+  try {
+    writeFileAtomic(callerIdUsageFilePath, serializeCallerIdUsage());
+  } catch (err) {
+    logWithTimestamp('error', 'Failed to persist caller ID usage:', err.message);
+  }
+}
+
+process.on('exit', flushCallerIdUsage);
+
+// Daily caps roll over at midnight in CALL_TIMEZONE.
+function getCallerIdDateKey(timestamp = Date.now()) {
+  return getZonedParts(timestamp, currentConfig.callingHours.timeZone).dateKey;
+}
+
+function getCallerIdUsedToday(callerId, dateKey = getCallerIdDateKey()) {
+  const usage = callerIdUsage.get(callerId);
+  return usage && usage.date === dateKey ? usage.count : 0;
+}
+
+function listAvailableCallerIds(config) {
+  ensureCallerIdUsageLoaded();
+  const dateKey = getCallerIdDateKey();
+  return config.callerIdPool.filter((entry) => {
+    const dailyCap = entry.dailyCap ?? config.callerIdDailyCap;
+    return dailyCap == null || getCallerIdUsedToday(entry.callerId, dateKey) < dailyCap;
+  });
+}
+
+function hasCallerIdCapacity(campaign) {
+  return campaign.config.callerIdPool.length === 0 || listAvailableCallerIds(campaign.config).length > 0;
+}
+
+function countCommonPrefix(left, right) {
+  let length = 0;
+  while (length < left.length && length < right.length && left[length] === right[length]) {
+    length += 1;
+  }
+  return length;
+}
+
+// Picks and books the caller ID for a call to number: the campaign's fixed CALLER_ID when it has
+// no pool, otherwise a pool entry under its daily cap chosen by the campaign's strategy.
+function selectCallerId(campaign, number) {
+  const config = campaign.config;
+  if (config.callerIdPool.length === 0) {
+    return config.CALLER_ID || null;
+  }
+
+  const available = listAvailableCallerIds(config);
+  if (available.length === 0) {
+    return null;
+  }
+
+  const lastUsedAt = (entry) => callerIdUsage.get(entry.callerId)?.lastUsedAt || 0;
+  const leastRecentlyUsed = (candidates) =>
+    candidates.reduce((best, entry) => (lastUsedAt(entry) < lastUsedAt(best) ? entry : best));
+
+  let selected;
+  if (config.callerIdStrategy === 'lru') {
+    selected = leastRecentlyUsed(available);
+  } else if (config.callerIdStrategy === 'local-presence') {
+    const toDigits = (value) => String(normalizePhoneNumber(value, config.numbering) || value).replace(/^\+/, '');
+    const target = toDigits(number);
+    const scores = new Map(available.map((entry) => [entry, countCommonPrefix(toDigits(entry.callerId), target)]));
+    const bestScore = Math.max(...scores.values());
+    selected = leastRecentlyUsed(available.filter((entry) => scores.get(entry) === bestScore));
+  } else {
+    const poolSize = config.callerIdPool.length;
+    for (let offset = 0; offset < poolSize && !selected; offset += 1) {
+      const index = (campaign.callerIdRotation + offset) % poolSize;
+      if (available.includes(config.callerIdPool[index])) {
+        selected = config.callerIdPool[index];
+        campaign.callerIdRotation = (index + 1) % poolSize;
+      }
+    }
+  }
+
+  const dateKey = getCallerIdDateKey();
+  callerIdUsage.set(selected.callerId, {
+    date: dateKey,
+    count: getCallerIdUsedToday(selected.callerId, dateKey) + 1,
+    lastUsedAt: Date.now()
+  });
+  scheduleCallerIdUsagePersist();
+  return selected.callerId;
+}
+
+// Gives back a booking made by selectCallerId for a call that was never originated, so a
+// cancelled or rejected call does not count against the daily cap.
+function releaseCallerId(campaign, callerId, dateKey) {
+  if (!campaign.config.callerIdPool.some((entry) => entry.callerId === callerId)) {
+    return;
+  }
+  const usage = callerIdUsage.get(callerId);
+  if (!usage || usage.date !== dateKey || usage.count <= 0) {
+    return;
+  }
+  usage.count -= 1;
+  scheduleCallerIdUsagePersist();
+}
+
+// Every caller ID of the pool hit its cap: nothing is dialed until the caps roll over.
+function waitForCallerIdCapReset(campaign) {
+  if (!campaign.callerIdsExhausted) {
+    campaign.callerIdsExhausted = true;
+    logWithTimestamp(
+      'warn',
+      `Campaign '${campaign.name}': every caller ID in the pool reached its daily cap. Dialing resumes tomorrow.`
+    );
+  }
+  if (callerIdCapTimer) {
+    return;
+  }
+  const timeZone = currentConfig.callingHours.timeZone;
+  const nextDayAt = zonedTimeToTimestamp(getCallerIdDateKey(), 24 * 60, timeZone);
+  callerIdCapTimer = setTimeout(() => {
+    callerIdCapTimer = null;
+    maybeOriginateNext(dialerClient);
+  }, Math.max(1000, nextDayAt - Date.now()));
+}
+
+function getCallerIdPoolStatus(config) {
+  if (config.callerIdPool.length === 0) {
+    return null;
+  }
+  ensureCallerIdUsageLoaded();
+  return {
+    strategy: config.callerIdStrategy,
+    numbers: config.callerIdPool.map((entry) => ({
+      callerId: entry.callerId,
+      dailyCap: entry.dailyCap ?? config.callerIdDailyCap,
+      usedToday: getCallerIdUsedToday(entry.callerId),
+      lastUsedAt: toIsoTimestamp(callerIdUsage.get(entry.callerId)?.lastUsedAt)
+    }))
+  };
+}
+
+function getAgentAvailability(campaign) {
+  return amiMonitor ? amiMonitor.getQueueAvailability(campaign.config.agentQueue) : null;
+}
+
+function countCallsAwaitingAnswer(queueName) {
+  let count = 0;
+  for (const campaign of campaigns.values()) {
+    if (campaign.config.agentQueue !== queueName) {
+      continue;
+    }
+    for (const callId of campaign.inFlightCalls) {
+      if (!activeCalls.get(callId)?.dialerConnectedAt) {
+        count += 1;
+      }
+    }
+  }
+  return count;
+}
+
+// Without AMI every slot may be used. With AMI nothing is dialed until queue state is known;
+// in fixed mode each ringing call reserves one free agent of the campaign's queue, while
+// predictive mode sizes its over-dial from the free-agent count in getCampaignDialLimit.
+function hasAgentCapacity(campaign) {
+  if (!amiMonitor || campaign.config.broadcast.enabled) {
+    return true;
+  }
+
+  const availability = getAgentAvailability(campaign);
+  if (!availability) {
+    return false;
+  }
+  if (campaign.config.pacing?.mode === 'predictive') {
+    return true;
+  }
+  return availability.free - countCallsAwaitingAnswer(campaign.config.agentQueue) > 0;
+}
+
+function getCampaignPacingStatus(campaign) {
+  const stats = getPacingStats(campaign);
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    mode: campaign.config.pacing.mode,
+    dialLimit: getCampaignDialLimit(campaign),
+    targetAbandonRate: campaign.config.pacing.targetAbandonRate,
+    agents: campaign.config.pacing.agents,
+    minConcurrency: campaign.config.pacing.minConcurrency,
+    maxConcurrency: campaign.config.pacing.maxConcurrency,
+    gain: round(campaign.pacing.gain),
+    samples: stats.samples,
+    answerRate: round(stats.answerRate * 100),
+    abandonRate: round(stats.abandonRate),
+    avgRingSeconds: round(stats.avgRingSeconds),
+    avgAgentWaitSeconds: round(stats.avgAgentWaitSeconds),
+    avgTalkSeconds: round(stats.avgTalkSeconds)
+  };
+}
+
+function clearCallingWindowWakeup(campaign) {
+  if (campaign.callingWindowTimer) {
+    clearTimeout(campaign.callingWindowTimer);
+    campaign.callingWindowTimer = null;
+  }
+}
+
+// Returns whether the campaign may launch calls right now. Outside its calling hours a timer
+// re-checks when the next window opens (at least hourly, so schedule edits are picked up).
+function updateCallingWindowState(client, campaign) {
+  const schedule = campaign.config.callingHours;
+  clearCallingWindowWakeup(campaign);
+
+  if (isWithinCallingHours(schedule)) {
+    if (campaign.outsideCallingHours) {
+      campaign.outsideCallingHours = false;
+      logWithTimestamp('log', `Campaign '${campaign.name}': calling window opened, dialing resumed.`);
+    }
+    return true;
+  }
+
+  const nextStart = findNextCallingWindowStart(schedule);
+  if (!campaign.outsideCallingHours) {
+    campaign.outsideCallingHours = true;
+    logWithTimestamp(
+      'log',
+      `Campaign '${campaign.name}': outside calling hours (${schedule.timeZone}); ` +
+        `next window opens ${nextStart ? new Date(nextStart).toISOString() : 'not within the next two weeks'}.`
+    );
+  }
+
+  const maxDelay = 60 * 60 * 1000;
+  const delay = nextStart ? Math.min(Math.max(1000, nextStart - Date.now()), maxDelay) : maxDelay;
+  campaign.callingWindowTimer = setTimeout(() => {
+    campaign.callingWindowTimer = null;
+    maybeOriginateNext(client, campaign);
+  }, delay);
+  return false;
+}
+
+function markCallCompleted(client, callId) {
+  const campaign = getCallCampaign(callId);
+  const removed = inFlightCalls.delete(callId);
+  const trunkName = releaseTrunk(callId);
+  callNumberMap.delete(callId);
+  callCampaignMap.delete(callId);
+  if (campaign) {
+    campaign.inFlightCalls.delete(callId);
+  }
+  if (removed) {
+    // A capped trunk can be shared with other campaigns that are waiting for a free line on it.
+    const trunk = campaign?.config.trunks.find((candidate) => candidate.name === trunkName);
+    maybeOriginateNext(client, campaign && trunk?.maxConcurrent == null ? campaign : undefined);
+  }
+}
+
+async function hangupCallChannels(client, callId, callState) {
+  if (!client || !callState) {
+    return 0;
+  }
+
+  const channelIds = new Set(callState.channels);
+  if (callState.agentChannels instanceof Set) {
+    callState.agentChannels.forEach((channelId) => channelIds.add(channelId));
+  }
+
+  let hungUp = 0;
+  for (const channelId of channelIds) {
+    try {
+      logWithTimestamp('log', `[${callId}] Hanging up channel ${channelId} on control request.`);
+      await client.channels.hangup({ channelId });
+      hungUp += 1;
+    } catch (err) {
+      if (!/not found/i.test(err?.message || '')) {
+        logWithTimestamp('error', `[${callId}] Failed to hang up channel ${channelId}:`, err.message);
+      }
+    }
+  }
+
+  return hungUp;
+}
+
+function pauseCampaign(campaign) {
+  if (campaign.runState !== 'running') {
+    return false;
+  }
+
+  campaign.runState = 'paused';
+  clearRetryWakeup(campaign);
+  clearCallingWindowWakeup(campaign);
+  persistCampaignSnapshot(campaign);
+  logWithTimestamp(
+    'log',
+    `Campaign '${campaign.name}' paused with ${campaign.numbersQueue.length} number(s) queued and ` +
+      `${campaign.inFlightCalls.size} call(s) in flight.`
+  );
+  return true;
+}
+
+function resumeCampaign(campaign) {
+  if (campaign.runState !== 'paused') {
+    return false;
+  }
+
+  campaign.runState = 'running';
+  persistCampaignSnapshot(campaign);
+  logWithTimestamp('log', `Campaign '${campaign.name}' resumed with ${campaign.numbersQueue.length} number(s) queued.`);
+  if (dialerClient) {
+    maybeOriginateNext(dialerClient, campaign);
+  } else {
+    connectDialer()
+      .then((client) => maybeOriginateNext(client, campaign))
+      .catch((err) => {
+        logWithTimestamp('error', `Failed to connect dialer for campaign '${campaign.name}':`, err.message);
+      });
+  }
+  return true;
+}
+
+async function stopCampaign(campaign, { hangup = false } = {}) {
+  if (campaign.runState === 'idle' || campaign.runState === 'stopped') {
+    return { discarded: 0, hungUpCalls: 0 };
+  }
+
+  const discarded = campaign.numbersQueue.length + campaign.retryQueue.length;
+  campaign.numbersQueue = [];
+  campaign.retryQueue = [];
+  campaign.numbersDepletedLogged = true;
+  clearRetryWakeup(campaign);
+  clearCallingWindowWakeup(campaign);
+  campaign.runState = campaign.inFlightCalls.size > 0 ? 'stopping' : 'stopped';
+  persistCampaignSnapshot(campaign);
+
+  logWithTimestamp(
+    'log',
+    `Campaign '${campaign.name}' stop requested (${hangup ? 'hangup' : 'drain'}). Discarded ${discarded} queued ` +
+      `or retrying number(s); ${campaign.inFlightCalls.size} call(s) in flight.`
+  );
+
+  let hungUpCalls = 0;
+  if (hangup && dialerClient) {
+    for (const callId of [...campaign.inFlightCalls]) {
+      const callState = activeCalls.get(callId);
+      if (!callState) {
+        continue;
+      }
+      callState.hangupRequested = true;
+      const count = await hangupCallChannels(dialerClient, callId, callState);
+      if (count > 0) {
+        hungUpCalls += 1;
+      }
+    }
+  }
+
+  return { discarded, hungUpCalls };
+}
+
+async function startCampaign(campaign) {
+  if (campaign.runState === 'paused') {
+    resumeCampaign(campaign);
+    return { restarted: false, resumed: true };
+  }
+
+  let restarted = false;
+  let resumed = false;
+  if (campaign.runState !== 'running' && hasUnfinishedRun(campaign)) {
+    campaign.numbersQueue = getPendingContacts(campaign);
+    campaign.numbersDepletedLogged = false;
+    resumed =
+      campaign.numbersQueue.length > 0 || campaign.retryQueue.length > 0 || campaign.inFlightCalls.size > 0;
+  }
+
+  const runExhausted =
+    campaign.numbersQueue.length === 0 && campaign.retryQueue.length === 0 && campaign.inFlightCalls.size === 0;
+  if (!resumed && (campaign.runState !== 'running' || runExhausted)) {
+    restarted = campaign.runState !== 'idle';
+    resetCampaignQueue(campaign);
+    beginCampaignRun(campaign);
+  }
+
+  const client = await connectDialer();
+  campaign.runState = 'running';
+  persistCampaignSnapshot(campaign);
+  logWithTimestamp(
+    'log',
+    `Campaign '${campaign.name}' ${resumed ? 'continuing' : 'loaded'} ${campaign.numbersQueue.length} outbound number(s). ` +
+      `Dialing with max concurrency ${campaign.config.callConcurrencyLimit}.`
+  );
+  maybeOriginateNext(client, campaign);
+  return { restarted, resumed };
+}
+
+function selectCampaigns(campaignName) {
+  if (!campaignName) {
+    return [...campaigns.values()];
+  }
+  const campaign = campaigns.get(campaignName);
+  return campaign ? [campaign] : [];
+}
+
+function pauseDialer(campaignName) {
+  return selectCampaigns(campaignName)
+    .filter((campaign) => pauseCampaign(campaign))
+    .map((campaign) => campaign.name);
+}
+
+function resumeDialer(campaignName) {
+  return selectCampaigns(campaignName)
+    .filter((campaign) => resumeCampaign(campaign))
+    .map((campaign) => campaign.name);
+}
+
+async function stopDialer({ hangup = false, campaign: campaignName } = {}) {
+  const totals = { discarded: 0, hungUpCalls: 0 };
+  for (const campaign of selectCampaigns(campaignName)) {
+    const { discarded, hungUpCalls } = await stopCampaign(campaign, { hangup });
+    totals.discarded += discarded;
+    totals.hungUpCalls += hungUpCalls;
+  }
+  return totals;
+}
+
+function countOutcomes(campaign, status) {
+  let count = 0;
+  for (const outcome of campaign.outcomes.values()) {
+    if (outcome.status === status) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+function countRejectionsByRule(campaign) {
+  const counts = {};
+  for (const outcome of campaign.outcomes.values()) {
+    if (outcome.status === 'REJECTED') {
+      counts[outcome.reason] = (counts[outcome.reason] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+function getCampaignStatus(campaign) {
+  return {
+    name: campaign.name,
+    state: campaign.runState,
+    trunk: campaign.config.ARI_TRUNK,
+    trunks: getTrunkStatus(campaign.config.trunks),
+    callerId: campaign.config.CALLER_ID || null,
+    callerIdPool: getCallerIdPoolStatus(campaign.config),
+    mode: campaign.config.broadcast.enabled ? 'broadcast' : 'agent',
+    destination: campaign.config.broadcast.enabled ? null : getDestinationEndpoint(campaign.config),
+    totalNumbers: campaign.outboundNumbers.length,
+    queueLength: campaign.numbersQueue.length,
+    retryPending: campaign.retryQueue.length,
+    nextRetryAt: toIsoTimestamp(campaign.retryQueue[0]?.dueAt),
+    timezone: campaign.config.callingHours.timeZone,
+    withinCallingHours: isWithinCallingHours(campaign.config.callingHours),
+    nextCallingWindowAt: isWithinCallingHours(campaign.config.callingHours)
+      ? null
+      : toIsoTimestamp(findNextCallingWindowStart(campaign.config.callingHours)),
+    inFlight: campaign.inFlightCalls.size,
+    concurrencyLimit: getCampaignDialLimit(campaign),
+    pacing: getCampaignPacingStatus(campaign),
+    abandonment: getAbandonmentStatus(campaign.abandonment),
+    maxAgentWaitSeconds: campaign.config.abandon.maxWaitSeconds,
+    agents: amiMonitor
+      ? { queue: campaign.config.agentQueue, ...(getAgentAvailability(campaign) || { ready: false }) }
+      : null,
+    callTimeoutSeconds: campaign.config.callTimeoutSeconds,
+    runId: campaign.runId,
+    runStartedAt: toIsoTimestamp(campaign.runStartedAt),
+    runFinishedAt: toIsoTimestamp(campaign.runFinishedAt),
+    completed: campaign.outcomes.size,
+    suppressed: countOutcomes(campaign, 'SUPPRESSED'),
+    rejected: countOutcomes(campaign, 'REJECTED'),
+    rejectedByRule: countRejectionsByRule(campaign),
+    createdAt: toIsoTimestamp(campaign.createdAt)
+  };
+}
+
+const campaignStatePrecedence = ['running', 'paused', 'stopping', 'stopped', 'idle'];
+
+function getDialerStatus() {
+  const campaignStatuses = [...campaigns.values()].map((campaign) => getCampaignStatus(campaign));
+  const state =
+    campaignStatePrecedence.find((candidate) => campaignStatuses.some((entry) => entry.state === candidate)) || 'idle';
+
+  return {
+    state,
+    connected: Boolean(dialerStarted && dialerClient),
+    ami: amiMonitor ? { connected: amiMonitor.isReady(), error: amiMonitor.getError() } : null,
+    totalNumbers: campaignStatuses.reduce((sum, entry) => sum + entry.totalNumbers, 0),
+    queueLength: campaignStatuses.reduce((sum, entry) => sum + entry.queueLength, 0),
+    retryPending: campaignStatuses.reduce((sum, entry) => sum + entry.retryPending, 0),
+    suppressed: campaignStatuses.reduce((sum, entry) => sum + entry.suppressed, 0),
+    rejected: campaignStatuses.reduce((sum, entry) => sum + entry.rejected, 0),
+    abandonment: getAbandonmentStatus({
+      answered: campaignStatuses.reduce((sum, entry) => sum + entry.abandonment.answered, 0),
+      abandoned: campaignStatuses.reduce((sum, entry) => sum + entry.abandonment.abandoned, 0)
+    }),
+    dncNumbers: dncEntries.size,
+    inFlight: inFlightCalls.size,
+    trunkCalls: Object.fromEntries(trunkCallCounts),
+    originateRate: originateRateLimiter?.getStatus() || null,
+    openTrunks: [...trunkBreakers.entries()]
+      .filter(([, breaker]) => breaker.state !== 'closed')
+      .map(([name]) => name),
+    activeCalls: activeCalls.size,
+    concurrencyLimit: campaignStatuses.reduce((sum, entry) => sum + entry.concurrencyLimit, 0),
+    campaigns: campaignStatuses
+  };
+}
+
+async function originateCall(client, campaign, contact, trunk = campaign.config.trunks[0]) {
+  const callId = uuidv4();
+  const number = contact.number;
+  const config = campaign.config;
+  const dialNumber = rewriteDialNumber(number, config.dialRewriteRules);
+  const callerIdDateKey = getCallerIdDateKey();
+  const callerId = selectCallerId(campaign, number);
+  const templateVariables = {
+    number: dialNumber,
+    originalNumber: number,
+    trunk: trunk.name,
+    campaign: campaign.name,
+    callId,
+    callerId,
+    contact
+  };
+  let outboundEndpoint;
+  try {
+    outboundEndpoint = renderDialEndpoint(selectDialStringTemplate(config, number), templateVariables);
+  } catch (err) {
+    logWithTimestamp('warn', `Campaign '${campaign.name}': rejected ${number}, ${err.message}.`);
+    releaseCallerId(campaign, callerId, callerIdDateKey);
+    recordSkippedContact(campaign, contact, 'REJECTED', 'dial-string');
+    return;
+  }
+  const endpointRejection = evaluateDialTarget(config.dialingPolicy, getDialStringNumbers(outboundEndpoint));
+  if (endpointRejection) {
+    logWithTimestamp(
+      'warn',
+      `Campaign '${campaign.name}': rejected ${number} by dialing policy, dial string ${outboundEndpoint} ` +
+        `(${endpointRejection.rule}: ${endpointRejection.detail}).`
+    );
+    releaseCallerId(campaign, callerId, callerIdDateKey);
+    recordSkippedContact(campaign, contact, 'REJECTED', endpointRejection.rule);
+    return;
+  }
+  const channelVariables = buildChannelVariables(config, outboundEndpoint, templateVariables);
+  const callTimeoutSeconds = config.callTimeoutSeconds;
+
+  inFlightCalls.add(callId);
+  campaign.inFlightCalls.add(callId);
+  callNumberMap.set(callId, number);
+  callCampaignMap.set(callId, campaign.name);
+  acquireTrunk(callId, trunk.name);
+
+  const callState = getCallState(callId);
+  if (callState && !callState.number) {
+    callState.number = number;
+  }
+  if (callState) {
+    callState.contact = contact;
+    callState.dialNumber = dialNumber;
+    callState.dialEndpoint = outboundEndpoint;
+    callState.trunk = trunk.name;
+    callState.legATimeline.trunk = trunk.name;
+    callState.callerId = callerId;
+    callState.attempt = (campaign.attempts.get(number) || 0) + 1;
+    if (!callState.legATimeline.targetNumber) {
+      callState.legATimeline.targetNumber = number;
+    }
+    setLegTimelineTimestamp(callState.legATimeline, 'startedAt', callState.createdAt);
+  }
+
+  // Nothing was dialed: give the caller ID booking back and free the concurrency slot.
+  const dropUndialedCall = () => {
+    releaseCallerId(campaign, callerId, callerIdDateKey);
+    activeCalls.delete(callId);
+    markCallCompleted(client, callId);
+  };
+
+  // The slot stays reserved while waiting so pacing does not over-dial behind the CPS limit.
+  await waitForOriginateSlot(trunk);
+  if (!activeCalls.has(callId) || callState?.hangupRequested) {
+    logWithTimestamp('log', `[${callId}] Call was cancelled while waiting for the originate rate limit.`);
+    dropUndialedCall();
+    return;
+  }
+  // The wait can be long: the campaign may have been paused or stopped, the calling window may have
+  // closed and the number may have been added to the do-not-call list in the meantime.
+  if (campaign.runState !== 'running' || !updateCallingWindowState(client, campaign)) {
+    const requeued = campaign.runState === 'running' || campaign.runState === 'paused';
+    if (requeued) {
+      campaign.numbersQueue.unshift(contact);
+    }
+    logWithTimestamp(
+      'log',
+      `[${callId}] Campaign '${campaign.name}' is ` +
+        `${campaign.runState === 'running' ? 'outside calling hours' : campaign.runState}; ` +
+        `number ${number} ${requeued ? 'returned to the queue' : 'discarded'} instead of being dialed.`
+    );
+    dropUndialedCall();
+    return;
+  }
+  if (!screenContact(campaign, contact)) {
+    dropUndialedCall();
+    return;
+  }
+  scheduleCallWatchdog(client, callId, callState, callTimeoutSeconds);
+  const legChannelIds = registerLegChannels(callId, callState, 'dialer');
+  prefetchTtsPrompts(callId, callState);
+
+  logWithTimestamp(
+    'log',
+    `[${callId}] Dialing outbound endpoint: ${outboundEndpoint} (campaign '${campaign.name}', ` +
+      `trunk '${trunk.name}', caller ID ${callerId || 'default'}, attempt ${callState?.attempt || 1})`
+  );
+
+  try {
+    await client.channels.originate({
+      endpoint: outboundEndpoint,
+      app: config.STASIS_APP,
+      appArgs: ['dialer', callId].join(','),
+      callerId: callerId || undefined,
+      timeout: callTimeoutSeconds,
+      variables: channelVariables,
+      ...legChannelIds
+    });
+    // Unanswered channels never enter Stasis; keep the id so cleanup can still hang the leg up.
+    callState.channels.add(legChannelIds.channelId);
+
+    logWithTimestamp('log', `[${callId}] Origination request sent to outbound endpoint. Waiting for events...`);
+  } catch (err) {
+    logWithTimestamp('error', `[${callId}] Failed to originate outbound call:`, err.message);
+    releaseCallerId(campaign, callerId, callerIdDateKey);
+    if (callState) {
+      recordCallOutcome(callId, callState, 'FAILED');
+      clearCallWatchdog(callState);
+      activeCalls.delete(callId);
+    }
+    markCallCompleted(client, callId);
+  }
+}
+
+// Both legs are originated with ids derived from the call id: "<callId>-a" for the customer leg and
+// "<callId>-b" for the destination leg, with "-a2"/"-b2" for the second half of a Local channel.
+// Events are matched to their call and leg by id, even when the same number is dialed twice.
+const legChannelSuffixes = { dialer: 'a', dialed: 'b' };
+const legChannelIdPattern = /^(.+)-([ab])(2?)$/;
+
+function getLegChannelIds(callId, role) {
+  const suffix = legChannelSuffixes[role];
+  return { channelId: `${callId}-${suffix}`, otherChannelId: `${callId}-${suffix}2` };
+}
+
+function parseLegChannelId(channelId) {
+  const match = legChannelIdPattern.exec(channelId || '');
+  if (!match || !activeCalls.has(match[1])) {
+    return null;
+  }
+  return { callId: match[1], role: match[2] === 'a' ? 'dialer' : 'dialed', localHalf: match[3] === '2' };
+}
+
+// Maps both halves of a leg to the call before it is originated, so no event can arrive unmatched.
+function registerLegChannels(callId, callState, role) {
+  const ids = getLegChannelIds(callId, role);
+  channelToCallId.set(ids.channelId, callId);
+  channelToCallId.set(ids.otherChannelId, callId);
+  callState.channelRoles.set(ids.channelId, role);
+  callState.channelRoles.set(ids.otherChannelId, role);
+  if (role === 'dialer') {
+    callState.dialerChannelId = ids.channelId;
+  } else {
+    callState.dialedChannelId = ids.channelId;
+    callState.legBTimeline.pairedChannelId = ids.otherChannelId;
+  }
+  return ids;
+}
+
+function resolveCallIdForChannel(channel) {
+  if (!channel) {
+    return null;
+  }
+  if (channel.id && channelToCallId.has(channel.id)) {
+    return channelToCallId.get(channel.id);
+  }
+  const parsed = parseLegChannelId(channel.id);
+  if (parsed) {
+    return parsed.callId;
+  }
+  if (channel.linkedid && linkedIdToCallId.has(channel.linkedid)) {
+    return linkedIdToCallId.get(channel.linkedid);
+  }
+  return null;
+}
+
+function parseArgs(args) {
+  if (!args) {
+    return { role: 'unknown', callId: undefined };
+  }
+
+  let normalizedArgs;
+  if (Array.isArray(args)) {
+    normalizedArgs = args;
+  } else if (typeof args === 'string') {
+    normalizedArgs = args
+      .split(',')
+      .map((part) => part.trim())
+      .filter((part) => part.length > 0);
+  } else {
+    normalizedArgs = [String(args)];
+  }
+
+  const [role, callId] = normalizedArgs;
+  return { role: role || 'unknown', callId };
+}
+
+// Channel id -> { onTalkingStarted, onTalkingFinished, onHangup } for TALK_DETECT consumers.
+const talkDetectListeners = new Map();
+// Playback id -> { channelId, resolve(finished) } for playbacks someone is waiting on.
+const playbackWaiters = new Map();
+// Channel id -> { onDigit, onHangup } while the pre-connect IVR waits for a key press.
+const dtmfListeners = new Map();
+
+function releaseChannelWaiters(channelId) {
+  talkDetectListeners.get(channelId)?.onHangup();
+  dtmfListeners.get(channelId)?.onHangup();
+  for (const waiter of [...playbackWaiters.values()]) {
+    if (waiter.channelId === channelId) {
+      waiter.resolve(false);
+    }
+  }
+}
+
+function toMediaUri(media) {
+  const value = String(media || '').trim();
+  return /^[a-z]+:/i.test(value) ? value : `sound:${value}`;
+}
+
+// Cache file path -> in-flight render, so concurrent calls share one TTS run per text.
+const ttsRenders = new Map();
+// Sounds directory -> when its cache was last pruned.
+const ttsCachePrunedAt = new Map();
+const TTS_CACHE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// <sha1>.<format> prompts and the <sha1>.<pid>.tmp.<format> files a crashed render leaves behind.
+const ttsCacheFilePattern = /^[0-9a-f]{40}(\.\d+\.tmp)?\.[^.]+$/;
+
+// Runs the TTS command through the shell with the text in $TTS_TEXT (and on stdin) and the file to
+// write in $TTS_OUTPUT. Contact data never becomes part of the command line itself.
+function runTtsCommand(ttsConfig, text, outputPath) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('/bin/sh', ['-c', ttsConfig.command], {
+      env: { ...process.env, TTS_TEXT: text, TTS_OUTPUT: outputPath },
+      stdio: ['pipe', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), ttsConfig.timeoutSeconds * 1000);
+
+    child.stderr.on('data', (chunk) => {
+      stderr = `${stderr}${chunk}`.slice(-500);
+    });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      const reason = signal ? `was killed by ${signal}` : `exited with code ${code}`;
+      reject(new Error(`TTS command ${reason}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+    });
+    // Commands that read $TTS_TEXT may exit without consuming stdin.
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+  });
+}
+
+// Returns the sound: URI of <soundsDir>/<sha1>.<format> for the text, running the TTS command only when
+// that file is not cached yet. The hash covers the command too, so changing the voice re-renders prompts.
+async function renderTtsPrompt(ttsConfig, text) {
+  const hash = crypto.createHash('sha1').update(`${ttsConfig.command}\n${text}`).digest('hex');
+  const basePath = path.join(ttsConfig.soundsDir, hash);
+  const filePath = `${basePath}.${ttsConfig.format}`;
+  const uri = `sound:${basePath}`;
+
+  pruneTtsCache(ttsConfig);
+  try {
+    // Touching the file on every use keeps prompts that are still played out of pruneTtsCache.
+    const now = new Date();
+    await fs.promises.utimes(filePath, now, now);
+    return uri;
+  } catch (err) {
+    // Not rendered yet.
+  }
+
+  if (!ttsRenders.has(filePath)) {
+    // Asterisk only looks for <hash>.<format>, so a half-written temporary file is never played.
+    const temporaryPath = `${basePath}.${process.pid}.tmp.${ttsConfig.format}`;
+    const render = (async () => {
+      await fs.promises.mkdir(ttsConfig.soundsDir, { recursive: true });
+      try {
+        await runTtsCommand(ttsConfig, text, temporaryPath);
+        const { size } = await fs.promises.stat(temporaryPath);
+        if (size === 0) {
+          throw new Error(`TTS command wrote an empty file to ${temporaryPath}.`);
+        }
+        await fs.promises.rename(temporaryPath, filePath);
+      } catch (err) {
+        await fs.promises.rm(temporaryPath, { force: true });
+        throw err;
+      }
+      logWithTimestamp('log', `Rendered TTS prompt ${filePath}.`);
+    })().finally(() => {
+      ttsRenders.delete(filePath);
+    });
+    ttsRenders.set(filePath, render);
+  }
+
+  await ttsRenders.get(filePath);
+  return uri;
+}
+
+// Personalized prompts leave one file per text behind. Files not played for TTS_CACHE_MAX_AGE days
+// are removed, checking each sounds directory at most once an hour.
+async function pruneTtsCache(ttsConfig) {
+  const { soundsDir } = ttsConfig;
+  if (Date.now() - (ttsCachePrunedAt.get(soundsDir) || 0) < TTS_CACHE_PRUNE_INTERVAL_MS) {
+    return;
+  }
+  ttsCachePrunedAt.set(soundsDir, Date.now());
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(soundsDir);
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      logWithTimestamp('warn', `Failed to list TTS prompts in ${soundsDir}:`, err.message);
+    }
+    return;
+  }
+
+  const cutoff = Date.now() - ttsConfig.cacheMaxAgeDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+  for (const entry of entries.filter((name) => ttsCacheFilePattern.test(name))) {
+    const filePath = path.join(soundsDir, entry);
+    try {
+      const { mtimeMs } = await fs.promises.stat(filePath);
+      if (mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+        removed += 1;
+      }
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        logWithTimestamp('warn', `Failed to remove stale TTS prompt ${filePath}:`, err.message);
+      }
+    }
+  }
+  if (removed > 0) {
+    logWithTimestamp(
+      'log',
+      `Removed ${removed} TTS prompt(s) not played for ${ttsConfig.cacheMaxAgeDays} day(s) from ${soundsDir}.`
+    );
+  }
+}
+
+// Replaces tts:<template> entries of a prompt (one media or a list) with the sound rendered for the
+// call's contact. Other media is returned unchanged.
+async function resolvePromptMedia(callId, callState, media) {
+  const items = Array.isArray(media) ? media : [media];
+  if (!items.some((item) => item.startsWith('tts:'))) {
+    return media;
+  }
+
+  const ttsConfig = getCallConfig(callId).tts;
+  const variables = {
+    number: callState.dialNumber || callState.number,
+    originalNumber: callState.number,
+    trunk: callState.trunk,
+    campaign: callState.campaign,
+    callId,
+    callerId: callState.callerId,
+    contact: callState.contact
+  };
+  const resolved = await Promise.all(
+    items.map((item) => {
+      if (!item.startsWith('tts:')) {
+        return item;
+      }
+      const name = item.slice('tts:'.length);
+      const template = ttsConfig.templates.find((entry) => entry.name === name);
+      if (!template) {
+        throw new Error(`TTS template '${name}' is not configured.`);
+      }
+      const text = renderDialString(template.template, variables).replace(/\s+/g, ' ').trim();
+      return renderTtsPrompt(ttsConfig, text);
+    })
+  );
+  return Array.isArray(media) ? resolved : resolved[0];
+}
+
+// Renders the call's TTS prompts while the number rings so they are ready once the customer answers.
+function prefetchTtsPrompts(callId, callState) {
+  for (const media of getPromptMedia(getCallConfig(callId), true)) {
+    if (media.startsWith('tts:')) {
+      resolvePromptMedia(callId, callState, media).catch((err) => {
+        logWithTimestamp('warn', `[${callId}] Failed to render TTS prompt '${media}':`, err.message);
+      });
+    }
+  }
+}
+
+// Resolves true when the playback finishes and false when it fails or the channel hangs up first.
+function waitForPlaybackFinished(playbackId, channelId) {
+  return new Promise((resolve) => {
+    playbackWaiters.set(playbackId, {
+      channelId,
+      resolve: (value) => {
+        playbackWaiters.delete(playbackId);
+        resolve(value);
+      }
+    });
+  });
+}
+
+// Plays media on a channel and resolves with { completed } once the playback ends. A playback
+// counts as completed only if it finished while the channel was still alive.
+async function playMediaAndWait(client, channelId, media) {
+  const playback = client.Playback();
+  const finished = waitForPlaybackFinished(playback.id, channelId);
+
+  try {
+    await client.channels.play({ channelId, media: toMediaUri(media), playbackId: playback.id });
+  } catch (err) {
+    playbackWaiters.delete(playback.id);
+    throw err;
+  }
+
+  if (!(await finished)) {
+    return { completed: false };
+  }
+  try {
+    await client.channels.get({ channelId });
+    return { completed: true };
+  } catch (err) {
+    return { completed: false };
+  }
+}
+
+async function setTalkDetect(client, channelId, enable, silenceMs) {
+  await client.channels.setChannelVar({
+    channelId,
+    variable: enable ? 'TALK_DETECT(set)' : 'TALK_DETECT(remove)',
+    value: enable ? String(silenceMs) : ''
+  });
+}
+
+// Classifies the answering party from TALK_DETECT events, following the same rules as
+// Asterisk's AMD(): silence after answer or a long greeting means MACHINE, a short greeting
+// followed by silence means HUMAN, and running out of analysis time means NOTSURE.
+function detectAnsweringMachine(client, channelId, amdConfig) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    const timers = [];
+    let settled = false;
+    let greetingTimer = null;
+
+    const finish = (result, cause) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      timers.forEach((timer) => clearTimeout(timer));
+      talkDetectListeners.delete(channelId);
+      resolve({ result, cause, durationMs: Date.now() - startedAt });
+    };
+    const after = (delay, callback) => {
+      const timer = setTimeout(callback, delay);
+      timers.push(timer);
+      return timer;
+    };
+
+    const initialSilenceTimer = after(amdConfig.initialSilenceMs, () => finish('MACHINE', 'INITIALSILENCE'));
+    after(amdConfig.totalAnalysisMs, () => finish('NOTSURE', 'TOOLONG'));
+
+    talkDetectListeners.set(channelId, {
+      onTalkingStarted() {
+        clearTimeout(initialSilenceTimer);
+        if (!greetingTimer) {
+          // TalkingFinished arrives only after the configured silence, so allow for it here.
+          greetingTimer = after(amdConfig.greetingMs + amdConfig.afterGreetingSilenceMs, () =>
+            finish('MACHINE', 'LONGGREETING')
+          );
+        }
+      },
+      onTalkingFinished(durationMs) {
+        if (durationMs >= amdConfig.greetingMs) {
+          finish('MACHINE', 'LONGGREETING');
+        } else {
+          finish('HUMAN', 'HUMAN');
+        }
+      },
+      onHangup() {
+        finish('HANGUP', 'HANGUP');
+      }
+    });
+
+    setTalkDetect(client, channelId, true, amdConfig.afterGreetingSilenceMs).catch((err) => {
+      logWithTimestamp('error', `Failed to enable TALK_DETECT on channel ${channelId}:`, err.message);
+      finish('NOTSURE', 'NOTALKDETECT');
+    });
+  });
+}
+
+// Waits until the machine greeting (and its beep) is followed by silence. Resolves false if
+// the channel hangs up first.
+function waitForGreetingEnd(channelId, timeoutMs) {
+  return new Promise((resolve) => {
+    const done = (value) => {
+      clearTimeout(timer);
+      talkDetectListeners.delete(channelId);
+      resolve(value);
+    };
+    const timer = setTimeout(() => done(true), timeoutMs);
+    talkDetectListeners.set(channelId, {
+      onTalkingStarted() {},
+      onTalkingFinished() {
+        done(true);
+      },
+      onHangup() {
+        done(false);
+      }
+    });
+  });
+}
+
+// Runs answering machine detection on an answered dialer channel and applies the configured
+// action. Returns true when the call should continue to the destination.
+async function screenAnsweredCall(client, callId, callState, channelId) {
+  const amdConfig = getCallConfig(callId).amd;
+  if (!amdConfig?.enabled) {
+    return true;
+  }
+
+  logWithTimestamp('log', `[${callId}] Running answering machine detection on channel ${channelId}.`);
+  extendCallWatchdog(client, callId, callState, amdConfig.totalAnalysisMs / 1000);
+  const detection = await detectAnsweringMachine(client, channelId, amdConfig);
+  const action = detection.result === 'HANGUP' ? 'none' : amdConfig.actions[detection.result];
+  callState.amd = { ...detection, action, messagePlayed: null };
+  logWithTimestamp(
+    'log',
+    `[${callId}] AMD result ${detection.result} (${detection.cause}) after ${detection.durationMs} ms; action '${action}'.`
+  );
+
+  if (detection.result === 'HANGUP' || activeCalls.get(callId) !== callState) {
+    return false;
+  }
+
+  let channelAlive = true;
+  if (action === 'message') {
+    extendCallWatchdog(client, callId, callState, amdConfig.beepTimeoutMs / 1000 + PROMPT_WATCHDOG_SECONDS);
+    channelAlive = await waitForGreetingEnd(channelId, amdConfig.beepTimeoutMs);
+  }
+  try {
+    if (channelAlive) {
+      await setTalkDetect(client, channelId, false);
+    }
+  } catch (err) {
+    logWithTimestamp('warn', `[${callId}] Failed to disable TALK_DETECT on channel ${channelId}:`, err.message);
+  }
+
+  if (action === 'connect') {
+    return true;
+  }
+
+  if (action === 'message' && channelAlive) {
+    try {
+      logWithTimestamp('log', `[${callId}] Playing voicemail message '${amdConfig.message}'.`);
+      const media = await resolvePromptMedia(callId, callState, amdConfig.message);
+      const { completed } = await playMediaAndWait(client, channelId, media);
+      callState.amd.messagePlayed = completed;
+      logWithTimestamp('log', `[${callId}] Voicemail message ${completed ? 'played to completion' : 'was cut short'}.`);
+    } catch (err) {
+      callState.amd.messagePlayed = false;
+      logWithTimestamp('error', `[${callId}] Failed to play voicemail message:`, err.message);
+    }
+  }
+
+  try {
+    await client.channels.hangup({ channelId });
+  } catch (err) {
+    if (!/not found/i.test(err?.message || '')) {
+      logWithTimestamp('error', `[${callId}] Failed to hang up channel ${channelId} after AMD:`, err.message);
+    }
+  }
+  return false;
+}
+
+// Plays the prompt and resolves with the first digit pressed (which cuts the prompt short), with
+// { digit: null } when nothing was pressed within timeoutMs after the prompt, { hungUp: true }, or
+// { failed: true } when the prompt could not be played.
+function collectDtmfDigit(client, channelId, prompt, timeoutMs) {
+  const playback = client.Playback();
+  const finished = waitForPlaybackFinished(playback.id, channelId);
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let timer = null;
+    const finish = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      dtmfListeners.delete(channelId);
+      resolve(result);
+    };
+
+    dtmfListeners.set(channelId, {
+      onDigit(digit) {
+        finish({ digit });
+        client.playbacks.stop({ playbackId: playback.id }).catch(() => {});
+      },
+      onHangup() {
+        finish({ digit: null, hungUp: true });
+      }
+    });
+
+    finished.then((played) => {
+      if (settled) {
+        return;
+      }
+      if (!played) {
+        finish({ digit: null, failed: true });
+        return;
+      }
+      timer = setTimeout(() => finish({ digit: null }), timeoutMs);
+    });
+    client.channels.play({ channelId, media: prompt, playbackId: playback.id }).catch((err) => {
+      logWithTimestamp('error', `Failed to play IVR prompt on channel ${channelId}:`, err.message);
+      playbackWaiters.get(playback.id)?.resolve(false);
+    });
+  });
+}
+
+// Asks the answered customer to press a key before an agent leg is created and applies the
+// branch mapped to it. Returns true when the call should continue to the destination.
+async function runPreConnectIvr(client, callId, callState, channelId) {
+  const ivrConfig = getCallConfig(callId).ivr;
+  if (!ivrConfig || ivrConfig.prompt.length === 0) {
+    return true;
+  }
+
+  let prompt = null;
+  try {
+    prompt = await resolvePromptMedia(callId, callState, ivrConfig.prompt);
+  } catch (err) {
+    // The prompt carries the opt-out choice; a customer who never heard it is not connected.
+    logWithTimestamp('error', `[${callId}] Failed to prepare IVR prompt; hanging up:`, err.message);
+  }
+
+  let digit = null;
+  let hungUp = false;
+  let failed = false;
+  let branch = 'hangup';
+  if (prompt) {
+    logWithTimestamp('log', `[${callId}] Playing IVR prompt on channel ${channelId}.`);
+    extendCallWatchdog(client, callId, callState, PROMPT_WATCHDOG_SECONDS + ivrConfig.timeoutSeconds);
+    ({ digit, hungUp, failed } = await collectDtmfDigit(
+      client,
+      channelId,
+      prompt,
+      ivrConfig.timeoutSeconds * 1000
+    ));
+    if (failed) {
+      // Same as an unrendered prompt: silence is not a choice, so noInputAction does not apply.
+      logWithTimestamp('error', `[${callId}] IVR prompt playback failed; hanging up.`);
+    }
+    branch = hungUp ? 'none' : failed ? 'hangup' : (digit && ivrConfig.actions[digit]) || ivrConfig.noInputAction;
+  }
+  const legATimeline = callState.legATimeline;
+  legATimeline.ivrDigits = digit || '';
+  legATimeline.ivrBranch = branch;
+  logWithTimestamp(
+    'log',
+    `[${callId}] IVR input '${digit || (hungUp ? 'hangup' : failed ? 'failed' : prompt ? 'timeout' : 'none')}'; ` +
+      `branch '${branch}'.`
+  );
+
+  if (hungUp || activeCalls.get(callId) !== callState) {
+    return false;
+  }
+  if (branch === 'connect') {
+    return true;
+  }
+
+  const number = callState.contact?.number || callState.number || callNumberMap.get(callId);
+  if (branch === 'dnc' && number) {
+    await addDncNumbers([{ number, reason: `IVR opt-out during call ${callId}` }]);
+    callState.optedOut = true;
+  }
+  if (branch === 'callback') {
+    callState.callbackAt = Date.now() + ivrConfig.callbackDelaySeconds * 1000;
+  }
+
+  try {
+    await client.channels.hangup({ channelId });
+  } catch (err) {
+    if (!/not found/i.test(err?.message || '')) {
+      logWithTimestamp('error', `[${callId}] Failed to hang up channel ${channelId} after IVR:`, err.message);
+    }
+  }
+  return false;
+}
+
+// Broadcast mode: plays the campaign message to the answered customer instead of connecting an agent,
+// replays it when the repeat key is pressed (during the message or within the repeat timeout after it),
+// then hangs up. callState.broadcast.completed tells whether the message was heard to the end.
+async function playBroadcast(client, callId, callState, channelId) {
+  const { messages, repeatDigit, maxRepeats, repeatTimeoutSeconds } = getCallConfig(callId).broadcast;
+  const broadcast = { plays: 0, repeats: 0, completed: false, hungUp: false };
+  callState.broadcast = broadcast;
+  let playbackId = null;
+  let repeatRequested = false;
+  let wake = () => {};
+
+  dtmfListeners.set(channelId, {
+    onDigit(digit) {
+      if (digit !== repeatDigit || repeatRequested || broadcast.repeats >= maxRepeats) {
+        return;
+      }
+      repeatRequested = true;
+      if (playbackId) {
+        client.playbacks.stop({ playbackId }).catch(() => {});
+      }
+      wake();
+    },
+    onHangup() {
+      broadcast.hungUp = true;
+      wake();
+    }
+  });
+
+  logWithTimestamp('log', `[${callId}] Playing broadcast message on channel ${channelId}.`);
+  try {
+    const media = await resolvePromptMedia(callId, callState, messages);
+    for (;;) {
+      repeatRequested = false;
+      playbackId = client.Playback().id;
+      const finished = waitForPlaybackFinished(playbackId, channelId);
+      broadcast.plays += 1;
+      extendCallWatchdog(client, callId, callState, PROMPT_WATCHDOG_SECONDS + (repeatDigit ? repeatTimeoutSeconds : 0));
+      await client.channels.play({ channelId, media, playbackId });
+      const played = await finished;
+      playbackId = null;
+
+      if (!broadcast.hungUp) {
+        try {
+          await client.channels.get({ channelId });
+        } catch (err) {
+          broadcast.hungUp = true;
+        }
+      }
+      if (!played || broadcast.hungUp) {
+        break;
+      }
+      if (!repeatRequested) {
+        broadcast.completed = true;
+        if (repeatDigit && broadcast.repeats < maxRepeats) {
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, repeatTimeoutSeconds * 1000);
+            wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          wake = () => {};
+        }
+      }
+      if (!repeatRequested || broadcast.hungUp) {
+        break;
+      }
+      broadcast.repeats += 1;
+      logWithTimestamp('log', `[${callId}] Repeating broadcast message (${broadcast.repeats}/${maxRepeats}).`);
+    }
+  } catch (err) {
+    if (playbackId) {
+      playbackWaiters.delete(playbackId);
+    }
+    logWithTimestamp('error', `[${callId}] Failed to play broadcast message on channel ${channelId}:`, err.message);
+  } finally {
+    dtmfListeners.delete(channelId);
+  }
+
+  logWithTimestamp(
+    'log',
+    `[${callId}] Broadcast message ${broadcast.completed ? 'played to completion' : 'cut short'} ` +
+      `after ${broadcast.plays} play(s)${broadcast.hungUp ? '; customer hung up' : ''}.`
+  );
+  if (broadcast.hungUp || activeCalls.get(callId) !== callState) {
+    return;
+  }
+  try {
+    await client.channels.hangup({ channelId });
+  } catch (err) {
+    if (!/not found/i.test(err?.message || '')) {
+      logWithTimestamp('error', `[${callId}] Failed to hang up channel ${channelId} after broadcast:`, err.message);
+    }
+  }
+}
+
+// Keeps the customer company while the destination leg is being set up: the announcements play into
+// the call bridge (repeating when there is no music class), then music on hold takes over.
+async function startHoldMedia(client, callId, callState) {
+  const holdConfig = getCallConfig(callId).hold;
+  if (!holdConfig || (!holdConfig.musicClass && holdConfig.announcements.length === 0) || !callState.bridge?.id) {
+    return;
+  }
+
+  const bridgeId = callState.bridge.id;
+  const hold = {
+    musicClass: holdConfig.musicClass,
+    announcements: holdConfig.announcements,
+    startedAt: Date.now(),
+    endedAt: null,
+    playbackId: null,
+    mohStarted: false,
+    announcementsPlayed: 0
+  };
+  callState.hold = hold;
+  logWithTimestamp('log', `[${callId}] Putting the customer on hold in bridge ${bridgeId}.`);
+
+  try {
+    const media = await resolvePromptMedia(callId, callState, hold.announcements);
+    while (!hold.endedAt && media.length > 0) {
+      const playback = client.Playback();
+      const finished = waitForPlaybackFinished(playback.id, callState.dialerChannelId);
+      hold.playbackId = playback.id;
+      await client.bridges.play({ bridgeId, media, playbackId: playback.id });
+      if (hold.endedAt) {
+        await stopHoldPlayback(client, callId, playback.id);
+      }
+      const completed = await finished;
+      hold.playbackId = null;
+      if (!completed || hold.endedAt) {
+        return;
+      }
+      hold.announcementsPlayed += 1;
+      if (hold.musicClass) {
+        break;
+      }
+    }
+
+    if (!hold.endedAt && hold.musicClass) {
+      await client.bridges.startMoh({ bridgeId, mohClass: hold.musicClass });
+      hold.mohStarted = true;
+      logWithTimestamp('log', `[${callId}] Started music on hold '${hold.musicClass}' in bridge ${bridgeId}.`);
+      if (hold.endedAt) {
+        await client.bridges.stopMoh({ bridgeId });
+      }
+    }
+  } catch (err) {
+    if (!/not found/i.test(err?.message || '')) {
+      logWithTimestamp('error', `[${callId}] Failed to play hold media:`, err.message);
+    }
+  }
+}
+
+async function stopHoldPlayback(client, callId, playbackId) {
+  try {
+    await client.playbacks.stop({ playbackId });
+  } catch (err) {
+    if (!/not found/i.test(err?.message || '')) {
+      logWithTimestamp('warn', `[${callId}] Failed to stop hold announcement ${playbackId}:`, err.message);
+    }
+  }
+}
+
+// Ends the hold once someone joins the customer in the bridge.
+async function stopHoldMedia(client, callId, callState, timestampMs = Date.now()) {
+  const hold = callState?.hold;
+  if (!hold || hold.endedAt) {
+    return;
+  }
+
+  hold.endedAt = timestampMs;
+  logWithTimestamp(
+    'log',
+    `[${callId}] Taking the customer off hold after ${Math.round((hold.endedAt - hold.startedAt) / 1000)}s.`
+  );
+  if (!client) {
+    return;
+  }
+  if (hold.playbackId) {
+    await stopHoldPlayback(client, callId, hold.playbackId);
+  }
+  if (hold.mohStarted && callState.bridge?.id) {
+    try {
+      await client.bridges.stopMoh({ bridgeId: callState.bridge.id });
+    } catch (err) {
+      if (!/not found/i.test(err?.message || '')) {
+        logWithTimestamp('warn', `[${callId}] Failed to stop music on hold:`, err.message);
+      }
+    }
+  }
+}
+
+// Without a Local/queue hop the destination answering is the agent answering.
+function hasAgentAnswered(callId, callState) {
+  if (callState.agentAnsweredAt != null) {
+    return true;
+  }
+  return callState.dialedConnectedAt != null && !getDestinationEndpoint(getCallConfig(callId)).startsWith('Local/');
+}
+
+function clearAbandonTimer(callState) {
+  if (callState?.abandonTimer) {
+    clearTimeout(callState.abandonTimer);
+    callState.abandonTimer = null;
+  }
+}
+
+// Gives up on an answered call when no agent takes it within MAX_AGENT_WAIT seconds.
+function scheduleAbandonTimer(client, callId, callState) {
+  const { maxWaitSeconds, message } = getCallConfig(callId).abandon;
+  if (!maxWaitSeconds) {
+    return;
+  }
+
+  clearAbandonTimer(callState);
+  extendCallWatchdog(client, callId, callState, maxWaitSeconds + (message ? PROMPT_WATCHDOG_SECONDS : 0));
+  callState.abandonTimer = setTimeout(() => {
+    callState.abandonTimer = null;
+    if (activeCalls.get(callId) !== callState || callState.hangupRequested || hasAgentAnswered(callId, callState)) {
+      return;
+    }
+    abandonCall(client, callId, callState, maxWaitSeconds).catch((err) => {
+      logWithTimestamp('error', `[${callId}] Failed to abandon call:`, err.message);
+    });
+  }, maxWaitSeconds * 1000);
+}
+
+// Drops the destination leg, plays the safe-harbor message to the customer and hangs up.
+async function abandonCall(client, callId, callState, waitSeconds) {
+  const { message } = getCallConfig(callId).abandon;
+  const dialerChannelId = callState.dialerChannelId;
+  callState.abandoned = { at: Date.now(), waitSeconds, messagePlayed: null };
+  logWithTimestamp(
+    'warn',
+    `[${callId}] No agent answered within ${waitSeconds}s. Abandoning the call` +
+      (message ? ` with safe-harbor message '${message}'.` : '.')
+  );
+
+  await stopHoldMedia(client, callId, callState);
+  for (const channelId of callState.channels) {
+    if (channelId === dialerChannelId) {
+      continue;
+    }
+    try {
+      await client.channels.hangup({ channelId });
+    } catch (err) {
+      if (!/not found/i.test(err?.message || '')) {
+        logWithTimestamp('error', `[${callId}] Failed to hang up channel ${channelId}:`, err.message);
+      }
+    }
+  }
+
+  if (!dialerChannelId) {
+    return;
+  }
+  if (message) {
+    try {
+      const media = await resolvePromptMedia(callId, callState, message);
+      const { completed } = await playMediaAndWait(client, dialerChannelId, media);
+      callState.abandoned.messagePlayed = completed;
+      logWithTimestamp(
+        'log',
+        `[${callId}] Safe-harbor message ${completed ? 'played to completion' : 'was cut short'}.`
+      );
+    } catch (err) {
+      callState.abandoned.messagePlayed = false;
+      logWithTimestamp('error', `[${callId}] Failed to play safe-harbor message:`, err.message);
+    }
+  }
+  try {
+    await client.channels.hangup({ channelId: dialerChannelId });
+  } catch (err) {
+    if (!/not found/i.test(err?.message || '')) {
+      logWithTimestamp('error', `[${callId}] Failed to hang up channel ${dialerChannelId}:`, err.message);
+    }
+  }
+}
+
+async function handleStasisStart(client, event) {
+  const channel = event.channel;
+  const { role, callId: providedCallId } = parseArgs(event.args);
+  const callId = providedCallId || channel.id;
+  const timestampMs = getEventTimestampMs(event);
+
+  logWithTimestamp(
+    'log',
+    `[${callId}] handleStasisStart received for channel ${channel?.id || 'unknown'} (${channel?.name || 'unknown'}) role '${
+      role || 'unknown'
+    }'.`
+  );
+
+  const callState = getCallState(callId);
+  channelToCallId.set(channel.id, callId);
+  if (channel.linkedid) {
+    linkedIdToCallId.set(channel.linkedid, callId);
+    callState.linkedIds.add(channel.linkedid);
+  }
+  callState.channelRoles.set(channel.id, role);
+  if (role === 'dialer') {
+    callState.dialerChannelId = channel.id;
+    callState.dialerUp = channel.state === 'Up';
+    updateLegTimelineMetadata(callState.legATimeline, channel);
+    setLegTimelineTimestamp(callState.legATimeline, 'startedAt', timestampMs);
+    if (channel.state === 'Up') {
+      setLegTimelineTimestamp(callState.legATimeline, 'answeredAt', timestampMs);
+    }
+  }
+  if (!callState.number && callNumberMap.has(callId)) {
+    callState.number = callNumberMap.get(callId);
+  }
+
+  logWithTimestamp('log', `[${callId}] Channel ${channel.id} entered Stasis with role '${role}'.`);
+
+  if (callState.hangupRequested) {
+    callState.channels.add(channel.id);
+    logWithTimestamp('log', `[${callId}] Hangup was requested for this call. Hanging up channel ${channel.id}.`);
+    try {
+      await client.channels.hangup({ channelId: channel.id });
+    } catch (err) {
+      logWithTimestamp('error', `[${callId}] Failed to hang up channel ${channel.id}:`, err.message);
+    }
+    return;
+  }
+
+  if (!callState.bridge) {
+    callState.bridge = client.Bridge();
+    await callState.bridge.create({ type: 'mixing', name: `bridge-${callId}` });
+    logWithTimestamp('log', `[${callId}] Bridge created: ${callState.bridge.id}.`);
+    if (callState.bridge.id) {
+      bridgeToCallId.set(callState.bridge.id, callId);
+      if (callState.bridges) {
+        callState.bridges.add(callState.bridge.id);
+      }
+    }
+  }
+
+  callState.channels.add(channel.id);
+
+  try {
+    await callState.bridge.addChannel({ channel: channel.id });
+    logWithTimestamp('log', `[${callId}] Channel ${channel.id} added to bridge.`);
+    if (role === 'dialer' && channel.state === 'Up') {
+      logWithTimestamp(
+        'log',
+        `[${callId}] Dialer channel ${channel.id} is already Up; starting recording immediately.`
+      );
+      callState.dialerConnectedAt = callState.dialerConnectedAt || Date.now();
+      callState.dialerUp = true;
+      updateCallConnectionState(callState);
+      await startDialerRecording(client, callId, callState);
+    }
+  } catch (err) {
+    logWithTimestamp('error', 'Failed to add channel to bridge:', err.message);
+  }
+
+  if (role === 'dialed') {
+    try {
+      await client.channels.answer({ channelId: channel.id });
+      logWithTimestamp('log', `[${callId}] Answered dialed channel ${channel.id}.`);
+      updateAnsweredIdentity(callState, channel);
+      callState.dialedChannelId = callState.dialedChannelId || channel.id;
+      updateLegTimelineMetadata(callState.legBTimeline, channel);
+      if (channel.state === 'Up') {
+        callState.dialedConnectedAt = callState.dialedConnectedAt || Date.now();
+        updateCallConnectionState(callState);
+      }
+      await startDialerRecording(client, callId, callState);
+    } catch (err) {
+      logWithTimestamp('error', 'Failed to answer dialed channel:', err.message);
+    }
+    return;
+  }
+
+  if (!callState.originatedPartner) {
+    callState.originatedPartner = true;
+    if (role === 'dialer' && !(await screenAnsweredCall(client, callId, callState, channel.id))) {
+      return;
+    }
+    if (role === 'dialer' && !(await runPreConnectIvr(client, callId, callState, channel.id))) {
+      return;
+    }
+    if (role === 'dialer' && getCallConfig(callId).broadcast.enabled) {
+      await playBroadcast(client, callId, callState, channel.id);
+      return;
+    }
+    try {
+      const callConfig = getCallConfig(callId);
+      const destinationCallerId =
+        (callState && callState.number) ||
+        callNumberMap.get(callId) ||
+        callConfig.CALLER_ID ||
+        undefined;
+      const destinationEndpoint = getDestinationEndpoint(callConfig);
+      const number = callState.contact?.number || callState.number || callNumberMap.get(callId) || null;
+      const channelVariables = buildChannelVariables(callConfig, destinationEndpoint, {
+        number: callState.dialNumber || number,
+        originalNumber: number,
+        trunk: callState.trunk,
+        campaign: callState.campaign,
+        callId,
+        callerId: callState.callerId,
+        contact: callState.contact
+      });
+
+      const legChannelIds = registerLegChannels(callId, callState, 'dialed');
+      startHoldMedia(client, callId, callState).catch((err) => {
+        logWithTimestamp('error', `[${callId}] Hold media failed:`, err.message);
+      });
+      scheduleAbandonTimer(client, callId, callState);
+
+      await client.channels.originate({
+        endpoint: destinationEndpoint,
+        app: callConfig.STASIS_APP,
+        appArgs: ['dialed', callId].join(','),
+        timeout: callConfig.callTimeoutSeconds,
+        callerId: destinationCallerId,
+        variables: channelVariables,
+        ...legChannelIds
+      });
+      logWithTimestamp('log', `[${callId}] Originated call to destination endpoint: ${destinationEndpoint}.`);
+    } catch (err) {
+      logWithTimestamp('error', 'Failed to originate partner channel:', err.message);
+      await cleanupCall(callId, client);
+      markCallCompleted(client, callId);
+    }
+  }
+}
+
+async function handleStasisEnd(client, event) {
+  const eventType = event?.type || 'unknown';
+  const channel = event?.channel || null;
+  const channelId = channel?.id;
+  if (!channelId) {
+    return;
+  }
+
+  releaseChannelWaiters(channelId);
+
+  const bridgeId = event?.bridge?.id || channel?.bridge?.id || null;
+  let callId = channelToCallId.get(channelId) || parseLegChannelId(channelId)?.callId || null;
+
+  if (!callId && bridgeId && bridgeToCallId.has(bridgeId)) {
+    callId = bridgeToCallId.get(bridgeId);
+  }
+
+  let callState = callId ? activeCalls.get(callId) : null;
+
+  if (!callId && channel?.linkedid) {
+    if (linkedIdToCallId.has(channel.linkedid)) {
+      callId = linkedIdToCallId.get(channel.linkedid);
+      callState = callId ? activeCalls.get(callId) : null;
+    }
+
+    if (!callId) {
+      for (const [candidateCallId, candidateState] of activeCalls.entries()) {
+        if (candidateState?.linkedIds instanceof Set && candidateState.linkedIds.has(channel.linkedid)) {
+          callId = candidateCallId;
+          callState = candidateState;
+          break;
+        }
+      }
+    }
+  }
+
+  if (!callId || !callState) {
+    if (eventType === 'ChannelDestroyed') {
+      channelToCallId.delete(channelId);
+    }
+    return;
+  }
+
+  if (!channelToCallId.has(channelId)) {
+    channelToCallId.set(channelId, callId);
+  }
+  if (callState.channels instanceof Set && !callState.channels.has(channelId)) {
+    callState.channels.add(channelId);
+  }
+  if (bridgeId) {
+    bridgeToCallId.set(bridgeId, callId);
+    if (callState.bridges instanceof Set) {
+      callState.bridges.add(bridgeId);
+    }
+  }
+  if (channel?.linkedid) {
+    linkedIdToCallId.set(channel.linkedid, callId);
+    if (callState.linkedIds instanceof Set) {
+      callState.linkedIds.add(channel.linkedid);
+    }
+  }
+
+  let role = callState.channelRoles.get(channelId) || null;
+  if (!role || role === 'unknown') {
+    if (callState.dialerChannelId === channelId) {
+      role = 'dialer';
+    } else if (callState.dialedChannelId === channelId) {
+      role = 'dialed';
+    } else if (callState.legBTimeline?.channelId === channelId || callState.legBTimeline?.pairedChannelId === channelId) {
+      role = 'dialed';
+    } else if (callState.legATimeline?.channelId === channelId) {
+      role = 'dialer';
+    } else {
+      const legChannel = parseLegChannelId(channelId);
+      if (legChannel?.callId === callId) {
+        role = legChannel.role;
+      }
+    }
+
+    if (!role) {
+      if (!callState.dialerChannelId) {
+        role = 'dialer';
+      } else if (!callState.dialedChannelId) {
+        role = 'dialed';
+      }
+    }
+
+    if (role) {
+      callState.channelRoles.set(channelId, role);
+      if (role === 'dialer') {
+        callState.dialerChannelId = callState.dialerChannelId || channelId;
+        updateLegTimelineMetadata(callState.legATimeline, channel);
+      } else if (role === 'dialed') {
+        callState.dialedChannelId = callState.dialedChannelId || channelId;
+        updateLegTimelineMetadata(callState.legBTimeline, channel);
+      }
+    }
+  }
+
+  role = role || 'unknown';
+  const timestampMs = getEventTimestampMs(event);
+
+  logWithTimestamp(
+    'log',
+    `[${callId}] handleStasisEnd received for channel ${channelId} (${channel?.name || 'unknown'}) role '${role}' (${eventType}).`
+  );
+
+  const hangupCause = resolveHangupCause(event, event.channel);
+  const hangupCode = parseInt(event?.cause, 10);
+  if (role === 'dialer' && Number.isInteger(hangupCode) && callState.dialerHangupCode == null) {
+    callState.dialerHangupCode = hangupCode;
+  }
+  if (role === 'dialer' && hangupCause) {
+    callState.dialerHangupCause = hangupCause;
+    const legTimeline = callState.legATimeline;
+    const existingStatus = (legTimeline?.lastStatus || '').toUpperCase();
+    if (legTimeline && existingStatus !== 'ANSWER' && existingStatus !== 'ANSWERED') {
+      setLegTimelineStatus(legTimeline, hangupCause);
+    }
+  }
+  if (role === 'dialed' && hangupCause) {
+    callState.dialedHangupCause = hangupCause;
+    const legTimeline = callState.legBTimeline;
+    const existingStatus = (legTimeline?.lastStatus || '').toUpperCase();
+    if (legTimeline && existingStatus !== 'ANSWER' && existingStatus !== 'ANSWERED') {
+      setLegTimelineStatus(legTimeline, hangupCause);
+    }
+  }
+  if (role === 'dialed') {
+    updateAnsweredIdentity(callState, event.channel);
+  }
+
+  if (role === 'dialer') {
+    callState.dialerHangupAt = callState.dialerHangupAt ?? timestampMs;
+    setLegTimelineTimestamp(callState.legATimeline, 'endedAt', timestampMs);
+  }
+  if (role === 'dialed') {
+    callState.dialedHangupAt = callState.dialedHangupAt ?? timestampMs;
+    setLegTimelineTimestamp(callState.legBTimeline, 'endedAt', timestampMs);
+  }
+  if (role === 'agent' && callState.agentLegs instanceof Map) {
+    const leg = callState.agentLegs.get(channelId);
+    if (leg) {
+      leg.hangupAt = leg.hangupAt ?? timestampMs;
+    }
+  }
+
+  logWithTimestamp('log', `[${callId}] Channel ${channelId} with role '${role}' left Stasis (${eventType}).`);
+
+  const isStasisEnd = eventType === 'StasisEnd';
+  const isChannelDestroyed = eventType === 'ChannelDestroyed';
+
+  // An abandoned call keeps the customer up for the safe-harbor message after leg B is dropped.
+  const keepCustomer = role === 'dialed' && callState.abandoned;
+  if (isStasisEnd && (role === 'dialed' || role === 'dialer') && !keepCustomer) {
+    const disconnectedSide = role === 'dialed' ? 'Destination' : 'Outbound';
+    const remainingSide = role === 'dialed' ? 'outbound' : 'destination';
+    logWithTimestamp('log',
+      `[${callId}] ${disconnectedSide} channel disconnected. Hanging up remaining ${remainingSide} channels.`
+    );
+    for (const otherChannelId of callState.channels) {
+      if (otherChannelId === channelId) {
+        continue;
+      }
+      try {
+        logWithTimestamp('log', `[${callId}] Hanging up channel ${otherChannelId}.`);
+        await client.channels.hangup({ channelId: otherChannelId });
+      } catch (err) {
+        logWithTimestamp('error', `[${callId}] Failed to hang up channel ${otherChannelId}:`, err.message);
+      }
+    }
+  }
+
+  if (!isChannelDestroyed) {
+    return;
+  }
+
+  callState.channels.delete(channelId);
+  callState.channelRoles.delete(channelId);
+  channelToCallId.delete(channelId);
+  if (callState.agentChannels instanceof Set) {
+    callState.agentChannels.delete(channelId);
+  }
+  if (callState.agentLegs instanceof Map) {
+    callState.agentLegs.delete(channelId);
+  }
+  if (callState.dialerChannelId === channelId) {
+    callState.dialerChannelId = null;
+    callState.dialerUp = false;
+  }
+  if (callState.dialedChannelId === channelId) {
+    callState.dialedChannelId = null;
+  }
+  if (callState.agentChannelId === channelId) {
+    callState.agentChannelId = null;
+  }
+
+  if (callState.channels.size === 0) {
+    logWithTimestamp('log', `[${callId}] No active channels remaining. Cleaning up call.`);
+    if (timestampMs != null) {
+      callState.completedAtMs = callState.completedAtMs ?? timestampMs;
+    }
+    await logCallSummary(callId, callState, new Date(timestampMs));
+    await cleanupCall(callId, client);
+    markCallCompleted(client, callId);
+  }
+}
+
+async function startDialerRecording(client, callId, callState) {
+  if (callState.recording?.id) {
+    return;
+  }
+
+  const bridgeId = callState.bridge?.id;
+  if (!bridgeId) {
+    logWithTimestamp('warn', `[${callId}] Unable to start recording: bridge is not available.`);
+    return;
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const recordingId = `${callId}-${timestamp}`;
+
+  try {
+    await client.bridges.record({
+      bridgeId,
+      name: recordingId,
+      format: currentConfig.recordingFormat,
+      ifExists: 'overwrite',
+      maxDurationSeconds: 0,
+      terminateOn: 'none'
+    });
+
+    callState.recording = {
+      id: recordingId,
+      format: currentConfig.recordingFormat,
+      bridgeId,
+      startedAt: new Date().toISOString(),
+      mode: 'bridge'
+    };
+    callState.recordingId = recordingId;
+    callState.recordingFormatUsed = currentConfig.recordingFormat;
+
+    recordingOwnership.set(recordingId, {
+      callId,
+      recording: callState.recording,
+      retryTimer: null,
+      retryCounters: {}
+    });
+
+    const filePath = path.join(
+      currentConfig.resolvedRecordingsDir,
+      `${recordingId}.${currentConfig.recordingFormat}`
+    );
+    callState.recordingPath = filePath;
+
+    logWithTimestamp('log',
+      `[${callId}] Started bridge recording ${recordingId} on bridge ${bridgeId} to '${filePath}'.`
+    );
+  } catch (err) {
+    logWithTimestamp('error', 
+      `[${callId}] Failed to start bridge recording ${recordingId} on bridge ${bridgeId}:`,
+      err.message
+    );
+  }
+}
+
+async function handleChannelStateChange(client, event) {
+  const channel = event.channel;
+  if (!channel) {
+    return;
+  }
+
+  const channelId = channel.id;
+  const callId = channelToCallId.get(channelId);
+  if (!callId) {
+    return;
+  }
+
+  const callState = activeCalls.get(callId);
+  if (!callState) {
+    return;
+  }
+
+  const timestampMs = getEventTimestampMs(event);
+  const role = callState.channelRoles.get(channelId);
+
+  logWithTimestamp(
+    'log',
+    `[${callId}] Channel state change for ${channelId} (${channel.name || 'unknown'}) -> ${channel.state || 'unknown'} role='${
+      role || 'unknown'
+    }'.`
+  );
+
+  if (role === 'dialer') {
+    logWithTimestamp('log', `[${callId}] Processing dialer channel state change for ${channelId}.`);
+    callState.dialerChannelId = channelId;
+    callState.dialerUp = channel.state === 'Up';
+    updateLegTimelineMetadata(callState.legATimeline, channel);
+    setLegTimelineTimestamp(callState.legATimeline, 'startedAt', timestampMs);
+    if (channel.state === 'Up') {
+      setLegTimelineTimestamp(callState.legATimeline, 'answeredAt', timestampMs);
+    }
+    if (channel.state === 'Up') {
+      callState.dialerConnectedAt = callState.dialerConnectedAt ?? timestampMs;
+      updateCallConnectionState(callState, timestampMs);
+      await startDialerRecording(client, callId, callState);
+    }
+    return;
+  }
+
+  if (role === 'dialed') {
+    logWithTimestamp('log', `[${callId}] Processing dialed channel state change for ${channelId}.`);
+    updateAnsweredIdentity(callState, channel);
+    updateLegTimelineMetadata(callState.legBTimeline, channel);
+    if (channel.state === 'Up') {
+      setLegTimelineTimestamp(callState.legBTimeline, 'answeredAt', timestampMs);
+      callState.dialedConnectedAt = callState.dialedConnectedAt ?? timestampMs;
+      updateCallConnectionState(callState, timestampMs);
+      await startDialerRecording(client, callId, callState);
+    }
+    return;
+  }
+
+  if (role === 'agent') {
+    logWithTimestamp('log', `[${callId}] Processing agent channel state change for ${channelId}.`);
+    const leg = ensureAgentLeg(callState, channelId);
+    const identity = extractConnectedIdentity(channel) || leg?.identity || channel.name || null;
+    if (identity) {
+      if (leg) {
+        leg.identity = identity;
+      }
+      setAnsweredIdentity(callState, identity, 'agent');
+    }
+
+    if (leg && !leg.dialedAt) {
+      leg.dialedAt = timestampMs;
+    }
+
+    if (leg && channel.state === 'Up') {
+      leg.answeredAt = leg.answeredAt ?? timestampMs;
+      if (callState.agentAnsweredAt == null || callState.agentAnsweredAt > leg.answeredAt) {
+        callState.agentAnsweredAt = leg.answeredAt;
+      }
+      callState.agentChannelId = callState.agentChannelId || channelId;
+      updateCallConnectionState(callState, leg.answeredAt);
+    }
+
+    if (leg && (channel.state === 'Down' || channel.state === 'Hungup')) {
+      leg.hangupAt = leg.hangupAt ?? timestampMs;
+    }
+    return;
+  }
+
+  logWithTimestamp('log', `[${callId}] Channel ${channelId} has unrecognized role during state change; skipping.`);
+}
+
+function handleDialEvent(event) {
+  if (!event) {
+    return;
+  }
+
+  const dialStatusRaw = event.dialstatus;
+  const dialStatus = typeof dialStatusRaw === 'string' ? dialStatusRaw.toUpperCase() : '';
+
+  const candidateChannels = [];
+  if (event.caller) {
+    candidateChannels.push({ channel: event.caller, relation: 'caller' });
+  }
+  if (event.peer) {
+    candidateChannels.push({ channel: event.peer, relation: 'peer' });
+  }
+
+  const hasLocalCandidate = candidateChannels.some((candidate) => {
+    const name = candidate.channel?.name || '';
+    return name.startsWith('Local/');
+  });
+  let sawLegBTerminalChannel = !hasLocalCandidate;
+
+  let callId = null;
+  let fallbackCandidate = null;
+  let fallbackMatchedLeg = null;
+  for (const candidate of candidateChannels) {
+    callId = resolveCallIdForChannel(candidate.channel);
+    if (callId) {
+      break;
+    }
+  }
+
+  if (!callId) {
+    for (const candidate of candidateChannels) {
+      const channel = candidate.channel;
+      const channelName = channel?.name;
+      if (!channelName) {
+        continue;
+      }
+
+      const nameVariants = [channelName];
+      if (/;1$/.test(channelName)) {
+        nameVariants.push(channelName.replace(/;1$/, ';2'));
+      } else if (/;2$/.test(channelName)) {
+        nameVariants.push(channelName.replace(/;2$/, ';1'));
+      }
+
+      let matched = false;
+      for (const [activeCallId, activeCallState] of activeCalls.entries()) {
+        if (!activeCallState) {
+          continue;
+        }
+
+        const legATimeline = activeCallState.legATimeline || null;
+        const legBTimeline = activeCallState.legBTimeline || null;
+        const legIdentifiers = [
+          { leg: 'legA', value: legATimeline?.peerName },
+          { leg: 'legA', value: legATimeline?.pairedChannelName },
+          { leg: 'legB', value: legBTimeline?.peerName },
+          { leg: 'legB', value: legBTimeline?.pairedChannelName }
+        ];
+
+        for (const variant of nameVariants) {
+          if (!variant) {
+            continue;
+          }
+
+          for (const identifier of legIdentifiers) {
+            if (!identifier.value) {
+              continue;
+            }
+
+            if (variant === identifier.value) {
+              callId = activeCallId;
+              fallbackCandidate = candidate;
+              fallbackMatchedLeg = identifier.leg;
+              matched = true;
+
+              if (identifier.leg === 'legB') {
+                updateLegTimelineMetadata(legBTimeline, channel);
+                assignLegDialString(legBTimeline, event.dialstring);
+                if (dialStatus === 'ANSWER') {
+                  setLegAnsweredBy(
+                    legBTimeline,
+                    event.dialstring || channel?.name || event.peer?.name || event.caller?.name
+                  );
+                }
+                if (channel?.id) {
+                  channelToCallId.set(channel.id, activeCallId);
+                  activeCallState.channelRoles.set(channel.id, 'dialed');
+                  if (!activeCallState.dialedChannelId) {
+                    activeCallState.dialedChannelId = channel.id;
+                  }
+                  if (!legBTimeline.pairedChannelId) {
+                    legBTimeline.pairedChannelId = channel.id;
+                  }
+                }
+                if (channel?.linkedid) {
+                  linkedIdToCallId.set(channel.linkedid, activeCallId);
+                  activeCallState.linkedIds.add(channel.linkedid);
+                }
+                if (!legBTimeline.pairedChannelName && channel?.name) {
+                  legBTimeline.pairedChannelName = channel.name;
+                }
+              }
+
+              break;
+            }
+          }
+
+          if (matched) {
+            break;
+          }
+        }
+
+        if (matched) {
+          break;
+        }
+      }
+
+      if (matched) {
+        break;
+      }
+    }
+
+    if (!callId) {
+      logWithTimestamp(
+        'warn',
+        `Dial event could not be associated with a callId (type=${event?.type || 'unknown'}, dialstring=${
+          event?.dialstring || 'unknown'
+        }, callerId=${event?.caller?.id || 'unknown'}, peerId=${event?.peer?.id || 'unknown'}). Event=${safeStringify(
+          event
+        )}`
+      );
+      return;
+    }
+  }
+
+  const callState = getCallState(callId);
+  const timestampMs = getEventTimestampMs(event);
+  const agentChannel = event.peer || event.caller || null;
+  const agentChannelId = agentChannel?.id || null;
+  const identity = extractConnectedIdentity(agentChannel) || event.dialstring || agentChannel?.name || null;
+
+  logWithTimestamp(
+    'log',
+    `[${callId}] Processing Dial event (status: ${dialStatus || 'UNKNOWN'}) with ${candidateChannels.length} candidate channel(s).`
+  );
+
+  const orderedCandidates =
+    fallbackCandidate
+      ? [
+          fallbackCandidate,
+          ...candidateChannels.filter((candidate) => candidate !== fallbackCandidate)
+        ]
+      : candidateChannels;
+
+  for (const candidate of orderedCandidates) {
+    const channel = candidate.channel;
+    if (!channel?.id) {
+      continue;
+    }
+
+    const channelId = channel.id;
+    const relation = candidate.relation;
+    const legATimeline = callState.legATimeline;
+    const legBTimeline = callState.legBTimeline;
+    const existingRole = callState.channelRoles.get(channelId) || null;
+
+    logWithTimestamp(
+      'log',
       `[${callId}] Evaluating Dial candidate ${channelId} (${relation}) name='${channel.name || 'unknown'}' role='${existingRole || 'unknown'}'.`
     );
 
-    let isDialerChannel =
-      (callState.dialerChannelId && callState.dialerChannelId === channelId) ||
-      (legATimeline.channelId && legATimeline.channelId === channelId);
-    let isDialedChannel =
-      (callState.dialedChannelId && callState.dialedChannelId === channelId) ||
-      (legBTimeline.channelId && legBTimeline.channelId === channelId);
-    let isPairedLegBChannel =
-      (!!legBTimeline.pairedChannelId && legBTimeline.pairedChannelId === channelId) ||
-      (!!legBTimeline.pairedChannelName && channel.name === legBTimeline.pairedChannelName);
+    let isDialerChannel =
+      (callState.dialerChannelId && callState.dialerChannelId === channelId) ||
+      (legATimeline.channelId && legATimeline.channelId === channelId);
+    let isDialedChannel =
+      (callState.dialedChannelId && callState.dialedChannelId === channelId) ||
+      (legBTimeline.channelId && legBTimeline.channelId === channelId);
+    let isPairedLegBChannel =
+      (!!legBTimeline.pairedChannelId && legBTimeline.pairedChannelId === channelId) ||
+      (!!legBTimeline.pairedChannelName && channel.name === legBTimeline.pairedChannelName);
+
+    if (existingRole === 'dialed') {
+      isDialedChannel = true;
+    }
+
+    if (fallbackCandidate && candidate === fallbackCandidate) {
+      channelToCallId.set(channelId, callId);
+      if (channel.linkedid) {
+        linkedIdToCallId.set(channel.linkedid, callId);
+        callState.linkedIds.add(channel.linkedid);
+      }
+      if (fallbackMatchedLeg === 'legB') {
+        callState.channelRoles.set(channelId, 'dialed');
+        isDialedChannel = true;
+        isPairedLegBChannel = true;
+        if (!legBTimeline.pairedChannelId && channel.id) {
+          legBTimeline.pairedChannelId = channel.id;
+        }
+        if (!legBTimeline.pairedChannelName && channel.name) {
+          legBTimeline.pairedChannelName = channel.name;
+        }
+        logWithTimestamp(
+          'log',
+          `[${callId}] Fallback candidate ${channelId} matched leg B via timeline metadata.`
+        );
+      } else if (fallbackMatchedLeg === 'legA') {
+        callState.channelRoles.set(channelId, 'dialer');
+        isDialerChannel = true;
+        logWithTimestamp('log', `[${callId}] Fallback candidate ${channelId} matched leg A.`);
+      }
+    } else if (fallbackMatchedLeg === 'legB' && fallbackCandidate && candidate !== fallbackCandidate) {
+      if (!channelToCallId.has(channelId)) {
+        channelToCallId.set(channelId, callId);
+      }
+      if (channel.linkedid && !linkedIdToCallId.has(channel.linkedid)) {
+        linkedIdToCallId.set(channel.linkedid, callId);
+        callState.linkedIds.add(channel.linkedid);
+      }
+      if (relation === 'peer') {
+        callState.channelRoles.set(channelId, 'dialed');
+        if (!callState.dialedChannelId) {
+          callState.dialedChannelId = channelId;
+        }
+        if (legBTimeline.channelId !== channelId) {
+          legBTimeline.channelId = channelId;
+        }
+        isDialedChannel = true;
+        logWithTimestamp(
+          'log',
+          `[${callId}] Tagged candidate ${channelId} as leg B due to fallback peer relation.`
+        );
+      }
+    }
+
+    if (!isDialerChannel && !isDialedChannel && !isPairedLegBChannel) {
+      const legChannel = parseLegChannelId(channelId);
+      if (legChannel?.callId === callId) {
+        isDialerChannel = legChannel.role === 'dialer';
+        isDialedChannel = legChannel.role === 'dialed';
+      }
+    }
+
+    if (isDialerChannel) {
+      logWithTimestamp(
+        'log',
+        `[${callId}] Updating leg A metadata using channel ${channelId} (${channel.name || 'unknown'}).`
+      );
+      updateLegTimelineMetadata(legATimeline, channel);
+      if (!dialStatus) {
+        setLegTimelineTimestamp(legATimeline, 'startedAt', timestampMs);
+      }
+      if (dialStatus === 'ANSWER') {
+        setLegTimelineTimestamp(legATimeline, 'answeredAt', timestampMs);
+      }
+      if (dialStatus) {
+        setLegTimelineStatus(legATimeline, dialStatus);
+      }
+      assignLegDialString(legATimeline, event.dialstring);
+    }
+
+    if (isDialedChannel || isPairedLegBChannel) {
+      const channelName = channel?.name || '';
+      if (!/;1$/.test(channelName)) {
+        sawLegBTerminalChannel = true;
+      }
+      const previousDialedChannelId = callState.dialedChannelId;
+      const legBPeerName = legBTimeline.peerName || '';
+      const hasLocalPlaceholder = typeof legBPeerName === 'string' && legBPeerName.startsWith('Local/');
+
+      if (
+        existingRole === 'dialed' &&
+        channelId &&
+        (previousDialedChannelId !== channelId || hasLocalPlaceholder)
+      ) {
+        callState.dialedChannelId = channelId;
+        if (legBTimeline.channelId !== channelId) {
+          legBTimeline.channelId = channelId;
+        }
+        logWithTimestamp(
+          'log',
+          `[${callId}] Promoted dialed channel from ${previousDialedChannelId || 'none'} to ${channelId}.`
+        );
+      }
+
+      logWithTimestamp(
+        'log',
+        `[${callId}] Updating leg B metadata using channel ${channelId} (${channel.name || 'unknown'}).`
+      );
+      updateLegTimelineMetadata(legBTimeline, channel);
+      if (isDialedChannel && !callState.dialedChannelId && relation === 'peer' && channel.id) {
+        callState.dialedChannelId = channel.id;
+      }
+      if (isPairedLegBChannel && !legBTimeline.pairedChannelId && channel.id) {
+        legBTimeline.pairedChannelId = channel.id;
+      }
+      if (!dialStatus) {
+        if (relation === 'peer' || !legBTimeline.startedAt) {
+          setLegTimelineTimestamp(legBTimeline, 'startedAt', timestampMs);
+        }
+      }
+      if (dialStatus === 'ANSWER') {
+        setLegTimelineTimestamp(legBTimeline, 'answeredAt', timestampMs);
+        setLegAnsweredBy(legBTimeline, event.dialstring || event.peer?.name || channel.name);
+      }
+      if (event.dialstring) {
+        assignLegDialString(legBTimeline, event.dialstring);
+      }
+    } else {
+      logWithTimestamp(
+        'log',
+        `[${callId}] Channel ${channelId} not treated as leg A/B during Dial event. isDialer=${isDialerChannel} isDialed=${isDialedChannel} isPaired=${isPairedLegBChannel}.`
+      );
+    }
+  }
+
+  let leg = null;
+  if (
+    agentChannelId &&
+    agentChannelId !== callState.dialerChannelId &&
+    (sawLegBTerminalChannel || !/Local\/.*;1$/.test(agentChannel?.name || ''))
+  ) {
+    leg = ensureAgentLeg(callState, agentChannelId);
+    channelToCallId.set(agentChannelId, callId);
+    callState.agentChannels.add(agentChannelId);
+    callState.channelRoles.set(agentChannelId, 'agent');
+    if (agentChannel?.linkedid) {
+      linkedIdToCallId.set(agentChannel.linkedid, callId);
+      callState.linkedIds.add(agentChannel.linkedid);
+    }
+  }
+
+  if (leg && !leg.dialedAt) {
+    leg.dialedAt = timestampMs;
+  }
+
+  if (leg && identity) {
+    leg.identity = identity;
+    setAnsweredIdentity(callState, identity, 'agent');
+  }
+
+  if (leg && dialStatus) {
+    leg.lastStatus = dialStatus;
+  }
+
+  if (leg && dialStatus === 'ANSWER') {
+    leg.answeredAt = leg.answeredAt ?? timestampMs;
+    if (callState.agentAnsweredAt == null || callState.agentAnsweredAt > leg.answeredAt) {
+      callState.agentAnsweredAt = leg.answeredAt;
+    }
+    if (agentChannelId) {
+      callState.agentChannelId = agentChannelId;
+    }
+    updateCallConnectionState(callState, leg.answeredAt);
+  } else if (leg && dialStatus && dialStatus !== 'RINGING') {
+    leg.hangupAt = leg.hangupAt ?? timestampMs;
+  }
+}
+
+function handleBridgeEnter(event) {
+  const bridgeId = event?.bridge?.id;
+  const channel = event?.channel;
+  if (!bridgeId || !channel) {
+    return;
+  }
+  // Hold media and bridge recordings join through internal channels that are not call legs.
+  if (/^(Announcer|Recorder)\//.test(channel.name || '')) {
+    return;
+  }
+
+  let callId = resolveCallIdForChannel(channel);
+  if (!callId && bridgeToCallId.has(bridgeId)) {
+    callId = bridgeToCallId.get(bridgeId);
+  }
+
+  if (!callId) {
+    return;
+  }
+
+  const callState = activeCalls.get(callId);
+  if (!callState) {
+    return;
+  }
+
+  const existingRole = callState.channelRoles.get(channel.id) || null;
+  let resolvedRole = existingRole;
+
+  logWithTimestamp(
+    'log',
+    `[${callId}] handleBridgeEnter for channel ${channel.id} (${channel.name || 'unknown'}) bridge ${bridgeId} role '${
+      existingRole || 'unknown'
+    }'.`
+  );
+
+  if (callState.bridges) {
+    callState.bridges.add(bridgeId);
+  }
+  bridgeToCallId.set(bridgeId, callId);
+
+  if (channel.linkedid) {
+    linkedIdToCallId.set(channel.linkedid, callId);
+    callState.linkedIds.add(channel.linkedid);
+  }
+
+  if (!resolvedRole) {
+    const legChannel = parseLegChannelId(channel.id);
+    if (legChannel?.callId === callId) {
+      resolvedRole = legChannel.role;
+      callState.channelRoles.set(channel.id, resolvedRole);
+      channelToCallId.set(channel.id, callId);
+    }
+  }
+
+  if (resolvedRole !== 'dialer') {
+    stopHoldMedia(dialerClient, callId, callState, getEventTimestampMs(event)).catch((err) => {
+      logWithTimestamp('error', `[${callId}] Failed to end hold:`, err.message);
+    });
+  }
+
+  const isKnownLeg = resolvedRole === 'dialer' || resolvedRole === 'dialed';
+  if (isKnownLeg) {
+    logWithTimestamp(
+      'log',
+      `[${callId}] Known channel ${channel.id} with role '${resolvedRole}' entered bridge ${bridgeId}.`
+    );
+    return;
+  }
+
+  callState.agentChannels.add(channel.id);
+  callState.channelRoles.set(channel.id, 'agent');
+  channelToCallId.set(channel.id, callId);
 
-    if (existingRole === 'dialed') {
-      isDialedChannel = true;
+  const timestampMs = getEventTimestampMs(event);
+  const leg = ensureAgentLeg(callState, channel.id);
+
+  if (leg && !leg.dialedAt) {
+    leg.dialedAt = timestampMs;
+  }
+
+  const identity = extractConnectedIdentity(channel);
+  if (identity) {
+    if (leg) {
+      leg.identity = identity;
+      leg.answeredAt = leg.answeredAt ?? timestampMs;
     }
+    setAnsweredIdentity(callState, identity, 'agent');
+    logWithTimestamp('log', `[${callId}] Agent channel ${channel.id} joined bridge ${bridgeId} as '${identity}'.`);
+  } else {
+    logWithTimestamp('log', `[${callId}] Agent channel ${channel.id} joined bridge ${bridgeId} but identity not yet available.`);
+  }
 
-    if (fallbackCandidate && candidate === fallbackCandidate) {
-      channelToCallId.set(channelId, callId);
-      if (channel.linkedid) {
-        linkedIdToCallId.set(channel.linkedid, callId);
-        callState.linkedIds.add(channel.linkedid);
-      }
-      if (fallbackMatchedLeg === 'legB') {
-        callState.channelRoles.set(channelId, 'dialed');
-        isDialedChannel = true;
-        isPairedLegBChannel = true;
-        if (!legBTimeline.pairedChannelId && channel.id) {
-          legBTimeline.pairedChannelId = channel.id;
+  if (leg && leg.answeredAt != null) {
+    if (callState.agentAnsweredAt == null || callState.agentAnsweredAt > leg.answeredAt) {
+      callState.agentAnsweredAt = leg.answeredAt;
+    }
+    callState.agentChannelId = callState.agentChannelId || channel.id;
+    updateCallConnectionState(callState, leg.answeredAt);
+  }
+}
+
+async function connectDialer() {
+  if (dialerStarted && dialerClient) {
+    return dialerClient;
+  }
+
+  if (dialerStartingPromise) {
+    return dialerStartingPromise;
+  }
+
+  const initializationPromise = (async () => {
+    try {
+      await ensureMysqlInitialization();
+      const client = await AriClient.connect(
+        currentConfig.ARI_URL,
+        currentConfig.ARI_USERNAME,
+        currentConfig.ARI_PASSWORD
+      );
+
+      client.on('*', (event) => {
+        try {
+          const eventType = event?.type || 'unknown';
+          const eventPayload = safeStringify(event) || 'null';
+          logWithTimestamp('log', `[ARI EVENT] ${eventType}: ${eventPayload}`);
+        } catch (err) {
+          const type = event?.type || 'unknown';
+          logWithTimestamp('error', `Failed to log ARI event ${type}:`, err.message);
         }
-        if (!legBTimeline.pairedChannelName && channel.name) {
-          legBTimeline.pairedChannelName = channel.name;
+      });
+
+      client.on('StasisStart', (event) => {
+        handleStasisStart(client, event).catch((err) => {
+          logWithTimestamp('error', 'Error in StasisStart handler:', err.message);
+        });
+      });
+
+      client.on('StasisEnd', (event) => {
+        handleStasisEnd(client, event).catch((err) => {
+          logWithTimestamp('error', 'Error in StasisEnd handler:', err.message);
+        });
+      });
+
+      client.on('ChannelDestroyed', (event) => {
+        handleStasisEnd(client, event).catch((err) => {
+          logWithTimestamp('error', 'Error handling ChannelDestroyed event:', err.message);
+        });
+      });
+
+      client.on('ChannelStateChange', (event) => {
+        handleChannelStateChange(client, event).catch((err) => {
+          logWithTimestamp('error', 'Error handling ChannelStateChange event:', err.message);
+        });
+      });
+
+      client.on('Dial', (event) => {
+        try {
+          handleDialEvent(event);
+        } catch (err) {
+          logWithTimestamp('error', 'Error handling Dial event:', err.message);
         }
-        logWithTimestamp(
-          'log',
-          `[${callId}] Fallback candidate ${channelId} matched leg B via timeline metadata.`
-        );
-      } else if (fallbackMatchedLeg === 'legA') {
-        callState.channelRoles.set(channelId, 'dialer');
-        isDialerChannel = true;
-        logWithTimestamp('log', `[${callId}] Fallback candidate ${channelId} matched leg A.`);
-      }
-    } else if (fallbackMatchedLeg === 'legB' && fallbackCandidate && candidate !== fallbackCandidate) {
-      if (!channelToCallId.has(channelId)) {
-        channelToCallId.set(channelId, callId);
-      }
-      if (channel.linkedid && !linkedIdToCallId.has(channel.linkedid)) {
-        linkedIdToCallId.set(channel.linkedid, callId);
-        callState.linkedIds.add(channel.linkedid);
-      }
-      if (relation === 'peer') {
-        callState.channelRoles.set(channelId, 'dialed');
-        if (!callState.dialedChannelId) {
-          callState.dialedChannelId = channelId;
+      });
+
+      client.on('ChannelTalkingStarted', (event) => {
+        talkDetectListeners.get(event.channel?.id)?.onTalkingStarted();
+      });
+
+      client.on('ChannelTalkingFinished', (event) => {
+        talkDetectListeners.get(event.channel?.id)?.onTalkingFinished(Number(event.duration) || 0);
+      });
+
+      client.on('ChannelDtmfReceived', (event) => {
+        dtmfListeners.get(event.channel?.id)?.onDigit(event.digit);
+      });
+
+      client.on('PlaybackFinished', (event) => {
+        const playbackId = event.playback?.id;
+        if (playbackId && playbackWaiters.has(playbackId)) {
+          playbackWaiters.get(playbackId).resolve(event.playback.state !== 'failed');
         }
-        if (legBTimeline.channelId !== channelId) {
-          legBTimeline.channelId = channelId;
+      });
+
+      client.on('BridgeEnter', (event) => {
+        try {
+          handleBridgeEnter(event);
+        } catch (err) {
+          logWithTimestamp('error', 'Error handling BridgeEnter event:', err.message);
         }
-        isDialedChannel = true;
-        logWithTimestamp(
-          'log',
-          `[${callId}] Tagged candidate ${channelId} as leg B due to fallback peer relation.`
-        );
+      });
+
+      client.on('RecordingFinished', (event) => {
+        const recording = event.recording || {};
+        const recordingName = recording.name || recording.id || event.recordingName;
+
+        if (!recordingName) {
+          logWithTimestamp('warn', 'Received RecordingFinished event without a recording name.');
+          return;
+        }
+
+        let ownership = recordingOwnership.get(recordingName);
+        if (!ownership) {
+          for (const [candidateCallId, state] of activeCalls.entries()) {
+            if (state.recording?.id === recordingName) {
+              ownership = {
+                callId: candidateCallId,
+                recording: state.recording,
+                retryTimer: null,
+                retryCounters: {}
+              };
+              recordingOwnership.set(recordingName, ownership);
+              break;
+            }
+          }
+        }
+
+        if (!ownership) {
+          logWithTimestamp('warn', `RecordingFinished event received for '${recordingName}' but owning call was not found.`);
+          return;
+        }
+
+        if (recording.format && ownership.recording) {
+          ownership.recording.format = recording.format;
+        }
+
+        handleRecordingReady(recordingName, 'event').catch((err) => {
+          logWithTimestamp('error', `Error handling RecordingFinished for '${recordingName}':`, err.message);
+        });
+      });
+
+      await client.start(currentConfig.STASIS_APP);
+      logWithTimestamp('log', `Subscribed to Stasis app: ${currentConfig.STASIS_APP}`);
+
+      dialerClient = client;
+      dialerStarted = true;
+      amiMonitor?.start();
+      return client;
+    } catch (err) {
+      logWithTimestamp('error', 'Failed to start ARI dialer:', err.message);
+      throw err;
+    } finally {
+      if (!dialerStarted) {
+        dialerStartingPromise = null;
       }
     }
+  })();
 
-    if (!isDialerChannel && !isDialedChannel && !isPairedLegBChannel) {
-      const appearsToBeLegB =
-        channelId !== callState.dialerChannelId &&
-        (relation === 'peer' || /;1$/.test(channel.name || '')) &&
-        callState.originatedPartner;
-      if (appearsToBeLegB && !legBTimeline.channelId) {
-        isDialedChannel = true;
-        logWithTimestamp(
-          'log',
-          `[${callId}] Channel ${channelId} inferred as leg B due to heuristics (relation=${relation}).`
-        );
-      }
-    }
+  dialerStartingPromise = initializationPromise;
+  return initializationPromise;
+}
 
-    if (isDialerChannel) {
-      logWithTimestamp(
-        'log',
-        `[${callId}] Updating leg A metadata using channel ${channelId} (${channel.name || 'unknown'}).`
-      );
-      updateLegTimelineMetadata(legATimeline, channel);
-      if (!dialStatus) {
-        setLegTimelineTimestamp(legATimeline, 'startedAt', timestampMs);
-      }
-      if (dialStatus === 'ANSWER') {
-        setLegTimelineTimestamp(legATimeline, 'answeredAt', timestampMs);
-      }
-      if (dialStatus) {
-        setLegTimelineStatus(legATimeline, dialStatus);
-      }
-      assignLegDialString(legATimeline, event.dialstring);
-    }
+async function start() {
+  lastStartRestarted = false;
+  const { restarted } = await startCampaign(getDefaultCampaign());
+  lastStartRestarted = restarted;
+  return dialerClient;
+}
 
-    if (isDialedChannel || isPairedLegBChannel) {
-      const channelName = channel?.name || '';
-      if (!/;1$/.test(channelName)) {
-        sawLegBTerminalChannel = true;
-      }
-      const previousDialedChannelId = callState.dialedChannelId;
-      const legBPeerName = legBTimeline.peerName || '';
-      const hasLocalPlaceholder = typeof legBPeerName === 'string' && legBPeerName.startsWith('Local/');
+function resumeRestoredCampaigns() {
+  const runningCampaigns = [...campaigns.values()].filter((campaign) => campaign.runState === 'running');
+  if (runningCampaigns.length === 0) {
+    return;
+  }
 
-      if (
-        existingRole === 'dialed' &&
-        channelId &&
-        (previousDialedChannelId !== channelId || hasLocalPlaceholder)
-      ) {
-        callState.dialedChannelId = channelId;
-        if (legBTimeline.channelId !== channelId) {
-          legBTimeline.channelId = channelId;
-        }
-        logWithTimestamp(
-          'log',
-          `[${callId}] Promoted dialed channel from ${previousDialedChannelId || 'none'} to ${channelId}.`
-        );
+  logWithTimestamp(
+    'log',
+    `Resuming ${runningCampaigns.length} campaign(s) that were running before restart: ` +
+      `${runningCampaigns.map((campaign) => campaign.name).join(', ')}.`
+  );
+  connectDialer()
+    .then((client) => {
+      for (const campaign of runningCampaigns) {
+        maybeOriginateNext(client, campaign);
       }
+    })
+    .catch((err) => {
+      logWithTimestamp('error', 'Failed to resume campaigns after restart:', err.message);
+    });
+}
 
-      logWithTimestamp(
-        'log',
-        `[${callId}] Updating leg B metadata using channel ${channelId} (${channel.name || 'unknown'}).`
-      );
-      updateLegTimelineMetadata(legBTimeline, channel);
-      if (isDialedChannel && !callState.dialedChannelId && relation === 'peer' && channel.id) {
-        callState.dialedChannelId = channel.id;
-      }
-      if (isPairedLegBChannel && !legBTimeline.pairedChannelId && channel.id) {
-        legBTimeline.pairedChannelId = channel.id;
+function sendJson(res, statusCode, payload) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+function readRequestBody(req, { limitBytes = 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let receivedBytes = 0;
+    let settled = false;
+
+    req.on('data', (chunk) => {
+      if (settled) {
+        return;
       }
-      if (!dialStatus) {
-        if (relation === 'peer' || !legBTimeline.startedAt) {
-          setLegTimelineTimestamp(legBTimeline, 'startedAt', timestampMs);
-        }
+      receivedBytes += chunk.length;
+      if (receivedBytes > limitBytes) {
+        settled = true;
+        reject(new Error(`Request body exceeds ${limitBytes} bytes.`));
+        req.resume();
+        return;
       }
-      if (dialStatus === 'ANSWER') {
-        setLegTimelineTimestamp(legBTimeline, 'answeredAt', timestampMs);
-        setLegAnsweredBy(legBTimeline, event.dialstring || event.peer?.name || channel.name);
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!settled) {
+        settled = true;
+        resolve(Buffer.concat(chunks).toString('utf8'));
       }
-      if (event.dialstring) {
-        assignLegDialString(legBTimeline, event.dialstring);
+    });
+    req.on('error', (err) => {
+      if (!settled) {
+        settled = true;
+        reject(err);
       }
-    } else {
-      logWithTimestamp(
-        'log',
-        `[${callId}] Channel ${channelId} not treated as leg A/B during Dial event. isDialer=${isDialerChannel} isDialed=${isDialedChannel} isPaired=${isPairedLegBChannel}.`
-      );
+    });
+  });
+}
+
+async function readJsonBody(req) {
+  const body = await readRequestBody(req);
+  if (!body.trim()) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw new Error(`Invalid JSON body: ${err.message}`);
+  }
+}
+
+async function handleStartRequest(req, res, url) {
+  const wasStarted = dialerStarted && getDefaultCampaign().runState !== 'idle';
+  const resetRun = /^(1|true|yes)$/i.test(url.searchParams.get('reset') || '');
+
+  try {
+    const refreshedConfig = refreshConfig();
+    currentConfig = refreshedConfig;
+    applyConfig(currentConfig);
+    refreshCampaignConfigs();
+    if (resetRun) {
+      const campaign = getDefaultCampaign();
+      resetCampaignQueue(campaign);
+      beginCampaignRun(campaign);
+      persistCampaignSnapshot(campaign);
     }
+    await ensureMysqlInitialization();
+
+    await start();
+    const restarted = wasStarted && lastStartRestarted;
+    sendJson(res, wasStarted ? 200 : 201, {
+      status: 'ok',
+      message: restarted
+        ? 'Dialer run restarted.'
+        : wasStarted
+        ? 'Dialer already running.'
+        : 'Dialer started successfully.'
+    });
+  } catch (err) {
+    sendJson(res, 500, { status: 'error', message: err.message || 'Failed to start dialer.' });
   }
+}
 
-  let leg = null;
-  if (
-    agentChannelId &&
-    (sawLegBTerminalChannel || !/Local\/.*;1$/.test(agentChannel?.name || ''))
-  ) {
-    leg = ensureAgentLeg(callState, agentChannelId);
-    channelToCallId.set(agentChannelId, callId);
-    callState.agentChannels.add(agentChannelId);
-    callState.channelRoles.set(agentChannelId, 'agent');
-    if (agentChannel?.linkedid) {
-      linkedIdToCallId.set(agentChannel.linkedid, callId);
-      callState.linkedIds.add(agentChannel.linkedid);
+function resolveCampaignParam(res, url) {
+  const campaignName = url.searchParams.get('campaign');
+  if (campaignName && !campaigns.has(campaignName)) {
+    sendJson(res, 404, { status: 'error', message: `Campaign '${campaignName}' not found.` });
+    return null;
+  }
+  return { campaignName: campaignName || undefined };
+}
+
+function handlePauseRequest(req, res, url) {
+  const selection = resolveCampaignParam(res, url);
+  if (!selection) {
+    return;
+  }
+
+  const paused = pauseDialer(selection.campaignName);
+  if (paused.length === 0) {
+    sendJson(res, 409, { status: 'error', message: 'No running campaign to pause.', ...getDialerStatus() });
+    return;
+  }
+  sendJson(res, 200, { status: 'ok', message: `Paused: ${paused.join(', ')}.`, ...getDialerStatus() });
+}
+
+function handleResumeRequest(req, res, url) {
+  const selection = resolveCampaignParam(res, url);
+  if (!selection) {
+    return;
+  }
+
+  const resumed = resumeDialer(selection.campaignName);
+  if (resumed.length === 0) {
+    sendJson(res, 409, { status: 'error', message: 'No paused campaign to resume.', ...getDialerStatus() });
+    return;
+  }
+  sendJson(res, 200, { status: 'ok', message: `Resumed: ${resumed.join(', ')}.`, ...getDialerStatus() });
+}
+
+function parseStopMode(res, url) {
+  const mode = (url.searchParams.get('mode') || 'drain').trim().toLowerCase();
+  if (mode !== 'drain' && mode !== 'hangup') {
+    sendJson(res, 400, { status: 'error', message: "Stop mode must be either 'drain' or 'hangup'." });
+    return null;
+  }
+  return mode;
+}
+
+async function handleStopRequest(req, res, url) {
+  const selection = resolveCampaignParam(res, url);
+  if (!selection) {
+    return;
+  }
+  const mode = parseStopMode(res, url);
+  if (!mode) {
+    return;
+  }
+
+  const { discarded, hungUpCalls } = await stopDialer({
+    hangup: mode === 'hangup',
+    campaign: selection.campaignName
+  });
+  sendJson(res, 200, {
+    status: 'ok',
+    message:
+      mode === 'hangup'
+        ? `Dialer stopped. Hung up ${hungUpCalls} in-flight call(s).`
+        : 'Dialer stopping. In-flight calls will be allowed to finish.',
+    discarded,
+    ...getDialerStatus()
+  });
+}
+
+function handleStatusRequest(req, res) {
+  sendJson(res, 200, { status: 'ok', ...getDialerStatus() });
+}
+
+function handleListCampaignsRequest(req, res) {
+  const list = [...campaigns.values()].map((campaign) => getCampaignStatus(campaign));
+  sendJson(res, 200, { status: 'ok', count: list.length, campaigns: list });
+}
+
+async function handleCreateCampaignRequest(req, res) {
+  let campaign;
+  try {
+    const body = await readJsonBody(req);
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!campaignNamePattern.test(name)) {
+      throw new Error('Campaign name is required and may contain only letters, digits, dot, dash and underscore.');
+    }
+    if (campaigns.has(name)) {
+      sendJson(res, 409, { status: 'error', message: `Campaign '${name}' already exists.` });
+      return;
+    }
+
+    const settings = normalizeCampaignSettings(body);
+    if (!settings.numbers && !settings.numberFile) {
+      throw new Error('Provide either numbers or numberFile for the campaign.');
     }
+
+    campaign = createCampaign(name, settings);
+    resetCampaignQueue(campaign);
+  } catch (err) {
+    sendJson(res, 400, { status: 'error', message: err.message });
+    return;
   }
 
-  if (leg && !leg.dialedAt) {
-    leg.dialedAt = timestampMs;
+  campaigns.set(campaign.name, campaign);
+  persistCampaignSnapshot(campaign);
+  logWithTimestamp('log', `Campaign '${campaign.name}' created with ${campaign.outboundNumbers.length} number(s).`);
+  sendJson(res, 201, { status: 'ok', campaign: getCampaignStatus(campaign) });
+}
+
+function getCampaignOrRespond(res, params) {
+  const campaign = campaigns.get(params.name);
+  if (!campaign) {
+    sendJson(res, 404, { status: 'error', message: `Campaign '${params.name}' not found.` });
+    return null;
   }
+  return campaign;
+}
 
-  if (leg && identity) {
-    leg.identity = identity;
-    setAnsweredIdentity(callState, identity, 'agent');
+function handleGetCampaignRequest(req, res, url, params) {
+  const campaign = getCampaignOrRespond(res, params);
+  if (campaign) {
+    sendJson(res, 200, { status: 'ok', campaign: getCampaignStatus(campaign) });
   }
+}
 
-  if (leg && dialStatus) {
-    leg.lastStatus = dialStatus;
+async function handleUpdateCampaignRequest(req, res, url, params) {
+  const campaign = getCampaignOrRespond(res, params);
+  if (!campaign) {
+    return;
   }
 
-  if (leg && dialStatus === 'ANSWER') {
-    leg.answeredAt = leg.answeredAt ?? timestampMs;
-    if (callState.agentAnsweredAt == null || callState.agentAnsweredAt > leg.answeredAt) {
-      callState.agentAnsweredAt = leg.answeredAt;
+  try {
+    const updates = normalizeCampaignSettings(await readJsonBody(req));
+    const settings = { ...campaign.settings, ...updates };
+    if (updates.numbers) {
+      delete settings.numberFile;
+    } else if (updates.numberFile) {
+      delete settings.numbers;
     }
-    if (agentChannelId) {
-      callState.agentChannelId = agentChannelId;
+
+    const config = resolveCampaignConfig(campaign.name, settings);
+    const numberSourceChanged = Boolean(updates.numbers || updates.numberFile);
+    const reloadQueue = numberSourceChanged && (campaign.runState === 'idle' || campaign.runState === 'stopped');
+    const numbers = reloadQueue ? loadContacts(config) : null;
+
+    campaign.settings = settings;
+    campaign.config = config;
+    if (numbers) {
+      campaign.outboundNumbers = numbers;
+      campaign.numbersQueue = hasUnfinishedRun(campaign) ? getPendingContacts(campaign) : [...numbers];
+      campaign.numbersDepletedLogged = false;
     }
-    updateCallConnectionState(callState, leg.answeredAt);
-  } else if (leg && dialStatus && dialStatus !== 'RINGING') {
-    leg.hangupAt = leg.hangupAt ?? timestampMs;
+    persistCampaignSnapshot(campaign);
+  } catch (err) {
+    sendJson(res, 400, { status: 'error', message: err.message });
+    return;
+  }
+
+  logWithTimestamp('log', `Campaign '${campaign.name}' settings updated.`);
+  if (dialerClient) {
+    maybeOriginateNext(dialerClient, campaign);
+  }
+  sendJson(res, 200, { status: 'ok', campaign: getCampaignStatus(campaign) });
+}
+
+function parseUploadedContacts(req, body, sourceDescription, knownNumbers) {
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  const looksLikeJson = /^\s*[[{]/.test(body);
+  if (contentType.includes('json') || (!contentType.includes('csv') && looksLikeJson)) {
+    return parseContactsJson(body, sourceDescription, knownNumbers);
+  }
+  return parseContactsCsv(body, sourceDescription, knownNumbers);
+}
+
+async function handleUploadContactsRequest(req, res, url, params) {
+  const campaign = getCampaignOrRespond(res, params);
+  if (!campaign) {
+    return;
+  }
+
+  const mode = (url.searchParams.get('mode') || 'replace').trim().toLowerCase();
+  if (mode !== 'replace' && mode !== 'append') {
+    sendJson(res, 400, { status: 'error', message: "Upload mode must be either 'replace' or 'append'." });
+    return;
+  }
+
+  let report;
+  try {
+    const body = await readRequestBody(req, { limitBytes: 10 * 1024 * 1024 });
+    const knownNumbers =
+      mode === 'append' ? new Set(campaign.outboundNumbers.map((contact) => contact.number)) : undefined;
+    report = parseUploadedContacts(req, body, `upload for campaign '${campaign.name}'`, knownNumbers);
+  } catch (err) {
+    sendJson(res, 400, { status: 'error', message: err.message });
+    return;
+  }
+
+  const { contacts, rejected } = report;
+  if (contacts.length === 0) {
+    sendJson(res, 400, {
+      status: 'error',
+      message: 'No valid contacts found in upload.',
+      imported: 0,
+      rejectedCount: rejected.length,
+      rejected
+    });
+    return;
+  }
+
+  const nextList = mode === 'append' ? [...campaign.outboundNumbers, ...contacts] : contacts;
+  const settings = { ...campaign.settings, numbers: nextList };
+  delete settings.numberFile;
+  campaign.settings = settings;
+  campaign.config = resolveCampaignConfig(campaign.name, settings);
+  campaign.outboundNumbers = sortContactsByPriority(nextList);
+  // Contacts of a replaced list that are still in flight or awaiting a retry stay in the list, so their
+  // outcome is recorded, but are not queued a second time.
+  const busyNumbers = getBusyNumbers(campaign);
+  const alreadyActive = contacts.filter((contact) => busyNumbers.has(contact.number)).length;
+  if (hasUnfinishedRun(campaign)) {
+    campaign.numbersQueue = getPendingContacts(campaign);
+  } else {
+    campaign.numbersQueue = sortContactsByPriority(
+      (mode === 'append' ? [...campaign.numbersQueue, ...contacts] : contacts).filter(
+        (contact) => !busyNumbers.has(contact.number)
+      )
+    );
+  }
+  campaign.numbersDepletedLogged = false;
+  persistCampaignSnapshot(campaign);
+
+  logWithTimestamp(
+    'log',
+    `Campaign '${campaign.name}' contact upload (${mode}): imported ${contacts.length}, rejected ${rejected.length}` +
+      (alreadyActive > 0 ? `, ${alreadyActive} already in flight or awaiting a retry.` : '.')
+  );
+  if (dialerClient) {
+    maybeOriginateNext(dialerClient, campaign);
+  }
+
+  sendJson(res, 200, {
+    status: 'ok',
+    imported: contacts.length,
+    alreadyActive,
+    rejectedCount: rejected.length,
+    rejected,
+    campaign: getCampaignStatus(campaign)
+  });
+}
+
+function handleDeleteCampaignRequest(req, res, url, params) {
+  const campaign = getCampaignOrRespond(res, params);
+  if (!campaign) {
+    return;
+  }
+
+  if (campaign.name === DEFAULT_CAMPAIGN_NAME) {
+    sendJson(res, 409, { status: 'error', message: 'The default campaign cannot be removed.' });
+    return;
+  }
+  if (campaign.inFlightCalls.size > 0 || campaign.runState === 'running' || campaign.runState === 'paused') {
+    sendJson(res, 409, { status: 'error', message: `Stop campaign '${campaign.name}' before removing it.` });
+    return;
+  }
+
+  campaigns.delete(campaign.name);
+  removePersistedCampaign(campaign.name);
+  logWithTimestamp('log', `Campaign '${campaign.name}' removed.`);
+  sendJson(res, 200, { status: 'ok', message: `Campaign '${campaign.name}' removed.` });
+}
+
+async function handleCampaignActionRequest(req, res, url, params) {
+  const campaign = getCampaignOrRespond(res, params);
+  if (!campaign) {
+    return;
+  }
+
+  switch (params.action) {
+    case 'start': {
+      try {
+        const wasRunning = campaign.runState === 'running';
+        const { restarted } = await startCampaign(campaign);
+        sendJson(res, 200, {
+          status: 'ok',
+          message: wasRunning
+            ? `Campaign '${campaign.name}' already running.`
+            : restarted
+            ? `Campaign '${campaign.name}' restarted.`
+            : `Campaign '${campaign.name}' started.`,
+          campaign: getCampaignStatus(campaign)
+        });
+      } catch (err) {
+        sendJson(res, 500, { status: 'error', message: err.message || 'Failed to start campaign.' });
+      }
+      return;
+    }
+    case 'pause':
+    case 'resume': {
+      const changed = params.action === 'pause' ? pauseCampaign(campaign) : resumeCampaign(campaign);
+      sendJson(res, changed ? 200 : 409, {
+        status: changed ? 'ok' : 'error',
+        message: changed
+          ? `Campaign '${campaign.name}' ${params.action === 'pause' ? 'paused' : 'resumed'}.`
+          : `Campaign '${campaign.name}' cannot be ${params.action === 'pause' ? 'paused' : 'resumed'} while ${campaign.runState}.`,
+        campaign: getCampaignStatus(campaign)
+      });
+      return;
+    }
+    case 'stop': {
+      const mode = parseStopMode(res, url);
+      if (!mode) {
+        return;
+      }
+      const { discarded, hungUpCalls } = await stopCampaign(campaign, { hangup: mode === 'hangup' });
+      sendJson(res, 200, {
+        status: 'ok',
+        message:
+          mode === 'hangup'
+            ? `Campaign '${campaign.name}' stopped. Hung up ${hungUpCalls} in-flight call(s).`
+            : `Campaign '${campaign.name}' stopping. In-flight calls will be allowed to finish.`,
+        discarded,
+        campaign: getCampaignStatus(campaign)
+      });
+      return;
+    }
+    default:
+      sendJson(res, 404, { error: 'Not Found' });
+  }
+}
+
+function serializeTimeline(timeline) {
+  if (!timeline) {
+    return null;
   }
+
+  return {
+    ...timeline,
+    startedAt: toIsoTimestamp(timeline.startedAt),
+    answeredAt: toIsoTimestamp(timeline.answeredAt),
+    endedAt: toIsoTimestamp(timeline.endedAt)
+  };
 }
 
-function handleBridgeEnter(event) {
-  const bridgeId = event?.bridge?.id;
-  const channel = event?.channel;
-  if (!bridgeId || !channel) {
-    return;
+function serializeCallState(callId, callState, now = new Date()) {
+  const channels = [];
+  const channelIds = new Set(callState.channels);
+  if (callState.agentChannels instanceof Set) {
+    callState.agentChannels.forEach((channelId) => channelIds.add(channelId));
+  }
+  for (const channelId of channelIds) {
+    channels.push({ channelId, role: callState.channelRoles.get(channelId) || 'unknown' });
   }
 
-  let callId = channelToCallId.get(channel.id);
-  if (!callId && bridgeToCallId.has(bridgeId)) {
-    callId = bridgeToCallId.get(bridgeId);
+  const agentLegs = [];
+  if (callState.agentLegs instanceof Map) {
+    for (const leg of callState.agentLegs.values()) {
+      agentLegs.push({
+        ...leg,
+        dialedAt: toIsoTimestamp(leg.dialedAt),
+        answeredAt: toIsoTimestamp(leg.answeredAt),
+        hangupAt: toIsoTimestamp(leg.hangupAt)
+      });
+    }
   }
-  if (!callId && channel.linkedid && linkedIdToCallId.has(channel.linkedid)) {
-    callId = linkedIdToCallId.get(channel.linkedid);
+
+  return {
+    callId,
+    number: callState.number || callNumberMap.get(callId) || null,
+    dialNumber: callState.dialNumber || null,
+    dialEndpoint: callState.dialEndpoint || null,
+    trunk: callState.trunk,
+    callerId: callState.callerId,
+    campaign: callState.campaign || callCampaignMap.get(callId) || null,
+    contact: callState.contact,
+    attempt: callState.attempt || null,
+    amd: callState.amd || null,
+    abandoned: callState.abandoned,
+    broadcast: callState.broadcast,
+    hold: callState.hold
+      ? {
+          media: describeHoldMedia(callState.hold),
+          startedAt: toIsoTimestamp(callState.hold.startedAt),
+          endedAt: toIsoTimestamp(callState.hold.endedAt)
+        }
+      : null,
+    optedOut: callState.optedOut,
+    callbackAt: toIsoTimestamp(callState.callbackAt),
+    inFlight: inFlightCalls.has(callId),
+    bridgeId: callState.bridge?.id || null,
+    channels,
+    dialerChannelId: callState.dialerChannelId,
+    dialedChannelId: callState.dialedChannelId,
+    agentChannelId: callState.agentChannelId,
+    originatedPartner: callState.originatedPartner,
+    answeredBy: callState.answeredBy,
+    answeredBySource: callState.answeredBySource,
+    createdAt: toIsoTimestamp(callState.createdAt),
+    dialerConnectedAt: toIsoTimestamp(callState.dialerConnectedAt),
+    dialedConnectedAt: toIsoTimestamp(callState.dialedConnectedAt),
+    callConnectedAt: toIsoTimestamp(callState.callConnectedAt),
+    agentAnsweredAt: toIsoTimestamp(callState.agentAnsweredAt),
+    dialerHangupCause: callState.dialerHangupCause,
+    dialedHangupCause: callState.dialedHangupCause,
+    recording: callState.recordingId
+      ? { id: callState.recordingId, format: callState.recordingFormatUsed, path: callState.recordingPath }
+      : null,
+    durations: calculateCallDurations(callState, now),
+    legDurations: calculateLegDurations(callState, now),
+    legA: serializeTimeline(callState.legATimeline),
+    legB: serializeTimeline(callState.legBTimeline),
+    agentLegs
+  };
+}
+
+function handleListCallsRequest(req, res) {
+  const now = new Date();
+  const calls = [];
+  for (const [callId, callState] of activeCalls.entries()) {
+    calls.push(serializeCallState(callId, callState, now));
   }
+  sendJson(res, 200, { status: 'ok', count: calls.length, calls });
+}
 
-  if (!callId) {
+function handleGetCallRequest(req, res, url, params) {
+  const callState = activeCalls.get(params.callId);
+  if (!callState) {
+    sendJson(res, 404, { status: 'error', message: `Call ${params.callId} not found.` });
     return;
   }
+  sendJson(res, 200, { status: 'ok', call: serializeCallState(params.callId, callState) });
+}
 
+async function handleDeleteCallRequest(req, res, url, params) {
+  const { callId } = params;
   const callState = activeCalls.get(callId);
   if (!callState) {
+    sendJson(res, 404, { status: 'error', message: `Call ${callId} not found.` });
     return;
   }
 
-  const existingRole = callState.channelRoles.get(channel.id) || null;
-  let resolvedRole = existingRole;
+  logWithTimestamp('log', `[${callId}] Termination requested via control server.`);
+  callState.hangupRequested = true;
+  const hungUpChannels = await hangupCallChannels(dialerClient, callId, callState);
+  await cleanupCall(callId, dialerClient);
+  markCallCompleted(dialerClient, callId);
 
-  logWithTimestamp(
-    'log',
-    `[${callId}] handleBridgeEnter for channel ${channel.id} (${channel.name || 'unknown'}) bridge ${bridgeId} role '${
-      existingRole || 'unknown'
-    }'.`
-  );
+  sendJson(res, 200, { status: 'ok', message: `Call ${callId} terminated.`, hungUpChannels });
+}
 
-  if (callState.bridges) {
-    callState.bridges.add(bridgeId);
-  }
-  bridgeToCallId.set(bridgeId, callId);
+function serializeDncEntry(entry) {
+  return {
+    number: entry.number,
+    source: entry.source,
+    reason: entry.reason,
+    addedAt: toIsoTimestamp(entry.addedAt)
+  };
+}
 
-  if (channel.linkedid) {
-    linkedIdToCallId.set(channel.linkedid, callId);
-    callState.linkedIds.add(channel.linkedid);
+function handleListDncRequest(req, res, url) {
+  const lookup = url.searchParams.get('number');
+  if (lookup) {
+    const entry = getDncEntry(lookup);
+    sendJson(res, 200, {
+      status: 'ok',
+      number: lookup,
+      suppressed: Boolean(entry),
+      entry: entry ? serializeDncEntry(entry) : null
+    });
+    return;
   }
 
-  if (!resolvedRole) {
-    const channelName = channel.name || '';
-    const baseName = stripLocalSuffix(channelName);
-    const looksLikeLegB =
-      isTargetLocalChannelName(baseName) &&
-      callState.originatedPartner;
-
-    if (looksLikeLegB) {
-      resolvedRole = 'dialed';
-      callState.channelRoles.set(channel.id, 'dialed');
-      channelToCallId.set(channel.id, callId);
-      callState.dialedChannelId = callState.dialedChannelId || channel.id;
-      const legBTimeline = callState.legBTimeline;
-      if (legBTimeline) {
-        if (!legBTimeline.channelId) {
-          legBTimeline.channelId = channel.id;
-        }
-        if (!legBTimeline.peerName) {
-          legBTimeline.peerName = channelName || legBTimeline.peerName;
-        }
-        if (!legBTimeline.pairedChannelName && channelName) {
-          if (/;1$/.test(channelName)) {
-            legBTimeline.pairedChannelName = channelName.replace(/;1$/, ';2');
-          } else if (/;2$/.test(channelName)) {
-            legBTimeline.pairedChannelName = channelName;
-          }
-        }
-        updateLegTimelineMetadata(legBTimeline, channel);
-      }
-      logWithTimestamp(
-        'log',
-        `[${callId}] Heuristically tagged bridge entrant ${channel.id} (${channelName || 'unknown'}) as leg B.`
-      );
-    }
-  }
+  const numbers = [...dncEntries.values()].map((entry) => serializeDncEntry(entry));
+  sendJson(res, 200, { status: 'ok', count: numbers.length, numbers });
+}
 
-  const isKnownLeg = resolvedRole === 'dialer' || resolvedRole === 'dialed';
-  if (isKnownLeg) {
-    logWithTimestamp(
-      'log',
-      `[${callId}] Known channel ${channel.id} with role '${resolvedRole}' entered bridge ${bridgeId}.`
-    );
+async function handleAddDncRequest(req, res, url) {
+  let report;
+  try {
+    const body = await readRequestBody(req, { limitBytes: 10 * 1024 * 1024 });
+    report = parseUploadedContacts(req, body, 'do-not-call upload');
+  } catch (err) {
+    sendJson(res, 400, { status: 'error', message: err.message });
     return;
   }
 
-  callState.agentChannels.add(channel.id);
-  callState.channelRoles.set(channel.id, 'agent');
-  channelToCallId.set(channel.id, callId);
+  const { contacts, rejected } = report;
+  if (contacts.length === 0) {
+    sendJson(res, 400, {
+      status: 'error',
+      message: 'No valid numbers found in upload.',
+      added: 0,
+      rejectedCount: rejected.length,
+      rejected
+    });
+    return;
+  }
 
-  const timestampMs = getEventTimestampMs(event);
-  const leg = ensureAgentLeg(callState, channel.id);
+  const defaultReason = url.searchParams.get('reason') || null;
+  const added = await addDncNumbers(
+    contacts.map((contact) => ({ number: contact.number, reason: contact.fields?.reason || defaultReason }))
+  );
+  sendJson(res, 200, {
+    status: 'ok',
+    added: added.length,
+    alreadyListed: contacts.length - added.length,
+    rejectedCount: rejected.length,
+    rejected,
+    count: dncEntries.size
+  });
+}
 
-  if (leg && !leg.dialedAt) {
-    leg.dialedAt = timestampMs;
+async function handleDeleteDncRequest(req, res, url, params) {
+  const entry = getDncEntry(params.number);
+  if (!entry) {
+    sendJson(res, 404, { status: 'error', message: `Number ${params.number} is not on the do-not-call list.` });
+    return;
   }
-
-  const identity = extractConnectedIdentity(channel);
-  if (identity) {
-    if (leg) {
-      leg.identity = identity;
-      leg.answeredAt = leg.answeredAt ?? timestampMs;
-    }
-    setAnsweredIdentity(callState, identity, 'agent');
-    logWithTimestamp('log', `[${callId}] Agent channel ${channel.id} joined bridge ${bridgeId} as '${identity}'.`);
-  } else {
-    logWithTimestamp('log', `[${callId}] Agent channel ${channel.id} joined bridge ${bridgeId} but identity not yet available.`);
+  if (entry.source === 'file') {
+    sendJson(res, 409, {
+      status: 'error',
+      message: `Number ${entry.number} comes from DNC_FILE and can only be removed there.`
+    });
+    return;
   }
 
-  if (leg && leg.answeredAt != null) {
-    if (callState.agentAnsweredAt == null || callState.agentAnsweredAt > leg.answeredAt) {
-      callState.agentAnsweredAt = leg.answeredAt;
-    }
-    callState.agentChannelId = callState.agentChannelId || channel.id;
-    updateCallConnectionState(callState, leg.answeredAt);
-  }
+  await removeDncNumber(entry.number);
+  sendJson(res, 200, { status: 'ok', message: `Number ${entry.number} removed from the do-not-call list.` });
 }
 
-async function start() {
-  lastStartRestarted = false;
-
-  if (dialerStarted && dialerClient) {
-    if (numbersQueue.length === 0 && inFlightCalls.size === 0) {
-      resetNumbersQueue();
-      lastStartRestarted = true;
-    }
-    maybeOriginateNext(dialerClient);
-    return dialerClient;
+async function handleCallOptOutRequest(req, res, url, params) {
+  const { callId } = params;
+  const callState = activeCalls.get(callId);
+  if (!callState) {
+    sendJson(res, 404, { status: 'error', message: `Call ${callId} not found.` });
+    return;
   }
 
-  if (dialerStartingPromise) {
-    return dialerStartingPromise;
+  const number = callState.contact?.number || callState.number || callNumberMap.get(callId);
+  if (!number) {
+    sendJson(res, 409, { status: 'error', message: `Call ${callId} has no dialed number yet.` });
+    return;
   }
 
-  const initializationPromise = (async () => {
-    try {
-      await ensureMysqlInitialization();
-      const client = await AriClient.connect(
-        currentConfig.ARI_URL,
-        currentConfig.ARI_USERNAME,
-        currentConfig.ARI_PASSWORD
-      );
-
-      client.on('*', (event) => {
-        try {
-          const eventType = event?.type || 'unknown';
-          const eventPayload = safeStringify(event) || 'null';
-          logWithTimestamp('log', `[ARI EVENT] ${eventType}: ${eventPayload}`);
-        } catch (err) {
-          const type = event?.type || 'unknown';
-          logWithTimestamp('error', `Failed to log ARI event ${type}:`, err.message);
-        }
-      });
-
-      client.on('StasisStart', (event) => {
-        handleStasisStart(client, event).catch((err) => {
-          logWithTimestamp('error', 'Error in StasisStart handler:', err.message);
-        });
-      });
-
-      client.on('StasisEnd', (event) => {
-        handleStasisEnd(client, event).catch((err) => {
-          logWithTimestamp('error', 'Error in StasisEnd handler:', err.message);
-        });
-      });
-
-      client.on('ChannelDestroyed', (event) => {
-        handleStasisEnd(client, event).catch((err) => {
-          logWithTimestamp('error', 'Error handling ChannelDestroyed event:', err.message);
-        });
-      });
-
-      client.on('ChannelStateChange', (event) => {
-        handleChannelStateChange(client, event).catch((err) => {
-          logWithTimestamp('error', 'Error handling ChannelStateChange event:', err.message);
-        });
-      });
-
-      client.on('Dial', (event) => {
-        try {
-          handleDialEvent(event);
-        } catch (err) {
-          logWithTimestamp('error', 'Error handling Dial event:', err.message);
-        }
-      });
-
-      client.on('BridgeEnter', (event) => {
-        try {
-          handleBridgeEnter(event);
-        } catch (err) {
-          logWithTimestamp('error', 'Error handling BridgeEnter event:', err.message);
-        }
-      });
-
-      client.on('RecordingFinished', (event) => {
-        const recording = event.recording || {};
-        const recordingName = recording.name || recording.id || event.recordingName;
-
-        if (!recordingName) {
-          logWithTimestamp('warn', 'Received RecordingFinished event without a recording name.');
-          return;
-        }
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    sendJson(res, 400, { status: 'error', message: err.message });
+    return;
+  }
 
-        let ownership = recordingOwnership.get(recordingName);
-        if (!ownership) {
-          for (const [candidateCallId, state] of activeCalls.entries()) {
-            if (state.recording?.id === recordingName) {
-              ownership = {
-                callId: candidateCallId,
-                recording: state.recording,
-                retryTimer: null,
-                retryCounters: {}
-              };
-              recordingOwnership.set(recordingName, ownership);
-              break;
-            }
-          }
-        }
+  const reason = normalizeTimelineString(body.reason) || `opt-out during call ${callId}`;
+  await addDncNumbers([{ number, reason }]);
+  callState.optedOut = true;
+  logWithTimestamp('log', `[${callId}] Number ${number} opted out via control server.`);
 
-        if (!ownership) {
-          logWithTimestamp('warn', `RecordingFinished event received for '${recordingName}' but owning call was not found.`);
-          return;
-        }
+  let hungUpChannels = [];
+  if (/^(1|true|yes)$/i.test(url.searchParams.get('hangup') || '')) {
+    callState.hangupRequested = true;
+    hungUpChannels = await hangupCallChannels(dialerClient, callId, callState);
+    await cleanupCall(callId, dialerClient);
+    markCallCompleted(dialerClient, callId);
+  }
 
-        if (recording.format && ownership.recording) {
-          ownership.recording.format = recording.format;
-        }
+  sendJson(res, 200, {
+    status: 'ok',
+    message: `Number ${number} added to the do-not-call list.`,
+    entry: serializeDncEntry(getDncEntry(number)),
+    hungUpChannels
+  });
+}
 
-        handleRecordingReady(recordingName, 'event').catch((err) => {
-          logWithTimestamp('error', `Error handling RecordingFinished for '${recordingName}':`, err.message);
-        });
-      });
+function listKnownTrunks() {
+  const trunks = new Map();
+  for (const campaign of campaigns.values()) {
+    for (const trunk of campaign.config.trunks) {
+      const entry = trunks.get(trunk.name) || { name: trunk.name, campaigns: [] };
+      entry.campaigns.push(campaign.name);
+      trunks.set(trunk.name, entry);
+    }
+  }
+  return [...trunks.values()].map((entry) => ({
+    ...entry,
+    inFlight: trunkCallCounts.get(entry.name) || 0,
+    rate: trunkRateLimiters.get(entry.name)?.getStatus() || null,
+    breaker: serializeTrunkBreaker(entry.name)
+  }));
+}
 
-      await client.start(currentConfig.STASIS_APP);
-      logWithTimestamp('log', `Subscribed to Stasis app: ${currentConfig.STASIS_APP}`);
+function handleListTrunksRequest(req, res) {
+  const { enabled, failureRate, windowSize, minCalls, cooldownMs } = currentConfig.trunkBreaker;
+  sendJson(res, 200, {
+    status: 'ok',
+    breaker: { enabled, failureRate, windowSize, minCalls, cooldownSeconds: cooldownMs / 1000 },
+    trunks: listKnownTrunks()
+  });
+}
 
-      logWithTimestamp(
-        'log',
-        `Loaded ${outboundNumbers.length} outbound number(s). Dialing with max concurrency ${currentConfig.callConcurrencyLimit}.`
-      );
+function handleResetTrunkRequest(req, res, url, params) {
+  const { name } = params;
+  if (!resetTrunkBreaker(name)) {
+    sendJson(res, 404, { status: 'error', message: `Trunk ${name} has no circuit breaker state.` });
+    return;
+  }
+  sendJson(res, 200, {
+    status: 'ok',
+    message: `Circuit breaker for trunk ${name} closed.`,
+    breaker: serializeTrunkBreaker(name)
+  });
+}
 
-      dialerClient = client;
-      dialerStarted = true;
-      maybeOriginateNext(client);
-      lastStartRestarted = false;
-      return client;
-    } catch (err) {
-      logWithTimestamp('error', 'Failed to start ARI dialer:', err.message);
-      throw err;
-    } finally {
-      if (!dialerStarted) {
-        dialerStartingPromise = null;
+function matchRoute(routes, pathname) {
+  for (const route of routes) {
+    if (typeof route.path === 'string') {
+      if (route.path === pathname) {
+        return { route, params: {} };
       }
+      continue;
     }
-  })();
 
-  dialerStartingPromise = initializationPromise;
-  return initializationPromise;
+    const match = route.path.exec(pathname);
+    if (match) {
+      return { route, params: match.groups || {} };
+    }
+  }
+  return null;
 }
 
 function createControlServer({ host = '127.0.0.1', port = 3000, startPath = '/start' } = {}) {
+  const routes = [
+    { path: startPath, methods: { GET: handleStartRequest, POST: handleStartRequest } },
+    { path: '/pause', methods: { POST: handlePauseRequest } },
+    { path: '/resume', methods: { POST: handleResumeRequest } },
+    { path: '/stop', methods: { POST: handleStopRequest } },
+    { path: '/status', methods: { GET: handleStatusRequest } },
+    { path: '/campaigns', methods: { GET: handleListCampaignsRequest, POST: handleCreateCampaignRequest } },
+    {
+      path: /^\/campaigns\/(?<name>[^/]+)$/,
+      methods: {
+        GET: handleGetCampaignRequest,
+        PATCH: handleUpdateCampaignRequest,
+        DELETE: handleDeleteCampaignRequest
+      }
+    },
+    {
+      path: /^\/campaigns\/(?<name>[^/]+)\/numbers$/,
+      methods: { POST: handleUploadContactsRequest }
+    },
+    {
+      path: /^\/campaigns\/(?<name>[^/]+)\/(?<action>start|pause|resume|stop)$/,
+      methods: { POST: handleCampaignActionRequest }
+    },
+    { path: '/calls', methods: { GET: handleListCallsRequest } },
+    {
+      path: /^\/calls\/(?<callId>[^/]+)$/,
+      methods: { GET: handleGetCallRequest, DELETE: handleDeleteCallRequest }
+    },
+    {
+      path: /^\/calls\/(?<callId>[^/]+)\/dnc$/,
+      methods: { POST: handleCallOptOutRequest }
+    },
+    { path: '/dnc', methods: { GET: handleListDncRequest, POST: handleAddDncRequest } },
+    {
+      path: /^\/dnc\/(?<number>[^/]+)$/,
+      methods: { DELETE: handleDeleteDncRequest }
+    },
+    { path: '/trunks', methods: { GET: handleListTrunksRequest } },
+    {
+      path: /^\/trunks\/(?<name>[^/]+)\/reset$/,
+      methods: { POST: handleResetTrunkRequest }
+    }
+  ];
+
   const server = http.createServer((req, res) => {
     (async () => {
       const method = req.method || 'GET';
-      let pathname = '';
+      let url;
 
       try {
-        const url = new URL(req.url || '/', `http://${host}:${port}`);
-        pathname = url.pathname;
+        url = new URL(req.url || '/', `http://${host}:${port}`);
       } catch (err) {
-        pathname = req.url || '';
+        url = new URL('/', `http://${host}:${port}`);
+        url.pathname = req.url || '';
       }
 
-      if (method !== 'GET' || pathname !== startPath) {
-        res.statusCode = 404;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ error: 'Not Found' }));
+      const matched = matchRoute(routes, url.pathname);
+      if (!matched) {
+        sendJson(res, 404, { error: 'Not Found' });
         return;
       }
 
-      const wasStarted = dialerStarted;
+      const handler = matched.route.methods[method];
+      if (!handler) {
+        res.setHeader('Allow', Object.keys(matched.route.methods).join(', '));
+        sendJson(res, 405, { error: 'Method Not Allowed' });
+        return;
+      }
 
+      const params = {};
       try {
-        const refreshedConfig = refreshConfig();
-        currentConfig = refreshedConfig;
-        applyConfig(currentConfig);
-        resetNumbersQueue();
-        await ensureMysqlInitialization();
-
-        await start();
-        const restarted = wasStarted && lastStartRestarted;
-        res.statusCode = wasStarted ? 200 : 201;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(
-          JSON.stringify({
-            status: 'ok',
-            message: restarted
-              ? 'Dialer run restarted.'
-              : wasStarted
-              ? 'Dialer already running.'
-              : 'Dialer started successfully.'
-          })
-        );
+        for (const [key, value] of Object.entries(matched.params)) {
+          params[key] = decodeURIComponent(value);
+        }
       } catch (err) {
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ status: 'error', message: err.message || 'Failed to start dialer.' }));
+        sendJson(res, 400, { status: 'error', message: `Malformed escape in ${url.pathname}.` });
+        return;
       }
+
+      await handler(req, res, url, params);
     })().catch((err) => {
       logWithTimestamp('error', 'Unexpected error handling control request:', err.message);
       if (!res.headersSent) {
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ status: 'error', message: 'Internal Server Error' }));
+        sendJson(res, 500, { status: 'error', message: 'Internal Server Error' });
       }
     });
   });
@@ -2981,11 +8859,35 @@ if (require.main === module) {
   const server = createControlServer({ host, port, startPath: '/start' });
 
   server.listen(port, host, () => {
-    logWithTimestamp('log', `Control server listening on http://${host}:${port}/start`);
+    logWithTimestamp('log', `Control server listening on http://${host}:${port} (start, pause, resume, stop, status, campaigns, calls, dnc, trunks)`);
+    resumeRestoredCampaigns();
   });
 }
 
 module.exports = {
+  createAmiMonitor,
+  normalizeDisposition,
+  parseCallWindows,
+  parseHolidayList,
+  zonedTimeToTimestamp,
+  isWithinCallingHours,
+  findNextCallingWindowStart,
+  getDefaultCampaign,
+  recordPacingSample,
+  getCampaignDialLimit,
+  getAnswerOutcome,
+  detectAnsweringMachine,
+  evaluateDialingPolicy,
+  normalizePhoneNumber,
+  parseNationalRules,
+  selectTrunk,
+  acquireTrunk,
+  releaseTrunk,
+  recordTrunkResult,
+  trunkBreakerAllowsCall,
+  resetTrunkBreaker,
+  serializeTrunkBreaker,
+  createTokenBucket,
   calculateCallDurations,
   calculateLegDurations,
   extractConnectedIdentity,
@@ -2998,5 +8900,14 @@ module.exports = {
   updateCallConnectionState,
   updateAnsweredIdentity,
   start,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  stopCampaign,
+  pauseDialer,
+  resumeDialer,
+  stopDialer,
+  getDialerStatus,
+  resumeRestoredCampaigns,
   createControlServer
 };
@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, mock, test } = require('node:test');
+const { loadDialer } = require('./helpers/fake-dialer');
+
+const { dialer, client, summaries, shutdown } = loadDialer({
+  CALL_TIMEOUT: '30',
+  MAX_AGENT_WAIT: '40',
+  SAFE_HARBOR_MESSAGE: 'sound:safe-harbor'
+});
+
+const flush = async () => {
+  for (let i = 0; i < 20; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+describe('abandon after the call watchdog', () => {
+  let callId;
+  let callState;
+  let customer;
+
+  before(async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    await dialer.start();
+    await flush();
+    callId = client.originates[0].appArgs.split(',')[1];
+    callState = dialer.getCallState(callId);
+    customer = { id: client.originates[0].channelId, name: 'PJSIP/trunk-00000001', state: 'Up' };
+  });
+
+  after(async () => {
+    mock.timers.reset();
+    await shutdown();
+  });
+
+  test('the watchdog waits for MAX_AGENT_WAIT after a long ring', async () => {
+    mock.timers.tick(10000);
+    client.emit('StasisStart', { type: 'StasisStart', args: ['dialer', callId], channel: customer });
+    await flush();
+    assert.ok(client.originates.some((options) => options.appArgs === `dialed,${callId}`), 'the agent leg is dialed');
+
+    // 50s after origination: past the 45s origination watchdog, at the end of the agent wait.
+    mock.timers.tick(40000);
+    await flush();
+    assert.ok(!summaries.has(callId), 'the watchdog did not clean the call up');
+    assert.ok(callState.abandoned, 'the call was abandoned');
+  });
+
+  test('the abandoned call hears the safe-harbor message before the hangup', async () => {
+    const safeHarbor = client.plays.find((options) => options.media === 'sound:safe-harbor');
+    assert.ok(safeHarbor, 'the safe-harbor message is played');
+    const playback = { id: safeHarbor.playbackId, state: 'done' };
+    client.emit('PlaybackFinished', { type: 'PlaybackFinished', playback });
+    await flush();
+    assert.strictEqual(callState.abandoned.messagePlayed, true);
+    assert.ok(client.hangups.includes(customer.id), 'the customer leg is hung up after the message');
+
+    const hangup = { type: 'ChannelDestroyed', cause: 16, cause_txt: 'Normal Clearing', channel: customer };
+    client.emit('ChannelDestroyed', hangup);
+    await flush();
+    assert.match(summaries.get(callId) || '', /ABANDONED/);
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const { after, afterEach, before, beforeEach, describe, mock, test } = require('node:test');
+const { loadDialer } = require('./helpers/fake-dialer');
+
+const { dialer, client, shutdown } = loadDialer();
+
+const amdConfig = { initialSilenceMs: 2500, greetingMs: 1500, afterGreetingSilenceMs: 800, totalAnalysisMs: 5000 };
+const channel = { id: 'amd-channel', name: 'PJSIP/trunk-00000002', state: 'Up' };
+
+const flush = async () => {
+  for (let i = 0; i < 5; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+const talkingStarted = () => client.emit('ChannelTalkingStarted', { type: 'ChannelTalkingStarted', channel });
+const talkingFinished = (duration) =>
+  client.emit('ChannelTalkingFinished', { type: 'ChannelTalkingFinished', duration, channel });
+
+describe('answering machine detection', () => {
+  // The ARI event handlers are registered when the dialer connects.
+  before(() => dialer.start());
+  after(shutdown);
+
+  beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'] }));
+  afterEach(() => mock.timers.reset());
+
+  test('a short greeting followed by silence is a human', async () => {
+    const detection = dialer.detectAnsweringMachine(client, channel.id, amdConfig);
+    mock.timers.tick(300);
+    talkingStarted();
+    mock.timers.tick(1700);
+    talkingFinished(900);
+    assert.deepStrictEqual(await detection, { result: 'HUMAN', cause: 'HUMAN', durationMs: 2000 });
+  });
+
+  test('silence after the answer is a machine', async () => {
+    const detection = dialer.detectAnsweringMachine(client, channel.id, amdConfig);
+    mock.timers.tick(2500);
+    assert.deepStrictEqual(await detection, { result: 'MACHINE', cause: 'INITIALSILENCE', durationMs: 2500 });
+  });
+
+  test('a long greeting is a machine', async () => {
+    const reported = dialer.detectAnsweringMachine(client, channel.id, amdConfig);
+    talkingStarted();
+    mock.timers.tick(2400);
+    talkingFinished(1600);
+    assert.deepStrictEqual(await reported, { result: 'MACHINE', cause: 'LONGGREETING', durationMs: 2400 });
+
+    const unfinished = dialer.detectAnsweringMachine(client, channel.id, amdConfig);
+    mock.timers.tick(100);
+    talkingStarted();
+    mock.timers.tick(2300);
+    assert.deepStrictEqual(
+      await unfinished,
+      { result: 'MACHINE', cause: 'LONGGREETING', durationMs: 2400 },
+      'speech still going on past the greeting length'
+    );
+  });
+
+  test('running out of analysis time is not sure', async () => {
+    const detection = dialer.detectAnsweringMachine(client, channel.id, { ...amdConfig, totalAnalysisMs: 2000 });
+    mock.timers.tick(100);
+    talkingStarted();
+    mock.timers.tick(1900);
+    assert.deepStrictEqual(await detection, { result: 'NOTSURE', cause: 'TOOLONG', durationMs: 2000 });
+  });
+
+  test('a hangup during the analysis ends it', async () => {
+    const detection = dialer.detectAnsweringMachine(client, channel.id, amdConfig);
+    mock.timers.tick(1000);
+    client.emit('ChannelDestroyed', { type: 'ChannelDestroyed', cause: 16, cause_txt: 'Normal Clearing', channel });
+    assert.deepStrictEqual(await detection, { result: 'HANGUP', cause: 'HANGUP', durationMs: 1000 });
+  });
+
+  test('no TALK_DETECT on the channel is not sure', async () => {
+    const setChannelVar = client.channels.setChannelVar;
+    client.channels.setChannelVar = async () => {
+      throw new Error('Channel not found');
+    };
+    try {
+      const detection = dialer.detectAnsweringMachine(client, channel.id, amdConfig);
+      await flush();
+      assert.deepStrictEqual(await detection, { result: 'NOTSURE', cause: 'NOTALKDETECT', durationMs: 0 });
+    } finally {
+      client.channels.setChannelVar = setChannelVar;
+    }
+  });
+
+  test('TALK_DETECT is enabled with the after-greeting silence', async () => {
+    const variables = [];
+    const setChannelVar = client.channels.setChannelVar;
+    client.channels.setChannelVar = async (options) => {
+      variables.push(options);
+    };
+    try {
+      const detection = dialer.detectAnsweringMachine(client, channel.id, amdConfig);
+      mock.timers.tick(2500);
+      await detection;
+      assert.deepStrictEqual(variables, [{ channelId: channel.id, variable: 'TALK_DETECT(set)', value: '800' }]);
+    } finally {
+      client.channels.setChannelVar = setChannelVar;
+    }
+  });
+});
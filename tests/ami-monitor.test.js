@@ -0,0 +1,199 @@
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const QUEUE = 'callcenter';
+
+function parseActions(buffer) {
+  const blocks = buffer.split('\r\n\r\n');
+  const rest = blocks.pop();
+  const actions = blocks.map((block) =>
+    Object.fromEntries(
+      block
+        .split('\r\n')
+        .map((line) => [line.slice(0, line.indexOf(':')).trim(), line.slice(line.indexOf(':') + 1).trim()])
+    )
+  );
+  return { actions, rest };
+}
+
+function format(fields) {
+  return `${Object.entries(fields)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\r\n')}\r\n\r\n`;
+}
+
+// Answers Login and QueueStatus from a member table; events can be pushed to every session.
+function createFakeAmi({ acceptLogin = true } = {}) {
+  const members = new Map();
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    server.connections += 1;
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+    socket.write('Asterisk Call Manager/5.0.2\r\n');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      const { actions, rest } = parseActions(buffer + chunk);
+      buffer = rest;
+      for (const action of actions) {
+        if (action.Action === 'Login') {
+          socket.write(
+            server.acceptLogin
+              ? format({ Response: 'Success', ActionID: action.ActionID, Message: 'Authentication accepted' })
+              : format({ Response: 'Error', ActionID: action.ActionID, Message: 'Authentication failed' })
+          );
+        } else if (action.Action === 'QueueStatus') {
+          server.queueStatusRequests += 1;
+          socket.write(format({ Event: 'QueueParams', Queue: QUEUE, Calls: 0, ActionID: action.ActionID }));
+          for (const [memberInterface, member] of members) {
+            const fields = { Event: 'QueueMember', Queue: QUEUE, Location: memberInterface, ...member };
+            socket.write(format({ ...fields, ActionID: action.ActionID }));
+          }
+          socket.write(format({ Event: 'QueueStatusComplete', ActionID: action.ActionID }));
+        }
+      }
+    });
+  });
+  server.acceptLogin = acceptLogin;
+  server.connections = 0;
+  server.queueStatusRequests = 0;
+  server.setMember = (memberInterface, member, event = 'QueueMemberStatus') => {
+    members.set(memberInterface, member);
+    for (const socket of sockets) {
+      socket.write(format({ Event: event, Queue: QUEUE, Interface: memberInterface, ...member }));
+    }
+  };
+  server.dropSessions = () => {
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+  };
+  server.closeAll = () => {
+    server.dropSessions();
+    server.close();
+  };
+  return server;
+}
+
+async function waitFor(predicate, message, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new assert.AssertionError({ message });
+    }
+    await tick(10);
+  }
+}
+
+const ami = createFakeAmi();
+ami.setMember('PJSIP/101', { Status: '2', Paused: '0', InCall: '1' });
+
+describe('AMI monitor', () => {
+  let dialer;
+  let client;
+  let shutdown;
+  let server;
+
+  before(async () => {
+    await listen(ami);
+    ({ dialer, client, shutdown } = loadDialer({
+      OUTBOUND_NUMBER: '79001234567',
+      MAX_CC: '2',
+      AMI_HOST: '127.0.0.1',
+      AMI_PORT: String(ami.address().port),
+      AMI_USERNAME: 'dialer',
+      AMI_PASSWORD: 'secret',
+      AMI_QUEUE: QUEUE
+    }));
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+    // The dialer keeps reconnecting to AMI until a login is rejected; it retries after 5 seconds.
+    ami.acceptLogin = false;
+    ami.dropSessions();
+    await waitFor(() => dialer.getDialerStatus().ami.error !== null, 'the dialer gives up on AMI', 8000);
+    ami.closeAll();
+  });
+
+  test('loading the module does not connect to AMI', async () => {
+    await tick();
+    assert.strictEqual(ami.connections, 0);
+  });
+
+  test('each free queue member releases one call', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=append', ['79001234568']);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await waitFor(() => ami.queueStatusRequests > 0, 'the queue state is requested after login');
+    await tick();
+    assert.strictEqual(client.originates.length, 0, 'no call while the only agent is busy');
+
+    ami.setMember('PJSIP/101', { Status: '1', Paused: '0', InCall: '0' });
+    await waitFor(() => client.originates.length === 1, 'a free agent releases one call');
+    await tick();
+    assert.strictEqual(client.originates.length, 1, 'the ringing call holds the only free agent');
+
+    ami.setMember('PJSIP/102', { Status: '1', Paused: '0', InCall: '0' }, 'QueueMemberAdded');
+    await waitFor(() => client.originates.length === 2, 'a second free agent releases the next call');
+    const status = await request(server, 'GET', '/status');
+    assert.deepStrictEqual(status.body.ami, { connected: true, error: null });
+  });
+
+  test('a rejected login is reported and not retried', async () => {
+    const rejecting = await listen(createFakeAmi({ acceptLogin: false }));
+    let updates = 0;
+    const monitor = dialer.createAmiMonitor({
+      host: '127.0.0.1',
+      port: rejecting.address().port,
+      username: 'dialer',
+      password: 'wrong',
+      reconnectDelayMs: 10,
+      onUpdate: () => {
+        updates += 1;
+      }
+    });
+    try {
+      monitor.start();
+      await waitFor(() => monitor.getError() !== null, 'the rejected login is reported');
+      await tick(100);
+      assert.strictEqual(rejecting.connections, 1, 'a rejected login is not retried');
+      assert.match(monitor.getError(), /Authentication failed/);
+      assert.strictEqual(monitor.isReady(), false);
+      assert.strictEqual(monitor.getQueueAvailability(QUEUE), null);
+      assert.strictEqual(updates, 1);
+    } finally {
+      monitor.stop();
+      rejecting.closeAll();
+    }
+  });
+
+  test('a dropped connection is retried with a growing delay', async () => {
+    const dropping = net.createServer((socket) => {
+      dropping.connections += 1;
+      socket.destroy();
+    });
+    dropping.connections = 0;
+    await listen(dropping);
+    const { port } = dropping.address();
+    const retrying = dialer.createAmiMonitor({ host: '127.0.0.1', port, reconnectDelayMs: 20 });
+    try {
+      retrying.start();
+      await tick(250);
+      // Delays of 20, 40, 80 and 160 ms allow about four attempts; a fixed 20 ms delay would allow a dozen.
+      const attempts = dropping.connections;
+      assert.ok(attempts >= 2 && attempts <= 6, `${attempts} connection attempt(s)`);
+      assert.strictEqual(retrying.getError(), null, 'a dropped connection keeps retrying');
+    } finally {
+      retrying.stop();
+      dropping.close();
+    }
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, mock, test } = require('node:test');
+const { loadDialer } = require('./helpers/fake-dialer');
+
+const { dialer, client, summaries, shutdown } = loadDialer({
+  CALL_TIMEOUT: '30',
+  CAMPAIGN_MODE: 'broadcast',
+  BROADCAST_MESSAGE: 'sound:reminder',
+  BROADCAST_REPEAT_DIGIT: '*'
+});
+
+const flush = async () => {
+  for (let i = 0; i < 20; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+describe('broadcast after the call watchdog', () => {
+  before(async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    await dialer.start();
+    await flush();
+  });
+
+  after(async () => {
+    mock.timers.reset();
+    await shutdown();
+  });
+
+  test('a repeated message after a long ring is not cut short by the watchdog', async () => {
+    const { appArgs, channelId } = client.originates[0];
+    const callId = appArgs.split(',')[1];
+    const callState = dialer.getCallState(callId);
+
+    mock.timers.tick(20000);
+    const customer = { id: channelId, name: 'PJSIP/trunk-00000001', state: 'Up' };
+    client.emit('StasisStart', { type: 'StasisStart', args: ['dialer', callId], channel: customer });
+    await flush();
+
+    // A 15s message, repeated once: the second play ends 55s after origination.
+    for (let play = 1; play <= 2; play += 1) {
+      const playback = client.plays[client.plays.length - 1];
+      assert.strictEqual(callState.broadcast.plays, play);
+      mock.timers.tick(15000);
+      if (play === 1) {
+        client.emit('ChannelDtmfReceived', { type: 'ChannelDtmfReceived', digit: '*', channel: customer });
+      }
+      const finished = { id: playback.playbackId, state: 'done' };
+      client.emit('PlaybackFinished', { type: 'PlaybackFinished', playback: finished });
+      await flush();
+    }
+    mock.timers.tick(5000);
+    await flush();
+    assert.ok(!summaries.has(callId), 'the watchdog did not clean the call up');
+    assert.strictEqual(callState.broadcast.completed, true);
+    assert.strictEqual(callState.broadcast.hungUp, false);
+    assert.ok(client.hangups.includes(channelId), 'the dialer hangs up after the message');
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const CALLER_ID = '74950000001';
+const FIRST = '79001234567';
+const SUPPRESSED = '79001234568';
+const { dialer, client, workDir, shutdown } = loadDialer({
+  OUTBOUND_NUMBER: FIRST,
+  MAX_CC: '2',
+  ORIGINATE_CPS: '1',
+  CALLER_ID_POOL: `${CALLER_ID}:5`
+});
+
+const getUsedToday = () => dialer.getDialerStatus().campaigns[0].callerIdPool.numbers[0].usedToday;
+
+const usagePath = path.join(workDir, 'state', 'caller-id-usage.json');
+
+describe('caller ID usage', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('a caller ID is booked when a call is set up', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=append', [SUPPRESSED]);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await tick();
+    assert.strictEqual(client.originates.length, 1);
+    assert.strictEqual(getUsedToday(), 2, 'the waiting call holds a booking');
+    assert.strictEqual(fs.existsSync(usagePath), false, 'bookings are not written on every call');
+  });
+
+  test('a call that is never originated gives the booking back', async () => {
+    await request(server, 'POST', '/dnc', [SUPPRESSED]);
+    await tick(1100);
+    assert.strictEqual(client.originates.length, 1, 'the suppressed number is not dialed');
+    assert.strictEqual(getUsedToday(), 1);
+  });
+
+  test('the counters reach STATE_DIR in one debounced snapshot', async () => {
+    await tick(1100);
+    const snapshot = JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+    assert.strictEqual(snapshot.callerIds[CALLER_ID].count, 1);
+    assert.strictEqual(fs.existsSync(`${usagePath}l`), false);
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const { after, describe, test } = require('node:test');
+const { loadDialer } = require('./helpers/fake-dialer');
+
+const { dialer, cleanup } = loadDialer();
+const { findNextCallingWindowStart, isWithinCallingHours, zonedTimeToTimestamp } = dialer;
+
+function createSchedule(timeZone, windows, holidays = '') {
+  return {
+    timeZone,
+    windows: dialer.parseCallWindows(windows, 'CALL_WINDOWS'),
+    holidays: dialer.parseHolidayList(holidays, 'CALL_HOLIDAYS')
+  };
+}
+
+const at = (iso) => Date.parse(iso);
+
+describe('calling windows', () => {
+  after(cleanup);
+
+  const moscow = createSchedule('Europe/Moscow', 'mon-fri 09:00-21:00; sat 10:00-14:00', '01-01');
+
+  test('wall-clock times convert to UTC in the zone', () => {
+    assert.strictEqual(zonedTimeToTimestamp('2026-10-19', 9 * 60, 'Europe/Moscow'), at('2026-10-19T06:00:00Z'));
+    assert.strictEqual(zonedTimeToTimestamp('2026-03-28', 9 * 60, 'Europe/Berlin'), at('2026-03-28T08:00:00Z'));
+    assert.strictEqual(
+      zonedTimeToTimestamp('2026-03-29', 9 * 60, 'Europe/Berlin'),
+      at('2026-03-29T07:00:00Z'),
+      'summer time applies on the day clocks go forward'
+    );
+    assert.strictEqual(zonedTimeToTimestamp('2026-11-01', 9 * 60, 'America/New_York'), at('2026-11-01T14:00:00Z'));
+  });
+
+  test('calling hours follow the windows and holidays', () => {
+    assert.strictEqual(isWithinCallingHours(moscow, at('2026-10-19T05:59:00Z')), false, 'Monday 08:59');
+    assert.strictEqual(isWithinCallingHours(moscow, at('2026-10-19T06:00:00Z')), true, 'Monday 09:00');
+    assert.strictEqual(isWithinCallingHours(moscow, at('2026-10-19T17:59:00Z')), true, 'Monday 20:59');
+    assert.strictEqual(isWithinCallingHours(moscow, at('2026-10-19T18:00:00Z')), false, 'the window end is exclusive');
+    assert.strictEqual(isWithinCallingHours(moscow, at('2026-10-24T08:00:00Z')), true, 'Saturday 11:00');
+    assert.strictEqual(isWithinCallingHours(moscow, at('2026-10-25T08:00:00Z')), false, 'Sunday');
+    assert.strictEqual(isWithinCallingHours(moscow, at('2027-01-01T08:00:00Z')), false, 'a yearly holiday');
+    assert.strictEqual(isWithinCallingHours(createSchedule('UTC', ''), at('2026-10-25T03:00:00Z')), true);
+  });
+
+  test('the next window start skips closed days and holidays', () => {
+    assert.strictEqual(
+      findNextCallingWindowStart(moscow, at('2026-10-19T05:00:00Z')),
+      at('2026-10-19T06:00:00Z'),
+      'later the same day'
+    );
+    assert.strictEqual(
+      findNextCallingWindowStart(moscow, at('2026-10-24T12:00:00Z')),
+      at('2026-10-26T06:00:00Z'),
+      'Saturday evening waits for Monday'
+    );
+    assert.strictEqual(
+      findNextCallingWindowStart(moscow, at('2026-12-31T19:00:00Z')),
+      at('2027-01-02T07:00:00Z'),
+      'the holiday is skipped'
+    );
+    assert.strictEqual(
+      findNextCallingWindowStart(createSchedule('UTC', '', '2026-10-19,2026-10-20'), at('2026-10-18T12:00:00Z')),
+      at('2026-10-21T00:00:00Z'),
+      'holidays alone block whole days'
+    );
+  });
+
+  test('the next window start survives daylight-saving changes', () => {
+    const newYork = createSchedule('America/New_York', 'mon-fri 09:00-17:00');
+    assert.strictEqual(
+      findNextCallingWindowStart(newYork, at('2026-03-06T23:00:00Z')),
+      at('2026-03-09T13:00:00Z'),
+      'the Monday after clocks go forward opens at 09:00 daylight time'
+    );
+
+    const berlinSundays = createSchedule('Europe/Berlin', 'sun 09:00-12:00');
+    assert.strictEqual(
+      findNextCallingWindowStart(berlinSundays, at('2026-03-28T22:30:00Z')),
+      at('2026-03-29T07:00:00Z'),
+      'Saturday 23:30 reaches the 23-hour Sunday'
+    );
+  });
+});
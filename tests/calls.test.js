@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const NUMBER = '79001234567';
+const { dialer, client, summaries, shutdown } = loadDialer({ OUTBOUND_NUMBER: NUMBER, MAX_CC: '1' });
+
+describe('calls endpoints', () => {
+  let server;
+  let callId;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+    await dialer.start();
+    await tick();
+    callId = client.originates[0].appArgs.split(',')[1];
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('GET /calls lists the call in flight', async () => {
+    const response = await request(server, 'GET', '/calls');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.body.count, 1);
+    const [call] = response.body.calls;
+    assert.strictEqual(call.callId, callId);
+    assert.strictEqual(call.number, NUMBER);
+    assert.strictEqual(call.campaign, 'default');
+    assert.deepStrictEqual(call.channels, [{ channelId: `${callId}-a`, role: 'dialer' }]);
+  });
+
+  test('GET /calls/:id returns one call', async () => {
+    const response = await request(server, 'GET', `/calls/${callId}`);
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.body.call.callId, callId);
+  });
+
+  test('an unknown call is 404 and a malformed id is 400', async () => {
+    assert.strictEqual((await request(server, 'GET', '/calls/unknown')).statusCode, 404);
+    assert.strictEqual((await request(server, 'DELETE', '/calls/unknown')).statusCode, 404);
+    const malformed = await request(server, 'GET', '/calls/%E0%A4%A');
+    assert.strictEqual(malformed.statusCode, 400, JSON.stringify(malformed.body));
+  });
+
+  test('DELETE /calls/:id hangs the call up and ends it', async () => {
+    const response = await request(server, 'DELETE', `/calls/${callId}`);
+    assert.strictEqual(response.statusCode, 200, JSON.stringify(response.body));
+    assert.strictEqual(response.body.hungUpChannels, 1);
+    assert.ok(client.hangups.includes(`${callId}-a`));
+    assert.ok(summaries.has(callId), 'the call was summarized');
+    assert.strictEqual((await request(server, 'GET', `/calls/${callId}`)).statusCode, 404);
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, test } = require('node:test');
+const { loadDialer, tick } = require('./helpers/fake-dialer');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ari-dialer-state-'));
+const contact = (number) => ({ number, name: null, customerId: null, priority: 0, fields: {} });
+const writeSnapshot = (name, snapshot) =>
+  fs.writeFileSync(path.join(stateDir, `${name}.json`), JSON.stringify({ version: 1, name, ...snapshot }));
+
+writeSnapshot('default', {
+  settings: {},
+  inlineNumbers: true,
+  runState: 'running',
+  runId: 'run-1',
+  runStartedAt: Date.now() - 60000,
+  runFinishedAt: null,
+  contacts: ['79001110001', '79001110002', '79001110003'].map(contact)
+});
+fs.writeFileSync(
+  path.join(stateDir, 'default.outcomes.jsonl'),
+  [
+    { runId: 'run-1', number: '79001110001', status: 'ANSWERED', callId: 'call-1', at: Date.now(), attempt: 1 },
+    { runId: 'run-0', number: '79001110002', status: 'ANSWERED', callId: 'call-0', at: Date.now(), attempt: 1 }
+  ]
+    .map((entry) => JSON.stringify(entry))
+    .join('\n') + '\n{"runId":"run-1","num'
+);
+writeSnapshot('broken', {
+  settings: { numberFile: 42 },
+  inlineNumbers: false,
+  runState: 'running',
+  runId: 'run-2',
+  contacts: [contact('79002220001')]
+});
+writeSnapshot('greeting', {
+  settings: { broadcastMessage: ['tts:greeting'] },
+  inlineNumbers: true,
+  runState: 'running',
+  runId: 'run-3',
+  contacts: [contact('79003330001')]
+});
+fs.writeFileSync(path.join(stateDir, 'torn.json'), '{"version":1,"name":"to');
+
+const { dialer, client, logs, shutdown } = loadDialer({ STATE_DIR: stateDir, MAX_CC: '5' });
+
+describe('campaign restore', () => {
+  after(async () => {
+    await shutdown();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('snapshots that cannot be restored are logged and skipped', () => {
+    const names = dialer.getDialerStatus().campaigns.map((campaign) => campaign.name);
+    assert.deepStrictEqual(names, ['default']);
+    assert.ok(logs.some((line) => line.includes(`Failed to read campaign state ${path.join(stateDir, 'torn.json')}`)));
+    assert.ok(logs.some((line) => line.includes("Failed to restore campaign 'broken', skipping it")));
+    assert.ok(logs.some((line) => line.includes("Failed to restore campaign 'greeting', skipping it")));
+  });
+
+  test('the unfinished run resumes without the numbers its journal completed', async () => {
+    const campaign = dialer.getDefaultCampaign();
+    assert.strictEqual(campaign.runState, 'running');
+    assert.strictEqual(campaign.runId, 'run-1');
+    assert.deepStrictEqual([...campaign.outcomes.keys()], ['79001110001']);
+
+    dialer.resumeRestoredCampaigns();
+    await tick();
+    assert.deepStrictEqual(
+      client.originates.map((options) => options.endpoint),
+      ['PJSIP/79001110002@trunk', 'PJSIP/79001110003@trunk']
+    );
+  });
+});
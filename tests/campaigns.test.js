@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, client, workDir, endCalls, shutdown } = loadDialer({ MAX_CC: '1' });
+
+describe('campaigns', () => {
+  let server;
+
+  before(async () => {
+    fs.mkdirSync(path.join(workDir, 'lists'));
+    fs.writeFileSync(path.join(workDir, 'lists', 'spring.txt'), '79001110001\n79001110002\n');
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('numberFile is read from NUMBER_FILES_DIR only', async () => {
+    for (const numberFile of ['/etc/passwd', '../numbers.txt', 'lists/../../numbers.txt']) {
+      const response = await request(server, 'POST', '/campaigns', { name: 'outside', numberFile });
+      assert.strictEqual(response.statusCode, 400, numberFile);
+      assert.match(response.body.message, /NUMBER_FILES_DIR/);
+    }
+
+    const created = await request(server, 'POST', '/campaigns', { name: 'spring', numberFile: 'lists/spring.txt' });
+    assert.strictEqual(created.statusCode, 201, JSON.stringify(created.body));
+    assert.strictEqual(created.body.campaign.totalNumbers, 2);
+    const duplicate = await request(server, 'POST', '/campaigns', { name: 'spring', numbers: ['79001110003'] });
+    assert.strictEqual(duplicate.statusCode, 409);
+  });
+
+  test('campaigns are listed, read and updated', async () => {
+    const listed = await request(server, 'GET', '/campaigns');
+    assert.deepStrictEqual(listed.body.campaigns.map((campaign) => campaign.name).sort(), ['default', 'spring']);
+    assert.strictEqual((await request(server, 'GET', '/campaigns/missing')).statusCode, 404);
+
+    const updated = await request(server, 'PATCH', '/campaigns/spring', { callerId: '74950000000' });
+    assert.strictEqual(updated.statusCode, 200, JSON.stringify(updated.body));
+    assert.strictEqual(updated.body.campaign.callerId, '74950000000');
+    const read = await request(server, 'GET', '/campaigns/spring');
+    assert.strictEqual(read.body.campaign.callerId, '74950000000');
+  });
+
+  test('a campaign is started, paused, resumed and stopped on its own', async () => {
+    const started = await request(server, 'POST', '/campaigns/spring/start');
+    assert.strictEqual(started.statusCode, 200, JSON.stringify(started.body));
+    await tick();
+    assert.deepStrictEqual(
+      client.originates.map((options) => options.endpoint),
+      ['PJSIP/79001110001@trunk'],
+      'only the started campaign dials'
+    );
+    assert.strictEqual(client.originates[0].callerId, '74950000000');
+    assert.strictEqual(dialer.getDialerStatus().campaigns.find((entry) => entry.name === 'default').state, 'idle');
+
+    assert.strictEqual((await request(server, 'POST', '/campaigns/spring/pause')).statusCode, 200);
+    const pausedTwice = await request(server, 'POST', '/campaigns/spring/pause');
+    assert.strictEqual(pausedTwice.statusCode, 409);
+    assert.strictEqual(pausedTwice.body.campaign.state, 'paused');
+    assert.strictEqual((await request(server, 'POST', '/campaigns/spring/resume')).statusCode, 200);
+
+    const removedWhileRunning = await request(server, 'DELETE', '/campaigns/spring');
+    assert.strictEqual(removedWhileRunning.statusCode, 409);
+
+    const stopped = await request(server, 'POST', '/campaigns/spring/stop?mode=hangup');
+    assert.strictEqual(stopped.statusCode, 200, JSON.stringify(stopped.body));
+    assert.strictEqual(stopped.body.discarded, 1);
+  });
+
+  test('a stopped campaign is removed, the default one is not', async () => {
+    await endCalls();
+    const removed = await request(server, 'DELETE', '/campaigns/spring');
+    assert.strictEqual(removed.statusCode, 200, JSON.stringify(removed.body));
+    assert.strictEqual((await request(server, 'GET', '/campaigns/spring')).statusCode, 404);
+    assert.strictEqual((await request(server, 'DELETE', '/campaigns/default')).statusCode, 409);
+  });
+});
+
@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, client, shutdown } = loadDialer({
+  OUTBOUND_NUMBER: '79001234567',
+  CHANNEL_VARIABLES: 'NOTE={contact.note}',
+  SIP_HEADERS: 'X-Customer-Id={contact.customerId}; X-Ref=ref-{contact.ref}'
+});
+
+describe('channel variables', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('contact values cannot add headers or header parameters', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=replace', [
+      {
+        number: '79001234567',
+        name: 'Ivan\r\nX-Injected: 1',
+        customerId: 'C-42',
+        note: 'line one\nline two',
+        ref: 'a b;tag=1\r\nVia: "x"'
+      }
+    ]);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await tick();
+
+    assert.strictEqual(client.originates.length, 1);
+    const { variables } = client.originates[0];
+    assert.strictEqual(variables.__DIALER_CONTACT_NAME, 'Ivan X-Injected: 1');
+    assert.strictEqual(variables.__NOTE, 'line one line two');
+    assert.strictEqual(variables['PJSIP_HEADER(add,X-Customer-Id)'], 'C-42', 'a token is sent as is');
+    assert.strictEqual(variables['PJSIP_HEADER(add,X-Ref)'], 'ref-"a b;tag=1 Via: \\"x\\""');
+  });
+
+  test('campaign headers with control characters are refused', async () => {
+    const rejected = await request(server, 'POST', '/campaigns', {
+      name: 'crlf',
+      sipHeaders: { 'X-Note': 'a\r\nX-Injected: 1' }
+    });
+    assert.strictEqual(rejected.statusCode, 400, JSON.stringify(rejected.body));
+    assert.match(rejected.body.message, /control characters/);
+  });
+});
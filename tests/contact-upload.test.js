@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const IN_FLIGHT = '79001234567';
+const NEW_NUMBER = '79001234568';
+const { dialer, client, shutdown } = loadDialer({ OUTBOUND_NUMBER: IN_FLIGHT, MAX_CC: '1' });
+
+describe('contact upload', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+    await dialer.start();
+    await tick();
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('replacing the list does not queue the number in flight', async () => {
+    assert.strictEqual(client.originates.length, 1, 'the first number is being dialed');
+
+    const uploaded = await request(
+      server,
+      'POST',
+      '/campaigns/default/numbers?mode=replace',
+      JSON.stringify([IN_FLIGHT, NEW_NUMBER])
+    );
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    assert.strictEqual(uploaded.body.imported, 2);
+    assert.strictEqual(uploaded.body.alreadyActive, 1);
+    assert.strictEqual(uploaded.body.campaign.totalNumbers, 2, 'the in-flight contact stays in the list');
+    assert.strictEqual(uploaded.body.campaign.queueLength, 1, 'only the new number is queued');
+    assert.strictEqual(client.originates.length, 1, 'nothing was dialed on top of MAX_CC');
+  });
+
+  test('the new number is dialed once the call in flight ends', async () => {
+    const channel = { id: client.originates[0].channelId, name: 'PJSIP/trunk-00000001', state: 'Down' };
+    client.emit('ChannelDestroyed', { type: 'ChannelDestroyed', cause: 16, cause_txt: 'Normal Clearing', channel });
+    await tick();
+    assert.deepStrictEqual(
+      client.originates.map((options) => options.endpoint),
+      [`PJSIP/${IN_FLIGHT}@trunk`, `PJSIP/${NEW_NUMBER}@trunk`]
+    );
+  });
+});
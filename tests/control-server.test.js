@@ -0,0 +1,42 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, shutdown } = loadDialer({ MAX_CC: '1' });
+
+describe('control server', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+    await dialer.start();
+    await tick();
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('GET does not pause, resume or stop the dialer', async () => {
+    for (const pathname of ['/pause', '/resume', '/stop']) {
+      const response = await request(server, 'GET', pathname);
+      assert.strictEqual(response.statusCode, 405, `GET ${pathname} is rejected`);
+    }
+    assert.strictEqual(dialer.getDialerStatus().state, 'running');
+  });
+
+  test('POST pauses and resumes the dialer', async () => {
+    const paused = await request(server, 'POST', '/pause');
+    assert.strictEqual(paused.statusCode, 200, JSON.stringify(paused.body));
+    assert.strictEqual(dialer.getDialerStatus().state, 'paused');
+
+    const resumed = await request(server, 'POST', '/resume');
+    assert.strictEqual(resumed.statusCode, 200, JSON.stringify(resumed.body));
+    const status = await request(server, 'GET', '/status');
+    assert.strictEqual(status.statusCode, 200);
+    assert.strictEqual(status.body.state, 'running');
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, client, shutdown } = loadDialer({
+  OUTBOUND_NUMBER: '79001234567',
+  MAX_CC: '4',
+  DIAL_STRING_TEMPLATE: 'PJSIP/{contact.route}{number}@{trunk}'
+});
+
+describe('dial string', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('contact fields cannot change where the call goes', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=replace', [
+      { number: '79001234567', route: '101#' },
+      { number: '79001234568', route: 'x@attacker.example/' },
+      { number: '79001234569', route: '1&PJSIP/999' },
+      { number: '79001234570', route: '1,PJSIP/999' }
+    ]);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await tick();
+
+    assert.deepStrictEqual(client.originates.map((options) => options.endpoint), ['PJSIP/101#79001234567@trunk']);
+    const campaign = dialer.getDialerStatus().campaigns.find((entry) => entry.name === 'default');
+    assert.deepStrictEqual(campaign.rejectedByRule, { 'dial-string': 3 });
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, client, shutdown } = loadDialer({
+  OUTBOUND_NUMBER: '99112',
+  DIAL_REWRITE_RULES: '99=',
+  DIAL_STRING_TEMPLATES: '5=PJSIP/{number:1}@{trunk}'
+});
+
+describe('dialing policy', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('deny rules beat allow rules and length rules use the longest prefix', () => {
+    const policy = {
+      blockedNumbers: ['112', '911'],
+      denyPrefixes: ['7809'],
+      allowPrefixes: ['7', '375'],
+      lengthRules: [
+        { prefix: '375', min: 12, max: 12 },
+        { prefix: '7', min: 11, max: 11 },
+        { prefix: '', min: 8, max: 15 }
+      ]
+    };
+    const rule = (number) => dialer.evaluateDialingPolicy(policy, number)?.rule ?? null;
+    assert.strictEqual(rule('+79001234567'), null);
+    assert.strictEqual(rule('375291234567'), null);
+    assert.strictEqual(rule('+112'), 'blocked');
+    assert.strictEqual(rule('78091234567'), 'deny-prefix', 'a deny prefix wins over a shorter allow prefix');
+    assert.strictEqual(rule('4930123456'), 'not-allowed');
+    assert.strictEqual(rule('7900123456'), 'length');
+    assert.strictEqual(rule('37529123456'), 'length', 'the longest length prefix applies');
+    assert.strictEqual(dialer.evaluateDialingPolicy(null, '112'), null);
+  });
+
+  test('a blocked short code is never originated, however the dial string is built', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=append', ['5911', '79001234567']);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await tick();
+
+    assert.deepStrictEqual(
+      client.originates.map((options) => options.endpoint),
+      ['PJSIP/79001234567@trunk'],
+      'neither the rewritten 99112 nor the template-cut 5911 is dialed'
+    );
+    const status = dialer.getDialerStatus();
+    assert.strictEqual(status.rejected, 2, JSON.stringify(status));
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request } = require('./helpers/fake-dialer');
+
+const BLOCKED = '79001234568';
+const { dialer, logs, workDir, shutdown } = loadDialer({ DNC_FILE: './dnc.txt' });
+
+describe('DNC file', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('a missing file is an empty list', async () => {
+    assert.ok(
+      logs.some((line) => line.includes('does not exist; treating it as an empty list')),
+      'the missing file is reported'
+    );
+    const lookup = await request(server, 'GET', `/dnc?number=${BLOCKED}`);
+    assert.strictEqual(lookup.body.suppressed, false);
+  });
+
+  test('the file is read once it exists on the next /start', async () => {
+    fs.writeFileSync(path.join(workDir, 'dnc.txt'), `${BLOCKED},opted out\n`);
+    const started = await request(server, 'POST', '/start');
+    assert.strictEqual(started.statusCode, 201, JSON.stringify(started.body));
+    const lookup = await request(server, 'GET', `/dnc?number=${BLOCKED}`);
+    assert.strictEqual(lookup.body.suppressed, true);
+    assert.strictEqual(lookup.body.entry.source, 'file');
+  });
+});
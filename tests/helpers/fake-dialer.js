@@ -0,0 +1,170 @@
+'use strict';
+
+// Shared setup for tests that load index.js against an in-process fake of ari-client.
+// Call loadDialer() before anything else requires index.js: the configuration is read from
+// process.env when the module is first loaded.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+
+function createFakeAriClient() {
+  const client = new EventEmitter();
+  let sequence = 0;
+  client.originates = [];
+  client.hangups = [];
+  client.plays = [];
+  client.start = async () => {};
+  client.Bridge = () => ({
+    id: `bridge-${++sequence}`,
+    create: async () => {},
+    addChannel: async () => {},
+    destroy: async () => {}
+  });
+  client.Playback = () => ({ id: `playback-${++sequence}` });
+  // Bridge id -> recording started on it. Stopping one leaves the file in RECORDINGS_DIR and reports
+  // RecordingFinished, as Asterisk does, so the dialer does not keep polling for it.
+  const recordings = new Map();
+  client.bridges = {
+    record: async ({ bridgeId, name, format }) => {
+      recordings.set(bridgeId, { name, format });
+    },
+    play: async () => {},
+    startMoh: async () => {},
+    stopMoh: async () => {},
+    stopMedia: async ({ bridgeId, media }) => {
+      const recording = media === 'recording' && recordings.get(bridgeId);
+      if (!recording) {
+        return;
+      }
+      recordings.delete(bridgeId);
+      fs.mkdirSync(process.env.RECORDINGS_DIR, { recursive: true });
+      fs.writeFileSync(path.join(process.env.RECORDINGS_DIR, `${recording.name}.${recording.format}`), '');
+      setImmediate(() => client.emit('RecordingFinished', { type: 'RecordingFinished', recording }));
+    },
+    destroy: async () => {}
+  };
+  client.playbacks = { stop: async () => {} };
+  client.channels = {
+    originate: async (options) => {
+      client.originates.push(options);
+      return { id: options.channelId || `channel-${++sequence}` };
+    },
+    hangup: async ({ channelId }) => {
+      client.hangups.push(channelId);
+    },
+    answer: async () => {},
+    record: async () => {},
+    play: async (options) => {
+      client.plays.push(options);
+    },
+    setChannelVar: async () => {},
+    get: async () => ({})
+  };
+  return client;
+}
+
+function loadDialer(env = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ari-dialer-test-'));
+  // dotenv reads .env from the working directory; keep a developer's .env out of the test.
+  process.chdir(workDir);
+
+  for (const key of Object.keys(process.env)) {
+    if (key.startsWith('MYSQL_') || key.startsWith('AMI_')) {
+      delete process.env[key];
+    }
+  }
+  delete process.env.ARI_TRUNKS;
+  delete process.env.OUTBOUND_NUMBER_FILE;
+  Object.assign(process.env, {
+    ARI_URL: 'http://127.0.0.1:8088',
+    ARI_USERNAME: 'test',
+    ARI_PASSWORD: 'test',
+    ARI_TRUNK: 'trunk',
+    OUTBOUND_NUMBER: '79001234567',
+    MAX_CC: '1',
+    STATE_DIR: path.join(workDir, 'state'),
+    RECORDINGS_DIR: path.join(workDir, 'recordings'),
+    ...env
+  });
+
+  const client = createFakeAriClient();
+  const originalLoad = Module._load;
+  Module._load = function loadWithFakeAri(request, ...rest) {
+    if (request === 'ari-client') {
+      return { connect: async () => client };
+    }
+    return originalLoad.call(this, request, ...rest);
+  };
+
+  const logs = [];
+  const summaries = new Map();
+  const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+  for (const level of ['log', 'warn', 'error']) {
+    console[level] = (line, ...args) => {
+      const text = [line, ...args].map((part) => (typeof part === 'string' ? part : String(part))).join(' ');
+      logs.push(text);
+      const match = /\[([^\]]+)\] Call summary: (.*)$/.exec(text);
+      if (match) {
+        summaries.set(match[1], match[2]);
+      }
+      if (process.env.TEST_VERBOSE) {
+        originalConsole.log(line, ...args);
+      }
+    };
+  }
+
+  const dialer = require('../../index.js');
+  const cleanup = () => fs.rmSync(workDir, { recursive: true, force: true });
+
+  // Reports the originated legs as destroyed, the way Asterisk does once they are hung up.
+  async function endCalls() {
+    for (const { channelId } of client.originates) {
+      const channel = { id: channelId, name: 'PJSIP/trunk-00000001', state: 'Up' };
+      client.emit('ChannelDestroyed', { type: 'ChannelDestroyed', cause: 16, cause_txt: 'Normal Clearing', channel });
+    }
+    await tick();
+  }
+
+  return {
+    dialer,
+    client,
+    logs,
+    summaries,
+    workDir,
+    print: originalConsole.log,
+    cleanup,
+    endCalls,
+    // Stops every campaign and ends the calls it leaves in flight, so no call is left waiting for its
+    // watchdog and the test process can exit.
+    async shutdown() {
+      await dialer.stopDialer({ hangup: true });
+      await endCalls();
+      cleanup();
+    }
+  };
+}
+
+const tick = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function request(server, method, pathname, body) {
+  const { port } = server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+    });
+    req.on('error', reject);
+    req.end(body == null ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+module.exports = { createFakeAriClient, loadDialer, tick, request, listen };
@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, client, shutdown } = loadDialer({
+  HOLD_MUSIC_CLASS: 'default',
+  HOLD_ANNOUNCEMENT: 'sound:please-hold'
+});
+
+const bridgePlays = [];
+const mohStarts = [];
+const mohStops = [];
+const stoppedPlaybacks = [];
+client.bridges.play = async (options) => bridgePlays.push(options);
+client.bridges.startMoh = async (options) => mohStarts.push(options);
+client.bridges.stopMoh = async (options) => mohStops.push(options);
+client.playbacks.stop = async (options) => stoppedPlaybacks.push(options);
+
+// Answers the latest dialer leg; the customer is bridged and put on hold while the agent leg rings.
+async function answerLatestCall() {
+  const { appArgs, channelId } = client.originates[client.originates.length - 1];
+  const callId = appArgs.split(',')[1];
+  const customer = { id: channelId, name: 'PJSIP/trunk-00000001', state: 'Up' };
+  client.emit('StasisStart', { type: 'StasisStart', args: ['dialer', callId], channel: customer });
+  await tick();
+  const callState = dialer.getCallState(callId);
+  const agentLeg = client.originates.find((options) => options.appArgs === `dialed,${callId}`);
+  assert.ok(agentLeg, 'the agent leg is dialed');
+  return { callId, callState, customer, agent: { id: agentLeg.channelId, name: 'PJSIP/agent-00000001', state: 'Up' } };
+}
+
+async function agentJoins(callState, agent) {
+  client.emit('BridgeEnter', { type: 'BridgeEnter', bridge: { id: callState.bridge.id }, channel: agent });
+  await tick();
+}
+
+async function hangUp(...channels) {
+  for (const channel of channels) {
+    client.emit('ChannelDestroyed', { type: 'ChannelDestroyed', cause: 16, cause_txt: 'Normal Clearing', channel });
+  }
+  await tick();
+}
+
+describe('hold media', () => {
+  before(async () => {
+    const server = await listen(dialer.createControlServer());
+    await request(server, 'POST', '/campaigns/default/numbers?mode=append', ['79001110001']);
+    server.close();
+    await dialer.start();
+    await tick();
+  });
+
+  after(shutdown);
+
+  test('the announcement plays, music on hold follows and stops when the agent joins', async () => {
+    const { callState, customer, agent } = await answerLatestCall();
+    const bridgeId = callState.bridge.id;
+    assert.strictEqual(bridgePlays.length, 1);
+    assert.deepStrictEqual(bridgePlays[0].media, ['sound:please-hold']);
+    assert.strictEqual(bridgePlays[0].bridgeId, bridgeId);
+    assert.strictEqual(callState.hold.playbackId, bridgePlays[0].playbackId);
+    assert.deepStrictEqual(mohStarts, [], 'music waits for the announcement');
+
+    client.emit('PlaybackFinished', {
+      type: 'PlaybackFinished',
+      playback: { id: bridgePlays[0].playbackId, state: 'done' }
+    });
+    await tick();
+    assert.deepStrictEqual(mohStarts, [{ bridgeId, mohClass: 'default' }]);
+    assert.strictEqual(callState.hold.mohStarted, true);
+    assert.strictEqual(callState.hold.announcementsPlayed, 1);
+
+    await agentJoins(callState, agent);
+    assert.deepStrictEqual(mohStops, [{ bridgeId }]);
+    assert.ok(callState.hold.endedAt, 'the hold has ended');
+    assert.deepStrictEqual(stoppedPlaybacks, []);
+    await hangUp(customer, agent);
+  });
+
+  test('an agent joining during the announcement stops it and skips the music', async () => {
+    const { callState, customer, agent } = await answerLatestCall();
+    assert.strictEqual(bridgePlays.length, 2);
+    const { playbackId } = bridgePlays[1];
+
+    await agentJoins(callState, agent);
+    assert.deepStrictEqual(stoppedPlaybacks, [{ playbackId }]);
+    client.emit('PlaybackFinished', { type: 'PlaybackFinished', playback: { id: playbackId, state: 'done' } });
+    await tick();
+    assert.strictEqual(mohStarts.length, 1, 'no music on hold after the agent joined');
+    assert.strictEqual(mohStops.length, 1);
+    assert.strictEqual(callState.hold.announcementsPlayed, 0);
+    await hangUp(customer, agent);
+  });
+});
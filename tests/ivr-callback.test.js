@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, client, logs, shutdown } = loadDialer({
+  IVR_PROMPT: 'sound:menu',
+  IVR_ACTIONS: '1=connect,2=callback,9=dnc',
+  IVR_NO_INPUT_ACTION: 'connect',
+  IVR_TIMEOUT: '1',
+  IVR_CALLBACK_DELAY: '1',
+  IVR_MAX_CALLBACKS: '1'
+});
+
+// Answers the latest dialer leg and waits for the IVR prompt.
+async function answerLatestCall() {
+  const { appArgs, channelId } = client.originates[client.originates.length - 1];
+  const callId = appArgs.split(',')[1];
+  const customer = { id: channelId, name: 'PJSIP/trunk-00000001', state: 'Up' };
+  client.emit('StasisStart', { type: 'StasisStart', args: ['dialer', callId], channel: customer });
+  await tick();
+  return { callId, customer };
+}
+
+async function hangUp(customer) {
+  const event = { type: 'ChannelDestroyed', cause: 16, cause_txt: 'Normal Clearing', channel: customer };
+  client.emit('ChannelDestroyed', event);
+  await tick();
+}
+
+// Answers the latest dialer leg, presses a key in the IVR and hangs up.
+async function answerAndPress(digit) {
+  const { customer } = await answerLatestCall();
+  assert.deepStrictEqual(client.plays[client.plays.length - 1].media, ['sound:menu']);
+  client.emit('ChannelDtmfReceived', { type: 'ChannelDtmfReceived', digit, channel: customer });
+  await tick();
+  await hangUp(customer);
+}
+
+describe('IVR', () => {
+  before(async () => {
+    const server = await listen(dialer.createControlServer());
+    await request(server, 'POST', '/campaigns/default/numbers?mode=append', ['79001110001', '79001110002']);
+    server.close();
+    await dialer.start();
+    await tick();
+  });
+
+  after(shutdown);
+
+  test('declined IVR branches are neither answered nor abandoned', () => {
+    const answered = (fields) => ({ dialerConnectedAt: 1, legATimeline: {}, ...fields });
+    const outcome = (fields) => dialer.getAnswerOutcome(answered(fields));
+
+    assert.deepStrictEqual(outcome({ agentAnsweredAt: 2 }), {
+      customerAnswered: true,
+      agentAnswered: true,
+      abandoned: false
+    });
+    assert.strictEqual(outcome({}).abandoned, true, 'no agent took the call');
+    assert.strictEqual(outcome({ agentAnsweredAt: 2, abandoned: { at: 3 } }).abandoned, true, 'gave up after the wait');
+    for (const ivrBranch of ['dnc', 'callback', 'hangup', 'none']) {
+      const declined = outcome({ legATimeline: { ivrBranch } });
+      assert.strictEqual(declined.customerAnswered, false, `IVR branch '${ivrBranch}' is not an answered call`);
+      assert.strictEqual(declined.abandoned, false, `IVR branch '${ivrBranch}' is not abandoned`);
+    }
+    assert.strictEqual(outcome({ legATimeline: { ivrBranch: 'connect' } }).abandoned, true);
+    assert.strictEqual(outcome({ amd: { action: 'hangup' } }).customerAnswered, false, 'a machine is not answered');
+    assert.strictEqual(outcome({ broadcast: {} }).customerAnswered, false, 'broadcast calls never wait');
+    assert.strictEqual(dialer.getAnswerOutcome({ legATimeline: {} }).customerAnswered, false);
+  });
+
+  test('a prompt that fails to play hangs up instead of taking the no-input action', async () => {
+    const { callId, customer } = await answerLatestCall();
+    const { playbackId } = client.plays[client.plays.length - 1];
+    client.emit('PlaybackFinished', { type: 'PlaybackFinished', playback: { id: playbackId, state: 'failed' } });
+    await tick();
+
+    assert.ok(client.hangups.includes(customer.id), 'the customer is hung up');
+    assert.strictEqual(client.originates.length, 1, 'no agent leg is created');
+    assert.ok(logs.some((line) => line.includes(`[${callId}] IVR input 'failed'; branch 'hangup'.`)));
+    await hangUp(customer);
+  });
+
+  test('a prompt the channel refuses to play hangs up as well', async () => {
+    const play = client.channels.play;
+    client.channels.play = async () => {
+      throw new Error('Channel not in Stasis application');
+    };
+    try {
+      const { callId, customer } = await answerLatestCall();
+      await tick();
+      assert.ok(client.hangups.includes(customer.id), 'the customer is hung up');
+      assert.strictEqual(client.originates.length, 2, 'no agent leg is created');
+      assert.ok(logs.some((line) => line.includes(`[${callId}] IVR input 'failed'; branch 'hangup'.`)));
+      await hangUp(customer);
+    } finally {
+      client.channels.play = play;
+    }
+  });
+
+  test('IVR callbacks are capped by IVR_MAX_CALLBACKS', async () => {
+    await answerAndPress('2');
+    const campaign = dialer.getDialerStatus().campaigns[0];
+    assert.strictEqual(campaign.retryPending, 1, 'the first callback is scheduled');
+    assert.deepStrictEqual(campaign.abandonment, { answered: 0, abandoned: 0, rate: 0 });
+
+    await tick(1100);
+    assert.strictEqual(client.originates.length, 4, 'the number is called back');
+    await answerAndPress('2');
+    assert.strictEqual(dialer.getDialerStatus().campaigns[0].retryPending, 0, 'no second callback');
+    assert.ok(logs.some((line) => /no further callback is scheduled/.test(line)));
+
+    await tick(1100);
+    assert.strictEqual(client.originates.length, 4);
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const { dialer, client, shutdown } = loadDialer({
+  NUMBER_DEFAULT_COUNTRY: '7',
+  NUMBER_NATIONAL_RULES: '8:11,*:*',
+  DIAL_BLOCKED_NUMBERS: '112,000,88003334455',
+  OUTBOUND_NUMBER: '8 (900) 123-45-67',
+  MAX_CC: '4'
+});
+
+describe('number normalization', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  const numbering = {
+    enabled: true,
+    defaultCountry: '7',
+    internationalPrefix: '00',
+    nationalRules: dialer.parseNationalRules('8:11,7:11,*:10', 'NUMBER_NATIONAL_RULES', '7'),
+    minLength: 7
+  };
+
+  test('national and international forms become E.164', () => {
+    for (const [input, expected] of [
+      ['89001234567', '+79001234567'],
+      ['79001234567', '+79001234567'],
+      ['9001234567', '+79001234567'],
+      ['0044201234567', '+44201234567'],
+      ['+4930123456', '+4930123456'],
+      ['441234567890', '+441234567890'],
+      ['*100#', '*100#']
+    ]) {
+      assert.strictEqual(dialer.normalizePhoneNumber(input, numbering), expected, `'${input}'`);
+    }
+    assert.strictEqual(dialer.normalizePhoneNumber('112', { ...numbering, enabled: false }), '112');
+  });
+
+  test('short codes only get the plus sign', () => {
+    const anyLength = { ...numbering, nationalRules: dialer.parseNationalRules('*:*', 'NUMBER_NATIONAL_RULES', '7') };
+    assert.strictEqual(dialer.normalizePhoneNumber('000', numbering), '+000');
+    assert.strictEqual(dialer.normalizePhoneNumber('112', numbering), '+112');
+    assert.strictEqual(dialer.normalizePhoneNumber('112', anyLength), '+112', 'a rule without a length skips 112');
+    assert.strictEqual(dialer.normalizePhoneNumber('9001234567', anyLength), '+79001234567');
+  });
+
+  test('uploads are deduplicated and screened in both forms', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=append', [
+      '112',
+      '000',
+      '8 800 333-44-55',
+      '+7 900 123-45-67'
+    ]);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    assert.deepStrictEqual(
+      uploaded.body.rejected.map((entry) => entry.reason),
+      ['duplicate'],
+      'the +7 form repeats the queued 8 (900) number'
+    );
+    await dialer.start();
+    await tick();
+
+    assert.deepStrictEqual(client.originates.map((options) => options.endpoint), ['PJSIP/+79001234567@trunk']);
+    assert.strictEqual(dialer.getDialerStatus().rejected, 3, '112, 000 and the blocked 8 800 number are rejected');
+
+    const replaced = await request(server, 'POST', '/campaigns/default/numbers?mode=replace', [
+      '89001234567',
+      '9001234568'
+    ]);
+    assert.strictEqual(replaced.statusCode, 200, JSON.stringify(replaced.body));
+    assert.strictEqual(replaced.body.alreadyActive, 1, 'the national form of the in-flight number is recognized');
+    await tick();
+    assert.deepStrictEqual(
+      client.originates.map((options) => options.endpoint),
+      ['PJSIP/+79001234567@trunk', 'PJSIP/+79001234568@trunk'],
+      'only the new number is dialed'
+    );
+  });
+
+  test('NUMBER_DEFAULT_COUNTRY is refused without national rules', async () => {
+    process.env.NUMBER_NATIONAL_RULES = '';
+    try {
+      const response = await request(server, 'POST', '/start');
+      assert.strictEqual(response.statusCode, 500);
+      assert.match(response.body.message, /NUMBER_DEFAULT_COUNTRY needs NUMBER_NATIONAL_RULES/);
+    } finally {
+      process.env.NUMBER_NATIONAL_RULES = '8:11,*:*';
+    }
+  });
+});
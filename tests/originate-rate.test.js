@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const FIRST = '79001234567';
+const SUPPRESSED = '79001234568';
+const PAUSED = '79001234569';
+const { dialer, client, shutdown } = loadDialer({ OUTBOUND_NUMBER: FIRST, MAX_CC: '3', ORIGINATE_CPS: '1' });
+
+describe('originate rate', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('the token bucket spaces callers out after the burst', async () => {
+    const bucket = dialer.createTokenBucket({ ratePerSecond: 20, burst: 2 });
+    const startedAt = Date.now();
+    const grantedAt = await Promise.all([0, 1, 2, 3].map(() => bucket.take().then(() => Date.now() - startedAt)));
+    assert.ok(grantedAt[0] < 40 && grantedAt[1] < 40, `the burst is granted at once: ${grantedAt}`);
+    assert.ok(grantedAt[2] >= 40, `the third waits for a token: ${grantedAt}`);
+    assert.ok(grantedAt[3] >= 90 && grantedAt[3] > grantedAt[2], `the fourth waits for the next one: ${grantedAt}`);
+  });
+
+  test('flush lets waiting callers through', async () => {
+    const bucket = dialer.createTokenBucket({ ratePerSecond: 0.001, burst: 1 });
+    await bucket.take();
+    let released = false;
+    bucket.take().then(() => {
+      released = true;
+    });
+    await tick();
+    assert.strictEqual(bucket.getStatus().waiting, 1);
+    bucket.flush();
+    await tick();
+    assert.strictEqual(released, true);
+  });
+
+  test('a call that waited for its slot is not placed once its number is suppressed', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=append', [SUPPRESSED, PAUSED]);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await tick();
+    assert.deepStrictEqual(client.originates.map((options) => options.endpoint), [`PJSIP/${FIRST}@trunk`]);
+    assert.strictEqual(dialer.getDialerStatus().originateRate.waiting, 2, 'two calls wait for their slot');
+
+    const added = await request(server, 'POST', '/dnc', [SUPPRESSED]);
+    assert.strictEqual(added.statusCode, 200, JSON.stringify(added.body));
+    await tick(1100);
+    assert.strictEqual(client.originates.length, 1, 'a number added to the DNC list while waiting is not dialed');
+    assert.strictEqual(dialer.getDialerStatus().suppressed, 1);
+  });
+
+  test('a call that waited for its slot goes back to the queue on pause', async () => {
+    const paused = await request(server, 'POST', '/pause');
+    assert.strictEqual(paused.statusCode, 200, JSON.stringify(paused.body));
+    await tick(1100);
+    assert.strictEqual(client.originates.length, 1, 'nothing is dialed after the pause');
+    assert.strictEqual(dialer.getDialerStatus().queueLength, 1, 'the waiting number is back in the queue');
+
+    await request(server, 'POST', '/resume');
+    await tick(1100);
+    assert.deepStrictEqual(client.originates.map((options) => options.endpoint).slice(1), [`PJSIP/${PAUSED}@trunk`]);
+  });
+});
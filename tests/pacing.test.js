@@ -0,0 +1,76 @@
+'use strict';
+
+const assert = require('assert');
+const { after, describe, test } = require('node:test');
+const { loadDialer } = require('./helpers/fake-dialer');
+
+const { dialer, cleanup } = loadDialer({
+  PACING_MODE: 'predictive',
+  PACING_AGENTS: '2',
+  PACING_TARGET_ABANDON_RATE: '3',
+  PACING_MAX_CC: '6'
+});
+
+const START = Date.parse('2026-10-19T09:00:00Z');
+
+function createCall({ answered = false, agentWaitSeconds = null } = {}) {
+  const callState = { campaign: 'default', createdAt: START, agentLegs: new Map() };
+  if (answered) {
+    callState.dialerConnectedAt = START + 10000;
+  }
+  if (agentWaitSeconds != null) {
+    const answeredAt = callState.dialerConnectedAt + agentWaitSeconds * 1000;
+    callState.agentAnsweredAt = answeredAt;
+    const dialedAt = callState.dialerConnectedAt;
+    callState.agentLegs.set('agent', { dialedAt, answeredAt, hangupAt: answeredAt + 60000 });
+  }
+  return callState;
+}
+
+function record(count, options) {
+  for (let i = 0; i < count; i += 1) {
+    dialer.recordPacingSample(createCall(options), START + 120000);
+  }
+}
+
+describe('predictive pacing', () => {
+  const campaign = dialer.getDefaultCampaign();
+
+  after(cleanup);
+
+  test('dialing starts at one line per agent', () => {
+    assert.strictEqual(dialer.getCampaignDialLimit(campaign), 2, 'one line per agent before there are samples');
+  });
+
+  test('agents waiting for customers speed dialing up', () => {
+    record(5, { answered: true, agentWaitSeconds: 1 });
+    record(4);
+    assert.strictEqual(campaign.pacing.gain, 1, 'the gain does not move on too few samples');
+    record(1);
+    assert.strictEqual(campaign.pacing.gain, 1.05);
+    assert.strictEqual(dialer.getCampaignDialLimit(campaign), 5, 'two free agents at a 50% answer rate and gain 1.05');
+  });
+
+  test('the gain and the dial limit are capped', () => {
+    record(60, { answered: true, agentWaitSeconds: 1 });
+    assert.strictEqual(campaign.pacing.gain, 3);
+    assert.strictEqual(dialer.getCampaignDialLimit(campaign), 6, 'the limit is capped at PACING_MAX_CC');
+  });
+
+  test('customers waiting for agents slow dialing down', () => {
+    record(4, { answered: true, agentWaitSeconds: 60 });
+    assert.strictEqual(campaign.pacing.gain, 3, 'a few slow agents do not move the average yet');
+    record(1, { answered: true, agentWaitSeconds: 60 });
+    assert.ok(Math.abs(campaign.pacing.gain - 2.85) < 1e-9);
+  });
+
+  test('abandoned calls slow dialing down harder, down to a floor', () => {
+    record(3, { answered: true });
+    assert.ok(campaign.pacing.gain < 2.85 * 0.95 ** 3, 'an abandon rate above target slows dialing harder');
+
+    record(100, { answered: true });
+    assert.strictEqual(campaign.pacing.gain, 0.5, 'the gain has a floor');
+    assert.strictEqual(dialer.getCampaignDialLimit(campaign), 1, 'two free agents at the floor gain need one line');
+    assert.strictEqual(campaign.pacing.samples.length, 100, 'only the most recent samples are kept');
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const NUMBER = '79001234567';
+const { dialer, client, summaries, shutdown } = loadDialer({ OUTBOUND_NUMBER: NUMBER, MAX_CC: '1' });
+
+function dialerOriginateFor(callId) {
+  return client.originates.find((options) => options.appArgs === `dialer,${callId}`);
+}
+
+function partnerOriginateFor(callId) {
+  return client.originates.find((options) => options.appArgs === `dialed,${callId}`);
+}
+
+// Replays the event sequence Asterisk produces for one answered call that a queue agent picks up.
+// Names and dial strings are identical across calls on purpose; only the channel ids differ.
+async function answerCall(callId, agent) {
+  const { channelId: dialerId } = dialerOriginateFor(callId);
+  const customer = { id: dialerId, name: 'PJSIP/trunk-00000001', state: 'Up' };
+
+  client.emit('Dial', { type: 'Dial', peer: customer, dialstring: `${NUMBER}@trunk`, dialstatus: 'ANSWER' });
+  client.emit('StasisStart', { type: 'StasisStart', args: ['dialer', callId], channel: customer });
+  await tick();
+
+  const partner = partnerOriginateFor(callId);
+  assert.ok(partner, `partner leg was originated for ${callId}`);
+  const localChannel = { id: partner.channelId, name: 'Local/777@default2-00000001;1', state: 'Up' };
+  const queueChannel = { id: partner.otherChannelId, name: 'Local/777@default2-00000001;2', state: 'Up' };
+  const agentChannel = {
+    id: `agent-${agent}`,
+    name: `PJSIP/${agent}-00000001`,
+    state: 'Up',
+    connected: { number: agent, name: '' }
+  };
+
+  client.emit('StasisStart', { type: 'StasisStart', args: ['dialed', callId], channel: localChannel });
+  await tick();
+  client.emit('BridgeEnter', { type: 'BridgeEnter', bridge: { id: `bridge-of-${callId}` }, channel: localChannel });
+  client.emit('Dial', { type: 'Dial', caller: queueChannel, peer: agentChannel, dialstring: agent });
+  client.emit('Dial', {
+    type: 'Dial',
+    caller: queueChannel,
+    peer: agentChannel,
+    dialstring: agent,
+    dialstatus: 'ANSWER'
+  });
+  await tick();
+  return { customer, localChannel, queueChannel, agentChannel };
+}
+
+async function hangUpCall(channels) {
+  for (const channel of [channels.customer, channels.localChannel, channels.queueChannel, channels.agentChannel]) {
+    client.emit('ChannelDestroyed', { type: 'ChannelDestroyed', cause: 16, cause_txt: 'Normal Clearing', channel });
+    await tick();
+  }
+}
+
+describe('concurrent calls to the same number', () => {
+  let server;
+  let firstCallId;
+  let secondCallId;
+  let firstChannels;
+  let secondChannels;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('two campaigns dial the shared number with their own channel ids', async () => {
+    const created = await request(server, 'POST', '/campaigns', { name: 'second', numbers: [NUMBER] });
+    assert.strictEqual(created.statusCode, 201, JSON.stringify(created.body));
+
+    await dialer.start();
+    const started = await request(server, 'POST', '/campaigns/second/start');
+    assert.strictEqual(started.statusCode, 200, JSON.stringify(started.body));
+    await tick();
+
+    const dialerOriginates = client.originates.filter((options) => options.appArgs.startsWith('dialer,'));
+    assert.strictEqual(dialerOriginates.length, 2, 'both campaigns dialed the shared number');
+    [firstCallId, secondCallId] = dialerOriginates.map((options) => options.appArgs.split(',')[1]);
+    assert.notStrictEqual(firstCallId, secondCallId);
+    for (const options of dialerOriginates) {
+      const callId = options.appArgs.split(',')[1];
+      assert.strictEqual(options.channelId, `${callId}-a`);
+      assert.strictEqual(options.otherChannelId, `${callId}-a2`);
+    }
+  });
+
+  test('every event lands on the call that owns the channel', async () => {
+    firstChannels = await answerCall(firstCallId, '101');
+    secondChannels = await answerCall(secondCallId, '102');
+
+    const firstState = dialer.getCallState(firstCallId);
+    const secondState = dialer.getCallState(secondCallId);
+    assert.strictEqual(partnerOriginateFor(firstCallId).channelId, `${firstCallId}-b`);
+    assert.strictEqual(firstState.dialerChannelId, `${firstCallId}-a`);
+    assert.strictEqual(secondState.dialerChannelId, `${secondCallId}-a`);
+    assert.deepStrictEqual([...firstState.agentChannels], ['agent-101']);
+    assert.deepStrictEqual([...secondState.agentChannels], ['agent-102']);
+    assert.strictEqual(firstState.channelRoles.get(`${firstCallId}-b`), 'dialed');
+    assert.strictEqual(secondState.channelRoles.get(`${secondCallId}-b`), 'dialed');
+  });
+
+  test('each call gets its own summary', async () => {
+    await hangUpCall(firstChannels);
+    assert.ok(summaries.has(firstCallId), 'first call was summarized');
+    assert.ok(!summaries.has(secondCallId), 'second call is still in progress');
+    assert.strictEqual(dialer.getDialerStatus().activeCalls, 1);
+
+    await hangUpCall(secondChannels);
+    assert.ok(summaries.has(secondCallId), 'second call was summarized');
+
+    const firstSummary = summaries.get(firstCallId).split(';');
+    const secondSummary = summaries.get(secondCallId).split(';');
+    assert.strictEqual(firstSummary[1], NUMBER);
+    assert.strictEqual(secondSummary[1], NUMBER);
+    assert.ok(firstSummary.includes('101') && !firstSummary.includes('102'), summaries.get(firstCallId));
+    assert.ok(secondSummary.includes('102') && !secondSummary.includes('101'), summaries.get(secondCallId));
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const BUSY_NUMBER = '79001234567';
+const NEXT_NUMBER = '79001234568';
+const { dialer, client, shutdown } = loadDialer({
+  OUTBOUND_NUMBER: BUSY_NUMBER,
+  MAX_CC: '1',
+  RETRY_RULES: 'BUSY:3:300,NO ANSWER:2:900'
+});
+
+describe('retry policy', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(dialer.createControlServer());
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+  });
+
+  test('dispositions match the retry rules however Asterisk spelled them', () => {
+    for (const [status, expected] of [
+      ['NOANSWER', 'NO ANSWER'],
+      ['no_answer', 'NO ANSWER'],
+      ['answer', 'ANSWERED'],
+      [' busy ', 'BUSY']
+    ]) {
+      assert.strictEqual(dialer.normalizeDisposition(status), expected, `disposition '${status}'`);
+    }
+  });
+
+  test('a busy number waits for its retry while the next one is dialed', async () => {
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=append', [NEXT_NUMBER]);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await tick();
+    assert.strictEqual(client.originates.length, 1, 'the first number is being dialed');
+
+    const customer = { id: client.originates[0].channelId, name: 'PJSIP/trunk-00000001', state: 'Down' };
+    client.emit('Dial', { type: 'Dial', peer: customer, dialstring: `${BUSY_NUMBER}@trunk`, dialstatus: 'BUSY' });
+    client.emit('ChannelDestroyed', { type: 'ChannelDestroyed', cause: 17, cause_txt: 'User busy', channel: customer });
+    await tick();
+    assert.strictEqual(client.originates.length, 2, 'the next number is dialed while the busy one waits');
+    assert.strictEqual(dialer.getDialerStatus().campaigns[0].retryPending, 1);
+  });
+
+  test('stopping the campaign discards the pending retry', async () => {
+    const stopped = await request(server, 'POST', '/stop');
+    assert.strictEqual(stopped.statusCode, 200, JSON.stringify(stopped.body));
+    assert.strictEqual(stopped.body.discarded, 1, 'the pending retry is discarded');
+    assert.strictEqual(dialer.getDialerStatus().campaigns[0].retryPending, 0);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('assert');
+const { after, describe, test } = require('node:test');
+const { loadDialer } = require('./helpers/fake-dialer');
+
+const TRUNK = 'carrierA';
+const { dialer, cleanup } = loadDialer({
+  ARI_TRUNKS: `${TRUNK},carrierB`,
+  TRUNK_BREAKER_THRESHOLD: '50',
+  TRUNK_BREAKER_WINDOW: '4',
+  TRUNK_BREAKER_MIN_CALLS: '4',
+  TRUNK_BREAKER_COOLDOWN: '60'
+});
+
+const realNow = Date.now;
+let now = realNow();
+Date.now = () => now;
+
+const state = () => dialer.serializeTrunkBreaker(TRUNK).state;
+
+// A call on the trunk from acquire to its verdict, as recordCallOutcome and markCallCompleted do it.
+function completeCall(callId, failed) {
+  dialer.acquireTrunk(callId, TRUNK);
+  dialer.recordTrunkResult(TRUNK, callId, failed);
+  dialer.releaseTrunk(callId);
+}
+
+describe('trunk circuit breaker', () => {
+  after(() => {
+    Date.now = realNow;
+    cleanup();
+  });
+
+  test('the breaker opens when the failure rate reaches the threshold', () => {
+    completeCall('call-1', false);
+    completeCall('call-2', true);
+    completeCall('call-3', true);
+    assert.strictEqual(state(), 'closed', 'too few calls to judge the trunk');
+    completeCall('call-4', true);
+    assert.strictEqual(state(), 'open', '3 of 4 calls failed');
+    assert.strictEqual(dialer.serializeTrunkBreaker(TRUNK).trips, 1);
+    assert.strictEqual(dialer.trunkBreakerAllowsCall(TRUNK), false);
+    assert.strictEqual(dialer.trunkBreakerAllowsCall('carrierB'), true, 'other trunks are not affected');
+
+    dialer.recordTrunkResult(TRUNK, 'call-in-flight', false);
+    assert.strictEqual(state(), 'open', 'results of calls started before the trip are ignored');
+  });
+
+  test('one probe at a time is allowed after the cooldown', () => {
+    now += 60000;
+    assert.strictEqual(dialer.trunkBreakerAllowsCall(TRUNK), true);
+    dialer.acquireTrunk('probe-1', TRUNK);
+    assert.strictEqual(state(), 'half-open');
+    assert.strictEqual(dialer.trunkBreakerAllowsCall(TRUNK), false, 'only one probe at a time');
+    dialer.recordTrunkResult(TRUNK, 'other-call', false);
+    assert.strictEqual(state(), 'half-open', 'only the probe decides');
+    dialer.releaseTrunk('probe-1');
+    assert.strictEqual(state(), 'open', 'a probe that ended without a verdict lets the next call probe');
+  });
+
+  test('a failed probe opens the breaker for another cooldown', () => {
+    dialer.acquireTrunk('probe-2', TRUNK);
+    dialer.recordTrunkResult(TRUNK, 'probe-2', true);
+    dialer.releaseTrunk('probe-2');
+    assert.strictEqual(state(), 'open');
+    assert.strictEqual(dialer.serializeTrunkBreaker(TRUNK).trips, 2);
+    assert.strictEqual(dialer.trunkBreakerAllowsCall(TRUNK), false);
+  });
+
+  test('a successful probe closes the breaker with an empty window', () => {
+    now += 60000;
+    completeCall('probe-3', false);
+    assert.deepStrictEqual(
+      { state: state(), samples: dialer.serializeTrunkBreaker(TRUNK).samples },
+      { state: 'closed', samples: 0 }
+    );
+  });
+
+  test('a manual reset closes the breaker right away', () => {
+    for (const callId of ['call-5', 'call-6', 'call-7', 'call-8']) {
+      completeCall(callId, true);
+    }
+    assert.strictEqual(state(), 'open');
+    assert.strictEqual(dialer.resetTrunkBreaker(TRUNK), true);
+    assert.strictEqual(state(), 'closed');
+    assert.strictEqual(dialer.resetTrunkBreaker('unknown'), false);
+  });
+});
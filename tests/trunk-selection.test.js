@@ -0,0 +1,59 @@
+'use strict';
+
+const assert = require('assert');
+const { after, describe, test } = require('node:test');
+const { loadDialer, tick } = require('./helpers/fake-dialer');
+
+const NUMBER = '79001234567';
+const { dialer, client, shutdown } = loadDialer({
+  OUTBOUND_NUMBER: NUMBER,
+  MAX_CC: '1',
+  ARI_TRUNKS: 'carrierA:3,carrierB:1'
+});
+
+function failCall(options, cause) {
+  const channel = { id: options.channelId, name: 'PJSIP/carrier-00000001', state: 'Down' };
+  client.emit('Dial', { type: 'Dial', peer: channel, dialstring: options.endpoint, dialstatus: 'CONGESTION' });
+  client.emit('ChannelDestroyed', { type: 'ChannelDestroyed', cause, cause_txt: 'Network out of order', channel });
+}
+
+describe('trunk selection', () => {
+  after(shutdown);
+
+  test('weighted selection spreads calls without bursts on one trunk', () => {
+    const campaign = dialer.getDefaultCampaign();
+    const picks = Array.from({ length: 8 }, () => dialer.selectTrunk(campaign).name);
+    assert.deepStrictEqual(picks, [
+      'carrierA',
+      'carrierA',
+      'carrierB',
+      'carrierA',
+      'carrierA',
+      'carrierA',
+      'carrierB',
+      'carrierA'
+    ]);
+    assert.strictEqual(dialer.selectTrunk(campaign, ['carrierA']).name, 'carrierB', 'failed trunks are skipped');
+    assert.strictEqual(dialer.selectTrunk(campaign, ['carrierA', 'carrierB']), null);
+    campaign.trunkRotation.clear();
+  });
+
+  test('a failover cause redials once on every other trunk', async () => {
+    await dialer.start();
+    await tick();
+    assert.strictEqual(client.originates.length, 1);
+    assert.strictEqual(client.originates[0].endpoint, `PJSIP/${NUMBER}@carrierA`);
+
+    failCall(client.originates[0], 38);
+    await tick();
+    assert.strictEqual(client.originates.length, 2, 'the number is redialed right away');
+    assert.strictEqual(client.originates[1].endpoint, `PJSIP/${NUMBER}@carrierB`, 'on the other trunk');
+
+    failCall(client.originates[1], 38);
+    await tick();
+    assert.strictEqual(client.originates.length, 2, 'no trunk is left to fail over to');
+    const [status] = dialer.getDialerStatus().campaigns;
+    assert.strictEqual(status.completed, 1, 'the attempt ends with one outcome');
+    assert.ok(status.runFinishedAt, 'and the run is finished');
+  });
+});
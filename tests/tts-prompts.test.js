@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { listen, loadDialer, request, tick } = require('./helpers/fake-dialer');
+
+const soundsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ari-dialer-tts-'));
+const { dialer, client, shutdown } = loadDialer({
+  MAX_CC: '2',
+  IVR_PROMPT: 'tts:menu',
+  TTS_COMMAND: 'case "$TTS_TEXT" in *broken*) exit 1 ;; esac; printf audio > "$TTS_OUTPUT"',
+  TTS_TEMPLATES: 'menu=Hello {contact.name}, press 1 to talk to us or 9 to opt out',
+  TTS_SOUNDS_DIR: soundsDir,
+  TTS_CACHE_MAX_AGE: '7'
+});
+
+const stale = path.join(soundsDir, `${'a'.repeat(40)}.wav`);
+const other = path.join(soundsDir, 'greeting.wav');
+
+describe('TTS prompts', () => {
+  let server;
+
+  before(async () => {
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    for (const filePath of [stale, other]) {
+      fs.writeFileSync(filePath, 'audio');
+      fs.utimesSync(filePath, eightDaysAgo, eightDaysAgo);
+    }
+    server = await listen(dialer.createControlServer());
+    const uploaded = await request(server, 'POST', '/campaigns/default/numbers?mode=replace', [
+      { number: '79001234567', name: 'Anna' },
+      { number: '79001234568', name: 'broken' }
+    ]);
+    assert.strictEqual(uploaded.statusCode, 200, JSON.stringify(uploaded.body));
+    await dialer.start();
+    await tick(300);
+  });
+
+  after(async () => {
+    server.close();
+    await shutdown();
+    fs.rmSync(soundsDir, { recursive: true, force: true });
+  });
+
+  test('prompts not played for TTS_CACHE_MAX_AGE days are removed', () => {
+    assert.strictEqual(fs.existsSync(stale), false);
+    assert.strictEqual(fs.existsSync(other), true, 'files the dialer did not render are left alone');
+  });
+
+  test('a customer whose IVR prompt cannot be rendered is hung up', async () => {
+    for (const { appArgs, channelId } of client.originates.slice()) {
+      const callId = appArgs.split(',')[1];
+      const customer = { id: channelId, name: 'PJSIP/trunk-00000001', state: 'Up' };
+      client.emit('StasisStart', { type: 'StasisStart', args: ['dialer', callId], channel: customer });
+    }
+    await tick(300);
+
+    const [working, broken] = client.originates.slice(0, 2).map((options) => options.appArgs.split(',')[1]);
+    assert.strictEqual(dialer.getCallState(working).legATimeline.ivrBranch, null, 'the working prompt is playing');
+    assert.ok(client.plays.some((options) => options.channelId === `${working}-a`));
+    assert.strictEqual(dialer.getCallState(broken).legATimeline.ivrBranch, 'hangup');
+    assert.ok(client.hangups.includes(`${broken}-a`), 'the customer without a prompt is hung up');
+    assert.ok(!client.originates.some((options) => options.appArgs === `dialed,${broken}`), 'no agent leg');
+  });
+});